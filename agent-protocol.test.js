@@ -17,6 +17,8 @@ import {
   diff,
   normalize
 } from './agent_protocol_v_1_1_1.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { sign } from './signing.js';
 
 // Test fixtures
 const validManifest = {
@@ -361,6 +363,22 @@ describe('Validation - runValidators', () => {
     const result2 = protocol2.validate(['custom.test']);
     assert.strictEqual(result2.ok, false);
   });
+
+  test('signature.envelope validator - tampered and expired manifests fail', () => {
+    const { privateKey } = generateKeyPairSync('ed25519');
+    const signed = sign(validManifest, privateKey, { kid: 'release-1' });
+    assert.strictEqual(createAgentProtocol(signed).validate(['signature.envelope']).ok, true);
+
+    const tampered = createAgentProtocol({ ...signed, agent: { ...signed.agent, name: 'Impostor' } }).validate();
+    assert.strictEqual(tampered.ok, false);
+    const tamperedResult = tampered.results.find(r => r.name === 'signature.envelope');
+    assert.deepStrictEqual(tamperedResult.issues.map(i => i.path), ['sig.payload']);
+
+    const expired = sign(validManifest, privateKey, { kid: 'release-1', exp: '2020-01-01T00:00:00Z' });
+    const expiredResult = createAgentProtocol(expired).validate(['signature.envelope']);
+    assert.strictEqual(expiredResult.ok, false);
+    assert.deepStrictEqual(expiredResult.results[0].issues.map(i => i.path), ['sig.protected.exp']);
+  });
 });
 
 // ==========================================
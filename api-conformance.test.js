@@ -0,0 +1,213 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { checkConformance } from './api-conformance.js';
+import { createApiProtocol } from './api_protocol_v_1_1_1.js';
+
+const customersApi = createApiProtocol({
+  api: { name: 'customers-api', version: '1.0.0' },
+  servers: { list: [{ url: 'https://staging.example.com/v1' }] },
+  components: {
+    schemas: {
+      Customer: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          email: { type: 'string', 'x-pii': true },
+          tags: { type: 'array', items: { type: 'object', properties: { label: { type: 'string' } } } }
+        }
+      }
+    }
+  },
+  endpoints: {
+    paths: {
+      '/customers': {
+        get: {
+          parameters: { query: { limit: { type: 'integer' } } },
+          responses: { '200': { description: 'Customers', content: { 'application/json': { type: 'array', items: { $ref: '#/components/schemas/Customer' } } } } },
+          rateLimit: { requests: 2, period: '1m' }
+        },
+        post: {
+          requestBody: { content: { 'application/json': { properties: { name: { type: 'string' }, email: { type: 'string', 'x-pii': true } } } } },
+          responses: { '201': { description: 'Created', content: { 'application/json': { $ref: '#/components/schemas/Customer' } } } }
+        }
+      },
+      '/customers/{id}': {
+        get: {
+          responses: {
+            '2XX': { description: 'Customer', content: { 'application/json': { $ref: '#/components/schemas/Customer' } } },
+            '404': { description: 'Missing' }
+          }
+        }
+      }
+    }
+  }
+});
+
+const json = value => ({ mimeType: 'application/json', text: JSON.stringify(value) });
+
+function exchange(method, path, status, { at = '2025-03-01T10:00:00.000Z', body, response } = {}) {
+  return {
+    startedDateTime: at,
+    request: {
+      method,
+      url: `https://staging.example.com/v1${path}`,
+      headers: [],
+      ...(body !== undefined && { postData: json(body) })
+    },
+    response: { status, headers: [], content: response === undefined ? { mimeType: 'application/json' } : json(response) }
+  };
+}
+
+const customer = { id: 'c-1', name: 'Ada', email: 'ada@example.com', tags: [{ label: 'vip' }] };
+
+test('conformant traffic produces no findings', () => {
+  const har = {
+    log: {
+      entries: [
+        exchange('GET', '/customers?limit=10', 200, { response: [customer] }),
+        exchange('POST', '/customers', 201, { body: { name: 'Ada', email: 'ada@example.com' }, response: customer }),
+        exchange('GET', '/customers/c-1', 203, { response: customer }),
+        exchange('GET', '/customers/c-2', 404)
+      ]
+    }
+  };
+  const report = checkConformance(customersApi, har);
+  assert.deepStrictEqual(report.findings, []);
+  assert.strictEqual(report.ok, true);
+  assert.deepStrictEqual(report.summary, {
+    entries: 4,
+    matched: 4,
+    unmatched: 0,
+    findings: { undocumented_endpoint: 0, undocumented_status: 0, undocumented_field: 0, unmarked_pii: 0, rate_limit_exceeded: 0, unreadable_entry: 0 }
+  });
+  assert.deepStrictEqual(report.endpoints['GET /customers/{id}'], { calls: 2, statuses: { 203: 1, 404: 1 } });
+});
+
+test('undocumented endpoints, methods and status codes are errors', () => {
+  const har = {
+    log: {
+      entries: [
+        exchange('GET', '/orders', 200, { response: [] }),
+        exchange('DELETE', '/customers/c-1', 204),
+        exchange('POST', '/customers', 500, { body: { name: 'Ada' } }),
+        exchange('POST', '/customers', 500, { body: { name: 'Bob' } })
+      ]
+    }
+  };
+  const report = checkConformance(customersApi.manifest(), har);
+  assert.strictEqual(report.ok, false);
+  assert.deepStrictEqual(report.findings.map(f => `${f.kind} ${f.endpoint}: ${f.msg}`), [
+    'undocumented_endpoint GET /orders: GET /orders matches no declared path',
+    'undocumented_endpoint DELETE /customers/c-1: DELETE is not declared for /customers/c-1 (declared: GET)',
+    'undocumented_status POST /customers: status 500 is not declared'
+  ]);
+  const status = report.findings.find(f => f.kind === 'undocumented_status');
+  assert.strictEqual(status.count, 2);
+  assert.deepStrictEqual(status.entries, [2, 3]);
+});
+
+test('fields outside the schema are reported for requests and responses', () => {
+  const har = {
+    log: {
+      entries: [
+        exchange('GET', '/customers?limit=5&sort=name', 200, { response: [{ ...customer, score: 3, tags: [{ label: 'vip', color: 'red' }] }] }),
+        exchange('POST', '/customers', 201, { body: { name: 'Ada', referrer: 'ads' }, response: customer })
+      ]
+    }
+  };
+  const fields = checkConformance(customersApi, har).findings
+    .filter(f => f.kind === 'undocumented_field')
+    .map(f => `${f.endpoint} ${f.location} ${f.field}`);
+  assert.deepStrictEqual(fields, [
+    'GET /customers query sort',
+    'GET /customers response [].tags[].color',
+    'GET /customers response [].score',
+    'POST /customers request referrer'
+  ]);
+});
+
+test('PII values in fields not marked x-pii are errors', () => {
+  const har = {
+    log: {
+      entries: [
+        exchange('GET', '/customers/c-1', 200, { response: { ...customer, name: '+1 (555) 010-2030' } }),
+        exchange('GET', '/customers?email=bob@example.com', 200, { response: [] }),
+        exchange('POST', '/customers', 201, { body: { name: '4111 1111 1111 1111' }, response: { ...customer, id: '123-45-6789' } }),
+        exchange('GET', '/customers/c-9', 200, { response: { ...customer, id: '2025-03-01', name: '1234567890123' } })
+      ]
+    }
+  };
+  const pii = checkConformance(customersApi, har).findings.filter(f => f.kind === 'unmarked_pii');
+  assert.deepStrictEqual(pii.map(f => `${f.endpoint} ${f.location} ${f.field}: ${f.msg}`), [
+    'GET /customers/{id} response name: response field name carries phone values but is not marked x-pii',
+    'GET /customers query email: query parameter email carries email values but is not marked x-pii',
+    'POST /customers request name: request field name carries card values but is not marked x-pii',
+    'POST /customers response id: response field id carries ssn values but is not marked x-pii'
+  ]);
+});
+
+test('traffic served beyond rateLimit is reported; throttled responses are not counted', () => {
+  const at = second => `2025-03-01T10:00:${String(second).padStart(2, '0')}.000Z`;
+  const within = checkConformance(customersApi, {
+    log: { entries: [exchange('GET', '/customers', 200, { at: at(0), response: [] }), exchange('GET', '/customers', 200, { at: at(30), response: [] })] }
+  });
+  assert.strictEqual(within.findings.length, 0);
+
+  const report = checkConformance(customersApi, {
+    log: {
+      entries: [0, 10, 20, 30, 40].map((second, i) => exchange('GET', '/customers', i === 4 ? 429 : 200, { at: at(second), response: i === 4 ? undefined : [] }))
+    }
+  });
+  const [finding] = report.findings;
+  assert.strictEqual(finding.kind, 'rate_limit_exceeded');
+  assert.strictEqual(finding.msg, 'served 4 requests within 1m, rateLimit allows 2');
+  assert.strictEqual(finding.count, 2);
+  assert.deepStrictEqual(finding.entries, [2, 3]);
+});
+
+test('base paths, base64 bodies and custom PII detectors', () => {
+  const entry = exchange('GET', '/customers/c-1', 200);
+  entry.request.url = 'https://gateway.example.com/edge/customers/c-1';
+  entry.response.content = { mimeType: 'application/json', encoding: 'base64', text: Buffer.from(JSON.stringify({ ...customer, name: 'GB29NWBK60161331926819' })).toString('base64') };
+  const report = checkConformance(customersApi, { log: { entries: [entry] } }, {
+    basePath: '/edge',
+    piiDetectors: { iban: /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/ }
+  });
+  assert.strictEqual(report.summary.matched, 1);
+  assert.deepStrictEqual(report.findings.map(f => `${f.kind} ${f.field}`), ['unmarked_pii name']);
+  assert.match(report.findings[0].msg, /iban values/);
+
+  assert.throws(() => checkConformance(customersApi, {}), /log\.entries must be an array/);
+});
+
+test('unreadable exchanges are reported and skipped without aborting the report', () => {
+  const brokenUrl = exchange('GET', '/customers', 200, { response: [] });
+  brokenUrl.request.url = 'http://[::1';
+  const har = {
+    log: {
+      entries: [
+        exchange('GET', '/customers/%E0%A4%A', 200, { response: customer }),
+        brokenUrl,
+        exchange('POST', '/customers', 201, { body: { name: 'boom' }, response: customer }),
+        exchange('GET', '/customers/c-1', 200, { response: customer })
+      ]
+    }
+  };
+  const report = checkConformance(customersApi, har, {
+    piiDetectors: {
+      fussy: value => {
+        if (value === 'boom') throw new Error('detector failed');
+        return false;
+      }
+    }
+  });
+  assert.deepStrictEqual(report.findings.map(f => `${f.kind} ${f.level} ${f.entries}: ${f.msg}`), [
+    'unreadable_entry warn 0: path /customers/%E0%A4%A has malformed percent-encoding',
+    'unreadable_entry warn 1: request URL http://[::1 cannot be parsed',
+    'unreadable_entry warn 2: entry skipped: detector failed'
+  ]);
+  assert.strictEqual(report.ok, true, 'unreadable entries are warnings');
+  assert.strictEqual(report.summary.findings.unreadable_entry, 3);
+  assert.deepStrictEqual(report.endpoints['GET /customers/{id}'], { calls: 1, statuses: { 200: 1 } });
+});
@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createMockServer } from './api-mock-server.js';
+import { createApiProtocol } from './api_protocol_v_1_1_1.js';
+import { compileRoutes, matchRoute } from './api-request-validator.js';
+
+const paymentsApi = createApiProtocol({
+  api: { name: 'payments-api', version: '1.2.0' },
+  components: {
+    schemas: {
+      Payment: {
+        type: 'object',
+        required: ['id', 'amount'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          amount: { type: 'number', minimum: 1 },
+          status: { type: 'string', enum: ['pending', 'settled'] },
+          created_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  endpoints: {
+    paths: {
+      '/payments': {
+        get: {
+          summary: 'List payments',
+          parameters: { query: { limit: { schema: { type: 'integer', maximum: 50 } } } },
+          responses: { '200': { description: 'Payments', content: { 'application/json': { type: 'array', items: { $ref: '#/components/schemas/Payment' } } } } }
+        },
+        post: {
+          summary: 'Create a payment',
+          parameters: { header: { 'X-Request-ID': { type: 'string', required: true } } },
+          requestBody: {
+            required: true,
+            content: { 'application/json': { properties: { amount: { type: 'number', required: true }, currency: { type: 'string', enum: ['USD', 'EUR'] } } } }
+          },
+          responses: {
+            '201': { description: 'Created', content: { 'application/json': { $ref: '#/components/schemas/Payment' } } },
+            '409': { description: 'Duplicate', content: { 'application/json': { properties: { error: { type: 'string', example: 'duplicate request' } } } } }
+          },
+          rateLimit: { requests: 2, period: '1m' }
+        }
+      },
+      '/payments/{id}': {
+        parameters: { path: { id: { type: 'string', required: true } } },
+        get: {
+          summary: 'Get a payment',
+          responses: { '200': { description: 'Payment', content: { 'application/json': { type: 'object', example: { id: 'pay_1', amount: 42 } } } } }
+        },
+        delete: { summary: 'Cancel a payment', responses: { '204': { description: 'Cancelled' } } }
+      },
+      '/payments/summary': {
+        summary: 'Payment totals',
+        responses: { '200': { description: 'Totals', content: { 'application/json': { properties: { total: { type: 'integer' } } } } } }
+      }
+    }
+  }
+});
+
+let mock;
+let baseUrl;
+
+before(async () => {
+  mock = createMockServer(paymentsApi, { port: 0 });
+  ({ url: baseUrl } = await mock.start());
+});
+
+after(async () => {
+  await mock.stop();
+});
+
+const post = (body, headers = { 'X-Request-ID': 'req-1' }) => fetch(`${baseUrl}/payments`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+test('mock server lists a route per operation', () => {
+  assert.deepStrictEqual(mock.routes.map(r => `${r.method} ${r.path}`).sort(), [
+    'DELETE /payments/{id}',
+    'GET /payments',
+    'GET /payments/summary',
+    'GET /payments/{id}',
+    'POST /payments'
+  ]);
+});
+
+test('mock server synthesizes responses from schemas and component references', async () => {
+  const response = await fetch(`${baseUrl}/payments?limit=10`);
+  assert.strictEqual(response.status, 200);
+  const [payment] = await response.json();
+  assert.deepStrictEqual(payment, { id: '00000000-0000-4000-8000-000000000000', amount: 1, status: 'pending', created_at: '2025-01-01T00:00:00Z' });
+});
+
+test('mock server matches path templates and prefers static segments', async () => {
+  const byId = await fetch(`${baseUrl}/payments/pay_1`);
+  assert.deepStrictEqual(await byId.json(), { id: 'pay_1', amount: 42 });
+  const summary = await fetch(`${baseUrl}/payments/summary`);
+  assert.deepStrictEqual(await summary.json(), { total: 0 });
+  const cancelled = await fetch(`${baseUrl}/payments/pay_1`, { method: 'DELETE' });
+  assert.strictEqual(cancelled.status, 204);
+});
+
+test('mock server answers 404 and 405 for undeclared routes', async () => {
+  assert.strictEqual((await fetch(`${baseUrl}/refunds`)).status, 404);
+  const response = await fetch(`${baseUrl}/payments/summary`, { method: 'PUT' });
+  assert.strictEqual(response.status, 405);
+  assert.strictEqual(response.headers.get('allow'), 'GET');
+});
+
+test('mock server answers HEAD from the GET operation, without a body', async () => {
+  const head = await fetch(`${baseUrl}/payments/pay_1`, { method: 'HEAD' });
+  assert.strictEqual(head.status, 200);
+  assert.strictEqual(head.headers.get('content-type'), 'application/json');
+  assert.strictEqual(await head.text(), '');
+
+  // A declared HEAD operation still takes precedence over GET
+  const withHead = createApiProtocol(paymentsApi.manifest())
+    .set('endpoints.paths./payments/{id}.head', { summary: 'Check a payment', responses: { '204': { description: 'Exists' } } });
+  const routes = compileRoutes(withHead.manifest());
+  assert.strictEqual(matchRoute(routes, 'HEAD', '/payments/pay_1').route.method, 'HEAD');
+  assert.strictEqual(matchRoute(compileRoutes(paymentsApi.manifest()), 'HEAD', '/payments/pay_1').route.method, 'GET');
+});
+
+test('mock server answers 400 for malformed percent-encoding in the path', async () => {
+  const response = await fetch(`${baseUrl}/payments/%E0%A4%A`);
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(), { error: 'Malformed request path', path: '/payments/%E0%A4%A' });
+  assert.deepStrictEqual(matchRoute(compileRoutes(paymentsApi.manifest()), 'GET', '/payments/%E0%A4%A'), { route: null, allowed: [], malformed: true });
+
+  // The server keeps answering afterwards
+  assert.strictEqual((await fetch(`${baseUrl}/payments/pay_1`)).status, 200);
+});
+
+test('mock server validates parameters and request bodies', async () => {
+  const badQuery = await fetch(`${baseUrl}/payments?limit=500`);
+  assert.strictEqual(badQuery.status, 400);
+  assert.deepStrictEqual((await badQuery.json()).issues, [{ in: 'query', path: 'limit', msg: 'must be <= 50' }]);
+
+  const notInteger = await fetch(`${baseUrl}/payments?limit=ten`);
+  assert.strictEqual((await notInteger.json()).issues[0].msg, 'must be integer, got string');
+
+  const invalid = await post({ currency: 'GBP' }, {});
+  assert.strictEqual(invalid.status, 400);
+  const { issues } = await invalid.json();
+  assert.deepStrictEqual(issues.map(i => `${i.in}:${i.path}`), ['header:X-Request-ID', 'body:amount', 'body:currency']);
+
+  const malformed = await post('{"amount":');
+  assert.deepStrictEqual((await malformed.json()).issues, [{ in: 'body', path: '', msg: 'request body is not valid JSON' }]);
+});
+
+test('mock server honours Prefer: code and enforces rateLimit with 429', async () => {
+  const fresh = createMockServer(paymentsApi, { port: 0 });
+  const { url } = await fresh.start();
+  try {
+    const send = (headers = {}) => fetch(`${url}/payments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Request-ID': 'req-2', ...headers },
+      body: JSON.stringify({ amount: 10 })
+    });
+    const created = await send();
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.headers.get('x-ratelimit-remaining'), '1');
+    const conflict = await send({ Prefer: 'code=409' });
+    assert.strictEqual(conflict.status, 409);
+    assert.deepStrictEqual(await conflict.json(), { error: 'duplicate request' });
+    const limited = await send();
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  } finally {
+    await fresh.stop();
+  }
+});
@@ -3,7 +3,9 @@
  * Tests all protocol methods, validators, and performance requirements
  */
 
-import { createApiProtocol, createApiCatalog, registerValidator, Validators } from './api_protocol_v_1_1_1.js';
+import { createApiProtocol, createApiCatalog, registerValidator, listOperations, resolveSchema, importOpenApi, Validators } from './api_protocol_v_1_1_1.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { sign } from './signing.js';
 
 // Test utilities
 function assert(condition, message) {
@@ -287,6 +289,17 @@ test('validate: detects invalid security schemes', () => {
   assert(result.results[0].issues.some(i => i.path.includes('security.schemes')), 'Should have issue with security schemes');
 });
 
+test('validate: accepts mutualTLS security schemes', () => {
+  const manifest = JSON.parse(JSON.stringify(baseManifest));
+  manifest.security = { ...manifest.security, schemes: { ...manifest.security?.schemes, clientCert: { type: 'mutualTLS', description: 'Partner client certificate' } } };
+  const protocol = createApiProtocol(manifest);
+  const result = protocol.validate(['security.schemes', 'security.effective']);
+  assert(result.ok, `mutualTLS should be a valid scheme type: ${JSON.stringify(result.results.flatMap(r => r.issues))}`);
+
+  const sdk = protocol.generateClientSdk('typescript');
+  assert(!sdk.includes('clientCert?:'), 'mutualTLS needs no credential in AuthOptions');
+});
+
 test('validate: detects PII policy violations', () => {
   const invalidManifest = JSON.parse(JSON.stringify(baseManifest));
   invalidManifest.governance = { policy: { classification: 'public' } }; // PII fields but public classification
@@ -771,8 +784,13 @@ test('breaking change detection: 100% accuracy for API changes', () => {
       shouldBreak: false
     },
     {
-      name: 'Global security addition',
+      name: 'Global security alternative added',
       change: (p) => p.set('security.global', ['bearerAuth', 'apiKey']),
+      shouldBreak: false
+    },
+    {
+      name: 'Global security alternative removed',
+      change: (p) => p.set('security.global', ['apiKey']),
       shouldBreak: true
     },
     {
@@ -811,6 +829,823 @@ test('breaking change detection: 100% accuracy for API changes', () => {
   });
 });
 
+// ==================== Per-Path Operation Tests ====================
+
+const operationsManifest = {
+  ...baseManifest,
+  endpoints: {
+    paths: {
+      '/payments': {
+        summary: 'Create a new payment',
+        requestBody: baseManifest.endpoints.paths['/payments'].requestBody,
+        responses: { '201': { description: 'Payment created' } }
+      },
+      '/payments/{id}': {
+        parameters: {
+          path: { id: { type: 'string', required: true } }
+        },
+        get: {
+          summary: 'Get payment status',
+          operationId: 'getPayment',
+          responses: { '200': { description: 'Payment details' } }
+        },
+        put: {
+          summary: 'Replace a payment',
+          requestBody: { required: true, content: { 'application/json': { properties: { amount: { type: 'number' } } } } },
+          responses: { '200': { description: 'Payment replaced' } }
+        },
+        delete: {
+          summary: 'Cancel a payment',
+          responses: { '204': { description: 'Payment cancelled' } }
+        }
+      }
+    }
+  }
+};
+
+test('listOperations: flattens single endpoints and method maps', () => {
+  const ops = listOperations(operationsManifest);
+  const keys = ops.map(op => `${op.method.toUpperCase()} ${op.path}`);
+  assertDeepEqual(keys, ['POST /payments', 'GET /payments/{id}', 'PUT /payments/{id}', 'DELETE /payments/{id}'], 'Should list every operation');
+  const get = ops.find(op => op.method === 'get');
+  assert(get.operation.parameters.path.id.required === true, 'Path-level parameters should be merged into operations');
+  assertEqual(get.pointer, 'endpoints.paths./payments/{id}.get', 'Operation pointer should include the method key');
+});
+
+test('listOperations: honours an explicit method on single endpoints', () => {
+  const ops = listOperations({ endpoints: { paths: { '/health': { method: 'HEAD', summary: 'Health', responses: { '200': {} } } } } });
+  assertEqual(ops[0].method, 'head', 'Explicit method should win over inference');
+});
+
+test('Validation: accepts per-path operations', () => {
+  const protocol = createApiProtocol(operationsManifest);
+  const result = protocol.validate(['endpoints.valid', 'endpoints.operations']);
+  assert(result.ok, `Operations manifest should validate: ${JSON.stringify(result.results)}`);
+});
+
+test('Validation: reports duplicate operations and operationIds', () => {
+  const protocol = createApiProtocol({
+    ...baseManifest,
+    endpoints: {
+      paths: {
+        '/orders': {
+          get: { summary: 'List', operationId: 'orders', responses: { '200': {} } },
+          GET: { summary: 'List again', responses: { '200': {} } },
+          post: { summary: 'Create', operationId: 'orders', requestBody: { content: {} }, responses: { '201': {} } }
+        }
+      }
+    }
+  });
+  const result = protocol.validate(['endpoints.operations']);
+  const issues = result.results[0].issues;
+  assert(!result.ok, 'Duplicates should fail validation');
+  assert(issues.some(i => i.msg.includes('duplicate GET operation')), 'Should flag duplicate method keys');
+  assert(issues.some(i => i.msg.includes('duplicate operationId "orders"')), 'Should flag duplicate operationIds');
+});
+
+test('Validation: reports method/body mismatches', () => {
+  const protocol = createApiProtocol({
+    ...baseManifest,
+    endpoints: {
+      paths: {
+        '/search': { method: 'GET', summary: 'Search', requestBody: { content: {} }, responses: { '200': {} } },
+        '/items/{id}': {
+          patch: { summary: 'Update', responses: { '200': {} } },
+          delete: { summary: 'Remove', requestBody: { content: {} }, responses: { '204': {} } }
+        },
+        '/mixed': { summary: 'Mixed', responses: { '200': {} }, get: { summary: 'Get', responses: { '200': {} } } }
+      }
+    }
+  });
+  const issues = protocol.validate(['endpoints.operations']).results[0].issues;
+  const find = (pathStr) => issues.find(i => i.path === pathStr);
+  assertEqual(find('endpoints.paths./search.requestBody')?.level, 'error', 'GET with a body should be an error');
+  assertEqual(find('endpoints.paths./items/{id}.patch')?.level, 'warn', 'PATCH without a body should warn');
+  assertEqual(find('endpoints.paths./items/{id}.delete.requestBody')?.level, 'warn', 'DELETE with a body should warn');
+  assertEqual(find('endpoints.paths./mixed')?.level, 'error', 'Mixing shapes should be an error');
+});
+
+test('Diff: removing an operation is breaking', () => {
+  const protocol = createApiProtocol(operationsManifest);
+  const paths = operationsManifest.endpoints.paths;
+  const { delete: _removed, ...remaining } = paths['/payments/{id}'];
+  const updated = protocol.set('endpoints.paths./payments/{id}', remaining);
+  const diffResult = protocol.diff(updated.manifest());
+  assert(diffResult.breaking.some(b => b.reason === 'operation removed: DELETE /payments/{id}'), 'Should report the removed operation');
+});
+
+test('Diff: adding an operation is not breaking', () => {
+  const protocol = createApiProtocol(operationsManifest);
+  const updated = protocol.set('endpoints.paths./payments/{id}.patch', {
+    summary: 'Update a payment',
+    requestBody: { content: { 'application/json': {} } },
+    responses: { '200': { description: 'Updated' } }
+  });
+  assertEqual(protocol.diff(updated.manifest()).breaking.length, 0, 'Operation addition should not be breaking');
+});
+
+test('Diff: moving a single endpoint into a method map is not breaking', () => {
+  const protocol = createApiProtocol(baseManifest);
+  const legacy = baseManifest.endpoints.paths['/payments/{id}'];
+  const updated = protocol.set('endpoints.paths./payments/{id}', { get: legacy });
+  const diffResult = protocol.diff(updated.manifest());
+  assert(!diffResult.breaking.some(b => b.reason.startsWith('operation removed')), 'Same operations should not be reported as removed');
+  const changed = protocol.set('endpoints.paths./payments/{id}', { post: { ...legacy, requestBody: { content: {} } } });
+  assert(protocol.diff(changed.manifest()).breaking.some(b => b.reason === 'operation removed: GET /payments/{id}'), 'Changing the method should remove the GET operation');
+});
+
+test('generateOpenApi: emits every declared operation', () => {
+  const spec = JSON.parse(createApiProtocol(operationsManifest).generateOpenApi());
+  const item = spec.paths['/payments/{id}'];
+  assertDeepEqual(['get', 'put', 'delete'].filter(m => item[m]), ['get', 'put', 'delete'], 'Should emit one OpenAPI operation per method');
+  assertEqual(item.get.operationId, 'getPayment', 'Should carry operationId');
+  assert(item.put.requestBody !== undefined, 'PUT should carry its request body');
+  assert(item.parameters.some(p => p.name === 'id' && p.in === 'path'), 'Path-level parameters should stay on the path item');
+  assert(spec.paths['/payments'].post !== undefined, 'Single endpoints should keep the inferred method');
+});
+
+test('generateClientSdk: generates a method per operation', () => {
+  const sdk = createApiProtocol(operationsManifest).generateClientSdk('javascript');
+  assertContains(sdk, "async getPayment(params = {})", 'Should name methods by operationId');
+  assertContains(sdk, "async put_payments__id_(params = {}, body)", 'PUT on a templated path should take params before the body');
+  assertContains(sdk, "this.request('PUT', '/payments/{id}', { params, body })", 'PUT should send a body');
+  assertContains(sdk, "this.request('POST', '/payments', { body: params })", 'Untemplated body methods should send params as the body');
+  assertContains(sdk, "this.request('DELETE', '/payments/{id}', { params })", 'DELETE should send params, not a body');
+  assertContains(sdk, "async delete_payments__id_(params = {})", 'Unnamed operations should be prefixed with the method');
+});
+
+test('generateClientSdk: javascript substitutes path params and sends the rest as a query string', () => {
+  const sdk = createApiProtocol(operationsManifest).generateClientSdk('javascript');
+  const calls = [];
+  const fetchStub = (url, config) => {
+    calls.push([config.method, url, config.body]);
+    return Promise.resolve({ ok: true, text: () => Promise.resolve('') });
+  };
+  const Client = new Function('fetch', sdk.replace(/export default (\w+);$/, 'return $1;'))(fetchStub);
+  const client = new Client('https://api.example.com');
+
+  // request() reaches fetch synchronously, before its first await
+  client.getPayment({ id: 'pay 1', expand: ['payer', 'items'], fields: undefined });
+  client.delete_payments__id_({ id: 'pay_2' });
+  client.put_payments__id_({ id: 'pay_3' }, { amount: 5 });
+  assertDeepEqual(calls, [
+    ['GET', 'https://api.example.com/payments/pay%201?expand=payer&expand=items', undefined],
+    ['DELETE', 'https://api.example.com/payments/pay_2', undefined],
+    ['PUT', 'https://api.example.com/payments/pay_3', '{"amount":5}']
+  ], 'Should build URLs from params');
+  assertContains(sdk, 'throw new Error(`Missing path parameter: ${name}`)', 'Should reject a missing path param');
+});
+
+test('Catalog: counts operations as endpoints', () => {
+  const catalog = createApiCatalog([createApiProtocol(operationsManifest)]);
+  assertEqual(catalog.analyzeDependencies().totalEndpoints, 4, 'Each operation should count as an endpoint');
+});
+
+// ==================== OpenAPI Import Tests ====================
+
+const petStoreSpec = {
+  openapi: '3.0.3',
+  info: { title: 'Pet Store', version: '2.1.0', 'x-logo': 'logo.png' },
+  servers: [{ url: 'https://pets.example.com' }],
+  tags: [{ name: 'pets' }],
+  components: {
+    securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-Key' } },
+    schemas: {
+      Pet: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, owner_email: { type: 'string', 'x-pii': true } } }
+    },
+    parameters: { PetId: { name: 'petId', in: 'path', required: true, schema: { type: 'string' } } }
+  },
+  security: [{ apiKey: [] }],
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        summary: 'List pets',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+          { name: 'session', in: 'cookie', schema: { type: 'string' } }
+        ],
+        responses: {
+          '200': { description: 'Pets', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } } }
+        }
+      },
+      post: {
+        operationId: 'createPet',
+        summary: 'Create a pet',
+        'x-rate-limit': { requests: 10, period: '1m' },
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+        responses: { '201': { description: 'Created' } },
+        callbacks: { onAdopted: {} }
+      }
+    },
+    '/pets/{petId}': {
+      parameters: [{ $ref: '#/components/parameters/PetId' }],
+      get: { operationId: 'getPet', summary: 'Get a pet', responses: { '200': { description: 'Pet' } } },
+      delete: { operationId: 'deletePet', summary: 'Delete a pet', responses: { '204': { description: 'Deleted' } } }
+    }
+  }
+};
+
+test('importOpenApi: maps paths, parameters, bodies, security and servers', () => {
+  const { manifest } = importOpenApi(petStoreSpec);
+  assertEqual(manifest.api.name, 'pet-store', 'Should derive api.name from info.title');
+  assertEqual(manifest.api.version, '2.1.0', 'Should take the version from info');
+  assertEqual(manifest.servers.list[0].url, 'https://pets.example.com', 'Should map servers');
+  assertDeepEqual(manifest.security.global, ['apiKey'], 'Should map global security');
+  const pets = manifest.endpoints.paths['/pets'];
+  assertEqual(pets.get.parameters.query.limit.schema.type, 'integer', 'Should group parameters by location');
+  assertEqual(pets.post.requestBody.content['application/json'].$ref, '#/components/schemas/Pet', 'Should keep component schema references');
+  assertEqual(manifest.components.schemas.Pet.properties.owner_email['x-pii'], true, 'Should import component schemas with x-pii');
+  assertDeepEqual(pets.post.rateLimit, { requests: 10, period: '1m' }, 'Should map x-rate-limit');
+  assert(manifest.endpoints.paths['/pets/{petId}'].parameters.path.petId.required, 'Should resolve parameter $refs at the path level');
+});
+
+test('importOpenApi: imported manifest validates and detects PII', () => {
+  const { manifest } = importOpenApi(petStoreSpec);
+  const result = createApiProtocol(manifest).validate();
+  const failing = result.results.filter(r => !r.ok).map(r => r.name);
+  assertDeepEqual(failing, ['governance.pii_policy'], 'Only the PII classification warning should remain');
+});
+
+test('importOpenApi: reports constructs that could not be mapped', () => {
+  const { unmapped } = importOpenApi(petStoreSpec);
+  const pointers = unmapped.map(u => u.pointer);
+  assert(pointers.includes('#/paths/~1pets/get/parameters/1'), 'Should report cookie parameters');
+  assert(pointers.includes('#/paths/~1pets/post/callbacks'), 'Should report callbacks');
+  assert(pointers.includes('#/info/x-logo'), 'Should report unknown info extensions');
+  assert(pointers.includes('#/tags'), 'Should report top-level tags');
+  assert(!pointers.some(p => p.startsWith('#/components/schemas')), 'Component schemas should map to manifest components');
+});
+
+test('importOpenApi: generateOpenApi round-trips', () => {
+  const { manifest } = importOpenApi(petStoreSpec);
+  const generated = JSON.parse(createApiProtocol(manifest).generateOpenApi());
+  assertEqual(generated.paths['/pets'].post.operationId, 'createPet', 'Should keep operations');
+  assertDeepEqual(generated.paths['/pets'].post['x-rate-limit'], { requests: 10, period: '1m' }, 'Should restore x-rate-limit');
+  assertEqual(generated.paths['/pets'].post.requestBody.content['application/json'].schema.$ref, '#/components/schemas/Pet', 'Should wrap schemas in media type objects');
+  assertDeepEqual(generated.components.schemas, petStoreSpec.components.schemas, 'Should emit component schemas');
+  assertEqual(generated.paths['/pets/{petId}'].parameters[0].name, 'petId', 'Should keep shared path parameters on the path item');
+  const reimported = importOpenApi(generated);
+  assertDeepEqual(reimported.manifest, manifest, 'Importing the generated document should reproduce the manifest');
+  assertEqual(reimported.unmapped.length, 0, 'Generated documents should map completely');
+});
+
+test('importOpenApi: rejects non-OpenAPI 3 documents', () => {
+  let message = '';
+  try { importOpenApi({ swagger: '2.0', paths: {} }); } catch (e) { message = e.message; }
+  assertContains(message, 'Unsupported OpenAPI version: 2.0', 'Should reject Swagger 2.0');
+  try { importOpenApi('{not json'); } catch (e) { message = e.message; }
+  assertContains(message, 'Invalid OpenAPI document', 'Should reject invalid JSON text');
+});
+
+// ==================== Component Schema Tests ====================
+
+const componentsManifest = {
+  ...baseManifest,
+  components: {
+    schemas: {
+      Customer: {
+        type: 'object',
+        properties: { id: { type: 'string' }, email: { type: 'string', 'x-pii': true } }
+      },
+      Order: {
+        type: 'object',
+        properties: { total: { type: 'number' }, customer: { $ref: '#/components/schemas/Customer' } }
+      }
+    }
+  },
+  endpoints: {
+    paths: {
+      '/orders': {
+        post: {
+          summary: 'Create an order',
+          requestBody: { content: { 'application/json': { $ref: '#/components/schemas/Order' } } },
+          responses: { '201': { description: 'Created', content: { 'application/json': { $ref: '#/components/schemas/Order' } } } }
+        }
+      },
+      '/orders/{id}': {
+        get: {
+          summary: 'Get an order',
+          responses: { '200': { description: 'Order', content: { 'application/json': { $ref: '#/components/schemas/Order' } } } }
+        }
+      },
+      '/health': {
+        get: { summary: 'Health', responses: { '200': { description: 'OK' } } }
+      }
+    }
+  }
+};
+
+test('resolveSchema: inlines component references and keeps recursive ones', () => {
+  const order = resolveSchema(componentsManifest, { $ref: '#/components/schemas/Order' });
+  assertEqual(order.properties.customer.properties.email['x-pii'], true, 'Should resolve nested references');
+  const tree = { components: { schemas: { Node: { type: 'object', properties: { child: { $ref: '#/components/schemas/Node' } } } } } };
+  const node = resolveSchema(tree, { $ref: '#/components/schemas/Node' });
+  assertEqual(node.properties.child.$ref, '#/components/schemas/Node', 'Recursive references should be kept');
+});
+
+test('Validation: component references must resolve', () => {
+  const valid = createApiProtocol(componentsManifest).validate(['components.refs']);
+  assert(valid.ok, `Resolvable references should validate: ${JSON.stringify(valid.results)}`);
+  const broken = createApiProtocol(componentsManifest)
+    .set('endpoints.paths./health.get.responses.200.content', { 'application/json': { $ref: '#/components/schemas/Health' } })
+    .set('components.schemas.Order.properties.items', { $ref: '#/definitions/Item' });
+  const issues = broken.validate(['components.refs']).results[0].issues;
+  assert(issues.some(i => i.path === 'endpoints.paths./health.get.responses.200.content.application/json.$ref' && i.msg.includes('"Health"')), 'Should flag unresolved references');
+  assert(issues.some(i => i.path === 'components.schemas.Order.properties.items.$ref' && i.msg.includes('unsupported reference')), 'Should flag non-component references');
+});
+
+test('Validation: PII policy follows component references', () => {
+  const protocol = createApiProtocol({ ...componentsManifest, governance: { policy: { classification: 'internal' } } });
+  const result = protocol.validate(['governance.pii_policy']);
+  assert(!result.ok, 'PII inside a referenced schema should require pii classification');
+  assertEqual(createApiCatalog([protocol]).analyzeDependencies().piiEndpoints, 1, 'Catalog should count the referencing request body');
+});
+
+test('Diff: a shared schema change surfaces on every endpoint using it', () => {
+  const protocol = createApiProtocol(componentsManifest);
+  const updated = protocol.set('components.schemas.Customer.properties.phone', { type: 'string', 'x-pii': true });
+  const surfaced = protocol.diff(updated.manifest()).changes.filter(c => c.via);
+  assertDeepEqual(surfaced.map(c => c.path), [
+    'endpoints.paths./orders.post.requestBody.content.application/json',
+    'endpoints.paths./orders.post.responses.201.content.application/json',
+    'endpoints.paths./orders/{id}.get.responses.200.content.application/json'
+  ], 'Should report each referencing location');
+  assertDeepEqual(surfaced[0].via, ['components.schemas.Customer'], 'Should name the changed component');
+  assert(surfaced[0].to.properties.customer.properties.phone !== undefined, 'Should carry the resolved schemas');
+});
+
+test('generateOpenApi: emits component schemas and references', () => {
+  const spec = JSON.parse(createApiProtocol(componentsManifest).generateOpenApi());
+  assertDeepEqual(spec.components.schemas, componentsManifest.components.schemas, 'Should emit components.schemas');
+  assertEqual(spec.paths['/orders'].post.requestBody.content['application/json'].schema.$ref, '#/components/schemas/Order', 'Should keep references');
+});
+
+// ==================== TypeScript SDK Tests ====================
+
+test('generateClientSdk: typescript emits models from properties and components', () => {
+  const sdk = createApiProtocol(componentsManifest).generateClientSdk('typescript');
+  assertContains(sdk, 'export interface Customer {\n  id?: string;\n  email?: string;\n}', 'Should emit component interfaces');
+  assertContains(sdk, '  customer?: Customer;', 'Should reference component types');
+  assertContains(sdk, 'export type PostOrdersRequest = Order;', 'Should alias referenced request bodies');
+  const payments = createApiProtocol(baseManifest).generateClientSdk('typescript');
+  assertContains(payments, '  amount: number;\n  currency: string;\n  email?: string;', 'Should honour per-property required flags');
+});
+
+test('generateClientSdk: typescript groups parameters by location with typed signatures', () => {
+  const sdk = createApiProtocol(baseManifest).generateClientSdk('typescript');
+  assertContains(sdk, 'export interface PaymentsIdParams {\n  path: {\n    /** Payment ID */\n    id: string;\n  };\n}', 'Should type path parameters');
+  assertContains(sdk, 'async payments(params: PaymentsParams, body: PaymentsRequest): Promise<PaymentsResponse>', 'Should type body, params and response');
+  assertContains(sdk, "this.request<PaymentsIdResponse>('GET', '/payments/{id}', { path: params?.path })", 'Should pass path parameters without a body');
+  assertContains(sdk, "(_, name: string) => {", 'Should substitute path templates');
+});
+
+test('generateClientSdk: typescript derives auth hooks from security schemes', () => {
+  const protocol = createApiProtocol(operationsManifest)
+    .set('security.schemes.apiKey', { type: 'apiKey', in: 'query', name: 'key' })
+    .set('endpoints.paths./payments/{id}.delete.security', ['apiKey']);
+  const sdk = protocol.generateClientSdk('typescript');
+  assertContains(sdk, '  bearerAuth?: Credential;', 'Should expose a credential per scheme');
+  assertContains(sdk, '/** API key (query "key") */', 'Should describe API key placement');
+  assertContains(sdk, 'const GLOBAL_SECURITY: string[] = ["bearerAuth"];', 'Should default to global security');
+  assertContains(sdk, 'security: ["apiKey"]', 'Should pass operation-level security');
+});
+
+test('generateClientSdk: typescript wraps requests with retries and rateLimit', () => {
+  const sdk = createApiProtocol(baseManifest).generateClientSdk('typescript');
+  assertContains(sdk, 'rateLimit: { key: "POST /payments", requests: 100, periodMs: 60000 }', 'Should honour rateLimit');
+  assertContains(sdk, "response?.headers.get('Retry-After')", 'Should honour Retry-After');
+  assertContains(sdk, 'response.status === 429', 'Should retry rate-limited responses');
+  assertContains(sdk, 'export class ApiError extends Error', 'Should surface typed errors');
+  assertEqual(createApiProtocol(baseManifest).generateClientSdk('ts'), sdk, 'Should accept the ts alias');
+});
+
+// ==================== Contract Diff Tests ====================
+
+const contractOf = (updated) => {
+  const result = createApiProtocol(baseManifest).diff(updated.manifest());
+  return { result, findings: result.contract };
+};
+
+test('diff contract: newly required parameters and request fields are breaking', () => {
+  const { result, findings } = contractOf(createApiProtocol(baseManifest)
+    .set('endpoints.paths./payments/{id}.parameters.query', { expand: { type: 'string', required: true } })
+    .set('endpoints.paths./payments.requestBody.content.application/json.properties.email.required', true));
+  const param = findings.find(f => f.reason === 'required parameter added');
+  assertEqual(param.endpoint, 'GET /payments/{id}', 'Should name the endpoint');
+  assertEqual(param.location, 'query', 'Should name the parameter location');
+  assertEqual(param.field, 'expand', 'Should name the parameter');
+  const field = findings.find(f => f.reason === 'field now required');
+  assertEqual(field.location, 'body', 'Request fields should be located in the body');
+  assertEqual(field.field, 'email', 'Should name the field');
+  assert(result.breaking.includes(param) && result.breaking.includes(field), 'Breaking findings should be listed as breaking');
+  assertEqual(result.bump, 'major', 'Breaking changes should suggest a major bump');
+});
+
+test('diff contract: removed response fields and status codes are breaking', () => {
+  const updated = createApiProtocol(baseManifest)
+    .set('endpoints.paths./payments.responses', { '201': { description: 'Created', content: { 'application/json': { properties: { payment_id: { type: 'string' } } } } } });
+  const { findings } = contractOf(updated);
+  const field = findings.find(f => f.reason === 'field removed');
+  assertEqual(field.location, 'response', 'Response fields should be located in the response');
+  assertEqual(field.field, 'status', 'Should name the removed field');
+  assertEqual(field.bump, 'major', 'Removed response fields should suggest a major bump');
+  assert(findings.some(f => f.reason === 'response status removed: 400' && f.classification === 'breaking'), 'Removed status codes should be breaking');
+});
+
+test('diff contract: enum and type narrowing in requests is breaking, widening is additive', () => {
+  const withEnum = createApiProtocol(baseManifest)
+    .set('endpoints.paths./payments.requestBody.content.application/json.properties.currency.enum', ['USD', 'EUR']);
+  const narrowed = createApiProtocol(withEnum.manifest()).diff(
+    withEnum.set('endpoints.paths./payments.requestBody.content.application/json.properties.currency.enum', ['USD'])
+      .set('endpoints.paths./payments.requestBody.content.application/json.properties.amount.type', 'integer').manifest());
+  assert(narrowed.contract.some(f => f.reason === 'enum value removed: EUR' && f.classification === 'breaking'), 'Removing an accepted enum value should be breaking');
+  assert(narrowed.contract.some(f => f.reason === 'type changed: number → integer' && f.classification === 'breaking'), 'Narrowing a request type should be breaking');
+
+  const widened = createApiProtocol(withEnum.manifest()).diff(
+    withEnum.set('endpoints.paths./payments.requestBody.content.application/json.properties.currency.enum', ['USD', 'EUR', 'GBP'])
+      .set('endpoints.paths./payments.requestBody.content.application/json.properties.note', { type: 'string' }).manifest());
+  assertDeepEqual(widened.contract.map(f => [f.reason, f.classification, f.bump]), [
+    ['enum value added: GBP', 'additive', 'minor'],
+    ['optional field added', 'additive', 'minor']
+  ], 'Widening should be additive');
+  assertEqual(widened.breaking.length, 0, 'Widening should not be breaking');
+  assertEqual(widened.bump, 'minor', 'Additive changes should suggest a minor bump');
+});
+
+test('diff contract: response enum widening is breaking for existing clients', () => {
+  const withEnum = createApiProtocol(baseManifest)
+    .set('endpoints.paths./payments/{id}.responses.200.content.application/json.properties.status.enum', ['pending', 'settled']);
+  const result = createApiProtocol(withEnum.manifest()).diff(
+    withEnum.set('endpoints.paths./payments/{id}.responses.200.content.application/json.properties.status.enum', ['pending', 'settled', 'disputed']).manifest());
+  assertEqual(result.contract[0].reason, 'enum value added: disputed', 'Should report the new response value');
+  assertEqual(result.contract[0].classification, 'breaking', 'Old clients cannot read new response values');
+});
+
+test('diff contract: dropping a field type is widening in requests and responses', () => {
+  const updated = createApiProtocol(baseManifest)
+    .set('endpoints.paths./payments.responses.201.content.application/json.properties.status', { description: 'Payment status' })
+    .set('endpoints.paths./payments.requestBody.content.application/json.properties.currency', { required: true, description: 'ISO 4217 code' });
+  const { result, findings } = contractOf(updated);
+  assertDeepEqual(findings.map(f => [f.location, f.field, f.reason, f.classification]), [
+    ['body', 'currency', 'type widened: string → any', 'additive'],
+    ['response', 'status', 'type widened: string → any', 'compatible']
+  ], 'Removing a type should widen, not crash');
+  assertEqual(result.bump, 'minor', 'Widening should suggest a minor bump');
+});
+
+test('diff contract: stricter security is breaking per operation', () => {
+  const open = createApiProtocol(baseManifest).set('endpoints.paths./payments/{id}.security', []);
+  const secured = createApiProtocol(open.manifest()).diff(baseManifest);
+  const finding = secured.contract.find(f => f.location === 'security');
+  assertEqual(finding.endpoint, 'GET /payments/{id}', 'Should name the endpoint');
+  assertEqual(finding.reason, 'security requirement added: bearerAuth', 'Should report the inherited global requirement');
+  assertEqual(finding.classification, 'breaking', 'Requiring credentials should be breaking');
+
+  const relaxed = createApiProtocol(baseManifest).diff(open.manifest());
+  assertEqual(relaxed.contract.find(f => f.location === 'security').classification, 'additive', 'Dropping a requirement should be additive');
+});
+
+test('diff contract: global security changes are reported once per operation', () => {
+  const unsecured = createApiProtocol(baseManifest).set('security.global', []);
+  const secured = createApiProtocol(unsecured.manifest()).diff(baseManifest);
+  const inheriting = listOperations(baseManifest).filter(op => !op.operation.security).map(op => `${op.method.toUpperCase()} ${op.path}`);
+  assert(inheriting.length > 0, 'Fixture should have operations inheriting global security');
+  assertDeepEqual(secured.breaking.map(f => f.endpoint), inheriting, 'Adding global security should break each inheriting operation exactly once');
+  assert(secured.breaking.every(f => f.reason.startsWith('security requirement added')), 'Should come from the operation contract diff');
+
+  const loosened = createApiProtocol(baseManifest).diff(createApiProtocol(baseManifest).set('security.global', ['bearerAuth', 'apiKey']).manifest());
+  assertEqual(loosened.breaking.length, 0, 'Adding an alternative loosens auth');
+  assert(loosened.contract.some(f => f.reason === 'security alternative added: apiKey' && f.classification === 'additive'), 'Should report the new alternative');
+});
+
+test('diff contract: follows component references', () => {
+  const manifest = {
+    ...operationsManifest,
+    components: { schemas: { Payment: { properties: { id: { type: 'string' }, amount: { type: 'number' } } } } }
+  };
+  const withRef = createApiProtocol(manifest)
+    .set('endpoints.paths./payments/{id}.get.responses.200.content', { 'application/json': { $ref: '#/components/schemas/Payment' } });
+  const result = createApiProtocol(withRef.manifest()).diff(withRef.set('components.schemas.Payment.properties', { id: { type: 'string' } }).manifest());
+  const finding = result.contract.find(f => f.reason === 'field removed');
+  assertEqual(finding.endpoint, 'GET /payments/{id}', 'Should attribute the component change to the operation');
+  assertEqual(finding.field, 'amount', 'Should name the removed field');
+});
+
+test('diff contract: documentation-only changes suggest a patch bump', () => {
+  const result = createApiProtocol(baseManifest).diff(createApiProtocol(baseManifest).set('info.description', 'Payments').manifest());
+  assertEqual(result.contract.length, 0, 'Should report no contract findings');
+  assertEqual(result.bump, 'patch', 'Should suggest a patch bump');
+  assertEqual(createApiProtocol(baseManifest).diff(baseManifest).bump, 'none', 'Identical manifests need no bump');
+});
+
+// ==================== Endpoint Lifecycle Tests ====================
+
+const lifecycleManifest = {
+  ...operationsManifest,
+  endpoints: {
+    paths: {
+      ...operationsManifest.endpoints.paths,
+      '/payments/{id}': {
+        ...operationsManifest.endpoints.paths['/payments/{id}'],
+        delete: {
+          ...operationsManifest.endpoints.paths['/payments/{id}'].delete,
+          lifecycle: { status: 'deprecated', sunset_at: '2099-01-01T00:00:00Z', replacement: 'PUT /payments/{id}' }
+        }
+      }
+    }
+  }
+};
+
+test('lifecycle.sunset: rejects past-due sunsets that are still active', () => {
+  const protocol = createApiProtocol(lifecycleManifest)
+    .set('endpoints.paths./payments/{id}.get.lifecycle', { status: 'active', sunset_at: '2020-01-01T00:00:00Z' });
+  const issues = protocol.validate(['lifecycle.sunset']).results[0].issues;
+  assertDeepEqual(issues.map(i => [i.path, i.level]), [
+    ['endpoints.paths./payments/{id}.get.lifecycle.sunset_at', 'error']
+  ], 'Only the active past-due operation should be rejected');
+  assertContains(issues[0].msg, 'GET /payments/{id} is past its sunset', 'Should name the operation');
+});
+
+test('lifecycle.sunset: warns on deprecated past-due sunsets and checks replacements', () => {
+  const protocol = createApiProtocol(lifecycleManifest)
+    .set('endpoints.paths./payments/{id}.delete.lifecycle.sunset_at', '2020-01-01T00:00:00Z')
+    .set('endpoints.paths./payments/{id}.lifecycle', { status: 'active', replacement: '/v2/payments/{id}' })
+    .set('api.lifecycle', { status: 'active', sunset_at: 'soon' });
+  const issues = protocol.validate(['lifecycle.sunset']).results[0].issues;
+  assertDeepEqual(issues.map(i => [i.path, i.level]), [
+    ['api.lifecycle.sunset_at', 'error'],
+    ['endpoints.paths./payments/{id}.lifecycle.replacement', 'error'],
+    ['endpoints.paths./payments/{id}.delete.lifecycle.sunset_at', 'warn']
+  ], 'Should report invalid dates, unknown replacements and overdue deprecations');
+  assert(createApiProtocol(lifecycleManifest).validate(['lifecycle.sunset']).ok, 'A future sunset with a known replacement is valid');
+});
+
+test('generateOpenApi: marks deprecated operations and documents Deprecation/Sunset headers', () => {
+  const spec = JSON.parse(createApiProtocol(lifecycleManifest).generateOpenApi());
+  const del = spec.paths['/payments/{id}'].delete;
+  assertEqual(del.deprecated, true, 'Should set deprecated');
+  assertEqual(del['x-sunset'], '2099-01-01T00:00:00Z', 'Should carry sunset_at');
+  assertEqual(del['x-replacement'], 'PUT /payments/{id}', 'Should carry the replacement');
+  assertContains(del.responses['204'].headers.Deprecation.description, 'use PUT /payments/{id} instead', 'Should point at the replacement');
+  assertEqual(del.responses['204'].headers.Sunset.example, 'Thu, 01 Jan 2099 00:00:00 GMT', 'Sunset should be an HTTP-date');
+  assert(spec.paths['/payments/{id}'].get.deprecated === undefined, 'Other operations should stay active');
+
+  const { manifest, unmapped } = importOpenApi(spec);
+  assertDeepEqual(manifest.endpoints.paths['/payments/{id}'].delete.lifecycle, lifecycleManifest.endpoints.paths['/payments/{id}'].delete.lifecycle, 'Import should restore the lifecycle');
+  assert(!manifest.endpoints.paths['/payments/{id}'].delete.responses['204'].headers, 'Import should drop the generated headers');
+  assertEqual(unmapped.length, 0, 'Lifecycle fields should map');
+});
+
+test('analyzeDependencies: counts deprecated operations, not every path of the API', () => {
+  const catalog = createApiCatalog([createApiProtocol(lifecycleManifest)]);
+  assertEqual(catalog.analyzeDependencies().deprecatedEndpoints, 1, 'Only the deprecated operation should count');
+  const deprecatedApi = createApiCatalog([createApiProtocol(lifecycleManifest).set('api.lifecycle', { status: 'deprecated' })]);
+  assertEqual(deprecatedApi.analyzeDependencies().deprecatedEndpoints, 4, 'A deprecated API deprecates every operation');
+});
+
+// ==================== Security Analysis Tests ====================
+
+const securedManifest = {
+  ...operationsManifest,
+  security: {
+    schemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      oauth: { type: 'oauth2', flows: { authorizationCode: { authorizationUrl: 'https://auth.example.com/authorize', tokenUrl: 'https://auth.example.com/token', scopes: { 'payments:read': 'Read payments', 'payments:write': 'Create payments' } } } },
+      apiKey: { type: 'apiKey', in: 'query', name: 'key' }
+    },
+    global: ['bearerAuth']
+  }
+};
+
+test('analyzeSecurity: resolves the effective requirement per operation', () => {
+  const protocol = createApiProtocol(securedManifest)
+    .set('endpoints.paths./payments.security', [{ oauth: ['payments:write'] }, 'apiKey'])
+    .set('endpoints.paths./payments/{id}.delete.security', []);
+  const { endpoints, scopes } = protocol.analyzeSecurity();
+  assertDeepEqual(endpoints.map(e => [e.endpoint, e.strength, e.requirements.map(r => r.label)]), [
+    ['POST /payments', 'weak', ['oauth(payments:write)', 'apiKey']],
+    ['GET /payments/{id}', 'strong', ['bearerAuth']],
+    ['PUT /payments/{id}', 'strong', ['bearerAuth']],
+    ['DELETE /payments/{id}', 'none', []]
+  ], 'The weakest alternative should decide the strength');
+  assert(endpoints[1].inherited && !endpoints[0].inherited, 'Should mark requirements inherited from security.global');
+  assertEqual(endpoints[0].requirements[1].schemes[0].in, 'query', 'Should report the API key location');
+  assertDeepEqual(scopes, { oauth: { 'payments:read': [], 'payments:write': ['POST /payments'] } }, 'Should build the OAuth2 scope matrix');
+});
+
+test('analyzeSecurity: flags x-pii endpoints with no or weak authentication', () => {
+  const protocol = createApiProtocol(securedManifest)
+    .set('endpoints.paths./payments.security', ['apiKey'])
+    .set('endpoints.paths./payments/{id}.get.security', [])
+    .set('endpoints.paths./payments/{id}.get.responses.200.content', { 'application/json': { properties: { email: { type: 'string', 'x-pii': true } } } });
+  const issues = protocol.analyzeSecurity().issues;
+  assertDeepEqual(issues.map(i => [i.path, i.level]), [
+    ['security.schemes.apiKey.in', 'warn'],
+    ['endpoints.paths./payments.security', 'warn'],
+    ['endpoints.paths./payments/{id}.get.security', 'error']
+  ], 'Should flag the query API key, weak PII auth and public PII');
+  assertContains(issues[1].msg, 'x-pii fields (body.email) behind weak authentication: apiKey', 'Should name the fields and scheme');
+  assertContains(issues[2].msg, 'response 200.email', 'Should find PII in responses');
+  assert(!protocol.validate(['security.effective']).ok, 'Public PII should fail security.effective');
+});
+
+test('security.effective: rejects undefined schemes and undeclared scopes', () => {
+  const protocol = createApiProtocol(securedManifest)
+    .set('security.global', ['bearerAuth', 'mtls'])
+    .set('endpoints.paths./payments.security', [{ oauth: ['payments:refund'] }]);
+  const result = protocol.validate(['security.effective']).results[0];
+  assertDeepEqual(result.issues.map(i => [i.path, i.msg]), [
+    ['security.schemes.apiKey.in', 'API key in the query string leaks into logs and caches'],
+    ['endpoints.paths./payments.security', 'undeclared OAuth2 scope oauth:payments:refund'],
+    ['security.global', 'undefined security scheme: mtls']
+  ], 'Inherited problems should be reported once');
+  assert(!result.ok, 'Errors should fail the validator');
+  assert(createApiProtocol(securedManifest).validate(['security.effective']).ok, 'Warnings alone should pass');
+});
+
+test('security: scopes and combined requirements round-trip through OpenAPI', () => {
+  const protocol = createApiProtocol(securedManifest)
+    .set('endpoints.paths./payments.security', [{ oauth: ['payments:write'], apiKey: [] }]);
+  const spec = JSON.parse(protocol.generateOpenApi());
+  assertDeepEqual(spec.paths['/payments'].post.security, [{ oauth: ['payments:write'], apiKey: [] }], 'Should emit scopes');
+  assertDeepEqual(spec.security, [{ bearerAuth: [] }], 'Plain names should become empty scope lists');
+  const { manifest, unmapped } = importOpenApi(spec);
+  assertDeepEqual(manifest.endpoints.paths['/payments'].post.security, [{ oauth: ['payments:write'], apiKey: [] }], 'Should import scopes and combinations');
+  assertDeepEqual(manifest.security.global, ['bearerAuth'], 'Should keep plain names');
+  assertEqual(unmapped.length, 0, 'Security requirements should map completely');
+  assertContains(protocol.generateClientSdk('typescript'), 'security: ["oauth","apiKey"]', 'The SDK should receive scheme names');
+});
+
+test('createApiCatalog: security coverage follows effective security', () => {
+  const catalog = createApiCatalog([
+    createApiProtocol(securedManifest).set('endpoints.paths./payments/{id}.delete.security', []).set('endpoints.paths./payments.security', ['apiKey'])
+  ]);
+  const analysis = catalog.analyzeDependencies();
+  assertEqual(analysis.securityCoverage, 3, 'An explicit empty requirement should not count as covered');
+  assertEqual(analysis.weakAuthEndpoints, 1, 'Should count weakly authenticated endpoints');
+  const [matrix] = catalog.analyzeSecurity();
+  assertEqual(matrix.name, 'payments-api', 'Should label each API');
+  assertEqual(matrix.endpoints.length, 4, 'Should list every operation');
+});
+
+// ==================== Style Guide Rules ====================
+
+const styleManifest = {
+  api: { name: 'style-api', version: '1.0.0' },
+  components: {
+    schemas: {
+      Problem: { type: 'object', properties: { type: { type: 'string' }, title: { type: 'string' } } }
+    }
+  },
+  endpoints: {
+    paths: {
+      '/orders': {
+        get: {
+          summary: 'List orders',
+          parameters: { query: { limit: { type: 'integer' }, cursor: { type: 'string' } } },
+          responses: {
+            '200': { description: 'Orders', content: { 'application/json': { properties: { items: { type: 'array' } } } } },
+            '4XX': { description: 'Client error', content: { 'application/problem+json': { $ref: '#/components/schemas/Problem' } } },
+            '5XX': { description: 'Server error', content: { 'application/problem+json': { $ref: '#/components/schemas/Problem' } } }
+          }
+        },
+        post: {
+          summary: 'Create order',
+          parameters: { header: { 'Idempotency-Key': { type: 'string', required: true } } },
+          requestBody: { content: { 'application/json': { properties: { total: { type: 'number' } } } } },
+          responses: {
+            '201': { description: 'Created' },
+            '400': { description: 'Invalid', content: { 'application/problem+json': { $ref: '#/components/schemas/Problem' } } },
+            default: { description: 'Error', content: { 'application/problem+json': { $ref: '#/components/schemas/Problem' } } }
+          }
+        }
+      },
+      '/orders/{id}/line-items': {
+        get: {
+          summary: 'List line items',
+          parameters: { query: { page_size: { type: 'integer' }, page_token: { type: 'string' } } },
+          responses: {
+            '200': { description: 'Items', content: { 'application/json': { type: 'array', items: { type: 'object' } } } },
+            '404': { description: 'Missing', content: { 'application/problem+json': { $ref: '#/components/schemas/Problem' } } },
+            '503': { description: 'Unavailable', content: { 'application/problem+json': { $ref: '#/components/schemas/Problem' } } }
+          }
+        }
+      }
+    }
+  }
+};
+
+const messages = result => result.results.flatMap(r => r.issues.map(i => `${r.name}: ${i.msg}`));
+
+test('style rules: opt-in rules do not run by default', () => {
+  const names = createApiProtocol(styleManifest).validate().results.map(r => r.name);
+  assert(!names.some(n => n.startsWith('style.')), 'Unselected runs should skip the style pack');
+  assert(names.includes('core.shape'), 'Built-ins should still run');
+  assert(Validators.has('style.path-naming'), 'Style rules should be registered validators');
+});
+
+test('style rules: a conforming manifest passes the whole pack', () => {
+  const result = createApiProtocol(styleManifest).validate(['style.*']);
+  assertDeepEqual(result.results.map(r => r.name), [
+    'style.path-naming', 'style.error-shape', 'style.pagination', 'style.idempotency', 'style.error-coverage'
+  ], 'style.* should select every style rule');
+  assertDeepEqual(messages(result), [], 'Should report nothing');
+  assert(result.ok, 'Should pass');
+});
+
+test('style rules: violations are reported as warnings', () => {
+  const protocol = createApiProtocol(styleManifest)
+    .set('endpoints.paths./order/{id}', {
+      get: { summary: 'Get order', responses: { '200': { description: 'Order' }, '404': { description: 'Missing', content: { 'application/json': { properties: { message: { type: 'string' } } } } } } }
+    })
+    .set('endpoints.paths./lineItems', {
+      get: { summary: 'All items', responses: { '200': { description: 'Items', content: { 'application/json': { type: 'array' } } } } },
+      post: { summary: 'Add item', responses: { '201': { description: 'Created' } } }
+    });
+  const result = protocol.validate(['style.*']);
+  assertDeepEqual(messages(result), [
+    'style.path-naming: collection segment "order" should be plural',
+    'style.path-naming: path segment "lineItems" is not kebab-case',
+    'style.error-shape: error response shape {message} differs from the prevailing error shape #/components/schemas/Problem',
+    'style.pagination: list endpoint has no page size parameter (limit|page_size|per_page)',
+    'style.pagination: list endpoint has no page position parameter (cursor|offset|page|page_token)',
+    'style.idempotency: POST operation does not accept an Idempotency-Key header',
+    'style.error-coverage: no 5XX response declared',
+    'style.error-coverage: no 4XX/5XX response declared',
+    'style.error-coverage: no 4XX/5XX response declared'
+  ], 'Should report each violation');
+  assert(result.results.every(r => r.issues.every(i => i.level === 'warn')), 'Style findings default to warn');
+  assert(result.ok, 'Warnings alone should pass');
+});
+
+test('style rules: severity overrides and rule options', () => {
+  const protocol = createApiProtocol(styleManifest).set('endpoints.paths./line_items/{id}', {
+    get: { summary: 'Get item', responses: { '200': { description: 'Item' } } }
+  });
+  const strict = protocol.validate([], {
+    'style.path-naming': 'error',
+    'style.error-coverage': { level: 'warn', require: ['4XX'] },
+    'security.schemes': 'off'
+  });
+  const byName = Object.fromEntries(strict.results.map(r => [r.name, r]));
+  assert(!strict.ok, 'An error override should fail the run');
+  assertEqual(byName['style.path-naming'].issues[0].level, 'error', 'Should override the level');
+  assertEqual(byName['style.error-coverage'].issues[0].msg, 'no 4XX response declared', 'Should pass options to the rule');
+  assert(!('security.schemes' in byName), 'off should skip a built-in');
+  assert(!('style.pagination' in byName), 'Unconfigured opt-in rules should stay off');
+
+  const snake = protocol.validate(['style.path-naming'], { 'style.path-naming': { case: 'snake' } });
+  assertDeepEqual(messages(snake), ['style.path-naming: path segment "line-items" is not snake-case'], 'Should honour the case option');
+
+  const demoted = protocol.validate(['core.shape'], { 'core.shape': 'warn' });
+  assert(demoted.ok, 'A warn override should not fail a built-in');
+
+  const custom = protocol.validate(['style.idempotency', 'style.error-shape'], {
+    'style.idempotency': { header: 'X-Request-ID', methods: ['post', 'put'] },
+    'style.error-shape': { schema: 'Error' }
+  });
+  assertContains(messages(custom).join('\n'), 'does not accept an X-Request-ID header', 'Should use the configured header');
+  assertContains(messages(custom).join('\n'), 'differs from the configured error shape #/components/schemas/Error', 'Should use the configured schema');
+
+  const invalid = protocol.validate(['core.shape'], { 'core.shape': 'fatal' });
+  assert(!invalid.ok, 'Unknown levels should fail');
+  assertContains(invalid.results[0].issues[0].msg, 'invalid rule level "fatal"', 'Should explain the bad level');
+});
+
+test('style rules: custom opt-in rules join selection and config', () => {
+  registerValidator('house.versioned', (m) => {
+    const issues = m.api.version.startsWith('0.') ? [{ path: 'api.version', msg: 'pre-release version', level: 'warn' }] : [];
+    return { ok: issues.length === 0, issues };
+  }, { optIn: true });
+  const protocol = createApiProtocol({ ...styleManifest, api: { name: 'style-api', version: '0.9.0' } });
+  assert(!protocol.validate().results.some(r => r.name === 'house.versioned'), 'Opt-in rules should be skipped');
+  const result = protocol.validate([], { 'house.versioned': 'warn' });
+  assert(result.results.some(r => r.name === 'house.versioned' && r.ok), 'Configured rules should run with the override');
+  Validators.delete('house.versioned');
+});
+
+test('signature.envelope: validate() flags tampered and expired manifests', () => {
+  const { privateKey } = generateKeyPairSync('ed25519');
+  const unsigned = { api: { name: 'signed-api', version: '1.0.0' }, endpoints: { paths: { '/orders': { get: { summary: 'List orders' } } } } };
+  const envelope = (protocol) => protocol.validate().results.find(r => r.name === 'signature.envelope');
+
+  const signed = sign(unsigned, privateKey, { kid: 'release-1' });
+  const intact = envelope(createApiProtocol(signed));
+  assert(intact.ok, 'An untouched signed manifest should pass');
+  assertDeepEqual(intact.issues, [], 'Should report nothing');
+
+  const tampered = envelope(createApiProtocol({ ...signed, api: { ...signed.api, version: '2.0.0' } }));
+  assert(!tampered.ok, 'Edited content should fail');
+  assert(tampered.issues.some(i => i.path === 'sig.payload'), 'Should report the payload mismatch');
+
+  const expired = createApiProtocol(sign(unsigned, privateKey, { kid: 'release-1', exp: '2020-01-01T00:00:00Z' })).validate();
+  assert(!expired.ok, 'An expired signature should fail validate()');
+  const expiry = expired.results.find(r => r.name === 'signature.envelope');
+  assert(expiry.issues.some(i => i.path === 'sig.protected.exp'), 'Should report the expiry');
+  assert(envelope(createApiProtocol(unsigned)).ok, 'Unsigned manifests should pass');
+});
+
 // ==================== Test Summary ====================
 
 console.log('\n=== Test Summary ===');
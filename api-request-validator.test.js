@@ -0,0 +1,231 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { createRequestValidator, validateRequest, validateResponse } from './api-request-validator.js';
+import { createApiProtocol } from './api_protocol_v_1_1_1.js';
+
+const ordersApi = createApiProtocol({
+  api: { name: 'orders-api', version: '2.0.0' },
+  components: {
+    schemas: {
+      Order: {
+        type: 'object',
+        required: ['id', 'total'],
+        properties: {
+          id: { type: 'string' },
+          total: { type: 'number', minimum: 0 },
+          status: { type: 'string', enum: ['open', 'shipped'] }
+        }
+      }
+    }
+  },
+  endpoints: {
+    paths: {
+      '/orders': {
+        post: {
+          requestBody: {
+            required: true,
+            content: { 'application/json': { properties: { total: { type: 'number', required: true }, note: { type: 'string' } } } }
+          },
+          responses: { '201': { description: 'Created', content: { 'application/json': { $ref: '#/components/schemas/Order' } } } }
+        }
+      },
+      '/orders/{id}': {
+        get: {
+          parameters: {
+            path: { id: { type: 'string', required: true } },
+            query: { expand: { schema: { type: 'boolean' } } }
+          },
+          responses: {
+            '200': { description: 'Order', content: { 'application/json': { $ref: '#/components/schemas/Order' } } },
+            '404': { description: 'Missing' }
+          }
+        }
+      }
+    }
+  }
+});
+
+// The handler misbehaves on purpose for some ids so response validation has something to catch
+function handler(req, res) {
+  if (req.method === 'POST') {
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ id: 'o-1', total: req.body.total }));
+  }
+  const { id } = req.params;
+  if (id === 'missing') {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (id === 'teapot') {
+    res.writeHead(418);
+    return res.end();
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.write(JSON.stringify({ id, total: id === 'bad' ? -5 : 10, status: id === 'bad' ? 'lost' : 'open' }));
+  res.end();
+}
+
+const reported = [];
+let strict;
+let lenient;
+
+function listen(middleware) {
+  const server = http.createServer((req, res) => {
+    middleware(req, res, err => {
+      if (err) {
+        res.writeHead(500);
+        return res.end(err.message);
+      }
+      handler(req, res);
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` })));
+}
+
+before(async () => {
+  strict = await listen(createRequestValidator(ordersApi, { validateResponses: true }));
+  lenient = await listen(createRequestValidator(ordersApi.manifest(), {
+    validateResponses: true,
+    onResponseIssues: issues => reported.push(...issues)
+  }));
+});
+
+after(async () => {
+  await new Promise(resolve => strict.server.close(resolve));
+  await new Promise(resolve => lenient.server.close(resolve));
+});
+
+test('valid requests reach the handler with params and parsed body', async () => {
+  const res = await fetch(`${strict.url}/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ total: 42 })
+  });
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(await res.json(), { id: 'o-1', total: 42 });
+
+  const order = await fetch(`${strict.url}/orders/o-7?expand=true`);
+  assert.strictEqual(order.status, 200);
+  assert.strictEqual((await order.json()).id, 'o-7');
+});
+
+test('invalid requests are rejected with structured 400 errors', async () => {
+  const missing = await fetch(`${strict.url}/orders`, { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+  assert.strictEqual(missing.status, 400);
+  const { error, issues } = await missing.json();
+  assert.strictEqual(error, 'Request validation failed');
+  assert.ok(issues.some(i => i.in === 'body'));
+
+  const wrongType = await fetch(`${strict.url}/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ total: 'lots' })
+  });
+  assert.strictEqual(wrongType.status, 400);
+  assert.ok((await wrongType.json()).issues.some(i => i.path === 'total'));
+
+  const badQuery = await fetch(`${strict.url}/orders/o-7?expand=maybe`);
+  assert.strictEqual(badQuery.status, 400);
+  assert.ok((await badQuery.json()).issues.some(i => i.in === 'query' && i.path === 'expand'));
+});
+
+test('unknown routes get 404 and undeclared methods get 405', async () => {
+  const notFound = await fetch(`${strict.url}/customers`);
+  assert.strictEqual(notFound.status, 404);
+
+  const notAllowed = await fetch(`${strict.url}/orders/o-1`, { method: 'DELETE' });
+  assert.strictEqual(notAllowed.status, 405);
+  assert.strictEqual(notAllowed.headers.get('allow'), 'GET');
+});
+
+test('HEAD is served by the GET operation and validated without a body', async () => {
+  const head = await fetch(`${strict.url}/orders/o-7?expand=true`, { method: 'HEAD' });
+  assert.strictEqual(head.status, 200);
+  assert.strictEqual(await head.text(), '');
+
+  const badQuery = await fetch(`${strict.url}/orders/o-7?expand=maybe`, { method: 'HEAD' });
+  assert.strictEqual(badQuery.status, 400);
+
+  const postOnly = await fetch(`${strict.url}/orders`, { method: 'HEAD' });
+  assert.strictEqual(postOnly.status, 405);
+  assert.strictEqual(postOnly.headers.get('allow'), 'POST');
+});
+
+test('invalid responses are replaced with a 500 by default', async () => {
+  const bad = await fetch(`${strict.url}/orders/bad`);
+  assert.strictEqual(bad.status, 500);
+  const body = await bad.json();
+  assert.strictEqual(body.error, 'Response validation failed');
+  assert.ok(body.issues.some(i => i.in === 'response' && i.path === 'total'));
+  assert.ok(body.issues.some(i => i.path === 'status'));
+
+  const undeclared = await fetch(`${strict.url}/orders/teapot`);
+  assert.strictEqual(undeclared.status, 500);
+  assert.match((await undeclared.json()).issues[0].msg, /status 418 is not declared/);
+
+  const declared = await fetch(`${strict.url}/orders/missing`);
+  assert.strictEqual(declared.status, 404);
+});
+
+test('onResponseIssues reports invalid responses and lets them through', async () => {
+  const res = await fetch(`${lenient.url}/orders/bad`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).status, 'lost');
+  assert.ok(reported.some(i => i.path === 'total'));
+});
+
+test('validateResponse checks status ranges, content types and bodies', () => {
+  const manifest = ordersApi.manifest();
+  const operation = {
+    responses: {
+      '2XX': { content: { 'application/json': { type: 'object', required: ['ok'], properties: { ok: { type: 'boolean' } } } } },
+      default: { description: 'Error' }
+    }
+  };
+  assert.deepStrictEqual(validateResponse(manifest, operation, { status: 202, contentType: 'application/json', rawBody: '{"ok":true}' }), []);
+  assert.match(validateResponse(manifest, operation, { status: 200, contentType: 'text/plain', rawBody: 'ok' })[0].msg, /text\/plain is not declared/);
+  assert.match(validateResponse(manifest, operation, { status: 200, contentType: 'application/json', rawBody: '' })[0].msg, /must have a body/);
+  assert.match(validateResponse(manifest, operation, { status: 200, contentType: 'application/json', rawBody: '{' })[0].msg, /not valid JSON/);
+  assert.strictEqual(validateResponse(manifest, operation, { status: 200, contentType: 'application/json', rawBody: '{}' })[0].path, 'ok');
+  assert.deepStrictEqual(validateResponse(manifest, operation, { status: 503 }), []);
+});
+
+test('request and response schemas use the full JSON Schema validator', () => {
+  const manifest = {
+    components: {
+      schemas: {
+        Category: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, children: { type: 'array', items: { $ref: '#/components/schemas/Category' } } } }
+      }
+    }
+  };
+  const operation = {
+    parameters: { query: { since: { schema: { type: 'string', format: 'date' } }, sort: { type: 'string', enum: ['asc', 'desc'] } } },
+    requestBody: {
+      content: {
+        'application/json': {
+          type: 'object',
+          properties: {
+            contact: { oneOf: [{ type: 'string', format: 'email' }, { type: 'object', required: ['phone'] }] },
+            tree: { $ref: '#/components/schemas/Category' }
+          }
+        }
+      }
+    }
+  };
+  const body = { contact: 'not-an-email', tree: { name: 'root', children: [{ name: 'a', children: [{}] }] } };
+  const issues = validateRequest(manifest, operation, {
+    params: {},
+    query: new URLSearchParams('since=yesterday&sort=up'),
+    headers: {},
+    body,
+    rawBody: JSON.stringify(body),
+    contentType: 'application/json'
+  });
+  assert.deepStrictEqual(issues, [
+    { in: 'query', path: 'since', msg: 'must be a valid date' },
+    { in: 'query', path: 'sort', msg: 'must be one of "asc", "desc"' },
+    { in: 'body', path: 'contact', msg: 'must match exactly one schema in oneOf (matched none)' },
+    { in: 'body', path: 'tree.children[0].children[0].name', msg: 'is required' }
+  ]);
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { createCatalogSystem, parseURN, buildURN, resolveURN, generateURN, analyzeCrossEntityRelationships, detectCrossEntityCycles, validateSystem } from './catalog_system_v_1_1_1.js';
+import { createCatalogSystem, parseURN, buildURN, resolveURN, generateURN, analyzeCrossEntityRelationships, detectCrossEntityCycles, validateSystem, analyzePIIGovernance } from './catalog_system_v_1_1_1.js';
 import { createDataProtocol } from './data_protocol_v_1_1_1.js';
 import { createApiProtocol } from './api_protocol_v_1_1_1.js';
 import { createEventProtocol } from './event_protocol_v_1_1_1.js';
@@ -362,4 +362,194 @@ test('catalog immutability', () => {
   
   // Catalog should still have original length
   assert.strictEqual(catalog.items.length, originalLength);
-});
\ No newline at end of file
+});
+
+test('api x-data-ref fields become apiToData relationships', () => {
+  const ordersApi = createApiProtocol({
+    api: { name: 'orders-api', version: '1.0.0' },
+    endpoints: {
+      paths: {
+        '/orders': {
+          summary: 'Create order',
+          requestBody: {
+            content: { 'application/json': { properties: { user_id: { type: 'string', 'x-data-ref': 'urn:data:dataset:user_events:v1.1.1' } } } }
+          },
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    }
+  });
+
+  const relationships = createCatalogSystem([ordersApi]).getRelationships();
+  assert.strictEqual(relationships.apiToData.length, 1);
+  assert.strictEqual(relationships.apiToData[0].field, 'user_id');
+});
+
+test('catalog exposes PII governance analysis', () => {
+  const catalog = createCatalogSystem([userEventsData, paymentsApi]);
+  const checks = catalog.analyzePIIGovernance();
+
+  assert.deepStrictEqual(checks, analyzePIIGovernance({ items: [userEventsData, paymentsApi] }));
+  assert.strictEqual(checks[0].type, 'pii_data');
+  assert.strictEqual(checks[0].valid, true);
+});
+
+test('api method-keyed operations are analyzed per operation', () => {
+  const ordersApi = createApiProtocol({
+    api: { name: 'orders-api', version: '1.0.0' },
+    endpoints: {
+      paths: {
+        '/orders/{id}': {
+          get: { summary: 'Get order', responses: { '200': { description: 'OK' } } },
+          put: {
+            summary: 'Replace order',
+            requestBody: {
+              content: { 'application/json': { properties: {
+                user_id: { type: 'string', 'x-data-ref': 'urn:data:dataset:user_events:v1.1.1' },
+                email: { type: 'string', 'x-pii': true }
+              } } }
+            },
+            responses: { '200': { description: 'Replaced' } }
+          }
+        }
+      }
+    }
+  });
+
+  const catalog = createCatalogSystem([ordersApi]);
+  assert.strictEqual(catalog.getRelationships().apiToData.length, 1);
+  const piiCheck = catalog.analyzePIIGovernance().find(c => c.type === 'pii_api');
+  assert.strictEqual(piiCheck.piiFields, 1);
+  assert.strictEqual(piiCheck.valid, false);
+  const scale = validateSystem(catalog, { checkPerformance: true }).performanceChecks.find(c => c.type === 'scale');
+  assert.strictEqual(scale.totalEndpoints, 2);
+});
+
+test('api component schema references are followed for PII and data references', () => {
+  const ordersApi = createApiProtocol({
+    api: { name: 'orders-api', version: '1.0.0' },
+    components: {
+      schemas: {
+        Customer: { type: 'object', properties: {
+          user_id: { type: 'string', 'x-data-ref': 'urn:data:dataset:user_events:v1.1.1' },
+          email: { type: 'string', 'x-pii': true }
+        } },
+        Order: { type: 'object', properties: { customer: { $ref: '#/components/schemas/Customer' } } }
+      }
+    },
+    endpoints: {
+      paths: {
+        '/orders': {
+          summary: 'Create order',
+          requestBody: { content: { 'application/json': { $ref: '#/components/schemas/Order' } } },
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    }
+  });
+
+  const catalog = createCatalogSystem([ordersApi]);
+  const [dataRef] = catalog.getRelationships().apiToData;
+  assert.strictEqual(dataRef.field, 'customer.user_id');
+  assert.strictEqual(catalog.analyzePIIGovernance().find(c => c.type === 'pii_api').piiFields, 1);
+});
+
+test('deprecated endpoints still referenced by URN are reported', () => {
+  const paymentsApi = createApiProtocol({
+    api: { name: 'payments-api', version: '1.1.0' },
+    endpoints: {
+      paths: {
+        '/payments/{id}': {
+          get: { summary: 'Get payment', responses: { '200': { description: 'OK' } } },
+          delete: {
+            summary: 'Cancel payment',
+            lifecycle: { status: 'deprecated', sunset_at: '2026-06-30T00:00:00Z', replacement: 'POST /payments/{id}/cancel' },
+            responses: { '204': { description: 'Cancelled' } }
+          }
+        },
+        '/payments/{id}/cancel': { method: 'POST', summary: 'Cancel payment', responses: { '200': { description: 'Cancelled' } } }
+      }
+    }
+  });
+  const checkoutApi = createApiProtocol({
+    api: { name: 'checkout-api', version: '2.0.0' },
+    endpoints: { paths: { '/checkout': { summary: 'Checkout', responses: { '200': { description: 'OK' } } } } },
+    metadata: {
+      dependencies: [
+        'urn:api:endpoint:payments-api/payments/{id}#delete:v1.1.1',
+        'urn:api:endpoint:payments-api/payments/{id}#get:v1.1.1'
+      ]
+    }
+  });
+
+  const catalog = createCatalogSystem([paymentsApi, checkoutApi]);
+  assert.strictEqual(catalog.findByURN('urn:api:endpoint:/payments/{id}:latest'), paymentsApi);
+
+  const [deprecated, ...rest] = catalog.findDeprecatedReferences({ now: '2026-01-01T00:00:00Z' });
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(deprecated.urn, 'urn:api:endpoint:payments-api/payments/{id}#delete:v1.1.1');
+  assert.strictEqual(deprecated.endpoint, 'DELETE /payments/{id}');
+  assert.strictEqual(deprecated.lifecycle.replacement, 'POST /payments/{id}/cancel');
+  assert.strictEqual(deprecated.pastSunset, false);
+  assert.deepStrictEqual(deprecated.referencedBy, [{
+    urn: 'urn:api:api:checkout-api:v1.1.1',
+    reference: 'urn:api:endpoint:payments-api/payments/{id}#delete:v1.1.1',
+    at: 'metadata.dependencies.0'
+  }]);
+
+  const before = validateSystem(catalog, { now: '2026-01-01T00:00:00Z' });
+  assert.strictEqual(before.crossEntityValidation.find(v => v.type === 'deprecated_references').valid, true);
+  const after = validateSystem(catalog, { now: '2026-07-01T00:00:00Z' });
+  assert.strictEqual(after.crossEntityValidation.find(v => v.type === 'deprecated_references').valid, false);
+  assert.strictEqual(after.valid, false);
+});
+
+test('api-level deprecation applies to every endpoint referenced by path', () => {
+  const legacyApi = createApiProtocol({
+    api: { name: 'legacy-api', version: '1.0.0', lifecycle: { status: 'deprecated' } },
+    endpoints: { paths: { '/users': { summary: 'List users', responses: { '200': { description: 'OK' } } } } }
+  });
+  const usersData = createDataProtocol({
+    dataset: { name: 'user_snapshots', type: 'fact-table' },
+    schema: { fields: { id: { type: 'string' } } },
+    lineage: { sources: [{ type: 'external', id: 'urn:api:endpoint:/users:latest' }] }
+  });
+
+  const report = createCatalogSystem([legacyApi, usersData]).findDeprecatedReferences();
+  assert.strictEqual(report.length, 1);
+  assert.strictEqual(report[0].endpoint, 'GET /users');
+  assert.strictEqual(report[0].referencedBy[0].at, 'lineage.sources.0.id');
+});
+
+test('validateSystem reports the effective security of each API', () => {
+  const accountsApi = createApiProtocol({
+    api: { name: 'accounts-api', version: '1.0.0' },
+    security: { schemes: { bearerAuth: { type: 'http', scheme: 'bearer' } }, global: ['bearerAuth'] },
+    endpoints: {
+      paths: {
+        '/accounts': {
+          summary: 'Create account',
+          requestBody: { content: { 'application/json': { properties: { email: { type: 'string', 'x-pii': true } } } } },
+          responses: { '201': { description: 'Created' } }
+        },
+        '/accounts/lookup': {
+          summary: 'Look up an account',
+          security: [],
+          parameters: { query: { email: { type: 'string', 'x-pii': true } } },
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  });
+
+  const result = validateSystem(createCatalogSystem([accountsApi]));
+  const [check] = result.securityChecks;
+  assert.strictEqual(check.urn, 'urn:api:api:accounts-api:v1.1.1');
+  assert.deepStrictEqual(check.endpoints.map(e => [e.endpoint, e.strength, e.schemes, e.pii]), [
+    ['POST /accounts', 'strong', ['bearerAuth'], ['body.email']],
+    ['GET /accounts/lookup', 'none', [], ['query.email']]
+  ]);
+  assert.strictEqual(check.valid, false);
+  assert.match(check.issues[0].msg, /without authentication/);
+  assert.strictEqual(result.valid, false);
+});
@@ -67,7 +67,11 @@ function hash(value) {
  * Examples:
  * - urn:data:dataset:user_events:v1.1.0
  * - urn:api:endpoint:/payments:v1.0.0
+ * - urn:api:endpoint:payments-api/payments/{id}#delete:v1.1.1
  * - urn:event:event:payment.completed:v1.1.0
+ *
+ * API endpoint ids are `[api-name]/path[#method]`: without an API name the
+ * path matches in any API, and without a method every operation on the path.
  */
 
 function parseURN(urn) {
@@ -88,11 +92,47 @@ function buildURN(protocol, entity, id, version = 'latest') {
   return `urn:${protocol}:${entity}:${id}:${version}`;
 }
 
+function parseEndpointId(id) {
+  const slash = id.indexOf('/');
+  if (slash < 0) return null;
+  const [path, method] = id.slice(slash).split('#');
+  return { api: id.slice(0, slash) || null, path, method: method ? method.toLowerCase() : null };
+}
+
+function buildEndpointURN(apiName, path, method, version = 'latest') {
+  return buildURN('api', 'endpoint', `${apiName}${path}${method ? `#${method.toLowerCase()}` : ''}`, version);
+}
+
+/** Operations of the catalog's API manifests that an endpoint URN points at */
+function resolveEndpointURN(catalog, urn) {
+  const parsed = parseURN(urn);
+  if (!parsed || parsed.protocol !== 'api' || parsed.entity !== 'endpoint') return [];
+  const target = parseEndpointId(parsed.id);
+  if (!target) return [];
+
+  const matches = [];
+  for (const item of catalog.items || []) {
+    const manifest = item.manifest ? item.manifest() : item;
+    if (!manifest.api || (target.api && manifest.api.name !== target.api)) continue;
+    for (const op of apiOperations(manifest)) {
+      if (op.path === target.path && (!target.method || op.method === target.method)) {
+        matches.push({ item, api: manifest.api.name, ...op });
+      }
+    }
+  }
+  return matches;
+}
+
 function resolveURN(catalog, urn) {
   const parsed = parseURN(urn);
   if (!parsed) return null;
   
   const { protocol, entity, id, version } = parsed;
+
+  // Endpoint URNs resolve to the API that serves them
+  if (protocol === 'api' && entity === 'endpoint') {
+    return resolveEndpointURN(catalog, urn)[0]?.item || null;
+  }
   
   // Find matching protocol instance
   const items = catalog.items || [];
@@ -124,7 +164,8 @@ function analyzeCrossEntityRelationships(catalog) {
     dataToEvent: [],
     apiToEvent: [],
     eventToEvent: [],
-    apiToApi: []
+    apiToApi: [],
+    apiToData: []
   };
   
   const items = catalog.items || [];
@@ -160,13 +201,11 @@ function analyzeCrossEntityRelationships(catalog) {
     
     // API protocol endpoints
     if (manifest.api) {
-      const paths = manifest.endpoints?.paths || {};
-      for (const [path, endpoint] of Object.entries(paths)) {
+      for (const { operation: endpoint } of apiOperations(manifest)) {
         // Check request/response schemas for data references
         const body = endpoint.requestBody?.content || {};
         for (const [contentType, schema] of Object.entries(body)) {
-          const props = schema.properties || {};
-          for (const [fieldName, field] of Object.entries(props)) {
+          for (const { name: fieldName, field } of apiSchemaFields(manifest, schema)) {
             if (field['x-data-ref']) {
               relationships.apiToData.push({
                 from: urn,
@@ -310,6 +349,7 @@ function validateSystem(catalog, options = {}) {
     protocolValidations: [],
     crossEntityValidation: [],
     governanceChecks: [],
+    securityChecks: [],
     performanceChecks: []
   };
   
@@ -340,12 +380,43 @@ function validateSystem(catalog, options = {}) {
     });
     results.valid = false;
   }
+
+  // Deprecated endpoints still referenced; a reference past sunset is an error
+  const deprecated = analyzeDeprecatedEndpoints(catalog, options);
+  if (deprecated.length > 0) {
+    const pastSunset = deprecated.some(d => d.pastSunset);
+    results.crossEntityValidation.push({
+      type: 'deprecated_references',
+      valid: !pastSunset,
+      references: deprecated
+    });
+    if (pastSunset) results.valid = false;
+  }
   
   // 3. Governance checks
   const piiAnalysis = analyzePIIGovernance(catalog);
   results.governanceChecks.push(...piiAnalysis);
   
-  // 4. Performance analysis
+  // 4. API security: protocols that resolve their effective security per endpoint
+  for (const item of items) {
+    if (typeof item.analyzeSecurity !== 'function') continue;
+    const { endpoints, issues } = item.analyzeSecurity();
+    results.securityChecks.push({
+      type: 'api_security',
+      urn: generateURN(item),
+      endpoints: endpoints.map(({ endpoint, strength, requirements, scopes, pii }) => ({
+        endpoint,
+        strength,
+        schemes: requirements.map(r => r.label),
+        scopes,
+        pii
+      })),
+      issues,
+      valid: !issues.some(issue => issue.level === 'error')
+    });
+  }
+
+  // 5. Performance analysis
   if (options.checkPerformance) {
     const performance = analyzePerformance(catalog);
     results.performanceChecks.push(...performance);
@@ -439,17 +510,71 @@ function extractEventFields(manifest) {
   }));
 }
 
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * API operations: single-endpoint path items, or one entry per method-keyed operation.
+ * `lifecycle` is the operation's own, else its path item's, else the API's.
+ */
+function apiOperations(manifest) {
+  const ops = [];
+  for (const [path, item] of Object.entries(manifest.endpoints?.paths || {})) {
+    if (!item || typeof item !== 'object') continue;
+    const methods = Object.keys(item).filter(k => HTTP_METHODS.includes(k.toLowerCase()) && item[k] && typeof item[k] === 'object');
+    if (!methods.length) {
+      const method = item.method ? String(item.method).toLowerCase() : (item.requestBody ? 'post' : 'get');
+      ops.push({ path, method, operation: item, lifecycle: item.lifecycle || manifest.api?.lifecycle });
+    } else {
+      for (const key of methods) {
+        const lifecycle = item[key].lifecycle || item.lifecycle || manifest.api?.lifecycle;
+        ops.push({ path, method: key.toLowerCase(), operation: item[key], lifecycle });
+      }
+    }
+  }
+  return ops;
+}
+
+/** Dotted field names of an API schema, following `#/components/schemas/<name>` references */
+function apiSchemaFields(manifest, schema) {
+  const fields = [];
+  const components = manifest.components?.schemas || {};
+  const deref = (node, stack) => {
+    const ref = typeof node?.$ref === 'string' && node.$ref.startsWith('#/components/schemas/')
+      ? node.$ref.slice('#/components/schemas/'.length).replace(/~1/g, '/').replace(/~0/g, '~')
+      : null;
+    if (ref === null) return { node, stack };
+    if (stack.includes(ref)) return { node: null, stack };
+    const { $ref, ...siblings } = node;
+    const target = deref(components[ref], [...stack, ref]);
+    return { node: target.node && { ...target.node, ...siblings }, stack: target.stack };
+  };
+  const visit = (raw, prefix, outer) => {
+    const { node, stack } = deref(raw, outer);
+    if (!node || typeof node !== 'object') return;
+    for (const [name, def] of Object.entries(node.properties || {})) {
+      const dotted = prefix ? `${prefix}.${name}` : name;
+      const resolved = deref(def, stack).node || def;
+      fields.push({ name: dotted, field: resolved });
+      visit(def, dotted, stack);
+    }
+    if (node.items) visit(node.items, prefix, stack);
+    for (const key of ['allOf', 'anyOf', 'oneOf']) {
+      (Array.isArray(node[key]) ? node[key] : []).forEach(s => visit(s, prefix, stack));
+    }
+  };
+  visit(schema, '', []);
+  return fields;
+}
+
 function findAPIPIIFields(manifest) {
   const piiFields = [];
-  const paths = manifest.endpoints?.paths || {};
   
-  for (const [path, endpoint] of Object.entries(paths)) {
-    const body = endpoint.requestBody?.content || {};
+  for (const { path, method, operation } of apiOperations(manifest)) {
+    const body = operation.requestBody?.content || {};
     for (const [contentType, schema] of Object.entries(body)) {
-      const props = schema.properties || {};
-      for (const [fieldName, field] of Object.entries(props)) {
+      for (const { name: fieldName, field } of apiSchemaFields(manifest, schema)) {
         if (field['x-pii'] === true) {
-          piiFields.push({ path, field: fieldName });
+          piiFields.push({ path, method, field: fieldName });
         }
       }
     }
@@ -471,8 +596,7 @@ function analyzePerformance(catalog) {
     const manifest = item.manifest ? item.manifest() : item;
     
     if (manifest.api) {
-      const paths = manifest.endpoints?.paths || {};
-      totalEndpoints += Object.keys(paths).length;
+      totalEndpoints += apiOperations(manifest).length;
     } else if (manifest.event) {
       totalEvents++;
     } else if (manifest.dataset) {
@@ -492,6 +616,64 @@ function analyzePerformance(catalog) {
   return checks;
 }
 
+// ————————————————————————————————————————————————————————————————
+// Endpoint Lifecycle
+// ————————————————————————————————————————————————————————————————
+
+/** Endpoint URNs anywhere in a manifest, with the dotted path they appear at */
+function findEndpointReferences(manifest) {
+  const refs = [];
+  const visit = (value, at) => {
+    if (typeof value === 'string') {
+      if (value.startsWith('urn:api:endpoint:')) refs.push({ urn: value, at });
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key !== 'sig') visit(child, at ? `${at}.${key}` : key);
+      }
+    }
+  };
+  visit(manifest, '');
+  return refs;
+}
+
+/**
+ * Deprecated API operations that other manifests in the catalog still reference by URN
+ * @param {Object} catalog - Catalog ({ items })
+ * @param {Object} [options] - Options
+ * @param {Date|string|number} [options.now] - Reference time for `sunset_at`
+ * @returns {Array<{urn:string, api:string, endpoint:string, lifecycle:Object, pastSunset:boolean, referencedBy:Array<{urn:string, reference:string, at:string}>}>}
+ */
+function analyzeDeprecatedEndpoints(catalog, options = {}) {
+  const now = options.now !== undefined ? new Date(options.now).getTime() : Date.now();
+  const report = new Map();
+
+  for (const item of catalog.items || []) {
+    const manifest = item.manifest ? item.manifest() : item;
+    const from = generateURN(item);
+    for (const { urn: reference, at } of findEndpointReferences(manifest)) {
+      for (const op of resolveEndpointURN(catalog, reference)) {
+        if (op.item === item || op.lifecycle?.status !== 'deprecated') continue;
+        const owner = op.item.manifest ? op.item.manifest() : op.item;
+        const urn = buildEndpointURN(op.api, op.path, op.method, owner.version || 'v1.1.1');
+        if (!report.has(urn)) {
+          const sunset = Date.parse(op.lifecycle.sunset_at);
+          report.set(urn, {
+            urn,
+            api: op.api,
+            endpoint: `${op.method.toUpperCase()} ${op.path}`,
+            lifecycle: op.lifecycle,
+            pastSunset: !Number.isNaN(sunset) && sunset <= now,
+            referencedBy: []
+          });
+        }
+        report.get(urn).referencedBy.push({ urn: from, reference, at });
+      }
+    }
+  }
+
+  return [...report.values()];
+}
+
 // ————————————————————————————————————————————————————————————————
 // Catalog Factory
 // ————————————————————————————————————————————————————————————————
@@ -528,11 +710,20 @@ function createCatalogSystem(protocols = []) {
   function validate(options = {}) {
     return validateSystem({ items }, options);
   }
+
+  function analyzeGovernance() {
+    return analyzePIIGovernance({ items });
+  }
+
+  function findDeprecatedReferences(options = {}) {
+    return analyzeDeprecatedEndpoints({ items }, options);
+  }
   
   function generateSystemReport() {
     const validation = validate({ checkPerformance: true });
     const relationships = getRelationships();
     const cycles = detectCycles();
+    const deprecatedReferences = findDeprecatedReferences();
     
     return {
       summary: {
@@ -544,6 +735,7 @@ function createCatalogSystem(protocols = []) {
       validation,
       relationships,
       cycles,
+      deprecatedReferences,
       urns: items.map(item => generateURN(item)).filter(Boolean)
     };
   }
@@ -556,6 +748,8 @@ function createCatalogSystem(protocols = []) {
     getRelationships,
     detectCycles,
     validate,
+    analyzePIIGovernance: analyzeGovernance,
+    findDeprecatedReferences,
     generateSystemReport,
     asManifests
   });
@@ -569,9 +763,13 @@ export {
   createCatalogSystem,
   parseURN,
   buildURN,
+  buildEndpointURN,
   resolveURN,
+  resolveEndpointURN,
   generateURN,
   analyzeCrossEntityRelationships,
   detectCrossEntityCycles,
-  validateSystem
+  validateSystem,
+  analyzePIIGovernance,
+  analyzeDeprecatedEndpoints
 };
\ No newline at end of file
@@ -3,7 +3,9 @@
  * Tests all protocol methods, validators, and performance requirements
  */
 
-import { createDataProtocol, createDataCatalog, registerValidator, Validators } from './data_protocol_v_1_1_1.js';
+import { createDataProtocol, createDataCatalog, registerValidator, Validators, generateAvro, importAvro } from './data_protocol_v_1_1_1.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { sign } from './signing.js';
 
 // Test utilities
 function assert(condition, message) {
@@ -726,6 +728,85 @@ test('breaking change detection: 100% accuracy for schema changes', () => {
   }
 });
 
+// ==================== Avro Tests ====================
+
+const avroManifest = {
+  dataset: { name: 'analytics.user_events', description: 'User events' },
+  schema: {
+    primary_key: 'event_id',
+    fields: {
+      event_id: { type: 'uuid', required: true },
+      user_id: { type: 'string', required: true, description: 'Actor' },
+      email: { type: 'string', pii: true },
+      amount: { type: 'decimal' },
+      count: { type: 'integer', default: 0 },
+      event_date: { type: 'date', required: true, default: '2026-01-01' },
+      payload: { type: 'json' }
+    }
+  },
+  governance: { policy: { classification: 'pii' } }
+};
+
+test('Avro: generateAvro maps fields, pii, defaults and dataset metadata', () => {
+  const avsc = createDataProtocol(avroManifest).generateAvro();
+  assertEqual(avsc.type, 'record', 'Record type');
+  assertEqual(avsc.namespace, 'analytics', 'Namespace from dataset name');
+  assertEqual(avsc.name, 'user_events', 'Record name');
+  assertEqual(avsc.primaryKey, 'event_id', 'Primary key attribute');
+  assertEqual(avsc.classification, 'pii', 'Classification attribute');
+
+  const field = name => avsc.fields.find(f => f.name === name);
+  assertDeepEqual(field('event_id').type, { type: 'string', logicalType: 'uuid' }, 'Required uuid');
+  assertDeepEqual(field('user_id'), { name: 'user_id', doc: 'Actor', type: 'string' }, 'Required string with doc');
+  assertDeepEqual(field('email'), { name: 'email', type: ['null', 'string'], default: null, pii: true }, 'Optional pii field');
+  assertDeepEqual(field('amount'), { name: 'amount', type: ['null', 'double'], default: null, manifestType: 'decimal' }, 'Decimal keeps its spelling');
+  assertDeepEqual(field('count'), { name: 'count', type: ['long', 'null'], default: 0 }, 'Default puts the type first');
+  assertEqual(field('event_date').default, 20454, 'Date default in days since epoch');
+
+  assertEqual(generateAvro(avroManifest, { namespace: 'com.acme' }).namespace, 'com.acme', 'Namespace option');
+});
+
+test('Avro: importAvro round-trips without diff and reports lossy types', () => {
+  const { manifest, unmapped } = importAvro(JSON.stringify(generateAvro(avroManifest)));
+  assertDeepEqual(unmapped, [], 'Nothing unmapped');
+  assertDeepEqual(manifest, avroManifest, 'Manifest restored');
+  const d = createDataProtocol(avroManifest).diff(manifest);
+  assertEqual(d.changes.length, 0, 'No changes');
+  assertEqual(d.breaking.length, 0, 'No breaking changes');
+
+  const foreign = importAvro({
+    type: 'record',
+    name: 'orders',
+    fields: [
+      { name: 'id', type: 'long' },
+      { name: 'hash', type: { type: 'fixed', name: 'md5', size: 16 } }
+    ]
+  });
+  assertDeepEqual(foreign.manifest.schema.fields.id, { type: 'integer', required: true }, 'long maps to integer');
+  assertDeepEqual(foreign.unmapped.map(u => u.pointer), ['/fields/1/type'], 'fixed is reported');
+
+  let threw = false;
+  try { importAvro({ type: 'array', items: 'string' }); } catch (e) { threw = /Not an Avro record schema/.test(e.message); }
+  assert(threw, 'Non-record schemas are rejected');
+});
+
+test('signature.envelope: validate() flags tampered and expired manifests', () => {
+  const { privateKey } = generateKeyPairSync('ed25519');
+  const unsigned = { dataset: { name: 'orders', type: 'fact-table' }, schema: { fields: { id: { type: 'string', required: true } } } };
+  const envelope = (manifest) => createDataProtocol(manifest).validate().results.find(r => r.name === 'signature.envelope');
+
+  const signed = sign(unsigned, privateKey, { kid: 'release-1' });
+  assert(envelope(signed).ok, 'An untouched signed manifest should pass');
+
+  const tampered = envelope({ ...signed, dataset: { ...signed.dataset, name: 'refunds' } });
+  assert(!tampered.ok, 'Edited content should fail');
+  assertEqual(tampered.issues[0].path, 'sig.payload', 'Should report the payload mismatch');
+
+  const expired = envelope(sign(unsigned, privateKey, { kid: 'release-1', exp: '2020-01-01T00:00:00Z' }));
+  assert(!expired.ok, 'An expired signature should fail');
+  assertEqual(expired.issues[0].path, 'sig.protected.exp', 'Should report the expiry');
+});
+
 // ==================== Test Summary ====================
 
 console.log('\n=== Test Summary ===');
@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEventProtocol, createEventCatalog, generateAsyncApi, importAsyncApi } from './event_protocol_v_1_1_1.js';
+
+const paymentCompleted = {
+  event: { name: 'payment.completed', version: '1.1.0', lifecycle: { status: 'active' } },
+  semantics: { purpose: 'Record a successful payment' },
+  schema: {
+    format: 'json-schema',
+    payload: {
+      type: 'object',
+      required: ['payment_id', 'amount'],
+      properties: { payment_id: { type: 'string' }, amount: { type: 'number' }, email: { type: 'string', 'x-pii': true } }
+    },
+    compatibility: { policy: 'backward' }
+  },
+  delivery: { contract: { transport: 'kafka', topic: 'billing.payments', guarantees: 'at-least-once', retry_policy: 'exponential', dlq: 'billing.payments.dlq' } },
+  governance: { policy: { classification: 'pii', legal_basis: 'gdpr' } },
+  metadata: { owner: 'billing-team', tags: ['billing', 'payments'] }
+};
+
+const paymentRefunded = {
+  event: { name: 'payment.refunded', version: '1.0.0' },
+  schema: { fields: [{ name: 'payment_id', type: 'string', required: true }, { name: 'reason', type: 'string' }] },
+  delivery: { contract: { transport: 'kafka', topic: 'billing.payments', guarantees: 'at-least-once' } }
+};
+
+const orderShipped = {
+  event: { name: 'order.shipped', version: '2.0.0' },
+  schema: { payload: { type: 'object', properties: { order_id: { type: 'string' } } } },
+  delivery: { contract: { transport: 'sqs', topic: 'orders-shipped', guarantees: 'at-least-once', dlq: 'orders-shipped-dlq' } }
+};
+
+const userSignedUp = {
+  event: { name: 'user.signed_up' },
+  schema: { payload: { type: 'object', properties: { user_id: { type: 'string' } } } },
+  delivery: { contract: { transport: 'webhook', topic: '/hooks/users', guarantees: 'best-effort' } }
+};
+
+const accountClosed = {
+  event: { name: 'account.closed' },
+  schema: { payload: { type: 'object' } },
+  delivery: { contract: { transport: 'sns', topic: 'accounts' } }
+};
+
+const all = [paymentCompleted, paymentRefunded, orderShipped, userSignedUp, accountClosed];
+
+// Manifests come back without the hashes normalize() adds
+const strip = ({ schema_hash, field_hashes, ...rest }) => rest;
+
+test('generateAsyncApi 3.0 emits channels, operations, messages and bindings', () => {
+  const doc = generateAsyncApi(all, { title: 'Billing events', version: '4.2.0' });
+  assert.strictEqual(doc.asyncapi, '3.0.0');
+  assert.deepStrictEqual(doc.info, { title: 'Billing events', version: '4.2.0' });
+  assert.deepStrictEqual(Object.keys(doc.channels), ['billing.payments', 'orders-shipped', '_hooks_users', 'accounts']);
+
+  const payments = doc.channels['billing.payments'];
+  assert.strictEqual(payments.address, 'billing.payments');
+  assert.deepStrictEqual(payments.bindings, { kafka: { topic: 'billing.payments', bindingVersion: '0.4.0' } });
+  assert.deepStrictEqual(payments.messages, {
+    'payment.completed': { $ref: '#/components/messages/payment.completed' },
+    'payment.refunded': { $ref: '#/components/messages/payment.refunded' }
+  });
+  assert.strictEqual(payments['x-dlq'], 'billing.payments.dlq');
+
+  assert.deepStrictEqual(doc.operations.sendBillingPayments, {
+    action: 'send',
+    channel: { $ref: '#/channels/billing.payments' },
+    messages: [
+      { $ref: '#/channels/billing.payments/messages/payment.completed' },
+      { $ref: '#/channels/billing.payments/messages/payment.refunded' }
+    ]
+  });
+  assert.deepStrictEqual(doc.operations.sendHooksUsers, {
+    action: 'send',
+    channel: { $ref: '#/channels/_hooks_users' },
+    messages: [{ $ref: '#/channels/_hooks_users/messages/user.signed_up' }],
+    bindings: { http: { method: 'POST', bindingVersion: '0.3.0' } }
+  });
+
+  const sqs = doc.channels['orders-shipped'].bindings.sqs;
+  assert.deepStrictEqual(sqs.deadLetterQueue, { name: 'orders-shipped-dlq' });
+  assert.strictEqual(sqs.queue.name, 'orders-shipped');
+  assert.deepStrictEqual(doc.channels.accounts.bindings, { sns: { name: 'accounts', bindingVersion: '0.1.0' } });
+
+  const message = doc.components.messages['payment.completed'];
+  assert.strictEqual(message.summary, 'Record a successful payment');
+  assert.strictEqual(message.payload.properties.email['x-pii'], true);
+  assert.deepStrictEqual(message.tags, [{ name: 'billing' }, { name: 'payments' }]);
+  assert.deepStrictEqual(message['x-delivery'], { guarantees: 'at-least-once', retry_policy: 'exponential', dlq: 'billing.payments.dlq' });
+  assert.deepStrictEqual(doc.components.messages['payment.refunded'].payload, {
+    type: 'object',
+    properties: { payment_id: { type: 'string' }, reason: { type: 'string' } },
+    required: ['payment_id']
+  });
+});
+
+test('generateAsyncApi 2.6 groups messages under subscribe operations', () => {
+  const doc = generateAsyncApi(all, { asyncapi: '2.6.0' });
+  assert.strictEqual(doc.asyncapi, '2.6.0');
+  assert.strictEqual(doc.operations, undefined);
+  assert.deepStrictEqual(doc.channels['billing.payments'].subscribe, {
+    operationId: 'receiveBillingPayments',
+    message: { oneOf: [{ $ref: '#/components/messages/payment.completed' }, { $ref: '#/components/messages/payment.refunded' }] }
+  });
+  assert.deepStrictEqual(doc.channels['orders-shipped'].subscribe.message, { $ref: '#/components/messages/order.shipped' });
+  assert.strictEqual(doc.channels['/hooks/users'].subscribe.operationId, 'receiveHooksUsers');
+  assert.throws(() => generateAsyncApi(all, { asyncapi: '1.2.0' }), /Unsupported AsyncAPI version: 1\.2\.0/);
+});
+
+test('AsyncAPI documents import back into the same event manifests', () => {
+  for (const asyncapi of ['2.6.0', '3.0.0']) {
+    const { manifests, unmapped } = importAsyncApi(generateAsyncApi(all, { asyncapi }));
+    assert.deepStrictEqual(unmapped, [], `${asyncapi} should map completely`);
+    assert.deepStrictEqual(manifests.map(m => m.event.name), all.map(m => m.event.name));
+    assert.deepStrictEqual(manifests[0], paymentCompleted, `${asyncapi} should round-trip every modelled field`);
+    assert.deepStrictEqual(manifests[2].delivery.contract, orderShipped.delivery.contract);
+    assert.deepStrictEqual(manifests[3].delivery.contract, userSignedUp.delivery.contract);
+    assert.strictEqual(manifests[1].schema.payload.required[0], 'payment_id');
+  }
+});
+
+test('AsyncAPI keeps every event version and reports transports that conflict on a channel', () => {
+  const paymentCompletedV2 = {
+    event: { name: 'payment.completed', version: '2.0.0' },
+    schema: { payload: { type: 'object', properties: { payment_id: { type: 'string' }, amount_minor: { type: 'integer' } } } },
+    delivery: { contract: { transport: 'kafka', topic: 'billing.payments' } }
+  };
+  const paymentAudited = {
+    event: { name: 'payment.audited', version: '1.0.0' },
+    schema: { payload: { type: 'object' } },
+    delivery: { contract: { transport: 'sqs', topic: 'billing.payments', dlq: 'audit-dlq' } }
+  };
+  const list = [paymentCompleted, paymentCompletedV2, paymentCompletedV2, paymentAudited];
+
+  for (const asyncapi of ['2.6.0', '3.0.0']) {
+    const doc = generateAsyncApi(list, { asyncapi });
+    assert.deepStrictEqual(Object.keys(doc.components.messages), ['payment.completed_1.1.0', 'payment.completed_2.0.0', 'payment.audited']);
+    const channel = doc.channels['billing.payments'];
+    assert.deepStrictEqual(Object.keys(channel.bindings), ['kafka']);
+    assert.deepStrictEqual(channel['x-binding-conflicts'], [{ message: 'payment.audited', transport: 'sqs' }]);
+    assert.strictEqual(doc.components.messages['payment.audited']['x-delivery'].transport, 'sqs');
+
+    const refs = asyncapi === '3.0.0' ? doc.operations.sendBillingPayments.messages : channel.subscribe.message.oneOf;
+    assert.strictEqual(refs.length, 3, `${asyncapi} lists each message once`);
+    assert.strictEqual(new Set(refs.map(ref => ref.$ref)).size, 3);
+
+    const { manifests, unmapped } = importAsyncApi(doc);
+    assert.deepStrictEqual(unmapped, [], `${asyncapi} should map completely`);
+    assert.deepStrictEqual(manifests.map(m => `${m.event.name}@${m.event.version}`), ['payment.completed@1.1.0', 'payment.completed@2.0.0', 'payment.audited@1.0.0']);
+    assert.deepStrictEqual(manifests[1].schema.payload, paymentCompletedV2.schema.payload);
+    assert.deepStrictEqual(manifests[2].delivery.contract, { transport: 'sqs', topic: 'billing.payments', dlq: 'audit-dlq' });
+  }
+
+  // Foreign documents binding one channel to several protocols are reported
+  const { manifests, unmapped } = importAsyncApi({
+    asyncapi: '2.6.0',
+    channels: { mixed: { bindings: { kafka: {}, sqs: { queue: { name: 'mixed' } } }, subscribe: { message: { name: 'mixed.event' } } } }
+  });
+  assert.strictEqual(manifests[0].delivery.contract.transport, 'kafka');
+  assert.deepStrictEqual(unmapped, [{ pointer: '#/channels/mixed/bindings', reason: 'channel binds kafka, sqs; messages without x-delivery.transport use kafka' }]);
+});
+
+test('importAsyncApi resolves references and reports what it cannot model', () => {
+  const doc = {
+    asyncapi: '2.6.0',
+    info: { title: 'Orders', version: '1.0.0' },
+    channels: {
+      'orders.created': {
+        bindings: { kafka: { topic: 'orders.created.v1' } },
+        publish: { message: { $ref: '#/components/messages/OrderCreated' } }
+      },
+      'orders.audit': {
+        subscribe: { message: { $ref: '#/components/messages/OrderCreated' } }
+      }
+    },
+    components: {
+      messages: {
+        OrderCreated: {
+          name: 'order.created',
+          description: 'An order was placed',
+          headers: { type: 'object' },
+          payload: { $ref: '#/components/schemas/Order' }
+        }
+      },
+      schemas: {
+        Order: { type: 'object', properties: { id: { type: 'string' }, lines: { type: 'array', items: { $ref: '#/components/schemas/Line' } } } },
+        Line: { type: 'object', properties: { sku: { type: 'string' } } }
+      }
+    }
+  };
+  const { manifests, unmapped } = importAsyncApi(doc);
+  assert.strictEqual(manifests.length, 1);
+  const [manifest] = manifests;
+  assert.strictEqual(manifest.event.name, 'order.created');
+  assert.strictEqual(manifest.semantics.purpose, 'An order was placed');
+  assert.deepStrictEqual(manifest.delivery.contract, { transport: 'kafka', topic: 'orders.created.v1' });
+  assert.deepStrictEqual(manifest.schema.payload.properties.lines.items, { type: 'object', properties: { sku: { type: 'string' } } });
+  assert.deepStrictEqual(unmapped.map(u => u.reason), [
+    'message headers not modelled',
+    'message "order.created" is already mapped from #/channels/orders.created/publish/message; only its first channel is kept'
+  ]);
+  assert.ok(createEventProtocol(manifest).validate().ok, 'Imported manifests should validate');
+  assert.throws(() => importAsyncApi({ openapi: '3.0.0' }), /Not an AsyncAPI/);
+});
+
+test('event protocol and catalog expose AsyncAPI generation', () => {
+  const single = createEventProtocol(paymentCompleted).generateAsyncApi();
+  assert.deepStrictEqual(single.info, { title: 'payment.completed', version: '1.1.0' });
+  assert.deepStrictEqual(strip(importAsyncApi(single).manifests[0]), paymentCompleted);
+
+  const catalog = createEventCatalog(all.map(m => createEventProtocol(m)));
+  const doc = catalog.generateAsyncApi({ asyncapi: '2.6.0', title: 'All events' });
+  assert.strictEqual(Object.keys(doc.components.messages).length, all.length);
+  assert.strictEqual(doc.info.title, 'All events');
+});
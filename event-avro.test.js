@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEventProtocol, generateAvro, importAvro } from './event_protocol_v_1_1_1.js';
+
+const paymentCompleted = {
+  event: { name: 'payment.completed', version: '1.2.0' },
+  semantics: { purpose: 'Record a successful payment' },
+  schema: {
+    format: 'json-schema',
+    payload: {
+      type: 'object',
+      required: ['payment_id', 'amount', 'status', 'lines'],
+      properties: {
+        payment_id: { type: 'string', format: 'uuid' },
+        amount: { type: 'number' },
+        attempts: { type: 'integer', default: 1 },
+        status: { enum: ['paid', 'refunded'] },
+        email: { type: 'string', description: 'Payer email', 'x-pii': true },
+        paid_at: { type: 'string', format: 'date-time' },
+        lines: { type: 'array', items: { $ref: '#/$defs/line' } },
+        parent_line: { $ref: '#/$defs/line' },
+        labels: { type: 'object', additionalProperties: { type: 'string' } }
+      },
+      $defs: {
+        line: { type: 'object', required: ['sku'], properties: { sku: { type: 'string' }, bundle: { $ref: '#/$defs/line' } } }
+      }
+    }
+  },
+  governance: { policy: { classification: 'pii' } }
+};
+
+test('generateAvro maps required, defaults, pii and namespace from the event name', () => {
+  const avsc = generateAvro(paymentCompleted);
+  assert.strictEqual(avsc.type, 'record');
+  assert.strictEqual(avsc.namespace, 'payment');
+  assert.strictEqual(avsc.name, 'completed');
+  assert.strictEqual(avsc.doc, 'Record a successful payment');
+  assert.strictEqual(avsc.classification, 'pii');
+
+  const field = name => avsc.fields.find(f => f.name === name);
+  assert.deepStrictEqual(field('payment_id'), { name: 'payment_id', type: { type: 'string', logicalType: 'uuid' } });
+  assert.deepStrictEqual(field('amount'), { name: 'amount', type: 'double' });
+  assert.deepStrictEqual(field('attempts'), { name: 'attempts', type: ['long', 'null'], default: 1 });
+  assert.deepStrictEqual(field('status').type, { type: 'enum', name: 'status', symbols: ['paid', 'refunded'] });
+  assert.deepStrictEqual(field('email'), { name: 'email', doc: 'Payer email', type: ['null', 'string'], default: null, pii: true });
+  assert.deepStrictEqual(field('paid_at').type, ['null', { type: 'long', logicalType: 'timestamp-millis' }]);
+
+  // $defs become one named record; reuse and recursion refer to it by name
+  assert.strictEqual(field('lines').type.items.name, 'line');
+  assert.deepStrictEqual(field('lines').type.items.fields[1], { name: 'bundle', type: ['null', 'line'], default: null });
+  assert.deepStrictEqual(field('parent_line'), { name: 'parent_line', type: ['null', 'line'], default: null });
+  assert.deepStrictEqual(field('labels').type, ['null', { type: 'map', values: 'string' }]);
+
+  // schema.fields manifests work too, and the protocol exposes the generator
+  const fieldsManifest = createEventProtocol({
+    event: { name: 'user.signed-up' },
+    schema: { fields: [{ name: 'user_id', type: 'string', required: true }, { name: 'email', type: 'string', pii: true }] }
+  });
+  assert.deepStrictEqual(fieldsManifest.generateAvro({ namespace: 'com.acme.users' }), {
+    type: 'record',
+    name: 'signed_up',
+    namespace: 'com.acme.users',
+    fields: [
+      { name: 'user_id', type: 'string' },
+      { name: 'email', type: ['null', 'string'], default: null, pii: true }
+    ]
+  });
+});
+
+test('importAvro round-trips a generated schema without field-level changes', () => {
+  const { manifest, unmapped } = importAvro(JSON.stringify(generateAvro(paymentCompleted)));
+  assert.deepStrictEqual(unmapped, []);
+  assert.strictEqual(manifest.event.name, 'payment.completed');
+  assert.strictEqual(manifest.event.version, '1.2.0');
+  assert.strictEqual(manifest.governance.policy.classification, 'pii');
+
+  const payload = manifest.schema.payload;
+  assert.deepStrictEqual(payload.required, ['payment_id', 'amount', 'status', 'lines']);
+  assert.deepStrictEqual(payload.properties.email, { type: 'string', description: 'Payer email', 'x-pii': true });
+  assert.deepStrictEqual(payload.properties.attempts, { type: 'integer', default: 1 });
+  assert.deepStrictEqual(payload.properties.lines, { type: 'array', items: { $ref: '#/$defs/line' } });
+  assert.deepStrictEqual(payload.$defs.line.properties.bundle, { $ref: '#/$defs/line' });
+
+  const original = createEventProtocol(paymentCompleted);
+  assert.deepStrictEqual(original.checkSchemaCompatibility(manifest, { mode: 'FULL' }).violations, []);
+  assert.deepStrictEqual(original.diff(manifest).breaking, []);
+});
+
+test('importAvro reads foreign schemas: nullable unions, logical types and lossy constructs', () => {
+  const { manifest, unmapped } = importAvro({
+    type: 'record',
+    name: 'com.acme.orders.OrderPlaced',
+    doc: 'An order was placed',
+    fields: [
+      { name: 'id', type: 'string' },
+      { name: 'placed_on', type: { type: 'int', logicalType: 'date' }, default: 20454 },
+      { name: 'coupon', type: ['null', 'string'] },
+      { name: 'total', type: { type: 'bytes', logicalType: 'decimal', precision: 10, scale: 2 } },
+      { name: 'hash', type: { type: 'fixed', name: 'md5', size: 16 } },
+      { name: 'payment', type: ['null', 'string', 'long'], default: null }
+    ]
+  });
+
+  assert.strictEqual(manifest.event.name, 'com.acme.orders.OrderPlaced');
+  assert.strictEqual(manifest.semantics.purpose, 'An order was placed');
+  assert.deepStrictEqual(manifest.schema.payload.properties.placed_on, { type: 'string', format: 'date', default: '2026-01-01' });
+  // A union with null but no default is a required, nullable field
+  assert.deepStrictEqual(manifest.schema.payload.properties.coupon, { type: ['string', 'null'] });
+  assert.deepStrictEqual(manifest.schema.payload.properties.payment, { oneOf: [{ type: 'string' }, { type: 'integer' }, { type: 'null' }] });
+  assert.deepStrictEqual(manifest.schema.payload.required, ['id', 'placed_on', 'coupon', 'total', 'hash']);
+  assert.deepStrictEqual(unmapped.map(u => u.pointer), ['/fields/3/type', '/fields/4/type']);
+  assert.match(unmapped[0].reason, /decimal\(10,2\) mapped to number/);
+
+  assert.throws(() => importAvro({ type: 'enum', name: 'x', symbols: ['A'] }), /Not an Avro record schema/);
+});
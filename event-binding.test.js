@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEventProtocol, compileJsonSchema } from './event-schema.js';
+import { createEventProtocol as createBus } from './event-protocol.js';
+import { createEventProtocol as createEventManifest, createEventCatalog } from './event_protocol_v_1_1_1.js';
+
+const paymentCompleted = {
+  event: { name: 'payment.completed', version: '1.2.0', lifecycle: { status: 'active' } },
+  schema: {
+    format: 'json-schema',
+    payload: {
+      type: 'object',
+      required: ['payment_id', 'amount'],
+      properties: {
+        payment_id: { type: 'string' },
+        amount: { type: 'number', minimum: 0 },
+        payer: { type: 'object', properties: { email: { type: 'string', 'x-pii': true }, country: { type: 'string' } } },
+        contacts: { type: 'array', items: { $ref: '#/$defs/contact' } }
+      },
+      $defs: { contact: { type: 'object', properties: { phone: { type: 'string', 'x-pii': true } } } }
+    }
+  },
+  delivery: { contract: { transport: 'kafka', retry_policy: 'linear', dlq: 'payments.dlq' } },
+  governance: { policy: { classification: 'pii', legal_basis: 'gdpr' } }
+};
+
+const userSignedUp = {
+  event: { name: 'user.signed_up', version: '0.9.0', lifecycle: { status: 'deprecated', sunset_at: '2026-12-31' } },
+  schema: { fields: [{ name: 'user_id', type: 'string', required: true }, { name: 'email', type: 'string', pii: true }] }
+};
+
+test('publish validates events against the bound manifest payload schema', () => {
+  const bus = createEventProtocol({ manifests: [paymentCompleted, userSignedUp] });
+  const received = [];
+  bus.subscribe('payment.completed', event => received.push(event.payment_id));
+
+  bus.publish('payment.completed', { payment_id: 'p1', amount: 10 });
+  assert.throws(
+    () => bus.publish('payment.completed', { payment_id: 'p2', amount: -1, payer: { email: 7 } }),
+    /Event validation failed for payment\.completed: amount must be >= 0, payer\.email must be string, got number/
+  );
+  assert.throws(() => bus.publish('user.signed_up', { email: 'a@b.co' }), /user_id is required/);
+  assert.deepStrictEqual(received, ['p1'], 'rejected events are not delivered');
+
+  // Unbound types pass unless the bus is strict
+  bus.publish('audit.logged', { anything: true });
+  const strict = createEventProtocol({ manifests: [paymentCompleted], strict: true });
+  assert.throws(() => strict.publish('audit.logged', {}), /Unknown event type: audit\.logged \(strict mode/);
+  strict.publish('payment.completed', { payment_id: 'p3', amount: 1 });
+});
+
+test('subscribers receive an envelope tagging PII fields per governance policy', () => {
+  const catalog = createEventCatalog([createEventManifest(paymentCompleted), createEventManifest(userSignedUp)]);
+  const bus = createEventProtocol({ manifests: catalog });
+  const envelopes = [];
+  bus.subscribe('payment.*', (event, envelope) => envelopes.push(envelope));
+  bus.subscribe('user.signed_up', (event, envelope) => envelopes.push(envelope));
+  bus.subscribe('audit.logged', (event, envelope) => envelopes.push(envelope));
+
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    bus.publish('payment.completed', { payment_id: 'p1', amount: 10 });
+    bus.publish('user.signed_up', { user_id: 'u1', email: 'a@b.co' });
+    bus.publish('user.signed_up', { user_id: 'u2' });
+    bus.publish('audit.logged', {});
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.deepStrictEqual(envelopes[0], {
+    type: 'payment.completed',
+    version: '1.2.0',
+    classification: 'pii',
+    legalBasis: 'gdpr',
+    pii: ['payer.email', 'contacts[].phone']
+  });
+  assert.ok(Object.isFrozen(envelopes[0]) && Object.isFrozen(envelopes[0].pii));
+  assert.deepStrictEqual(envelopes[1], { type: 'user.signed_up', version: '0.9.0', pii: ['email'] });
+  assert.strictEqual(envelopes[3], undefined, 'unbound types carry no envelope');
+  assert.deepStrictEqual(warnings, ['Deprecated event published: user.signed_up (sunset 2026-12-31)'], 'warned once per type');
+});
+
+test('bound manifests supply delivery contracts and reject broken bindings', async () => {
+  const bus = createEventProtocol({ manifests: [paymentCompleted], retry: { maxAttempts: 2, baseDelayMs: 1 } });
+  let calls = 0;
+  bus.subscribe('payment.completed', () => {
+    calls++;
+    throw new Error('ledger down');
+  });
+  bus.publish('payment.completed', { payment_id: 'p1', amount: 1 });
+  await bus.drain();
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(bus.getDeadLetters('payments.dlq').length, 1);
+
+  assert.throws(() => createEventProtocol({ manifests: [paymentCompleted, paymentCompleted] }), /Duplicate manifest for event type: payment\.completed/);
+  assert.throws(() => createEventProtocol({ manifests: [{ schema: {} }] }), /must declare event\.name/);
+  assert.throws(
+    () => createEventProtocol({ manifests: [{ event: { name: 'x.y' }, schema: { payload: { $ref: '#/$defs/missing' } } }] }),
+    /Invalid payload schema for event type x\.y: Unresolvable \$ref/
+  );
+});
+
+test('the main bus entry binds manifests only with a schema compiler', () => {
+  const needsCompiler = /needs a JSON Schema compiler: create the bus with createEventProtocol from @cpms\/event\/schema/;
+  assert.throws(() => createBus({ manifests: [paymentCompleted] }), new RegExp(`Binding manifests ${needsCompiler.source}`));
+
+  // Manifests without a payload schema, and buses that validate nothing, need no compiler
+  createBus({ manifests: [{ event: { name: 'audit.logged' }, schema: { format: 'custom' } }] });
+  createBus({ eventSchema: { type: 'object' } }).publish('audit.logged', {});
+
+  const compiled = [];
+  const bus = createBus({
+    manifests: [paymentCompleted],
+    compileSchema: schema => {
+      compiled.push(schema);
+      return compileJsonSchema(schema);
+    }
+  });
+  assert.strictEqual(compiled.length, 1);
+  assert.throws(() => bus.publish('payment.completed', { payment_id: 'p1' }), /amount is required/);
+});
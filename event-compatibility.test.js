@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEventProtocol, checkCompatibility, checkSchemaCompatibility } from './event_protocol_v_1_1_1.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { sign } from './signing.js';
+
+const version = (v, properties, required = [], extra = {}) => ({
+  event: { name: 'order.placed', version: v },
+  schema: { format: 'json-schema', payload: { type: 'object', required, properties, ...extra } }
+});
+
+const v1 = version('1.0.0', { id: { type: 'string' }, amount: { type: 'integer' }, note: { type: 'string' } }, ['id', 'amount']);
+
+const summarize = result => result.violations.map(v => `${v.direction} ${v.field} ${v.change}`);
+
+test('adding an optional field is compatible in every mode', () => {
+  const v2 = version('1.1.0', { ...v1.schema.payload.properties, channel: { type: 'string' } }, ['id', 'amount']);
+  for (const mode of ['BACKWARD', 'FORWARD', 'FULL', 'full_transitive']) {
+    const result = checkSchemaCompatibility(v1, v2, { mode });
+    assert.strictEqual(result.compatible, true, mode);
+    assert.deepStrictEqual(result.violations, []);
+  }
+});
+
+test('new required fields break BACKWARD; removed required fields break FORWARD', () => {
+  const v2 = version('2.0.0', { id: { type: 'string' }, note: { type: 'string' }, currency: { type: 'string' } }, ['id', 'currency']);
+  assert.deepStrictEqual(summarize(checkSchemaCompatibility(v1, v2, { mode: 'BACKWARD' })), ['backward currency required_field_added']);
+  assert.deepStrictEqual(summarize(checkSchemaCompatibility(v1, v2, { mode: 'FORWARD' })), ['forward amount required_field_removed']);
+
+  const full = checkSchemaCompatibility(v1, v2, { mode: 'FULL' });
+  assert.strictEqual(full.compatible, false);
+  assert.deepStrictEqual(full.violations[0], {
+    field: 'currency',
+    change: 'required_field_added',
+    direction: 'backward',
+    reason: 'new required field without a default: events on the old schema do not carry it',
+    path: 'schema.payload.properties.currency',
+    against: '1.0.0'
+  });
+
+  const withDefault = version('2.0.0', { ...v1.schema.payload.properties, currency: { type: 'string', default: 'USD' } }, ['id', 'amount', 'currency']);
+  assert.strictEqual(checkSchemaCompatibility(v1, withDefault, { mode: 'BACKWARD' }).compatible, true, 'A default satisfies old events');
+});
+
+test('requiredness, type, enum and closed-content changes are reported per field', () => {
+  const v2 = version('2.0.0', {
+    id: { type: 'integer' },
+    amount: { type: 'number' },
+    note: { type: 'string' },
+    status: { type: 'string', enum: ['open'] }
+  }, ['id', 'amount', 'note']);
+  const v1WithStatus = version('1.0.0', { ...v1.schema.payload.properties, status: { type: 'string', enum: ['open', 'closed'] } }, ['id', 'amount']);
+
+  const result = checkSchemaCompatibility(v1WithStatus, v2, { mode: 'FULL' });
+  assert.deepStrictEqual(summarize(result), [
+    'backward note field_made_required',
+    'backward id type_changed',
+    'backward status enum_values_removed',
+    'forward id type_changed',
+    'forward amount type_changed'
+  ]);
+  const widened = result.violations.find(v => v.field === 'amount');
+  assert.strictEqual(widened.reason, 'type changed from integer to number');
+  assert.ok(result.violations.find(v => v.change === 'enum_values_removed').reason.includes('"closed"'));
+
+  const closed = version('1.0.0', { id: { type: 'string' } }, ['id'], { additionalProperties: false });
+  const grown = version('1.1.0', { id: { type: 'string' }, tag: { type: 'string' } }, ['id'], { additionalProperties: false });
+  assert.deepStrictEqual(summarize(checkSchemaCompatibility(closed, grown, { mode: 'FULL' })), ['forward tag field_added']);
+  assert.deepStrictEqual(summarize(checkSchemaCompatibility(grown, closed, { mode: 'FULL' })), ['backward tag field_removed']);
+});
+
+test('nested objects and arrays are compared field by field', () => {
+  const old = version('1.0.0', { lines: { type: 'array', items: { type: 'object', properties: { sku: { type: 'string' }, qty: { type: 'integer' } } } } });
+  const next = version('1.1.0', { lines: { type: 'array', items: { type: 'object', required: ['price'], properties: { sku: { type: 'string' }, qty: { type: 'string' }, price: { type: 'number' } } } } });
+  const result = checkSchemaCompatibility(old, next, { mode: 'BACKWARD' });
+  assert.deepStrictEqual(result.violations.map(v => `${v.field} ${v.change} ${v.path}`), [
+    'lines[].price required_field_added schema.payload.properties.lines.items.properties.price',
+    'lines[].qty type_changed schema.payload.properties.lines.items.properties.qty'
+  ]);
+});
+
+test('transitive modes check every earlier version; plain modes only the latest', () => {
+  const history = [
+    version('1.0.0', { id: { type: 'string' } }, ['id']),
+    version('1.1.0', { id: { type: 'string' }, region: { type: 'string' } }, ['id']),
+    version('1.2.0', { id: { type: 'string' }, region: { type: 'string' } }, ['id', 'region'])
+  ];
+  const next = version('1.3.0', { id: { type: 'string' }, region: { type: 'string' } }, ['id', 'region']);
+
+  const latest = checkSchemaCompatibility(history, next, { mode: 'BACKWARD' });
+  assert.strictEqual(latest.compatible, true);
+  assert.deepStrictEqual(latest.checked, ['1.2.0']);
+
+  const transitive = checkSchemaCompatibility(history, next, { mode: 'BACKWARD_TRANSITIVE' });
+  assert.deepStrictEqual(transitive.checked, ['1.0.0', '1.1.0', '1.2.0']);
+  assert.deepStrictEqual(transitive.violations.map(v => `${v.against} ${v.field} ${v.change}`), [
+    '1.0.0 region required_field_added',
+    '1.1.0 region field_made_required'
+  ]);
+
+  assert.strictEqual(checkSchemaCompatibility(history, next, { mode: 'NONE' }).compatible, true);
+  assert.throws(() => checkSchemaCompatibility(history, next, { mode: 'SIDEWAYS' }), /Unknown compatibility mode: SIDEWAYS/);
+});
+
+test('the manifest policy picks the mode and schema.fields manifests are supported', () => {
+  const old = { event: { name: 'user.created', version: '1.0.0' }, schema: { fields: [{ name: 'id', type: 'string', required: true }, { name: 'email', type: 'string', required: true }] } };
+  const next = {
+    event: { name: 'user.created', version: '2.0.0' },
+    schema: { fields: [{ name: 'id', type: 'string', required: true }], compatibility: { policy: 'forward_transitive' } }
+  };
+  const result = createEventProtocol(next).checkSchemaCompatibility([old]);
+  assert.strictEqual(result.mode, 'FORWARD_TRANSITIVE');
+  assert.deepStrictEqual(result.violations.map(v => `${v.field} ${v.change} ${v.path}`), ['email required_field_removed schema.fields.1']);
+  assert.ok(createEventProtocol(next).validate(['core.shape']).ok, 'Transitive policies are valid');
+});
+
+test('diff classifies schema changes by field instead of by hash', () => {
+  const added = version('1.1.0', { ...v1.schema.payload.properties, channel: { type: 'string' } }, ['id', 'amount']);
+  const compatible = createEventProtocol(v1).diff(added);
+  assert.deepStrictEqual(compatible.breaking, []);
+  assert.ok(compatible.significant.some(c => c.path === 'schema_hash' && c.reason === 'schema changed (BACKWARD compatible)'));
+
+  const required = version('2.0.0', { ...v1.schema.payload.properties, channel: { type: 'string' } }, ['id', 'amount', 'channel']);
+  const breaking = createEventProtocol(v1).diff(required).breaking;
+  assert.deepStrictEqual(breaking.map(b => `${b.path}: ${b.reason}`), [
+    'schema.payload.properties.channel: new required field without a default: events on the old schema do not carry it'
+  ]);
+
+  const anything = createEventProtocol(v1).diff({ ...added, schema: { ...added.schema, compatibility: { policy: 'none' } } }).breaking;
+  assert.ok(anything.some(b => b.reason === 'schema changed (compatibility policy: none)'));
+});
+
+test('checkCompatibility compares a consumer schema field by field', () => {
+  const producer = version('2.0.0', { id: { type: 'string' }, amount: { type: 'number' } }, ['id']);
+  const ok = checkCompatibility(producer, { eventName: 'order.placed', schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } });
+  assert.strictEqual(ok.compatible, true);
+
+  const broken = checkCompatibility(producer, {
+    eventName: 'order.placed',
+    schema: { type: 'object', required: ['id', 'amount'], properties: { id: { type: 'string' }, amount: { type: 'integer' } } }
+  });
+  assert.strictEqual(broken.compatible, false);
+  assert.deepStrictEqual(broken.violations.map(v => `${v.field} ${v.change}`), ['amount field_made_optional', 'amount type_changed']);
+
+  const transitive = { ...producer, schema: { ...producer.schema, compatibility: { policy: 'backward_transitive' } } };
+  assert.strictEqual(checkCompatibility(transitive, { eventName: 'order.placed', version: '1.0.0' }).compatible, true);
+});
+
+test('validate() flags tampered and expired signed manifests', () => {
+  const { privateKey } = generateKeyPairSync('ed25519');
+  const v1 = version('1.0.0', { id: { type: 'string' } }, ['id']);
+  const envelope = (manifest) => createEventProtocol(manifest).validate().results.find(r => r.name === 'signature.envelope');
+
+  assert.strictEqual(envelope(sign(v1, privateKey, { kid: 'release-1' })).ok, true);
+  const signed = sign(v1, privateKey, { kid: 'release-1' });
+  const tampered = envelope({ ...signed, event: { ...signed.event, version: '1.0.1' } });
+  assert.deepStrictEqual(tampered.issues.map(i => i.path), ['sig.payload']);
+  const expired = envelope(sign(v1, privateKey, { kid: 'release-1', exp: '2020-01-01T00:00:00Z' }));
+  assert.deepStrictEqual(expired.issues.map(i => i.path), ['sig.protected.exp']);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEventProtocol } from './event-protocol.js';
+
+const contracts = {
+  'payment.completed': { retry_policy: 'exponential', dlq: 'billing.payments.dlq' },
+  'payment.refunded': { retry_policy: 'none', dlq: 'billing.payments.dlq' },
+  'payment.linear': { retry_policy: 'linear' }
+};
+
+test('failing handlers are retried with backoff until they succeed', async () => {
+  const protocol = createEventProtocol({ contracts, retry: { maxAttempts: 4, baseDelayMs: 5 } });
+  const calls = [];
+  protocol.subscribe('payment.completed', async event => {
+    calls.push(Date.now());
+    if (calls.length < 3) throw new Error('gateway timeout');
+    event.handled = true;
+  });
+  let other = 0;
+  protocol.subscribe('payment.completed', () => { other++; });
+
+  const event = { id: 'pay-1' };
+  protocol.publish('payment.completed', event);
+  // Delivery stays synchronous: the first attempt and the healthy subscriber already ran
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(other, 1);
+
+  await protocol.drain();
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(event.handled, true);
+  assert.strictEqual(other, 1, 'only the failing subscriber is retried');
+  assert.ok(calls[2] - calls[1] >= calls[1] - calls[0], 'exponential backoff grows');
+
+  const stats = protocol.getStats();
+  assert.deepStrictEqual(stats.failures, { 'payment.completed': 2 });
+  assert.strictEqual(stats.totalRetries, 2);
+  assert.strictEqual(stats.pendingDeliveries, 0);
+  assert.deepStrictEqual(protocol.getDeadLetters('billing.payments.dlq'), []);
+});
+
+test('exhausted deliveries land on the named dead-letter channel', async () => {
+  const protocol = createEventProtocol({ contracts, retry: { maxAttempts: 3, baseDelayMs: 1 } });
+  let healthy = false;
+  const subId = protocol.subscribe('payment.completed', () => {
+    if (!healthy) throw new Error('ledger unavailable');
+  });
+  protocol.subscribe('payment.refunded', () => Promise.reject(new Error('rejected')));
+
+  protocol.publish('payment.completed', { id: 'pay-1' });
+  protocol.publish('payment.refunded', { id: 'ref-1' });
+  await protocol.drain();
+
+  const letters = protocol.getDeadLetters('billing.payments.dlq');
+  assert.deepStrictEqual(letters.map(({ eventType, event, subscriptionId, attempts, error }) => ({ eventType, event, subscriptionId, attempts, error })), [
+    { eventType: 'payment.refunded', event: { id: 'ref-1' }, subscriptionId: letters[0].subscriptionId, attempts: 1, error: 'rejected' },
+    { eventType: 'payment.completed', event: { id: 'pay-1' }, subscriptionId: subId, attempts: 3, error: 'ledger unavailable' }
+  ]);
+  assert.ok(Object.isFrozen(letters[0]));
+  assert.ok(!Number.isNaN(Date.parse(letters[1].failedAt)));
+  assert.deepStrictEqual(protocol.getStats().failures, { 'payment.completed': 3, 'payment.refunded': 1 });
+  assert.deepStrictEqual(protocol.getStats().deadLetters, { 'billing.payments.dlq': 2 });
+
+  // Redrive gives the recovered subscriber a fresh budget; purge drops the rest
+  healthy = true;
+  assert.deepStrictEqual(protocol.redriveDeadLetters('billing.payments.dlq', [letters[1].id]), { redriven: 1, skipped: 0 });
+  await protocol.drain();
+  assert.deepStrictEqual(protocol.getDeadLetters('billing.payments.dlq').map(entry => entry.id), [letters[0].id]);
+
+  protocol.unsubscribe(letters[0].subscriptionId);
+  assert.deepStrictEqual(protocol.redriveDeadLetters('billing.payments.dlq'), { redriven: 0, skipped: 1 });
+  assert.strictEqual(protocol.purgeDeadLetters('billing.payments.dlq'), 1);
+  assert.deepStrictEqual(protocol.getStats().deadLetters, {});
+  assert.strictEqual(protocol.purgeDeadLetters('missing.dlq'), 0);
+});
+
+test('retries stop when the subscriber unsubscribes and failures without a dlq are logged', async () => {
+  const protocol = createEventProtocol({ contracts, retry: { maxAttempts: 5, baseDelayMs: 5 } });
+  let calls = 0;
+  const subId = protocol.subscribe('payment.linear', () => {
+    calls++;
+    throw new Error('boom');
+  });
+  protocol.publish('payment.linear', { id: 'evt-1' });
+  protocol.unsubscribe(subId);
+  await protocol.drain();
+  assert.strictEqual(calls, 1);
+
+  const logged = [];
+  const originalError = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    const uncontracted = createEventProtocol({ retry: { baseDelayMs: 1 } });
+    uncontracted.subscribe('audit.logged', async () => { throw new Error('disk full'); });
+    uncontracted.publish('audit.logged', {});
+    await uncontracted.drain();
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0][1].message, 'disk full');
+    assert.deepStrictEqual(uncontracted.getStats().failures, { 'audit.logged': 1 });
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.throws(() => createEventProtocol({ contracts: { 'x.y': { retry_policy: 'fibonacci' } } }), /Unknown retry_policy "fibonacci" for event type: x\.y/);
+});
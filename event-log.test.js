@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createEventProtocol } from './event-protocol.js';
+import { createFileEventLog } from './event-log.js';
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cpms-event-log-'));
+}
+
+test('createFileEventLog appends sequenced, timestamped records and rotates segments by size', () => {
+  const dir = tmpDir();
+  try {
+    const log = createFileEventLog({ dir, segmentBytes: 200 });
+    const before = Date.now();
+    for (let i = 0; i < 6; i++) {
+      const record = log.append('payment.completed', { id: `p${i}`, amount: i * 100 });
+      assert.strictEqual(record.offset, i);
+      assert.ok(record.timestamp >= before);
+    }
+
+    const { segments, nextOffset } = log.info();
+    assert.strictEqual(nextOffset, 6);
+    assert.ok(segments.length > 1, 'segments rotate once they reach segmentBytes');
+    assert.strictEqual(segments[0].file, '00000000000000000000.log');
+    assert.ok(segments.every(segment => segment.bytes <= 200));
+    assert.deepStrictEqual(log.read({ offset: 4 }).map(record => record.event.id), ['p4', 'p5']);
+    assert.deepStrictEqual(log.read({ offset: 1, limit: 2 }).map(record => record.offset), [1, 2]);
+    assert.deepStrictEqual(log.read({ since: Date.now() + 60000 }), []);
+    log.close();
+
+    // Reopening recovers the position and drops a torn trailing line
+    const last = path.join(dir, segments[segments.length - 1].file);
+    fs.appendFileSync(last, '{"offset":6,"timest');
+    const reopened = createFileEventLog({ dir, segmentBytes: 200 });
+    assert.strictEqual(reopened.info().nextOffset, 6);
+    assert.strictEqual(reopened.append('payment.refunded', { id: 'r1' }).offset, 6);
+    assert.deepStrictEqual(reopened.read({ offset: 5 }).map(record => record.type), ['payment.completed', 'payment.refunded']);
+    reopened.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('consumer groups poll from their committed offset and seek by offset or time', () => {
+  const dir = tmpDir();
+  try {
+    const log = createFileEventLog({ dir });
+    for (let i = 0; i < 5; i++) log.append('orders.created', { id: i });
+
+    assert.deepStrictEqual(log.poll('billing', { limit: 2 }).map(record => record.offset), [0, 1]);
+    log.commit('billing', 1);
+    assert.strictEqual(log.committed('billing'), 2);
+    assert.deepStrictEqual(log.poll('billing').map(record => record.offset), [2, 3, 4]);
+    assert.strictEqual(log.committed('analytics'), 0);
+
+    assert.strictEqual(log.seek('analytics', { offset: 3 }), 3);
+    assert.strictEqual(log.seek('audit', { since: 0 }), 0);
+    assert.strictEqual(log.seek('audit', { since: new Date(Date.now() + 60000) }), 5);
+    assert.throws(() => log.seek('audit', {}), /seek needs an offset/);
+    log.close();
+
+    // Offsets survive a restart
+    assert.deepStrictEqual(createFileEventLog({ dir }).groups(), { billing: 2, analytics: 3, audit: 5 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createEventProtocol({ log }) logs published events and replays them to subscribers', () => {
+  const dir = tmpDir();
+  try {
+    const log = createFileEventLog({ dir });
+    const bus = createEventProtocol({ log });
+    bus.publish('payment.completed', { id: 'p1' });
+    bus.publish('payment.refunded', { id: 'r1' });
+    bus.publish('payment.completed', { id: 'p2' });
+    assert.strictEqual(log.info().nextOffset, 3);
+
+    // A restarted bus rebuilds state from the log
+    const restarted = createEventProtocol({ log: createFileEventLog({ dir }) });
+    const seen = [];
+    restarted.subscribe('payment.*', event => seen.push(event.id));
+    assert.strictEqual(restarted.replay(), 3);
+    assert.deepStrictEqual(seen, ['p1', 'r1', 'p2']);
+
+    seen.length = 0;
+    assert.strictEqual(restarted.replay({ offset: 2 }), 1);
+    assert.deepStrictEqual(seen, ['p2']);
+
+    // Consumer groups resume where they committed
+    seen.length = 0;
+    assert.strictEqual(restarted.replay({ group: 'projector', limit: 2 }), 2);
+    assert.strictEqual(restarted.replay({ group: 'projector' }), 1);
+    assert.strictEqual(restarted.replay({ group: 'projector' }), 0);
+    assert.deepStrictEqual(seen, ['p1', 'r1', 'p2']);
+    assert.strictEqual(restarted.replay({ group: 'projector', offset: 1 }), 2);
+
+    assert.throws(() => createEventProtocol().replay(), /replay requires a readable event log/);
+    assert.throws(() => createEventProtocol({ log: {} }), /must implement append/);
+    log.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
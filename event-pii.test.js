@@ -0,0 +1,262 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createEventProtocol } from './event-schema.js';
+import { createPiiInterceptor, decryptPii } from './event-pii.js';
+import { createFileEventLog } from './event-log.js';
+
+const paymentCompleted = {
+  event: { name: 'payment.completed', version: '1.0.0' },
+  schema: {
+    payload: {
+      type: 'object',
+      properties: {
+        payment_id: { type: 'string' },
+        payer: { type: 'object', properties: { email: { type: 'string', 'x-pii': true }, country: { type: 'string' } } },
+        contacts: { type: 'array', items: { type: 'object', properties: { phone: { type: 'string', 'x-pii': true } } } }
+      }
+    }
+  },
+  governance: { policy: { classification: 'pii' } }
+};
+
+const event = {
+  payment_id: 'p1',
+  payer: { email: 'ada@example.com', country: 'DE' },
+  contacts: [{ phone: '+49 30 1234' }, { phone: '+49 40 5678' }]
+};
+
+test('PII fields are redacted, hashed, encrypted or passed through per subscriber clearance', () => {
+  const key = randomBytes(32);
+  const pii = createPiiInterceptor({
+    clearances: { public: 'redact', internal: 'hash', confidential: 'encrypt', pii: 'clear' },
+    key,
+    hashSecret: 'pepper'
+  });
+  const bus = createEventProtocol({ manifests: [paymentCompleted], interceptors: [pii] });
+
+  const seen = {};
+  bus.subscribe('payment.completed', e => { seen.anonymous = e; });
+  bus.subscribe('payment.completed', e => { seen.public = e; }, { name: 'marketing', clearance: 'public' });
+  bus.subscribe('payment.completed', e => { seen.internal = e; }, { name: 'analytics', clearance: 'internal' });
+  bus.subscribe('payment.completed', e => { seen.confidential = e; }, { name: 'support', clearance: 'confidential' });
+  const billing = bus.subscribe('payment.completed', e => { seen.pii = e; }, { name: 'billing', clearance: 'pii' });
+
+  bus.publish('payment.completed', event);
+
+  assert.deepStrictEqual(seen.public, {
+    payment_id: 'p1',
+    payer: { email: '[REDACTED]', country: 'DE' },
+    contacts: [{ phone: '[REDACTED]' }, { phone: '[REDACTED]' }]
+  });
+  assert.deepStrictEqual(seen.anonymous, seen.public, 'no clearance means the lowest one');
+
+  assert.match(seen.internal.payer.email, /^sha256:[0-9a-f]{64}$/);
+  assert.notStrictEqual(seen.internal.contacts[0].phone, seen.internal.contacts[1].phone);
+  assert.strictEqual(seen.internal.payer.country, 'DE');
+
+  assert.match(seen.confidential.payer.email, /^aes-256-gcm:/);
+  assert.strictEqual(decryptPii(seen.confidential.payer.email, key), 'ada@example.com');
+  assert.strictEqual(decryptPii(seen.confidential.contacts[1].phone, key.toString('base64')), '+49 40 5678');
+  assert.throws(() => decryptPii(seen.confidential.payer.email, randomBytes(32)));
+
+  assert.strictEqual(seen.pii, event, 'cleared subscribers get the published event');
+  assert.strictEqual(event.payer.email, 'ada@example.com', 'the published event is never mutated');
+  assert.notStrictEqual(seen.public.payer, event.payer);
+
+  const audit = pii.getAuditLog();
+  assert.strictEqual(audit.length, 1);
+  assert.deepStrictEqual({ ...audit[0], timestamp: undefined }, {
+    timestamp: undefined,
+    type: 'payment.completed',
+    subscriptionId: billing,
+    subscriber: 'billing',
+    clearance: 'pii',
+    fields: ['payer.email', 'contacts[].phone']
+  });
+});
+
+test('PII marked inside composed schemas and open maps is found and never leaks', () => {
+  const customerUpdated = {
+    event: { name: 'customer.updated', version: '1.0.0' },
+    schema: {
+      payload: {
+        allOf: [
+          { type: 'object', properties: { customer_id: { type: 'string' } } },
+          { properties: { profile: { $ref: '#/$defs/profile' } } }
+        ],
+        properties: {
+          contact: {
+            oneOf: [
+              { required: ['email'], properties: { email: { type: 'string', 'x-pii': true } } },
+              { required: ['phone'], properties: { phone: { type: 'string', 'x-pii': true } } }
+            ]
+          },
+          attributes: { type: 'object', additionalProperties: { type: 'string', 'x-pii': true } }
+        },
+        $defs: { profile: { anyOf: [{ properties: { name: { type: 'string', 'x-pii': true } } }] } }
+      }
+    }
+  };
+  const bus = createEventProtocol({ manifests: [customerUpdated], interceptors: [createPiiInterceptor()] });
+  const seen = [];
+  bus.subscribe('customer.updated', (e, envelope) => seen.push([e, envelope.pii]), { clearance: 'public' });
+
+  bus.publish('customer.updated', {
+    customer_id: 'c1',
+    profile: { name: 'Ada' },
+    contact: { email: 'ada@example.com' },
+    attributes: { nickname: 'ada', birthday: '1815-12-10' }
+  });
+
+  assert.deepStrictEqual(seen[0][1], ['contact.email', 'contact.phone', 'attributes.*', 'profile.name']);
+  assert.deepStrictEqual(seen[0][0], {
+    customer_id: 'c1',
+    profile: { name: '[REDACTED]' },
+    contact: { email: '[REDACTED]' },
+    attributes: { nickname: '[REDACTED]', birthday: '[REDACTED]' }
+  });
+});
+
+test('PII interceptor uses explicit field maps, custom clearances and audits only PII actually sent', () => {
+  const entries = [];
+  const pii = createPiiInterceptor({
+    clearances: { guest: 'redact', staff: 'clear' },
+    fields: { 'user.signed_up': ['email'] },
+    redacted: null,
+    onAudit: entry => entries.push(entry)
+  });
+  const bus = createEventProtocol();
+  bus.use(pii);
+
+  const seen = [];
+  bus.subscribe('user.*', e => seen.push(e), { clearance: 'guest' });
+  bus.subscribe('user.signed_up', e => seen.push(e), { name: 'crm', clearance: 'staff' });
+  bus.publish('user.signed_up', { user_id: 'u1', email: 'a@b.co' });
+  bus.publish('user.signed_up', { user_id: 'u2' });
+  bus.publish('user.deleted', { user_id: 'u1', email: 'a@b.co' });
+
+  assert.deepStrictEqual(seen, [
+    { user_id: 'u1', email: 'a@b.co' },
+    { user_id: 'u1', email: null },
+    { user_id: 'u2' },
+    { user_id: 'u2' },
+    { user_id: 'u1', email: 'a@b.co' }
+  ]);
+  assert.deepStrictEqual(entries.map(entry => [entry.subscriber, entry.fields]), [['crm', ['email']]]);
+  pii.clearAuditLog();
+  assert.deepStrictEqual(pii.getAuditLog(), []);
+
+  assert.throws(() => createPiiInterceptor({ clearances: { guest: 'shred' } }), /Unknown PII action "shred"/);
+  assert.throws(() => createPiiInterceptor({ clearances: { guest: 'encrypt' } }), /key must be 32 bytes/);
+  assert.throws(() => createPiiInterceptor({ encryptOnPublish: true }), /key must be 32 bytes/);
+});
+
+test('the default PII interceptor needs no key: public redacts, internal hashes, pii is cleartext', () => {
+  const pii = createPiiInterceptor();
+  assert.strictEqual(pii.onPublish, undefined, 'events are published unchanged by default');
+  const bus = createEventProtocol({ manifests: [paymentCompleted], interceptors: [pii] });
+
+  const seen = {};
+  for (const clearance of ['public', 'internal', 'confidential', 'pii']) {
+    bus.subscribe('payment.completed', e => { seen[clearance] = e; }, { clearance });
+  }
+  bus.publish('payment.completed', event);
+
+  assert.strictEqual(seen.public.payer.email, '[REDACTED]');
+  assert.match(seen.internal.payer.email, /^sha256:[0-9a-f]{64}$/);
+  assert.deepStrictEqual(seen.confidential, seen.public, 'clearances outside the defaults get the lowest one');
+  assert.strictEqual(seen.pii, event);
+
+  const hashEmail = interceptor => interceptor.onDeliver({
+    type: 'payment.completed', event, envelope: { pii: ['payer.email'] }, subscriber: { clearance: 'internal' }
+  }).payer.email;
+  assert.strictEqual(hashEmail(pii), seen.internal.payer.email, 'hashes are stable within an interceptor');
+  assert.notStrictEqual(hashEmail(createPiiInterceptor()), seen.internal.payer.email, 'without hashSecret each interceptor keys its own HMAC');
+  assert.throws(() => createPiiInterceptor({ hashSecret: '' }), /hashSecret must be a non-empty/);
+});
+
+test('encryptOnPublish keeps PII out of the event log in cleartext and decrypts per subscriber', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpms-event-pii-'));
+  try {
+    const key = randomBytes(32);
+    const log = createFileEventLog({ dir });
+    const bus = createEventProtocol({
+      manifests: [paymentCompleted],
+      log,
+      interceptors: [createPiiInterceptor({ key, encryptOnPublish: true, hashSecret: 'pepper' })]
+    });
+    const delivered = bus.subscribe('payment.completed', () => {}, { clearance: 'pii' });
+    bus.publish('payment.completed', event);
+    bus.unsubscribe(delivered);
+
+    const onDisk = fs.readdirSync(dir).map(file => fs.readFileSync(path.join(dir, file), 'utf8')).join('');
+    assert.ok(!onDisk.includes('ada@example.com') && !onDisk.includes('+49 30 1234'), 'no cleartext PII on disk');
+    const [record] = log.read({ offset: 0 });
+    assert.match(record.event.payer.email, /^aes-256-gcm:/);
+    assert.strictEqual(decryptPii(record.event.contacts[0].phone, key), '+49 30 1234');
+    assert.strictEqual(record.event.payer.country, 'DE');
+
+    const seen = {};
+    for (const clearance of ['public', 'internal', 'pii']) {
+      bus.subscribe('payment.completed', e => { seen[clearance] = e; }, { clearance });
+    }
+    assert.strictEqual(bus.replay({ offset: 0 }), 1);
+    assert.deepStrictEqual(seen.pii, event, 'replays decrypt for cleared subscribers');
+    assert.strictEqual(seen.public.payer.email, '[REDACTED]');
+    assert.strictEqual(
+      seen.internal.payer.email,
+      createPiiInterceptor({ hashSecret: 'pepper' }).onDeliver({ type: 'payment.completed', event, envelope: { pii: ['payer.email'] }, subscriber: { clearance: 'internal' } }).payer.email,
+      'hashes match those of an interceptor without encryptOnPublish'
+    );
+    log.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the interceptor chain is extensible and fails closed', () => {
+  const calls = [];
+  const stamp = { name: 'stamp', onPublish: ({ event }) => ({ ...event, stamped: true }) };
+  const guard = {
+    name: 'guard',
+    onPublish: ({ type }) => {
+      if (type === 'forbidden') throw new Error('not allowed');
+    },
+    onDeliver: ({ event, subscriber }) => {
+      calls.push(subscriber.name);
+      if (subscriber.name === 'skipped') return null;
+      if (subscriber.name === 'broken') throw new Error('cannot transform');
+      return { ...event, for: subscriber.name };
+    }
+  };
+  const bus = createEventProtocol({ interceptors: [stamp] });
+  const remove = bus.use(guard);
+
+  const seen = [];
+  for (const name of ['a', 'skipped', 'broken']) {
+    bus.subscribe('order.created', e => seen.push(e), { name });
+  }
+
+  const originalError = console.error;
+  const errors = [];
+  console.error = (...args) => errors.push(args[0]);
+  try {
+    bus.publish('order.created', { id: 1 });
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepStrictEqual(seen, [{ id: 1, stamped: true, for: 'a' }]);
+  assert.deepStrictEqual(calls, ['a', 'skipped', 'broken']);
+  assert.match(errors[0], /Interceptor guard failed for subscriber/);
+  assert.throws(() => bus.publish('forbidden', {}), /not allowed/);
+
+  remove();
+  seen.length = 0;
+  bus.publish('order.created', { id: 2 });
+  assert.deepStrictEqual(seen, [{ id: 2, stamped: true }, { id: 2, stamped: true }, { id: 2, stamped: true }]);
+  assert.throws(() => bus.use({ name: 'empty' }), /Interceptor must implement onPublish/);
+});
@@ -4,14 +4,363 @@
  * Zero dependencies, immutable patterns
  */
 
+import { parseQuery } from './utils.js';
+
+// ==================== Delivery Policy ====================
+
+const RETRY_POLICIES = ['exponential', 'linear', 'none'];
+
+/**
+ * @typedef {Object} DeliveryContract
+ * @property {'exponential'|'linear'|'none'} [retry_policy='none'] - Backoff between retries of a failing subscriber
+ * @property {string} [dlq] - Dead-letter channel for deliveries that exhaust their retries
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxAttempts=3] - Deliveries per subscriber, the first one included
+ * @property {number} [baseDelayMs=100] - Delay before the first retry
+ * @property {number} [maxDelayMs=30000] - Upper bound for a single backoff
+ */
+
+/**
+ * Index delivery contracts by event type, rejecting retry policies the bus cannot honour
+ * @param {Object<string, DeliveryContract>} contracts - Event type -> manifest delivery.contract
+ * @returns {Map<string, DeliveryContract>}
+ */
+function indexContracts(contracts) {
+  const index = new Map();
+  for (const [eventType, contract] of Object.entries(contracts || {})) {
+    const policy = contract?.retry_policy ?? 'none';
+    if (!RETRY_POLICIES.includes(policy)) {
+      throw new Error(`Unknown retry_policy "${policy}" for event type: ${eventType} (expected ${RETRY_POLICIES.join(', ')})`);
+    }
+    index.set(eventType, { retry_policy: policy, ...(contract?.dlq && { dlq: String(contract.dlq) }) });
+  }
+  return index;
+}
+
+/**
+ * Backoff before the next delivery attempt
+ * @param {string} policy - exponential or linear
+ * @param {number} failures - Attempts that have failed so far (>= 1)
+ * @param {Required<RetryOptions>} retry - Retry options
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(policy, failures, retry) {
+  const delay = policy === 'exponential'
+    ? retry.baseDelayMs * 2 ** (failures - 1)
+    : retry.baseDelayMs * failures;
+  return Math.min(delay, retry.maxDelayMs);
+}
+
+// ==================== Subscription Patterns ====================
+
+// Event types are dot-separated segments: '*' matches exactly one, '#' zero or more
+const PATTERN_SEGMENT = /^[*#]$/;
+
+/**
+ * Whether a subscription key is a wildcard pattern rather than an exact event type
+ * @param {string} eventType - Subscription key
+ * @returns {boolean}
+ */
+function isPattern(eventType) {
+  return eventType.includes('*') || eventType.includes('#');
+}
+
+/**
+ * Split a pattern into segments, rejecting wildcards that are not whole segments
+ * @param {string} pattern - e.g. 'payment.*', '*.completed', 'orders.#'
+ * @returns {string[]} Segments
+ */
+function patternSegments(pattern) {
+  const segments = pattern.split('.');
+  for (const segment of segments) {
+    if (!segment || (isPattern(segment) && !PATTERN_SEGMENT.test(segment))) {
+      throw new Error(`Invalid subscription pattern: ${pattern} (wildcards must be whole segments, e.g. payment.*, *.completed, orders.#)`);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Add a pattern to the segment trie
+ * @param {Object} root - Trie node {children: Map, pattern: string|null}
+ * @param {string} pattern - Subscription pattern
+ */
+function addPattern(root, pattern) {
+  let node = root;
+  for (const segment of patternSegments(pattern)) {
+    if (!node.children.has(segment)) {
+      node.children.set(segment, { children: new Map(), pattern: null });
+    }
+    node = node.children.get(segment);
+  }
+  node.pattern = pattern;
+}
+
+/**
+ * Remove a pattern from the segment trie, pruning branches left empty
+ * @param {Object} root - Trie node
+ * @param {string} pattern - Subscription pattern
+ */
+function removePattern(root, pattern) {
+  const path = [root];
+  const segments = pattern.split('.');
+  for (const segment of segments) {
+    const next = path[path.length - 1].children.get(segment);
+    if (!next) return;
+    path.push(next);
+  }
+  path[path.length - 1].pattern = null;
+  for (let i = segments.length; i > 0; i--) {
+    const node = path[i];
+    if (node.pattern || node.children.size) break;
+    path[i - 1].children.delete(segments[i - 1]);
+  }
+}
+
+/**
+ * Collect every pattern matching an event type; cost grows with the segment count, not the pattern count
+ * @param {Object} root - Trie node
+ * @param {string[]} segments - Event type segments
+ * @returns {string[]} Matching patterns
+ */
+function matchPatterns(root, segments) {
+  const matched = new Set();
+  const walk = (node, i) => {
+    const rest = node.children.get('#');
+    if (rest) {
+      for (let j = i; j <= segments.length; j++) walk(rest, j);
+    }
+    if (i === segments.length) {
+      if (node.pattern) matched.add(node.pattern);
+      return;
+    }
+    const exact = node.children.get(segments[i]);
+    if (exact) walk(exact, i + 1);
+    const one = node.children.get('*');
+    if (one) walk(one, i + 1);
+  };
+  walk(root, 0);
+  return [...matched];
+}
+
+/**
+ * Compile subscription content filters ('path:op:value', all must hold) into one predicate
+ * @param {string|string[]|Function} [filter] - Query DSL expression(s) or a predicate
+ * @returns {Function|null} Predicate over the event, or null when unfiltered
+ */
+function compileFilter(filter) {
+  if (filter === undefined || filter === null) return null;
+  if (typeof filter === 'function') return filter;
+  const checks = (Array.isArray(filter) ? filter : [filter]).map(expr => parseQuery(expr));
+  return checks.length === 1 ? checks[0] : event => checks.every(check => check(event));
+}
+
+// ==================== Manifest Binding ====================
+
+/**
+ * JSON Schema for an event manifest's payload: schema.payload as is, else built from schema.fields
+ * @param {Object} manifest - Event manifest
+ * @returns {Object|null} Schema, or null when the manifest declares a custom format without fields
+ */
+function manifestPayloadSchema(manifest) {
+  if (manifest.schema?.payload && manifest.schema.format !== 'custom') {
+    return manifest.schema.payload;
+  }
+  if (!Array.isArray(manifest.schema?.fields)) {
+    return null;
+  }
+  const fields = manifest.schema.fields;
+  const properties = Object.fromEntries(fields.map(f => [f.name, {
+    ...(f.type && { type: f.type }),
+    ...(f.pii && { 'x-pii': true })
+  }]));
+  const required = fields.filter(f => f.required).map(f => f.name);
+  return { type: 'object', properties, ...(required.length && { required }) };
+}
+
+/**
+ * Dot paths of the fields a payload schema marks as PII (x-pii or pii); arrays add [] to the path.
+ * Subschemas under allOf/anyOf/oneOf/if/then/else/dependentSchemas share their parent's path, and
+ * additionalProperties/patternProperties add * (every key), so marked fields can't slip past the walk.
+ * @param {Object} schema - Payload schema
+ * @returns {string[]}
+ */
+function piiPaths(schema) {
+  const paths = [];
+  const resolve = node => {
+    const ref = node?.$ref;
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return node;
+    return ref.slice(2).split('/').reduce((at, key) => at?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], schema);
+  };
+  const walk = (node, path, seen) => {
+    node = resolve(node);
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    if (path && (node['x-pii'] || node.pii === true)) {
+      paths.push(path);
+      return;
+    }
+    seen.add(node);
+    const each = `${path}[]`;
+    const any = path ? `${path}.*` : '*';
+    for (const [name, child] of Object.entries(node.properties || {})) {
+      walk(child, path ? `${path}.${name}` : name, seen);
+    }
+    for (const child of Object.values(node.patternProperties || {})) {
+      walk(child, any, seen);
+    }
+    walk(node.additionalProperties, any, seen);
+    for (const child of [node.items, node.prefixItems, node.additionalItems].flat()) {
+      walk(child, each, seen);
+    }
+    for (const child of [node.allOf, node.anyOf, node.oneOf, node.if, node.then, node.else, Object.values(node.dependentSchemas || {})].flat()) {
+      walk(child, path, seen);
+    }
+    seen.delete(node);
+  };
+  walk(schema, '', new Set());
+  return [...new Set(paths)];
+}
+
+/**
+ * Schema compiler for a feature that validates, or a pointer to where one comes from
+ * @param {Function|null} compileSchema - (schema) => (value) => {valid, errors}
+ * @param {string} feature - What needs it, for the error message
+ * @returns {Function}
+ */
+function requireCompiler(compileSchema, feature) {
+  if (typeof compileSchema !== 'function') {
+    throw new Error(`${feature} needs a JSON Schema compiler: create the bus with createEventProtocol from @cpms/event/schema, or pass config.compileSchema`);
+  }
+  return compileSchema;
+}
+
+/**
+ * Top-level required fields and property types; what eventSchema enforces without a compiler
+ * @param {Object} schema - Event schema
+ * @param {Object} event - Event to check
+ * @returns {string[]} Errors
+ */
+function basicSchemaErrors(schema, event) {
+  const errors = [];
+  const missing = fieldName => !(fieldName in event) || event[fieldName] === undefined || event[fieldName] === null;
+
+  // Check required fields from schema.required array (JSON Schema format)
+  if (Array.isArray(schema.required)) {
+    for (const fieldName of schema.required) {
+      if (missing(fieldName)) {
+        errors.push(`Missing required field: ${fieldName}`);
+      }
+    }
+  }
+
+  // Check field types and property-level required flags
+  for (const [fieldName, fieldDef] of Object.entries(schema.properties || {})) {
+    if (fieldDef.required === true && missing(fieldName)) {
+      errors.push(`Missing required field: ${fieldName}`);
+    }
+    if (missing(fieldName) || !fieldDef.type) continue;
+    const actualType = typeof event[fieldName];
+    if (actualType !== fieldDef.type && !(fieldDef.type === 'array' && Array.isArray(event[fieldName]))) {
+      errors.push(`Field ${fieldName} has wrong type: expected ${fieldDef.type}, got ${actualType}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Bind event manifests (raw, protocol instances or a catalog) by event name
+ * @param {Array|Object} manifests - Manifests, protocols exposing manifest(), or a catalog exposing items
+ * @param {Function|null} compileSchema - Compiles payload schemas; required once a manifest declares one
+ * @returns {Map<string, Object>} eventType -> {manifest, check, deprecated, envelope}
+ */
+function bindManifests(manifests, compileSchema) {
+  const bindings = new Map();
+  const items = Array.isArray(manifests) ? manifests : (manifests?.items || []);
+  for (const item of items) {
+    const manifest = typeof item?.manifest === 'function' ? item.manifest() : item;
+    const eventType = manifest?.event?.name;
+    if (!eventType) {
+      throw new Error('Bound event manifests must declare event.name');
+    }
+    if (bindings.has(eventType)) {
+      throw new Error(`Duplicate manifest for event type: ${eventType}`);
+    }
+
+    const schema = manifestPayloadSchema(manifest);
+    let check = null;
+    if (schema) {
+      const compile = requireCompiler(compileSchema, 'Binding manifests');
+      try {
+        check = compile(schema);
+      } catch (error) {
+        throw new Error(`Invalid payload schema for event type ${eventType}: ${error.message}`);
+      }
+    }
+
+    const policy = manifest.governance?.policy || {};
+    const lifecycle = manifest.event.lifecycle || {};
+    bindings.set(eventType, {
+      manifest,
+      check,
+      deprecated: lifecycle.status === 'deprecated',
+      sunsetAt: lifecycle.sunset_at,
+      contract: manifest.delivery?.contract,
+      // Shared by every delivery of this type, so it is built (and frozen) once
+      envelope: Object.freeze({
+        type: eventType,
+        ...(manifest.event.version && { version: manifest.event.version }),
+        ...(policy.classification && { classification: policy.classification }),
+        ...(policy.legal_basis && { legalBasis: policy.legal_basis }),
+        pii: Object.freeze(schema ? piiPaths(schema) : [])
+      })
+    });
+  }
+  return bindings;
+}
+
+// ==================== Interceptors ====================
+
+/**
+ * @typedef {Object} EventInterceptor
+ * @property {string} [name] - Name used in error messages
+ * @property {Function} [onPublish] - ({type, event, envelope}) => replacement event or undefined; throw to reject the publish
+ * @property {Function} [onDeliver] - ({type, event, envelope, subscriber}) => event for this subscriber,
+ *   undefined to keep it, or null to skip the subscriber; subscriber is {id, name, clearance}
+ */
+
+/**
+ * Check an interceptor's shape before it joins the chain
+ * @param {EventInterceptor} interceptor - Interceptor to check
+ * @returns {EventInterceptor}
+ */
+function checkInterceptor(interceptor) {
+  const hooks = ['onPublish', 'onDeliver'];
+  if (!interceptor || typeof interceptor !== 'object' || !hooks.some(hook => typeof interceptor[hook] === 'function')) {
+    throw new Error('Interceptor must implement onPublish(context) and/or onDeliver(context)');
+  }
+  return interceptor;
+}
+
 // ==================== Configuration & State Management ====================
 
 /**
  * @typedef {Object} EventProtocolConfig
  * @property {number} [maxListeners=100] - Maximum listeners per event type
  * @property {boolean} [validateEvents=false] - Enable event validation
- * @property {Object} [eventSchema=null] - JSON schema for event validation
+ * @property {Object} [eventSchema=null] - JSON Schema (draft 2020-12) every published event must satisfy
  * @property {boolean} [enableStats=true] - Enable statistics tracking
+ * @property {Object<string, DeliveryContract>} [contracts={}] - Failure policy per event type, usually the event manifest's delivery.contract
+ * @property {RetryOptions} [retry] - Attempt budget and backoff bounds for retried deliveries
+ * @property {{append:Function}} [log=null] - Durable log every published event is appended to first (see createFileEventLog in @cpms/event/log)
+ * @property {Array|Object} [manifests] - Event manifests (or protocols, or a catalog) whose payload schema, lifecycle, delivery contract and governance the bus enforces
+ * @property {boolean} [strict=false] - Reject publishing event types that have no bound manifest
+ * @property {EventInterceptor[]} [interceptors=[]] - Publish/deliver middleware, run in order (see use())
+ * @property {Function} [compileSchema=null] - JSON Schema compiler for eventSchema and bound manifests;
+ *   @cpms/event/schema supplies compileJsonSchema, so buses that validate nothing don't bundle it.
+ *   Without one, eventSchema checks only top-level required fields and property types
  */
 
 /**
@@ -24,16 +373,49 @@ function createEventProtocol(config = {}) {
     maxListeners = 100,
     validateEvents = false,
     eventSchema = null,
-    enableStats = true
+    enableStats = true,
+    contracts = {},
+    log = null,
+    manifests = [],
+    strict = false,
+    interceptors = [],
+    compileSchema = null
   } = config;
+  const retry = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 30000, ...config.retry };
+  // Event types remembered per pattern set; dropped whenever a pattern is added or removed
+  const MATCH_CACHE_LIMIT = 1000;
+
+  if (log && typeof log.append !== 'function') {
+    throw new Error('Event log adapter must implement append(eventType, event)');
+  }
+
+  // Compiled once so publish pays only for the check itself; throws on an unresolvable $ref
+  const checkEventSchema = validateEvents && eventSchema && compileSchema ? compileSchema(eventSchema) : null;
+
+  const bindings = bindManifests(manifests, compileSchema);
+  const boundContracts = Object.fromEntries([...bindings].filter(([, b]) => b.contract).map(([type, b]) => [type, b.contract]));
 
   // Internal state (not exposed directly)
   const state = {
-    subscribers: new Map(), // eventType -> Map(subscriptionId -> callback)
+    subscribers: new Map(), // eventType -> Map(subscriptionId -> subscription)
+    patterns: new Map(), // pattern -> Map(subscriptionId -> subscription)
+    patternTrie: { children: new Map(), pattern: null },
+    matchCache: new Map(), // eventType -> pattern subscriber maps that match it
+    subscriptions: new Map(), // subscriptionId -> {key, callback, filter}
+    contracts: indexContracts({ ...boundContracts, ...contracts }), // explicit contracts override the manifests'
+    warnedDeprecated: new Set(),
+    interceptors: interceptors.map(checkInterceptor),
+    deadLetters: new Map(), // dlq -> dead-letter entries, oldest first
+    deadLetterSeq: 0,
+    pending: 0, // in-flight async handlers and scheduled retries
+    idle: [], // drain() resolvers waiting for pending to reach 0
     stats: {
       totalEventsPublished: 0,
       totalSubscribers: 0,
-      eventTypes: new Map() // eventType -> subscriberCount
+      totalRetries: 0,
+      eventTypes: new Map(), // eventType -> subscriberCount
+      patterns: new Map(), // pattern -> subscriberCount
+      failures: new Map() // eventType -> failed handler attempts
     }
   };
 
@@ -50,6 +432,11 @@ function createEventProtocol(config = {}) {
       throw new Error('Event type must be a non-empty string');
     }
 
+    // Publish interceptors may enrich or reject the event before it is validated
+    if (state.interceptors.length) {
+      event = interceptPublish(eventType, event);
+    }
+
     // Validate event if enabled
     if (validateEvents && eventSchema) {
       const validationResult = validateEvent(event);
@@ -58,36 +445,394 @@ function createEventProtocol(config = {}) {
       }
     }
 
-    // Get subscribers for this event type
+    // Manifest contract: payload schema, catalog membership and lifecycle
+    const binding = bindings.size ? bindings.get(eventType) : undefined;
+    if (binding) {
+      checkBinding(eventType, event, binding);
+    } else if (strict) {
+      throw new Error(`Unknown event type: ${eventType} (strict mode only accepts event types with a bound manifest)`);
+    }
+
+    // Durable first: an event that cannot be logged is not delivered
+    if (log) {
+      log.append(eventType, event);
+    }
+
+    deliverAll(eventType, event);
+
+    // Update statistics
+    if (enableStats) {
+      state.stats.totalEventsPublished++;
+    }
+  }
+
+  /**
+   * Run the onPublish chain
+   * @param {string} eventType - Event type
+   * @param {Object} event - Event data
+   * @returns {Object} The event after every interceptor
+   */
+  function interceptPublish(eventType, event) {
+    const envelope = bindings.get(eventType)?.envelope;
+    for (const interceptor of state.interceptors) {
+      if (!interceptor.onPublish) continue;
+      const next = interceptor.onPublish({ type: eventType, event, envelope });
+      if (next !== undefined) {
+        event = next;
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Run the onDeliver chain for one subscriber. An interceptor that throws skips the
+   * subscriber, so a failing redaction never leaks the original event.
+   * @param {string} eventType - Event type
+   * @param {Object} event - Event data
+   * @param {string} subId - Subscription ID
+   * @param {Object} subscription - Subscription record
+   * @returns {Object|null} Event for this subscriber, or null to skip it
+   */
+  function interceptDelivery(eventType, event, subId, subscription) {
+    const envelope = bindings.get(eventType)?.envelope;
+    for (const interceptor of state.interceptors) {
+      if (!interceptor.onDeliver) continue;
+      let next;
+      try {
+        next = interceptor.onDeliver({ type: eventType, event, envelope, subscriber: subscription.subscriber });
+      } catch (error) {
+        console.error(`Interceptor ${interceptor.name || 'onDeliver'} failed for subscriber ${subId}:`, error);
+        return null;
+      }
+      if (next === null) {
+        return null;
+      }
+      if (next !== undefined) {
+        event = next;
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Append an interceptor to the chain; it sees every later publish and delivery
+   * @param {EventInterceptor} interceptor - Interceptor to add
+   * @returns {Function} Removes the interceptor again
+   */
+  function use(interceptor) {
+    state.interceptors.push(checkInterceptor(interceptor));
+    return () => {
+      const index = state.interceptors.indexOf(interceptor);
+      if (index >= 0) {
+        state.interceptors.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Validate an event against its bound manifest and warn (once per type) about deprecated events
+   * @param {string} eventType - Event type
+   * @param {Object} event - Event data
+   * @param {Object} binding - Manifest binding
+   * @throws {Error} If the payload does not satisfy the manifest schema
+   */
+  function checkBinding(eventType, event, binding) {
+    if (binding.check) {
+      const { errors } = binding.check(event);
+      if (errors.length) {
+        throw new Error(`Event validation failed for ${eventType}: ${errors.map(({ path, msg }) => `${path || 'event'} ${msg}`).join(', ')}`);
+      }
+    }
+    if (binding.deprecated && !state.warnedDeprecated.has(eventType)) {
+      state.warnedDeprecated.add(eventType);
+      console.warn(`Deprecated event published: ${eventType}${binding.sunsetAt ? ` (sunset ${binding.sunsetAt})` : ''}`);
+    }
+  }
+
+  /**
+   * Deliver logged events again to the current subscribers (requires a log adapter)
+   * @param {Object} [options] - Replay range
+   * @param {number} [options.offset] - First offset to replay
+   * @param {number|string|Date} [options.since] - Replay events logged at or after this time
+   * @param {string} [options.group] - Consumer group: resume from its committed position and commit what was replayed
+   * @param {number} [options.limit] - Maximum number of events
+   * @returns {number} Number of events replayed
+   */
+  function replay(options = {}) {
+    if (!log || typeof log.read !== 'function') {
+      throw new Error('replay requires a readable event log (createEventProtocol({ log }))');
+    }
+
+    const { group, offset, since, limit } = options;
+    let records;
+    if (group) {
+      if (offset !== undefined || since !== undefined) {
+        log.seek(group, { offset, since });
+      }
+      records = log.poll(group, { limit });
+    } else {
+      records = log.read({ offset, since, limit });
+    }
+
+    for (const record of records) {
+      deliverAll(record.type, record.event);
+    }
+    if (group && records.length) {
+      log.commit(group, records[records.length - 1].offset);
+    }
+    return records.length;
+  }
+
+  /**
+   * Deliver an event to exact subscribers first, then pattern subscribers;
+   * a failing one never breaks the others
+   * @param {string} eventType - Event type being delivered
+   * @param {Object} event - Event data
+   */
+  function deliverAll(eventType, event) {
     const subscribers = state.subscribers.get(eventType);
     if (subscribers) {
-      // Call each subscriber
-      for (const [subId, callback] of subscribers.entries()) {
-        try {
-          callback(event);
-        } catch (error) {
-          // Subscriber error should not break other subscribers
-          console.error(`Error in subscriber ${subId}:`, error);
+      dispatch(eventType, event, subscribers);
+    }
+    if (state.patterns.size) {
+      for (const matched of patternSubscribers(eventType)) {
+        dispatch(eventType, event, matched);
+      }
+    }
+  }
+
+  /**
+   * Deliver an event to every subscription in a registry whose filter accepts it
+   * @param {string} eventType - Event type being delivered
+   * @param {Object} event - Event data
+   * @param {Map<string, Object>} subscribers - subscriptionId -> subscription
+   */
+  function dispatch(eventType, event, subscribers) {
+    for (const [subId, subscription] of subscribers) {
+      if (subscription.filter && !matchesFilter(subscription, event)) continue;
+      if (state.interceptors.length) {
+        // Retries and dead letters keep the intercepted event, never the original
+        const intercepted = interceptDelivery(eventType, event, subId, subscription);
+        if (intercepted !== null) {
+          deliver(eventType, intercepted, subId, subscription.callback, 1);
         }
+        continue;
       }
+      deliver(eventType, event, subId, subscription.callback, 1);
     }
+  }
 
-    // Update statistics
+  /**
+   * Evaluate a content filter; a filter that throws rejects the event
+   */
+  function matchesFilter(subscription, event) {
+    try {
+      return Boolean(subscription.filter(event));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Pattern subscriber maps matching an event type, cached per type
+   * @param {string} eventType - Published event type
+   * @returns {Map<string, Object>[]}
+   */
+  function patternSubscribers(eventType) {
+    let matched = state.matchCache.get(eventType);
+    if (!matched) {
+      matched = matchPatterns(state.patternTrie, eventType.split('.')).map(pattern => state.patterns.get(pattern));
+      if (state.matchCache.size >= MATCH_CACHE_LIMIT) {
+        state.matchCache.clear();
+      }
+      state.matchCache.set(eventType, matched);
+    }
+    return matched;
+  }
+
+  // ==================== Delivery & Retries ====================
+
+  /**
+   * Call one subscriber, routing a thrown error or rejected promise to the failure policy
+   * @param {string} eventType - Event type being delivered
+   * @param {Object} event - Event data
+   * @param {string} subId - Subscription ID
+   * @param {Function} callback - Subscriber callback
+   * @param {number} attempt - Attempt number, starting at 1
+   */
+  function deliver(eventType, event, subId, callback, attempt) {
+    let result;
+    try {
+      result = callback(event, bindings.size ? bindings.get(eventType)?.envelope : undefined);
+    } catch (error) {
+      handleFailure(eventType, event, subId, attempt, error);
+      return;
+    }
+    if (result && typeof result.then === 'function') {
+      state.pending++;
+      Promise.resolve(result).then(
+        settle,
+        error => {
+          handleFailure(eventType, event, subId, attempt, error);
+          settle();
+        }
+      );
+    }
+  }
+
+  /**
+   * Retry, dead-letter or log a failed delivery according to the event type's contract
+   */
+  function handleFailure(eventType, event, subId, attempt, error) {
     if (enableStats) {
-      state.stats.totalEventsPublished++;
+      state.stats.failures.set(eventType, (state.stats.failures.get(eventType) || 0) + 1);
+    }
+
+    const contract = state.contracts.get(eventType);
+    const policy = contract?.retry_policy ?? 'none';
+    if (policy !== 'none' && attempt < retry.maxAttempts) {
+      state.pending++;
+      if (enableStats) {
+        state.stats.totalRetries++;
+      }
+      setTimeout(() => {
+        // A subscriber that unsubscribed in the meantime is not retried
+        const subscription = state.subscriptions.get(subId);
+        if (subscription) {
+          deliver(eventType, event, subId, subscription.callback, attempt + 1);
+        }
+        settle();
+      }, retryDelay(policy, attempt, retry));
+      return;
     }
+
+    if (contract?.dlq) {
+      if (!state.deadLetters.has(contract.dlq)) {
+        state.deadLetters.set(contract.dlq, []);
+      }
+      state.deadLetters.get(contract.dlq).push(Object.freeze({
+        id: `${contract.dlq}-${++state.deadLetterSeq}`,
+        eventType,
+        event,
+        subscriptionId: subId,
+        attempts: attempt,
+        error: error instanceof Error ? error.message : String(error),
+        failedAt: new Date().toISOString()
+      }));
+      return;
+    }
+
+    console.error(`Error in subscriber ${subId}:`, error);
+  }
+
+  /**
+   * Mark one async delivery or retry as finished and wake drain() callers once idle
+   */
+  function settle() {
+    state.pending--;
+    if (state.pending === 0) {
+      const idle = state.idle;
+      state.idle = [];
+      idle.forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Wait until every async handler has settled and no retry is scheduled
+   * @returns {Promise<void>}
+   */
+  function drain() {
+    if (state.pending === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => state.idle.push(resolve));
+  }
+
+  // ==================== Dead Letters ====================
+
+  /**
+   * List the deliveries parked on a dead-letter channel, oldest first
+   * @param {string} dlq - Dead-letter channel name (delivery.contract.dlq)
+   * @returns {Object[]} Frozen entries {id, eventType, event, subscriptionId, attempts, error, failedAt}
+   */
+  function getDeadLetters(dlq) {
+    return [...(state.deadLetters.get(dlq) || [])];
+  }
+
+  /**
+   * Remove entries from a dead-letter channel
+   * @param {string} dlq - Dead-letter channel name
+   * @param {string[]} [ids] - Entries to remove; all of them when omitted
+   * @returns {Object[]} The removed entries
+   */
+  function takeDeadLetters(dlq, ids) {
+    const entries = state.deadLetters.get(dlq) || [];
+    const wanted = ids ? new Set(ids) : null;
+    const taken = [];
+    const left = [];
+    for (const entry of entries) {
+      (!wanted || wanted.has(entry.id) ? taken : left).push(entry);
+    }
+    if (left.length) {
+      state.deadLetters.set(dlq, left);
+    } else {
+      state.deadLetters.delete(dlq);
+    }
+    return taken;
+  }
+
+  /**
+   * Deliver dead-lettered events again to the subscriber that failed them, with a fresh retry budget.
+   * Entries whose subscriber has unsubscribed stay on the channel.
+   * @param {string} dlq - Dead-letter channel name
+   * @param {string[]} [ids] - Entries to redrive; all of them when omitted
+   * @returns {{redriven:number, skipped:number}}
+   */
+  function redriveDeadLetters(dlq, ids) {
+    const entries = takeDeadLetters(dlq, ids);
+    const orphans = [];
+    let redriven = 0;
+    for (const entry of entries) {
+      const subscription = state.subscriptions.get(entry.subscriptionId);
+      if (subscription) {
+        redriven++;
+        deliver(entry.eventType, entry.event, entry.subscriptionId, subscription.callback, 1);
+      } else {
+        orphans.push(entry);
+      }
+    }
+    if (orphans.length) {
+      // Put orphans back ahead of anything dead-lettered during the redrive
+      state.deadLetters.set(dlq, [...orphans, ...(state.deadLetters.get(dlq) || [])]);
+    }
+    return { redriven, skipped: orphans.length };
+  }
+
+  /**
+   * Drop entries from a dead-letter channel
+   * @param {string} dlq - Dead-letter channel name
+   * @param {string[]} [ids] - Entries to drop; all of them when omitted
+   * @returns {number} Number of entries dropped
+   */
+  function purgeDeadLetters(dlq, ids) {
+    return takeDeadLetters(dlq, ids).length;
   }
 
   // ==================== Event Subscription ====================
 
   /**
-   * Subscribe to events of a specific type
-   * @param {string} eventType - Type of events to subscribe to
-   * @param {Function} callback - Callback function to handle events
+   * Subscribe to events of a specific type or matching a pattern
+   * @param {string} eventType - Event type, or a pattern with '*' (one segment) / '#' (zero or more segments)
+   * @param {Function} callback - Callback function to handle events; called as (event, envelope), where envelope
+   *   ({type, version, classification, legalBasis, pii}) is set for event types with a bound manifest
+   * @param {Object} [options] - Subscription options
+   * @param {string|string[]|Function} [options.filter] - Content filter in the query DSL ('amount:>:1000'); arrays must all match
+   * @param {string} [options.name] - Subscriber name shown to interceptors (e.g. in PII audit entries)
+   * @param {string} [options.clearance] - Data clearance interceptors use to decide what this subscriber may see
    * @returns {string} Subscription ID for unsubscribe
-   * @throws {Error} If max listeners exceeded
+   * @throws {Error} If max listeners exceeded, or the pattern or filter is invalid
    */
-  function subscribe(eventType, callback) {
+  function subscribe(eventType, callback, options = {}) {
     if (typeof eventType !== 'string' || !eventType) {
       throw new Error('Event type must be a non-empty string');
     }
@@ -95,28 +840,43 @@ function createEventProtocol(config = {}) {
       throw new Error('Callback must be a function');
     }
 
-    // Initialize subscribers map for this event type if needed
-    if (!state.subscribers.has(eventType)) {
-      state.subscribers.set(eventType, new Map());
-    }
-
-    const subscribers = state.subscribers.get(eventType);
+    const pattern = isPattern(eventType);
+    const registry = pattern ? state.patterns : state.subscribers;
+    const filter = compileFilter(options.filter);
 
-    // Check max listeners limit
-    if (subscribers.size >= maxListeners) {
+    // Check max listeners limit; a pattern counts as its own channel
+    const existing = registry.get(eventType);
+    if (existing && existing.size >= maxListeners) {
       throw new Error(`max listeners (${maxListeners}) exceeded for event type: ${eventType}`);
     }
 
+    // Initialize subscribers map for this event type (or pattern) if needed
+    if (!existing) {
+      if (pattern) {
+        addPattern(state.patternTrie, eventType);
+        state.matchCache.clear();
+      }
+      registry.set(eventType, new Map());
+    }
+
     // Generate unique subscription ID
     const subId = `${eventType}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
+
     // Add subscriber
-    subscribers.set(subId, callback);
+    const subscriber = Object.freeze({
+      id: subId,
+      ...(options.name && { name: String(options.name) }),
+      ...(options.clearance && { clearance: String(options.clearance) })
+    });
+    const subscription = { key: eventType, callback, filter, subscriber };
+    registry.get(eventType).set(subId, subscription);
+    state.subscriptions.set(subId, subscription);
 
     // Update statistics
     if (enableStats) {
+      const counts = pattern ? state.stats.patterns : state.stats.eventTypes;
       state.stats.totalSubscribers++;
-      state.stats.eventTypes.set(eventType, (state.stats.eventTypes.get(eventType) || 0) + 1);
+      counts.set(eventType, (counts.get(eventType) || 0) + 1);
     }
 
     return subId;
@@ -133,26 +893,34 @@ function createEventProtocol(config = {}) {
       return; // Silently ignore invalid subscription IDs
     }
 
-    // Find and remove the subscription
-    for (const [eventType, subscribers] of state.subscribers.entries()) {
-      if (subscribers.has(subscriptionId)) {
-        subscribers.delete(subscriptionId);
-        
-        // Update statistics
-        if (enableStats) {
-          state.stats.totalSubscribers--;
-          const count = state.stats.eventTypes.get(eventType) || 0;
-          if (count > 0) {
-            state.stats.eventTypes.set(eventType, count - 1);
-          }
-        }
+    const subscription = state.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      return;
+    }
 
-        // Clean up empty subscriber maps
-        if (subscribers.size === 0) {
-          state.subscribers.delete(eventType);
-        }
-        
-        return;
+    const eventType = subscription.key;
+    const pattern = isPattern(eventType);
+    const registry = pattern ? state.patterns : state.subscribers;
+    const subscribers = registry.get(eventType);
+    subscribers.delete(subscriptionId);
+    state.subscriptions.delete(subscriptionId);
+
+    // Update statistics
+    if (enableStats) {
+      const counts = pattern ? state.stats.patterns : state.stats.eventTypes;
+      state.stats.totalSubscribers--;
+      const count = counts.get(eventType) || 0;
+      if (count > 0) {
+        counts.set(eventType, count - 1);
+      }
+    }
+
+    // Clean up empty subscriber maps
+    if (subscribers.size === 0) {
+      registry.delete(eventType);
+      if (pattern) {
+        removePattern(state.patternTrie, eventType);
+        state.matchCache.clear();
       }
     }
   }
@@ -214,39 +982,13 @@ function createEventProtocol(config = {}) {
       }
     }
 
-    // Check required fields from schema.required array (JSON Schema format)
-    if (eventSchema.required && Array.isArray(eventSchema.required)) {
-      for (const fieldName of eventSchema.required) {
-        if (!(fieldName in event) || event[fieldName] === undefined || event[fieldName] === null) {
-          errors.push(`Missing required field: ${fieldName}`);
-        }
-      }
-    }
-
-    // Check field types and property-level required flags
-    if (eventSchema.properties) {
-      for (const [fieldName, fieldDef] of Object.entries(eventSchema.properties)) {
-        // Check property-level required flag (for backward compatibility with test schema)
-        if (fieldDef.required === true) {
-          if (!(fieldName in event) || event[fieldName] === undefined || event[fieldName] === null) {
-            errors.push(`Missing required field: ${fieldName}`);
-          }
-        }
-        
-        // Check field types (only if field exists and has a value)
-        if (fieldName in event && event[fieldName] !== undefined && event[fieldName] !== null) {
-          const actualType = typeof event[fieldName];
-          const expectedType = fieldDef.type;
-          
-          if (expectedType && actualType !== expectedType) {
-            // Special case for arrays
-            if (expectedType === 'array' && Array.isArray(event[fieldName])) {
-              continue;
-            }
-            errors.push(`Field ${fieldName} has wrong type: expected ${expectedType}, got ${actualType}`);
-          }
-        }
+    if (checkEventSchema) {
+      // JSON Schema keywords: type, required, properties, enum, pattern, format, $ref, ...
+      for (const { path, msg } of checkEventSchema(event).errors) {
+        errors.push(`${path || 'event'} ${msg}`);
       }
+    } else {
+      errors.push(...basicSchemaErrors(eventSchema, event));
     }
 
     // Additional security: Check for prototype pollution in nested objects
@@ -285,7 +1027,8 @@ function createEventProtocol(config = {}) {
   /**
    * Validate the event schema
    * @param {Object} schema - Schema to validate
-   * @returns {Object} Validation result {valid: boolean, errors: string[]}
+   * @returns {Object} Validation result {valid: boolean, errors: string[], warnings?: string[]};
+   *   warnings says what went unchecked without a compiler
    */
   function validateSchema(schema) {
     const errors = [];
@@ -303,6 +1046,22 @@ function createEventProtocol(config = {}) {
       errors.push('Schema properties must be an object');
     }
 
+    // Keywords and $refs are checked only when a compiler is available
+    if (errors.length === 0 && !compileSchema) {
+      return {
+        valid: true,
+        errors,
+        warnings: ['JSON Schema keywords and $refs were not checked: no compiler (use @cpms/event/schema or pass config.compileSchema)']
+      };
+    }
+    if (errors.length === 0) {
+      try {
+        compileSchema(schema);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -324,6 +1083,11 @@ function createEventProtocol(config = {}) {
       totalEventsPublished: state.stats.totalEventsPublished,
       totalSubscribers: state.stats.totalSubscribers,
       eventTypes: Object.fromEntries(state.stats.eventTypes.entries()),
+      patterns: Object.fromEntries(state.stats.patterns.entries()),
+      failures: Object.fromEntries(state.stats.failures.entries()),
+      totalRetries: state.stats.totalRetries,
+      pendingDeliveries: state.pending,
+      deadLetters: Object.fromEntries([...state.deadLetters].map(([dlq, entries]) => [dlq, entries.length])),
       maxListeners,
       validateEvents,
       statsEnabled: true
@@ -334,11 +1098,17 @@ function createEventProtocol(config = {}) {
 
   return Object.freeze({
     publish,
+    replay,
+    use,
     subscribe,
     unsubscribe,
     validateEvent,
     validateSchema,
-    getStats
+    getStats,
+    drain,
+    getDeadLetters,
+    redriveDeadLetters,
+    purgeDeadLetters
   });
 }
 
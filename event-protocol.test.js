@@ -4,6 +4,7 @@
  */
 
 import { createEventProtocol } from './event-protocol.js';
+import { createEventProtocol as createSchemaProtocol } from './event-schema.js';
 
 // Test utilities
 function assert(condition, message) {
@@ -324,6 +325,89 @@ test('validateEvent: handles null and undefined', () => {
   assert(result2.valid === false, 'Should reject undefined event');
 });
 
+test('validateEvent: main entry checks required fields and types without a compiler', () => {
+  const protocol = createEventProtocol({ validateEvents: true, eventSchema: validEventSchema });
+  assertDeepEqual(protocol.validateEvent(sampleEvent), { valid: true, errors: [] }, 'Should accept a conforming event');
+  assertDeepEqual(protocol.validateEvent({ eventId: 'evt-123', timestamp: 'soon' }).errors, [
+    'Field timestamp has wrong type: expected number, got string',
+    'Missing required field: source'
+  ], 'Should report missing fields and wrong types');
+
+  let message = '';
+  try {
+    protocol.publish('order.paid', { eventId: 'evt-123', timestamp: Date.now() });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Event validation failed: Missing required field: source', 'publish should reject with the basic check');
+
+  const schemaCheck = protocol.validateSchema({ type: 'object', properties: { data: { $ref: '#/$defs/missing' } } });
+  assert(schemaCheck.valid === true, 'Structure alone is valid');
+  assertContains(schemaCheck.warnings.join(), 'were not checked', 'Should say that keywords went unchecked');
+});
+
+test('validateEvent: enforces JSON Schema keywords on nested payloads', () => {
+  const protocol = createSchemaProtocol({
+    validateEvents: true,
+    eventSchema: {
+      type: 'object',
+      required: ['eventId', 'payload'],
+      properties: {
+        eventId: { type: 'string', format: 'uuid' },
+        payload: {
+          type: 'object',
+          required: ['status', 'lines'],
+          properties: {
+            status: { enum: ['paid', 'refunded'] },
+            lines: { type: 'array', minItems: 1, items: { $ref: '#/$defs/line' } }
+          },
+          additionalProperties: false
+        }
+      },
+      $defs: {
+        line: { type: 'object', required: ['sku'], properties: { sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' } } }
+      }
+    }
+  });
+
+  const valid = protocol.validateEvent({
+    eventId: '3f2b8a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b',
+    payload: { status: 'paid', lines: [{ sku: 'ABC-1' }] }
+  });
+  assertDeepEqual(valid, { valid: true, errors: [] }, 'Should accept a conforming event');
+
+  const invalid = protocol.validateEvent({
+    eventId: 'evt-123',
+    payload: { status: 'lost', lines: [{ sku: 'abc' }], note: 'x' }
+  });
+  assertDeepEqual(invalid.errors, [
+    'eventId must be a valid uuid',
+    'payload.status must be one of "paid", "refunded"',
+    'payload.lines[0].sku must match ^[A-Z]{3}-\\d+$',
+    'payload.note is not allowed'
+  ], 'Should report every violation with its path');
+
+  let message = '';
+  try {
+    protocol.publish('order.paid', { eventId: '3f2b8a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b' });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Event validation failed: payload is required', 'publish should reject with the schema error');
+});
+
+test('validateEvent: broken $ref is rejected when the protocol is created', () => {
+  const broken = { type: 'object', properties: { data: { $ref: '#/$defs/missing' } } };
+  let message = '';
+  try {
+    createSchemaProtocol({ validateEvents: true, eventSchema: broken });
+  } catch (error) {
+    message = error.message;
+  }
+  assertContains(message, 'Unresolvable $ref', 'Should fail fast on an unresolvable $ref');
+  assertContains(createSchemaProtocol().validateSchema(broken).errors.join(), 'Unresolvable $ref', 'validateSchema should flag it too');
+});
+
 // ==================== Schema Validation Tests ====================
 
 test('validateSchema: validates schema structure', () => {
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEventProtocol } from './event-protocol.js';
+
+test('wildcard patterns match one segment with * and any number with #', () => {
+  const protocol = createEventProtocol();
+  const received = { payment: [], completed: [], orders: [], all: [], exact: [] };
+  protocol.subscribe('payment.*', event => received.payment.push(event.type));
+  protocol.subscribe('*.completed', event => received.completed.push(event.type));
+  protocol.subscribe('orders.#', event => received.orders.push(event.type));
+  protocol.subscribe('#', event => received.all.push(event.type));
+  protocol.subscribe('orders.line.added', event => received.exact.push(event.type));
+
+  for (const type of ['payment.completed', 'payment.refund.issued', 'shipment.completed', 'orders', 'orders.line.added', 'ordersx.created']) {
+    protocol.publish(type, { type });
+  }
+
+  assert.deepStrictEqual(received.payment, ['payment.completed']);
+  assert.deepStrictEqual(received.completed, ['payment.completed', 'shipment.completed']);
+  assert.deepStrictEqual(received.orders, ['orders', 'orders.line.added']);
+  assert.strictEqual(received.all.length, 6);
+  assert.deepStrictEqual(received.exact, ['orders.line.added']);
+
+  assert.throws(() => protocol.subscribe('payment.comp*', () => {}), /Invalid subscription pattern: payment\.comp\*/);
+  assert.throws(() => protocol.subscribe('payment..*', () => {}), /Invalid subscription pattern/);
+});
+
+test('content filters use the path:op:value query DSL', () => {
+  const protocol = createEventProtocol();
+  const large = [];
+  const flagged = [];
+  protocol.subscribe('payment.*', event => large.push(event.id), { filter: 'amount:>:1000' });
+  protocol.subscribe('payment.completed', event => flagged.push(event.id), {
+    filter: ['amount:>=:500', 'customer.country:=:DE', 'tags:contains:vip']
+  });
+
+  protocol.publish('payment.completed', { id: 'p1', amount: 1500, customer: { country: 'DE' }, tags: ['vip'] });
+  protocol.publish('payment.completed', { id: 'p2', amount: 600, customer: { country: 'DE' }, tags: ['vip'] });
+  protocol.publish('payment.completed', { id: 'p3', amount: 5000, customer: { country: 'FR' }, tags: [] });
+  protocol.publish('payment.refunded', { id: 'p4', amount: 10 });
+
+  assert.deepStrictEqual(large, ['p1', 'p3']);
+  assert.deepStrictEqual(flagged, ['p1', 'p2']);
+  assert.throws(() => protocol.subscribe('payment.*', () => {}, { filter: 'amount>1000' }), /Invalid query expression format/);
+  assert.throws(() => protocol.subscribe('payment.*', () => {}, { filter: 'amount:~:1000' }), /Invalid operator: ~/);
+});
+
+test('maxListeners, stats and unsubscribe cover pattern subscriptions', () => {
+  const protocol = createEventProtocol({ maxListeners: 2 });
+  const first = protocol.subscribe('payment.*', () => {});
+  protocol.subscribe('payment.*', () => {});
+  assert.throws(() => protocol.subscribe('payment.*', () => {}), /max listeners \(2\) exceeded for event type: payment\.\*/);
+  protocol.subscribe('payment.completed', () => {});
+
+  let stats = protocol.getStats();
+  assert.strictEqual(stats.totalSubscribers, 3);
+  assert.deepStrictEqual(stats.patterns, { 'payment.*': 2 });
+  assert.deepStrictEqual(stats.eventTypes, { 'payment.completed': 1 });
+
+  let calls = 0;
+  const counted = protocol.subscribe('*.completed', () => { calls++; });
+  protocol.publish('payment.completed', {});
+  protocol.unsubscribe(counted);
+  protocol.unsubscribe(first);
+  protocol.publish('payment.completed', {});
+  assert.strictEqual(calls, 1, 'unsubscribed patterns stop matching');
+
+  stats = protocol.getStats();
+  assert.strictEqual(stats.totalSubscribers, 2);
+  assert.deepStrictEqual(stats.patterns, { 'payment.*': 1, '*.completed': 0 });
+});
+
+test('pattern subscribers get retries and dead-lettering like exact ones', async () => {
+  const protocol = createEventProtocol({
+    contracts: { 'payment.completed': { retry_policy: 'linear', dlq: 'payments.dlq' } },
+    retry: { maxAttempts: 2, baseDelayMs: 1 }
+  });
+  let calls = 0;
+  protocol.subscribe('payment.#', () => {
+    calls++;
+    throw new Error('down');
+  });
+  protocol.publish('payment.completed', { id: 'p1' });
+  await protocol.drain();
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(protocol.getDeadLetters('payments.dlq').map(entry => entry.event), [{ id: 'p1' }]);
+});
+
+test('performance: matching stays fast with thousands of pattern subscriptions', () => {
+  const protocol = createEventProtocol({ enableStats: false });
+  const services = Array.from({ length: 100 }, (_, i) => `svc${i}`);
+  const actions = Array.from({ length: 10 }, (_, i) => `action${i}`);
+  let hits = 0;
+  for (const service of services) {
+    protocol.subscribe(`${service}.*`, () => {});
+    protocol.subscribe(`${service}.#`, () => {});
+    for (const action of actions) {
+      protocol.subscribe(`${service}.entity.${action}`, () => {});
+      protocol.subscribe(`*.entity.${action}`, () => { hits++; });
+      protocol.subscribe(`${service}.*.${action}`, () => {}, { filter: 'amount:>:1000' });
+    }
+  }
+  assert.strictEqual(protocol.getStats().statsEnabled, false);
+
+  const event = { amount: 10 };
+  const start = process.hrtime.bigint();
+  const iterations = 20000;
+  for (let i = 0; i < iterations; i++) {
+    protocol.publish(`${services[i % 100]}.entity.${actions[i % 10]}`, event);
+  }
+  const perEventMs = Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+  console.log(`  Performance: ${(perEventMs * 1000).toFixed(2)}µs per publish across 3,200 subscriptions`);
+  assert.strictEqual(hits, iterations * 100, 'every *.entity.<action> subscriber of the action is called');
+  assert.ok(perEventMs < 0.5, `publish should stay under 0.5ms, got ${perEventMs}ms`);
+});
@@ -0,0 +1,463 @@
+/**
+ * Cross-Protocol Manifest System - JSON Schema Validator
+ * Zero-dependency validator for the JSON Schema draft 2020-12 core and validation
+ * vocabularies: type, enum, const, string/number/array/object bounds, pattern, format,
+ * (prefix)items, contains, properties, patternProperties, additionalProperties,
+ * dependent*, allOf/anyOf/oneOf/not, if/then/else, $defs, $id, $anchor and $ref.
+ * Annotation-only keywords (title, description, default, examples, ...) are ignored,
+ * as are unevaluated* and $dynamicRef.
+ * @version 1.0.0
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Helpers
+// ————————————————————————————————————————————————————————————————
+
+const TYPES = new Set(['null', 'boolean', 'object', 'array', 'number', 'integer', 'string']);
+
+/** $ref cycles that never step into the instance would otherwise recurse forever */
+const MAX_DEPTH = 512;
+
+const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/** Structural equality as JSON sees it (key order ignored, 1 === 1.0) */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key) && obj[key] !== undefined;
+
+const childPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// ————————————————————————————————————————————————————————————————
+// Formats
+// ————————————————————————————————————————————————————————————————
+
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isDate(str) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (!m) return false;
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  return month >= 1 && month <= 12 && day >= 1 && day <= (month === 2 && !leap ? 28 : MONTH_DAYS[month - 1]);
+}
+
+function isTime(str) {
+  const m = /^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:z|[+-](\d{2}):(\d{2}))$/i.exec(str);
+  return !!m && Number(m[1]) <= 23 && Number(m[2]) <= 59 && Number(m[3]) <= 60
+    && (m[4] === undefined || (Number(m[4]) <= 23 && Number(m[5]) <= 59));
+}
+
+function isHostname(str) {
+  return str.length <= 253
+    && str.split('.').every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i.test(label));
+}
+
+/**
+ * Built-in `format` assertions; unknown formats pass, as the spec requires.
+ * Each checker receives a string (formats only constrain strings).
+ */
+const JSON_SCHEMA_FORMATS = Object.freeze({
+  'date-time': str => {
+    const parts = str.split(/[Tt]/);
+    return parts.length === 2 && isDate(parts[0]) && isTime(parts[1]);
+  },
+  date: isDate,
+  time: isTime,
+  duration: str => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(str),
+  email: str => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str),
+  hostname: isHostname,
+  ipv4: str => /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(str),
+  ipv6: str => {
+    if (!str.includes(':') || /[^0-9a-f:.]/i.test(str)) return false;
+    try { return !!new URL(`http://[${str}]/`); } catch { return false; }
+  },
+  uri: str => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(str),
+  'uri-reference': str => !/\s/.test(str),
+  uuid: str => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str),
+  'json-pointer': str => /^(?:\/(?:[^~/]|~[01])*)*$/.test(str),
+  regex: str => {
+    try { new RegExp(str, 'u'); return true; } catch { return false; }
+  }
+});
+
+// ————————————————————————————————————————————————————————————————
+// Compilation: index $id / $anchor resources and resolve every $ref up front
+// ————————————————————————————————————————————————————————————————
+
+const MAP_KEYWORDS = ['$defs', 'definitions', 'properties', 'patternProperties', 'dependentSchemas'];
+const SCHEMA_KEYWORDS = ['items', 'additionalItems', 'additionalProperties', 'contains', 'propertyNames',
+  'not', 'if', 'then', 'else', 'unevaluatedItems', 'unevaluatedProperties'];
+const LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items'];
+
+/** Every direct subschema of a schema object */
+function subschemas(schema) {
+  const out = [];
+  for (const key of MAP_KEYWORDS) {
+    if (isObject(schema[key])) out.push(...Object.values(schema[key]));
+  }
+  for (const key of SCHEMA_KEYWORDS) {
+    if (schema[key] !== undefined && !Array.isArray(schema[key])) out.push(schema[key]);
+  }
+  for (const key of LIST_KEYWORDS) {
+    if (Array.isArray(schema[key])) out.push(...schema[key]);
+  }
+  return out.filter(s => isObject(s));
+}
+
+/** Resolve a reference against a base URI; plain strings when there is no absolute base */
+function resolveUri(ref, base) {
+  try {
+    return new URL(ref, base).href;
+  } catch {
+    return ref.startsWith('#') ? `${base}${ref}` : ref;
+  }
+}
+
+const splitFragment = uri => {
+  const at = uri.indexOf('#');
+  return at === -1 ? [uri, ''] : [uri.slice(0, at), uri.slice(at + 1)];
+};
+
+/** Walk a JSON pointer (already URI-decoded) from a schema resource */
+function followPointer(root, pointer) {
+  let node = root;
+  for (const token of pointer.split('/').slice(1)) {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === null || typeof node !== 'object' || !(key in node)) return undefined;
+    node = node[key];
+  }
+  return node;
+}
+
+function compileResources(rootSchema, { baseUri, schemas }) {
+  const resources = new Map(); // base URI -> schema resource
+  const anchors = new Map(); // base URI#anchor -> schema
+  const bases = new WeakMap(); // schema object -> base URI its $refs resolve against
+  const refs = new WeakMap(); // schema object -> resolved $ref target
+  const patterns = new Map();
+
+  const regex = (source) => {
+    if (!patterns.has(source)) {
+      try {
+        patterns.set(source, new RegExp(source, 'u'));
+      } catch (error) {
+        throw new Error(`Invalid JSON Schema pattern ${JSON.stringify(source)}: ${error.message}`);
+      }
+    }
+    return patterns.get(source);
+  };
+
+  const index = (schema, base) => {
+    if (!isObject(schema) || bases.has(schema)) return;
+    if (typeof schema.$id === 'string') {
+      base = splitFragment(resolveUri(schema.$id, base))[0];
+      resources.set(base, schema);
+    }
+    if (typeof schema.$anchor === 'string') anchors.set(`${base}#${schema.$anchor}`, schema);
+    bases.set(schema, base);
+
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    for (const type of types) {
+      if (!TYPES.has(type)) throw new Error(`Unknown JSON Schema type ${JSON.stringify(type)}`);
+    }
+    if (typeof schema.pattern === 'string') regex(schema.pattern);
+    if (isObject(schema.patternProperties)) Object.keys(schema.patternProperties).forEach(regex);
+
+    for (const sub of subschemas(schema)) index(sub, base);
+  };
+
+  const resolve = (schema) => {
+    if (!isObject(schema) || refs.has(schema)) return;
+    if (typeof schema.$ref === 'string') {
+      const [uri, fragment] = splitFragment(resolveUri(schema.$ref, bases.get(schema)));
+      const resource = resources.get(uri);
+      let decoded = fragment;
+      try { decoded = decodeURIComponent(fragment); } catch { /* keep as written */ }
+      const target = resource === undefined ? undefined
+        : decoded === '' ? resource
+        : decoded.startsWith('/') ? followPointer(resource, decoded)
+        : anchors.get(`${uri}#${decoded}`);
+      if (target === undefined || (typeof target !== 'boolean' && !isObject(target))) {
+        throw new Error(`Unresolvable $ref ${JSON.stringify(schema.$ref)}`);
+      }
+      // Targets reached by pointer into non-schema keywords (or unindexed) still need a base
+      if (isObject(target) && !bases.has(target)) index(target, uri);
+      refs.set(schema, target);
+      resolve(target);
+    } else {
+      refs.set(schema, null);
+    }
+    for (const sub of subschemas(schema)) resolve(sub);
+  };
+
+  for (const [uri, schema] of Object.entries(schemas)) {
+    resources.set(uri, schema);
+    index(schema, uri);
+  }
+  resources.set(baseUri, rootSchema);
+  index(rootSchema, baseUri);
+  for (const schema of [...Object.values(schemas), rootSchema]) resolve(schema);
+
+  return { refs, regex };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Validation
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * @typedef {Object} JsonSchemaError
+ * @property {string} path - Instance location ('' for the root, `a.b[0].c` below it)
+ * @property {string} keyword - Keyword that failed (`required`, `type`, `oneOf`, ...)
+ * @property {string} msg - Human-readable reason
+ */
+
+/**
+ * Compile a schema once and return a reusable validator.
+ *
+ * Besides 2020-12, two spellings common in existing manifests are honoured:
+ * `required: true` on a property (draft 3) and `nullable: true` next to `type` (OpenAPI 3.0).
+ * Array-form `items` with `additionalItems` (draft 7 tuples) is read as `prefixItems`.
+ *
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {Object} [options]
+ * @param {boolean|Object<string,Function>} [options.formats=true] - false to treat `format` as annotation only,
+ *   or extra checkers `{name: (str) => boolean}` merged over the built-ins
+ * @param {Object<string,Object>} [options.schemas] - External schemas by URI, for cross-document $ref
+ * @param {string} [options.baseUri=''] - Base URI of the root schema when it has no $id
+ * @returns {(value:*) => {valid:boolean, errors:JsonSchemaError[]}} Validator
+ * @throws {Error} If a $ref cannot be resolved, a pattern is not a valid regex or a type is unknown
+ */
+function compileJsonSchema(schema, options = {}) {
+  const { formats = true, schemas = {}, baseUri = '' } = options;
+  const formatCheckers = formats === false ? {} : { ...JSON_SCHEMA_FORMATS, ...(isObject(formats) ? formats : {}) };
+  const { refs, regex } = compileResources(schema, { baseUri, schemas });
+
+  // Per-schema lookups derived on first use, so validating allocates nothing while it passes
+  const plans = new WeakMap();
+  const planOf = (sub) => {
+    let plan = plans.get(sub);
+    if (plan) return plan;
+    const properties = isObject(sub.properties) ? sub.properties : {};
+    const required = new Set(Array.isArray(sub.required) ? sub.required : []);
+    for (const [name, def] of Object.entries(properties)) {
+      if (isObject(def) && def.required === true) required.add(name);
+    }
+    plan = {
+      ref: refs.get(sub) ?? null,
+      types: sub.type === undefined ? null : [].concat(sub.type),
+      pattern: typeof sub.pattern === 'string' ? regex(sub.pattern) : null,
+      format: typeof sub.format === 'string' ? formatCheckers[sub.format] : undefined,
+      properties,
+      required: [...required],
+      patternProperties: isObject(sub.patternProperties)
+        ? Object.entries(sub.patternProperties).map(([source, s]) => [regex(source), s])
+        : [],
+      prefixItems: Array.isArray(sub.prefixItems) ? sub.prefixItems : Array.isArray(sub.items) ? sub.items : [],
+      restItems: Array.isArray(sub.items) ? sub.additionalItems : sub.items
+    };
+    plans.set(sub, plan);
+    return plan;
+  };
+
+  const fail = (errors, path, keyword, msg) => errors.push({ path, keyword, msg });
+  const isValid = (sub, value, path, depth) => run(sub, value, path, depth, []).length === 0;
+
+  function run(sub, value, path, depth, errors) {
+    if (sub === true || sub === undefined) return errors;
+    if (sub === false) {
+      fail(errors, path, 'false', 'is not allowed');
+      return errors;
+    }
+    if (depth > MAX_DEPTH) throw new Error(`JSON Schema recursion deeper than ${MAX_DEPTH} levels at ${path || '(root)'}`);
+
+    const plan = planOf(sub);
+    if (plan.ref !== null) run(plan.ref, value, path, depth + 1, errors);
+
+    if (plan.types !== null && !plan.types.some(t => hasType(value, t)) && !(value === null && sub.nullable === true)) {
+      fail(errors, path, 'type', `must be ${plan.types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+    if (Array.isArray(sub.enum) && !sub.enum.some(e => deepEqual(e, value))) {
+      fail(errors, path, 'enum', `must be one of ${sub.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+    if (sub.const !== undefined && !deepEqual(sub.const, value)) {
+      fail(errors, path, 'const', `must equal ${JSON.stringify(sub.const)}`);
+    }
+
+    if (typeof value === 'string') checkString(sub, plan, value, path, errors);
+    else if (typeof value === 'number') checkNumber(sub, value, path, errors);
+    else if (Array.isArray(value)) checkArray(sub, plan, value, path, depth, errors);
+    else if (value !== null && typeof value === 'object') checkObject(sub, plan, value, path, depth, errors);
+
+    if (Array.isArray(sub.allOf)) {
+      for (const branch of sub.allOf) run(branch, value, path, depth + 1, errors);
+    }
+    if (Array.isArray(sub.anyOf) && !sub.anyOf.some(branch => isValid(branch, value, path, depth + 1))) {
+      fail(errors, path, 'anyOf', 'must match at least one schema in anyOf');
+    }
+    if (Array.isArray(sub.oneOf)) {
+      const matched = sub.oneOf.map((branch, i) => (isValid(branch, value, path, depth + 1) ? i : -1)).filter(i => i !== -1);
+      if (matched.length !== 1) {
+        fail(errors, path, 'oneOf', matched.length === 0
+          ? 'must match exactly one schema in oneOf (matched none)'
+          : `must match exactly one schema in oneOf (matched ${matched.join(', ')})`);
+      }
+    }
+    if (sub.not !== undefined && isValid(sub.not, value, path, depth + 1)) {
+      fail(errors, path, 'not', 'must not match the schema in not');
+    }
+    if (sub.if !== undefined) {
+      const branch = isValid(sub.if, value, path, depth + 1) ? sub.then : sub.else;
+      if (branch !== undefined) run(branch, value, path, depth + 1, errors);
+    }
+    return errors;
+  }
+
+  function checkString(sub, plan, value, path, errors) {
+    if (sub.minLength !== undefined || sub.maxLength !== undefined) {
+      const length = [...value].length; // code points, not UTF-16 units
+      if (sub.minLength !== undefined && length < sub.minLength) fail(errors, path, 'minLength', `must be at least ${sub.minLength} characters`);
+      if (sub.maxLength !== undefined && length > sub.maxLength) fail(errors, path, 'maxLength', `must be at most ${sub.maxLength} characters`);
+    }
+    if (plan.pattern !== null && !plan.pattern.test(value)) fail(errors, path, 'pattern', `must match ${sub.pattern}`);
+    if (plan.format !== undefined && !plan.format(value)) fail(errors, path, 'format', `must be a valid ${sub.format}`);
+  }
+
+  function checkNumber(sub, value, path, errors) {
+    if (sub.minimum !== undefined && value < sub.minimum) fail(errors, path, 'minimum', `must be >= ${sub.minimum}`);
+    if (sub.maximum !== undefined && value > sub.maximum) fail(errors, path, 'maximum', `must be <= ${sub.maximum}`);
+    if (typeof sub.exclusiveMinimum === 'number' && value <= sub.exclusiveMinimum) fail(errors, path, 'exclusiveMinimum', `must be > ${sub.exclusiveMinimum}`);
+    if (typeof sub.exclusiveMaximum === 'number' && value >= sub.exclusiveMaximum) fail(errors, path, 'exclusiveMaximum', `must be < ${sub.exclusiveMaximum}`);
+    if (typeof sub.multipleOf === 'number' && sub.multipleOf > 0) {
+      const quotient = value / sub.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail(errors, path, 'multipleOf', `must be a multiple of ${sub.multipleOf}`);
+    }
+  }
+
+  function checkArray(sub, plan, value, path, depth, errors) {
+    if (sub.minItems !== undefined && value.length < sub.minItems) fail(errors, path, 'minItems', `must have at least ${sub.minItems} items`);
+    if (sub.maxItems !== undefined && value.length > sub.maxItems) fail(errors, path, 'maxItems', `must have at most ${sub.maxItems} items`);
+    if (sub.uniqueItems === true) {
+      outer: for (let i = 0; i < value.length; i++) {
+        for (let j = i + 1; j < value.length; j++) {
+          if (deepEqual(value[i], value[j])) {
+            fail(errors, path, 'uniqueItems', `must not contain duplicate items (${i} and ${j})`);
+            break outer;
+          }
+        }
+      }
+    }
+
+    const { prefixItems, restItems } = plan;
+    if (prefixItems.length > 0 || restItems !== undefined) {
+      for (let i = 0; i < value.length; i++) {
+        const itemSchema = i < prefixItems.length ? prefixItems[i] : restItems;
+        if (itemSchema !== undefined) run(itemSchema, value[i], `${path}[${i}]`, depth + 1, errors);
+      }
+    }
+
+    if (sub.contains !== undefined) {
+      const count = value.filter((item, i) => isValid(sub.contains, item, `${path}[${i}]`, depth + 1)).length;
+      const min = sub.minContains ?? 1;
+      if (count < min) fail(errors, path, 'contains', `must contain at least ${min} matching item${min === 1 ? '' : 's'}`);
+      if (sub.maxContains !== undefined && count > sub.maxContains) {
+        fail(errors, path, 'maxContains', `must contain at most ${sub.maxContains} matching item${sub.maxContains === 1 ? '' : 's'}`);
+      }
+    }
+  }
+
+  function checkObject(sub, plan, value, path, depth, errors) {
+    if (sub.minProperties !== undefined || sub.maxProperties !== undefined) {
+      const count = Object.keys(value).length;
+      if (sub.minProperties !== undefined && count < sub.minProperties) fail(errors, path, 'minProperties', `must have at least ${sub.minProperties} properties`);
+      if (sub.maxProperties !== undefined && count > sub.maxProperties) fail(errors, path, 'maxProperties', `must have at most ${sub.maxProperties} properties`);
+    }
+
+    for (const name of plan.required) {
+      if (!has(value, name)) fail(errors, childPath(path, name), 'required', 'is required');
+    }
+
+    if (isObject(sub.dependentRequired)) {
+      for (const [name, needs] of Object.entries(sub.dependentRequired)) {
+        if (!has(value, name) || !Array.isArray(needs)) continue;
+        for (const need of needs) {
+          if (!has(value, need)) fail(errors, childPath(path, need), 'dependentRequired', `is required when ${name} is present`);
+        }
+      }
+    }
+    if (isObject(sub.dependentSchemas)) {
+      for (const [name, dependent] of Object.entries(sub.dependentSchemas)) {
+        if (has(value, name)) run(dependent, value, path, depth + 1, errors);
+      }
+    }
+
+    const { properties, patternProperties } = plan;
+    const additional = sub.additionalProperties;
+    for (const key in value) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+      let evaluated = false;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        evaluated = true;
+        if (value[key] !== undefined) run(properties[key], value[key], childPath(path, key), depth + 1, errors);
+      }
+      for (const [pattern, patternSchema] of patternProperties) {
+        if (pattern.test(key)) {
+          evaluated = true;
+          run(patternSchema, value[key], childPath(path, key), depth + 1, errors);
+        }
+      }
+      if (!evaluated && additional !== undefined) {
+        if (additional === false) fail(errors, childPath(path, key), 'additionalProperties', 'is not allowed');
+        else run(additional, value[key], childPath(path, key), depth + 1, errors);
+      }
+      if (sub.propertyNames !== undefined) {
+        const [first] = run(sub.propertyNames, key, childPath(path, key), depth + 1, []);
+        if (first) fail(errors, childPath(path, key), 'propertyNames', `property name ${first.msg}`);
+      }
+    }
+  }
+
+  return (value) => {
+    const errors = run(schema, value, '', 0, []);
+    return { valid: errors.length === 0, errors };
+  };
+}
+
+/**
+ * One-shot validation; compile with compileJsonSchema when the schema is reused
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Instance to validate
+ * @param {Object} [options] - See compileJsonSchema
+ * @returns {{valid:boolean, errors:JsonSchemaError[]}}
+ */
+function validateJsonSchema(schema, value, options) {
+  return compileJsonSchema(schema, options)(value);
+}
+
+export {
+  compileJsonSchema,
+  validateJsonSchema,
+  JSON_SCHEMA_FORMATS
+};
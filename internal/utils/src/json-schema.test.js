@@ -0,0 +1,190 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileJsonSchema, validateJsonSchema } from './json-schema.js';
+
+const keywords = result => result.errors.map(e => `${e.path}:${e.keyword}`);
+
+test('validateJsonSchema checks type, required, properties and additionalProperties', () => {
+  const schema = {
+    type: 'object',
+    required: ['id', 'amount'],
+    properties: {
+      id: { type: 'string', minLength: 3 },
+      amount: { type: 'integer', minimum: 0, exclusiveMaximum: 1000 },
+      tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 3 },
+      note: { type: ['string', 'null'] }
+    },
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validateJsonSchema(schema, { id: 'evt-1', amount: 10, tags: ['a'], note: null }), { valid: true, errors: [] });
+  assert.equal(validateJsonSchema(schema, { id: 'evt-1', amount: 10.0 }).valid, true);
+
+  const result = validateJsonSchema(schema, { id: 'x', amount: 1000, tags: ['a', 'a', 7], extra: true });
+  assert.equal(result.valid, false);
+  assert.deepEqual(keywords(result), [
+    'id:minLength',
+    'amount:exclusiveMaximum',
+    'tags:uniqueItems',
+    'tags[2]:type',
+    'extra:additionalProperties'
+  ]);
+  assert.equal(result.errors[3].msg, 'must be string, got number');
+
+  assert.deepEqual(validateJsonSchema(schema, { amount: 1.5 }).errors, [
+    { path: 'id', keyword: 'required', msg: 'is required' },
+    { path: 'amount', keyword: 'type', msg: 'must be integer, got number' }
+  ]);
+});
+
+test('validateJsonSchema checks enum, const, pattern and formats', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      status: { enum: ['open', 'closed', null] },
+      kind: { const: { v: 1 } },
+      code: { type: 'string', pattern: '^[A-Z]{3}$' },
+      at: { type: 'string', format: 'date-time' },
+      day: { type: 'string', format: 'date' },
+      email: { type: 'string', format: 'email' },
+      id: { type: 'string', format: 'uuid' },
+      ip: { type: 'string', format: 'ipv4' },
+      host: { type: 'string', format: 'ipv6' },
+      custom: { type: 'string', format: 'x-unknown' }
+    }
+  };
+  const ok = {
+    status: null,
+    kind: { v: 1 },
+    code: 'EUR',
+    at: '2026-02-28T10:15:00.250Z',
+    day: '2024-02-29',
+    email: 'ada@example.com',
+    id: '3f2b8a4e-1c2d-4e5f-8a9b-0c1d2e3f4a5b',
+    ip: '10.0.0.255',
+    host: '2001:db8::1',
+    custom: 'anything'
+  };
+  assert.equal(validateJsonSchema(schema, ok).valid, true);
+
+  const bad = validateJsonSchema(schema, {
+    status: 'pending',
+    kind: { v: 2 },
+    code: 'eur',
+    at: '2026-02-30T10:15:00Z',
+    day: '2023-02-29',
+    email: 'not an email',
+    id: 'nope',
+    ip: '256.1.1.1',
+    host: '2001:db8:::1'
+  });
+  assert.deepEqual(keywords(bad), [
+    'status:enum', 'kind:const', 'code:pattern', 'at:format', 'day:format',
+    'email:format', 'id:format', 'ip:format', 'host:format'
+  ]);
+  assert.equal(bad.errors[0].msg, 'must be one of "open", "closed", null');
+
+  // formats: false makes format an annotation; custom checkers extend the built-ins
+  assert.equal(validateJsonSchema(schema, { email: 'nope' }, { formats: false }).valid, true);
+  const strict = compileJsonSchema(schema, { formats: { 'x-unknown': str => str.startsWith('x-') } });
+  assert.deepEqual(keywords(strict({ custom: 'anything' })), ['custom:format']);
+});
+
+test('validateJsonSchema applies allOf, anyOf, oneOf, not and if/then/else', () => {
+  const schema = {
+    allOf: [{ type: 'object' }, { required: ['kind'] }],
+    oneOf: [
+      { properties: { kind: { const: 'card' } }, required: ['last4'] },
+      { properties: { kind: { const: 'bank' } }, required: ['iban'] }
+    ],
+    anyOf: [{ required: ['email'] }, { required: ['phone'] }],
+    not: { required: ['password'] },
+    if: { properties: { kind: { const: 'card' } } },
+    then: { properties: { last4: { type: 'string', pattern: '^\\d{4}$' } } },
+    else: { properties: { iban: { type: 'string', minLength: 15 } } }
+  };
+  const check = compileJsonSchema(schema);
+
+  assert.equal(check({ kind: 'card', last4: '4242', email: 'a@b.co' }).valid, true);
+  assert.equal(check({ kind: 'bank', iban: 'DE89370400440532013000', phone: '1' }).valid, true);
+
+  assert.deepEqual(keywords(check({ kind: 'card', last4: '42', email: 'a@b.co' })), ['last4:pattern']);
+  assert.deepEqual(keywords(check({ kind: 'card', iban: 'x', password: 'hunter2' })), [
+    ':anyOf', ':oneOf', ':not'
+  ]);
+  assert.deepEqual(keywords(check({ last4: '1234', email: 'e' })), ['kind:required']);
+  assert.deepEqual(validateJsonSchema({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1).errors, [
+    { path: '', keyword: 'oneOf', msg: 'must match exactly one schema in oneOf (matched 0, 1)' }
+  ]);
+});
+
+test('compileJsonSchema resolves $defs, $anchor, $id and external $ref (recursively)', () => {
+  const tree = {
+    $id: 'https://schemas.example.com/tree.json',
+    $defs: {
+      node: {
+        $anchor: 'node',
+        type: 'object',
+        required: ['value'],
+        properties: {
+          value: { $ref: 'money.json#/$defs/amount' },
+          children: { type: 'array', items: { $ref: '#node' } }
+        }
+      }
+    },
+    $ref: '#/$defs/node'
+  };
+  const money = { $id: 'https://schemas.example.com/money.json', $defs: { amount: { type: 'number', multipleOf: 0.01 } } };
+  const check = compileJsonSchema(tree, { schemas: { 'https://schemas.example.com/money.json': money } });
+
+  assert.equal(check({ value: 1.5, children: [{ value: 2, children: [{ value: 0.25 }] }] }).valid, true);
+  assert.deepEqual(check({ value: 1, children: [{ children: [{ value: 0.001 }] }] }).errors, [
+    { path: 'children[0].value', keyword: 'required', msg: 'is required' },
+    { path: 'children[0].children[0].value', keyword: 'multipleOf', msg: 'must be a multiple of 0.01' }
+  ]);
+
+  // Plain local pointers work without any $id, including legacy definitions and escaped tokens
+  const local = { definitions: { 'a/b': { type: 'string' } }, properties: { x: { $ref: '#/definitions/a~1b' } } };
+  assert.deepEqual(keywords(validateJsonSchema(local, { x: 1 })), ['x:type']);
+});
+
+test('compileJsonSchema rejects broken schemas up front', () => {
+  assert.throws(() => compileJsonSchema({ properties: { a: { $ref: '#/$defs/missing' } } }), /Unresolvable \$ref "#\/\$defs\/missing"/);
+  assert.throws(() => compileJsonSchema({ type: 'text' }), /Unknown JSON Schema type "text"/);
+  assert.throws(() => compileJsonSchema({ pattern: '(' }), /Invalid JSON Schema pattern/);
+  assert.throws(() => validateJsonSchema({ $ref: '#' }, 1), /recursion deeper than 512 levels/);
+});
+
+test('validateJsonSchema handles arrays, objects and legacy manifest spellings', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      point: { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false },
+      flags: { type: 'array', contains: { const: 'primary' }, maxContains: 1, minItems: 1 },
+      labels: { type: 'object', patternProperties: { '^x-': { type: 'string' } }, additionalProperties: { type: 'number' }, propertyNames: { maxLength: 8 } },
+      card: { type: 'object', dependentRequired: { number: ['cvc'] } },
+      legacy: { type: 'object', properties: { id: { type: 'string', required: true } } },
+      nullable: { type: 'string', nullable: true }
+    }
+  };
+  const check = compileJsonSchema(schema);
+
+  assert.equal(check({ point: [1, 2], flags: ['primary', 'b'], labels: { 'x-team': 'core', weight: 2 }, card: {}, nullable: null }).valid, true);
+  assert.deepEqual(keywords(check({
+    point: [1, 2, 3],
+    flags: ['a', 'b'],
+    labels: { 'x-team': 1, weight: 'heavy', 'much-too-long': 1 },
+    card: { number: '4242' },
+    legacy: {}
+  })), [
+    'point[2]:false',
+    'flags:contains',
+    'labels.x-team:type',
+    'labels.weight:type',
+    'labels.much-too-long:propertyNames',
+    'card.cvc:dependentRequired',
+    'legacy.id:required'
+  ]);
+  assert.deepEqual(keywords(check({ flags: ['primary', 'primary'] })), ['flags:maxContains']);
+});
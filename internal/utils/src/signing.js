@@ -0,0 +1,271 @@
+/**
+ * Cross-Protocol Manifest System - Manifest Signing
+ * Creates and checks `identity-access.signing.v1` envelopes on `manifest.sig`
+ * Node-only: relies on node:crypto for EdDSA / ES256 and sha-256
+ * @version 1.0.0
+ */
+
+import { createHash, createPrivateKey, createPublicKey, sign as cryptoSign, verify as cryptoVerify } from 'node:crypto';
+import { jsonCanon } from './index.js';
+
+const SIGNING_SPEC = 'identity-access.signing.v1';
+const SIGNING_TYP = 'application/cpms-manifest+json';
+const SIGNING_CANONICAL = 'jsonCanon';
+const SUPPORTED_ALGS = ['EdDSA', 'ES256'];
+
+/**
+ * Canonical payload for a manifest: jsonCanon of everything except `sig`
+ * @param {Object} manifest - Manifest to canonicalize
+ * @returns {string} Canonical JSON string
+ */
+function canonicalPayload(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('Manifest must be an object');
+  }
+  const { sig, ...unsigned } = manifest;
+  return jsonCanon(unsigned);
+}
+
+function sha256Hex(str) {
+  return createHash('sha256').update(str, 'utf8').digest('hex');
+}
+
+function toBase64Url(str) {
+  return Buffer.from(str, 'utf8').toString('base64url');
+}
+
+function fromBase64Url(str) {
+  return Buffer.from(str, 'base64url').toString('utf8');
+}
+
+function signingInput(envelope) {
+  return Buffer.from(`${envelope.protected}.${envelope.payload}`, 'utf8');
+}
+
+function toKeyObject(key, kind) {
+  if (key && typeof key === 'object' && key.type && typeof key.export === 'function') {
+    return key;
+  }
+  const create = kind === 'private' ? createPrivateKey : createPublicKey;
+  if (key && typeof key === 'object' && !Buffer.isBuffer(key) && key.kty) {
+    return create({ key, format: 'jwk' });
+  }
+  return create(key);
+}
+
+function toIso(value, name) {
+  if (value === undefined || value === null) return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} timestamp: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Decode the protected header of an envelope
+ * @param {Object} envelope - Signature envelope
+ * @returns {Object|null} Header object, or null when it cannot be decoded
+ */
+function decodeHeader(envelope) {
+  try {
+    const header = JSON.parse(fromBase64Url(envelope.protected));
+    return header && typeof header === 'object' && !Array.isArray(header) ? header : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign a manifest, returning a copy with a `sig` envelope attached
+ * @param {Object} manifest - Manifest to sign (any existing `sig` is replaced)
+ * @param {string|Buffer|Object} privateKey - PEM/DER key, JWK or KeyObject
+ * @param {Object} options - Signing options
+ * @param {string} options.kid - Key identifier recorded in the header
+ * @param {'EdDSA'|'ES256'} [options.alg='EdDSA'] - Signature algorithm
+ * @param {string|Date} [options.iat] - Issued-at timestamp (defaults to now)
+ * @param {string|Date} [options.exp] - Expiry timestamp
+ * @returns {Object} Signed manifest
+ */
+function sign(manifest, privateKey, options = {}) {
+  const { kid, alg = 'EdDSA' } = options;
+  if (typeof kid !== 'string' || !kid) {
+    throw new Error('Signing requires a key id (kid)');
+  }
+  if (!SUPPORTED_ALGS.includes(alg)) {
+    throw new Error(`Unsupported signature algorithm: ${alg}. Supported: ${SUPPORTED_ALGS.join(', ')}`);
+  }
+
+  const canonical = canonicalPayload(manifest);
+  const header = {
+    alg,
+    kid,
+    typ: SIGNING_TYP,
+    canonical: SIGNING_CANONICAL,
+    digest: 'sha-256',
+    iat: toIso(options.iat ?? new Date(), 'iat')
+  };
+  const exp = toIso(options.exp, 'exp');
+  if (exp) header.exp = exp;
+
+  const envelope = {
+    spec: SIGNING_SPEC,
+    protected: toBase64Url(JSON.stringify(header)),
+    payload: toBase64Url(canonical),
+    hash: { alg: 'sha-256', value: sha256Hex(canonical) }
+  };
+
+  const key = toKeyObject(privateKey, 'private');
+  const signature = alg === 'EdDSA'
+    ? cryptoSign(null, signingInput(envelope), key)
+    : cryptoSign('sha256', signingInput(envelope), { key, dsaEncoding: 'ieee-p1363' });
+
+  const { sig, ...unsigned } = manifest;
+  return {
+    ...unsigned,
+    sig: { ...envelope, signature: signature.toString('base64url') }
+  };
+}
+
+/**
+ * Check a manifest's signature envelope without a key: shape, digest,
+ * payload and expiry. Usable directly as a protocol validator.
+ * @param {Object} manifest - Manifest carrying `sig`
+ * @param {Object} [options] - Options
+ * @param {Date|string|number} [options.now] - Reference time for `exp`
+ * @returns {{ok:boolean, issues:Array<{path:string, msg:string, level:'error'|'warning'}>}}
+ */
+function checkSignature(manifest, options = {}) {
+  const issues = [];
+  const envelope = manifest?.sig;
+  if (!envelope) {
+    return { ok: true, issues };
+  }
+  if (typeof envelope !== 'object') {
+    issues.push({ path: 'sig', msg: 'signature envelope must be an object', level: 'error' });
+    return { ok: false, issues };
+  }
+
+  if (envelope.spec !== SIGNING_SPEC) {
+    issues.push({ path: 'sig.spec', msg: `unsupported envelope spec: ${envelope.spec}`, level: 'error' });
+  }
+  for (const field of ['protected', 'payload', 'signature']) {
+    if (typeof envelope[field] !== 'string' || !envelope[field]) {
+      issues.push({ path: `sig.${field}`, msg: `${field} is required`, level: 'error' });
+    }
+  }
+  if (envelope.hash?.alg !== 'sha-256' || typeof envelope.hash?.value !== 'string') {
+    issues.push({ path: 'sig.hash', msg: 'hash must be {alg:"sha-256", value}', level: 'error' });
+  }
+  if (issues.length) {
+    return { ok: false, issues };
+  }
+  if (envelope.header !== undefined) {
+    issues.push({ path: 'sig.header', msg: 'header is not covered by the signature and is ignored; the protected header is authoritative', level: 'warning' });
+  }
+
+  const header = decodeHeader(envelope);
+  if (!header) {
+    issues.push({ path: 'sig.protected', msg: 'protected header is not valid base64url JSON', level: 'error' });
+    return { ok: false, issues };
+  }
+  if (!SUPPORTED_ALGS.includes(header.alg)) {
+    issues.push({ path: 'sig.protected.alg', msg: `unsupported signature algorithm: ${header.alg}`, level: 'error' });
+  }
+  if (!header.kid) {
+    issues.push({ path: 'sig.protected.kid', msg: 'kid is required', level: 'error' });
+  }
+  if (header.canonical && header.canonical !== SIGNING_CANONICAL) {
+    issues.push({ path: 'sig.protected.canonical', msg: `unsupported canonicalization: ${header.canonical}`, level: 'error' });
+  }
+
+  const canonical = canonicalPayload(manifest);
+  if (fromBase64Url(envelope.payload) !== canonical) {
+    issues.push({ path: 'sig.payload', msg: 'manifest content does not match signed payload (tampered)', level: 'error' });
+  }
+  if (envelope.hash.value !== sha256Hex(canonical)) {
+    issues.push({ path: 'sig.hash.value', msg: 'sha-256 digest does not match manifest content (tampered)', level: 'error' });
+  }
+
+  if (header.exp) {
+    const expiresAt = new Date(header.exp).getTime();
+    const now = options.now !== undefined ? new Date(options.now).getTime() : Date.now();
+    if (Number.isNaN(expiresAt)) {
+      issues.push({ path: 'sig.protected.exp', msg: `invalid exp timestamp: ${header.exp}`, level: 'error' });
+    } else if (expiresAt <= now) {
+      issues.push({ path: 'sig.protected.exp', msg: `signature expired at ${header.exp}`, level: 'error' });
+    }
+  }
+
+  return { ok: issues.every(i => i.level !== 'error'), issues };
+}
+
+function resolveKey(keyOrKeyring, kid) {
+  if (typeof keyOrKeyring === 'function') {
+    return keyOrKeyring(kid);
+  }
+  if (keyOrKeyring instanceof Map) {
+    return keyOrKeyring.get(kid);
+  }
+  const isKeyMaterial = typeof keyOrKeyring === 'string'
+    || Buffer.isBuffer(keyOrKeyring)
+    || (keyOrKeyring && typeof keyOrKeyring.export === 'function')
+    || (keyOrKeyring && keyOrKeyring.kty);
+  if (isKeyMaterial) {
+    return keyOrKeyring;
+  }
+  return keyOrKeyring && Object.prototype.hasOwnProperty.call(keyOrKeyring, kid)
+    ? keyOrKeyring[kid]
+    : undefined;
+}
+
+/**
+ * Verify a manifest's signature envelope
+ * @param {Object} manifest - Signed manifest
+ * @param {string|Buffer|Object|Map|Function} publicKeyOrKeyring - A public key,
+ *   or a keyring (object/Map of kid -> key, or a function kid -> key)
+ * @param {Object} [options] - Options
+ * @param {Date|string|number} [options.now] - Reference time for `exp`
+ * @returns {{valid:boolean, kid?:string, alg?:string, issues:Array<Object>}}
+ */
+function verify(manifest, publicKeyOrKeyring, options = {}) {
+  if (!manifest?.sig) {
+    return { valid: false, issues: [{ path: 'sig', msg: 'manifest is not signed', level: 'error' }] };
+  }
+
+  const check = checkSignature(manifest, options);
+  const header = decodeHeader(manifest.sig) || {};
+  const result = { kid: header.kid, alg: header.alg };
+  const issues = [...check.issues];
+
+  if (header.kid && SUPPORTED_ALGS.includes(header.alg) && typeof manifest.sig.signature === 'string') {
+    const keyMaterial = resolveKey(publicKeyOrKeyring, header.kid);
+    if (!keyMaterial) {
+      issues.push({ path: 'sig.protected.kid', msg: `no public key for kid: ${header.kid}`, level: 'error' });
+    } else {
+      let ok = false;
+      try {
+        const key = toKeyObject(keyMaterial, 'public');
+        const signature = Buffer.from(manifest.sig.signature, 'base64url');
+        ok = header.alg === 'EdDSA'
+          ? cryptoVerify(null, signingInput(manifest.sig), key, signature)
+          : cryptoVerify('sha256', signingInput(manifest.sig), { key, dsaEncoding: 'ieee-p1363' }, signature);
+      } catch (error) {
+        issues.push({ path: 'sig.signature', msg: `signature check failed: ${error.message}`, level: 'error' });
+      }
+      if (!ok && !issues.some(i => i.path === 'sig.signature')) {
+        issues.push({ path: 'sig.signature', msg: 'signature does not match protected header and payload', level: 'error' });
+      }
+    }
+  }
+
+  return { valid: issues.every(i => i.level !== 'error'), ...result, issues };
+}
+
+export {
+  SIGNING_SPEC,
+  canonicalPayload,
+  checkSignature,
+  sign,
+  verify
+};
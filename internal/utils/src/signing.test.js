@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+
+import { sign, verify, checkSignature, canonicalPayload, SIGNING_SPEC } from './signing.js';
+
+const manifest = {
+  dataset: { name: 'users', type: 'fact-table' },
+  schema: { fields: { id: { type: 'string', required: true } } }
+};
+
+const ed25519 = generateKeyPairSync('ed25519');
+const p256 = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+test('sign attaches an identity-access.signing.v1 envelope over the canonical payload', () => {
+  const signed = sign(manifest, ed25519.privateKey, { kid: 'release-1' });
+
+  assert.equal(signed.sig.spec, SIGNING_SPEC);
+  assert.equal(signed.sig.hash.alg, 'sha-256');
+  assert.equal(Buffer.from(signed.sig.payload, 'base64url').toString('utf8'), canonicalPayload(manifest));
+  assert.deepEqual(Object.keys(signed.sig).sort(), ['hash', 'payload', 'protected', 'signature', 'spec']);
+  const header = JSON.parse(Buffer.from(signed.sig.protected, 'base64url').toString('utf8'));
+  assert.equal(header.alg, 'EdDSA');
+  assert.equal(header.kid, 'release-1');
+  assert.equal(manifest.sig, undefined, 'source manifest is not mutated');
+});
+
+test('verify accepts EdDSA and ES256 signatures with a key or keyring', () => {
+  const edSigned = sign(manifest, ed25519.privateKey, { kid: 'ed' });
+  const esSigned = sign(manifest, p256.privateKey, { kid: 'es', alg: 'ES256' });
+  const keyring = {
+    ed: ed25519.publicKey.export({ type: 'spki', format: 'pem' }),
+    es: p256.publicKey.export({ format: 'jwk' })
+  };
+
+  assert.equal(verify(edSigned, ed25519.publicKey).valid, true);
+  assert.equal(verify(edSigned, keyring).valid, true);
+  assert.equal(verify(esSigned, keyring).valid, true);
+  assert.equal(verify(esSigned, new Map([['es', p256.publicKey]])).alg, 'ES256');
+});
+
+test('verify rejects tampered manifests, wrong keys and unknown kids', () => {
+  const signed = sign(manifest, ed25519.privateKey, { kid: 'ed' });
+  const tampered = { ...signed, dataset: { ...signed.dataset, name: 'admins' } };
+
+  const tamperedResult = verify(tampered, ed25519.publicKey);
+  assert.equal(tamperedResult.valid, false);
+  assert.ok(tamperedResult.issues.some(i => i.msg.includes('tampered')));
+
+  const other = generateKeyPairSync('ed25519');
+  assert.equal(verify(signed, other.publicKey).valid, false);
+  assert.ok(verify(signed, { someone: other.publicKey }).issues.some(i => i.msg.includes('no public key')));
+});
+
+test('checkSignature flags tampering and expiry without a key', () => {
+  const signed = sign(manifest, ed25519.privateKey, {
+    kid: 'ed',
+    iat: '2025-01-01T00:00:00Z',
+    exp: '2025-06-01T00:00:00Z'
+  });
+
+  assert.equal(checkSignature(signed, { now: '2025-03-01T00:00:00Z' }).ok, true);
+
+  const expired = checkSignature(signed, { now: '2025-07-01T00:00:00Z' });
+  assert.equal(expired.ok, false);
+  assert.equal(expired.issues[0].path, 'sig.protected.exp');
+
+  const tampered = checkSignature({ ...signed, schema: {} }, { now: '2025-03-01T00:00:00Z' });
+  assert.deepEqual(tampered.issues.map(i => i.path), ['sig.payload', 'sig.hash.value']);
+
+  assert.deepEqual(checkSignature(manifest), { ok: true, issues: [] });
+});
+
+test('an unsigned sig.header cannot change the expiry or key id', () => {
+  const signed = sign(manifest, ed25519.privateKey, { kid: 'ed', exp: '2025-06-01T00:00:00Z' });
+  const edited = { ...signed, sig: { ...signed.sig, header: { alg: 'EdDSA', kid: 'other', exp: '2099-01-01T00:00:00Z' } } };
+
+  const check = checkSignature(edited, { now: '2025-07-01T00:00:00Z' });
+  assert.equal(check.ok, false);
+  assert.deepEqual(check.issues.map(i => [i.path, i.level]), [['sig.header', 'warning'], ['sig.protected.exp', 'error']]);
+
+  const result = verify(edited, { ed: ed25519.publicKey }, { now: '2025-03-01T00:00:00Z' });
+  assert.equal(result.valid, true);
+  assert.equal(result.kid, 'ed');
+});
+
+test('sign requires a kid and a supported algorithm', () => {
+  assert.throws(() => sign(manifest, ed25519.privateKey, {}), /kid/);
+  assert.throws(() => sign(manifest, ed25519.privateKey, { kid: 'k', alg: 'RS256' }), /Unsupported signature algorithm/);
+});
@@ -0,0 +1,566 @@
+/**
+ * Cross-Protocol Manifest System - YAML Subset
+ * Zero-dependency parser/serializer for the YAML most manifests are written in:
+ * block mappings and sequences, flow collections, plain/quoted scalars,
+ * literal (|) and folded (>) block strings, and comments.
+ * Anchors, aliases, tags, complex keys and multi-document streams are rejected.
+ * @version 1.0.0
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Scalars
+// ————————————————————————————————————————————————————————————————
+
+const INT_RE = /^[-+]?[0-9]+$/;
+const FLOAT_RE = /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/;
+
+/**
+ * Resolve a plain (unquoted) scalar using the YAML 1.2 core schema
+ * @param {string} str - Trimmed plain scalar
+ * @returns {*} null, boolean, number or string
+ */
+function resolvePlain(str) {
+  if (str === '' || str === '~' || /^(null|Null|NULL)$/.test(str)) return null;
+  if (/^(true|True|TRUE)$/.test(str)) return true;
+  if (/^(false|False|FALSE)$/.test(str)) return false;
+  if (INT_RE.test(str) || FLOAT_RE.test(str)) return Number(str);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(str)) return str.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(str)) return NaN;
+  return str;
+}
+
+const DOUBLE_QUOTE_ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+  'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+  'N': '\u0085', '_': '\u00a0', 'L': '\u2028', 'P': '\u2029'
+};
+
+/**
+ * Read a quoted scalar starting at `pos`
+ * @returns {{value:string, end:number}} Unescaped value and index after the closing quote
+ */
+function readQuoted(str, pos, fail) {
+  const quote = str[pos];
+  let value = '';
+  let i = pos + 1;
+  while (i < str.length) {
+    const ch = str[i];
+    if (quote === "'") {
+      if (ch === "'") {
+        if (str[i + 1] === "'") { value += "'"; i += 2; continue; }
+        return { value, end: i + 1 };
+      }
+      value += ch; i++;
+      continue;
+    }
+    if (ch === '"') return { value, end: i + 1 };
+    if (ch === '\\') {
+      const esc = str[i + 1];
+      const hexLength = { x: 2, u: 4, U: 8 }[esc];
+      if (hexLength) {
+        const hex = str.slice(i + 2, i + 2 + hexLength);
+        if (!new RegExp(`^[0-9a-fA-F]{${hexLength}}$`).test(hex)) fail(`invalid \\${esc} escape`);
+        value += String.fromCodePoint(parseInt(hex, 16));
+        i += 2 + hexLength;
+        continue;
+      }
+      if (!(esc in DOUBLE_QUOTE_ESCAPES)) fail(`invalid escape \\${esc ?? ''}`);
+      value += DOUBLE_QUOTE_ESCAPES[esc];
+      i += 2;
+      continue;
+    }
+    value += ch; i++;
+  }
+  return fail('unterminated quoted string');
+}
+
+/**
+ * Assign a parsed key without letting `__proto__` reach the prototype
+ */
+function setKey(obj, key, value) {
+  if (key === '__proto__') {
+    Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    obj[key] = value;
+  }
+}
+
+// ————————————————————————————————————————————————————————————————
+// Line helpers
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * Strip a trailing comment, respecting quotes (a `#` starts a comment only
+ * at the beginning of the text or after whitespace)
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') { i++; continue; }
+      if (ch === "'" && quote === "'" && text[i + 1] === "'") { i++; continue; }
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s[{,:-]/.test(text[i - 1]))) {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Locate the `key: value` separator of a block mapping entry
+ * @returns {{key:string, rest:string}|null} Parsed key and remaining text, or null
+ */
+function splitMappingEntry(text, fail) {
+  if (text[0] === '"' || text[0] === "'") {
+    const { value, end } = readQuoted(text, 0, fail);
+    const after = text.slice(end).trimStart();
+    if (after[0] !== ':' || (after.length > 1 && !/\s/.test(after[1]))) return null;
+    return { key: value, rest: after.slice(1).trim() };
+  }
+  if (/^[[{]/.test(text)) return null;
+  const match = /:(\s|$)/.exec(text);
+  if (!match) return null;
+  return { key: text.slice(0, match.index).trim(), rest: text.slice(match.index + 1).trim() };
+}
+
+function isSequenceEntry(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+// ————————————————————————————————————————————————————————————————
+// Parser
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * Parse a YAML document into plain JavaScript values
+ * Mapping keys keep their document order.
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value (object, array or scalar)
+ * @throws {Error} On malformed or unsupported YAML
+ */
+function parseYaml(text) {
+  const rawLines = String(text).replace(/^\ufeff/, '').replace(/\r\n?/g, '\n').split('\n');
+  const lines = [];
+  let started = false;
+
+  for (let n = 0; n < rawLines.length; n++) {
+    const raw = rawLines[n];
+    if (!started && (/^%/.test(raw))) { lines.push({ n, raw, indent: 0, text: '' }); continue; }
+    if (/^---(\s|$)/.test(raw)) {
+      if (started) throw new Error(`YAML parse error at line ${n + 1}: multiple documents are not supported`);
+      started = true;
+      const rest = stripComment(raw.slice(3)).trim();
+      lines.push({ n, raw: rest ? ` ${rest}` : '', indent: rest ? 1 : 0, text: rest });
+      continue;
+    }
+    if (/^\.\.\.(\s|$)/.test(raw)) break;
+    if (stripComment(raw).trim() !== '') started = true;
+    const indentMatch = /^[ \t]*/.exec(raw)[0];
+    const body = stripComment(raw.slice(indentMatch.length));
+    // Tabs are only an error where the line is read as structure, not inside block strings
+    lines.push({ n, raw, indent: indentMatch.length, text: body, tabbed: body !== '' && indentMatch.includes('\t') });
+  }
+
+  let pos = 0;
+
+  const fail = (msg, line = lines[Math.min(pos, lines.length - 1)]) => {
+    throw new Error(`YAML parse error at line ${line ? line.n + 1 : 1}: ${msg}`);
+  };
+
+  const peek = () => {
+    while (pos < lines.length && lines[pos].text === '') pos++;
+    if (pos < lines.length && lines[pos].tabbed) fail('tabs are not allowed for indentation');
+    return pos < lines.length ? lines[pos] : null;
+  };
+
+  function parseFlow(str, line) {
+    let i = 0;
+    const lineFail = msg => fail(msg, line);
+    const ws = () => { while (i < str.length && /\s/.test(str[i])) i++; };
+
+    function plain(stops) {
+      const start = i;
+      while (i < str.length && !stops.test(str[i])) {
+        if (str[i] === ':' && (i + 1 >= str.length || /[\s,\]}]/.test(str[i + 1]))) break;
+        i++;
+      }
+      return str.slice(start, i).trim();
+    }
+
+    function value() {
+      ws();
+      const ch = str[i];
+      if (ch === '[') {
+        i++;
+        const arr = [];
+        for (;;) {
+          ws();
+          if (str[i] === ']') { i++; return arr; }
+          arr.push(value());
+          ws();
+          if (str[i] === ',') { i++; continue; }
+          if (str[i] === ']') { i++; return arr; }
+          lineFail('expected , or ] in flow sequence');
+        }
+      }
+      if (ch === '{') {
+        i++;
+        const obj = {};
+        for (;;) {
+          ws();
+          if (str[i] === '}') { i++; return obj; }
+          let key;
+          if (str[i] === '"' || str[i] === "'") {
+            const quoted = readQuoted(str, i, lineFail);
+            key = quoted.value; i = quoted.end;
+          } else {
+            key = plain(/[,{}[\]]/);
+          }
+          ws();
+          let val = null;
+          if (str[i] === ':') { i++; val = value(); }
+          if (Object.prototype.hasOwnProperty.call(obj, key)) lineFail(`duplicate key: ${key}`);
+          setKey(obj, key, val);
+          ws();
+          if (str[i] === ',') { i++; continue; }
+          if (str[i] === '}') { i++; return obj; }
+          lineFail('expected , or } in flow mapping');
+        }
+      }
+      if (ch === '"' || ch === "'") {
+        const quoted = readQuoted(str, i, lineFail);
+        i = quoted.end;
+        return quoted.value;
+      }
+      if (ch === '&' || ch === '*' || ch === '!') lineFail('anchors, aliases and tags are not supported');
+      return resolvePlain(plain(/[,{}[\]]/));
+    }
+
+    const result = value();
+    ws();
+    if (i < str.length) lineFail(`unexpected characters after flow collection: ${str.slice(i)}`);
+    return result;
+  }
+
+  function parseBlockScalar(header, parentIndent, line) {
+    const match = /^([|>])([-+]?)([1-9]?)([-+]?)$/.exec(header);
+    if (!match) fail(`invalid block scalar header: ${header}`, line);
+    const folded = match[1] === '>';
+    const chomp = match[2] || match[4];
+    const explicitIndent = match[3] ? parentIndent + Number(match[3]) : null;
+
+    pos++;
+    const body = [];
+    let contentIndent = explicitIndent;
+    while (pos < lines.length) {
+      const { raw } = lines[pos];
+      if (raw.trim() === '') {
+        body.push('');
+        pos++;
+        continue;
+      }
+      const indent = /^ */.exec(raw)[0].length;
+      if (contentIndent === null) {
+        if (indent <= parentIndent) break;
+        contentIndent = indent;
+      }
+      if (indent < contentIndent) break;
+      body.push(raw.slice(contentIndent));
+      pos++;
+    }
+
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') { body.pop(); trailing++; }
+
+    let value;
+    if (!folded) {
+      value = body.join('\n');
+    } else {
+      value = '';
+      let breaks = 0;
+      let prevMore = false;
+      body.forEach((text, idx) => {
+        if (text === '') { breaks++; return; }
+        const more = /^[ \t]/.test(text);
+        if (idx === 0 || value === '' && breaks === idx) {
+          value += '\n'.repeat(breaks) + text;
+        } else if (breaks > 0) {
+          value += '\n'.repeat(breaks + (more || prevMore ? 1 : 0)) + text;
+        } else {
+          value += (more || prevMore ? '\n' : ' ') + text;
+        }
+        breaks = 0;
+        prevMore = more;
+      });
+    }
+
+    if (chomp === '-') return value;
+    if (chomp === '+') return value + '\n'.repeat(trailing + (body.length ? 1 : 0));
+    return body.length ? value + '\n' : value;
+  }
+
+  function collectFlow(rest, line) {
+    let text = rest;
+    const balanced = str => {
+      let depth = 0;
+      let quote = null;
+      for (let i = 0; i < str.length; i++) {
+        const ch = str[i];
+        if (quote) {
+          if (ch === '\\' && quote === '"') i++;
+          else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '[' || ch === '{') depth++;
+        else if (ch === ']' || ch === '}') depth--;
+      }
+      return depth <= 0;
+    };
+    while (!balanced(text)) {
+      pos++;
+      const next = peek();
+      if (!next) fail('unterminated flow collection', line);
+      text += ' ' + next.text;
+    }
+    return parseFlow(text, line);
+  }
+
+  function parseInline(rest, parentIndent, line) {
+    if (rest === '') return null;
+    const ch = rest[0];
+    if (ch === '|' || ch === '>') return parseBlockScalar(rest, parentIndent, line);
+    if (ch === '&' || ch === '*' || ch === '!') fail('anchors, aliases and tags are not supported', line);
+    if (ch === '[' || ch === '{') {
+      const value = collectFlow(rest, line);
+      pos++;
+      return value;
+    }
+    let value;
+    if (ch === '"' || ch === "'") {
+      const quoted = readQuoted(rest, 0, msg => fail(msg, line));
+      if (rest.slice(quoted.end).trim() !== '') fail('unexpected text after quoted scalar', line);
+      value = quoted.value;
+    } else {
+      value = resolvePlain(rest);
+    }
+    pos++;
+    const next = peek();
+    if (next && next.indent > parentIndent && !isSequenceEntry(next.text) && !splitMappingEntry(next.text, fail)) {
+      if (typeof value !== 'string' || ch === '"' || ch === "'") fail('unexpected indentation', next);
+      // Multi-line plain scalar: continuation lines fold into single spaces
+      const parts = [rest];
+      while (peek() && lines[pos].indent > parentIndent) {
+        parts.push(lines[pos].text);
+        pos++;
+      }
+      return parts.join(' ');
+    }
+    return value;
+  }
+
+  function parseNode(parentIndent) {
+    const line = peek();
+    if (!line || line.indent <= parentIndent) return null;
+    if (isSequenceEntry(line.text)) return parseSequence(line.indent);
+    if (line.text.startsWith('? ')) fail('complex mapping keys are not supported', line);
+    if (splitMappingEntry(line.text, fail)) return parseMapping(line.indent);
+    return parseInline(line.text, parentIndent, line);
+  }
+
+  function parseValueAfterIndicator(rest, ownerIndent, line) {
+    if (rest !== '') return parseInline(rest, ownerIndent, line);
+    pos++;
+    const next = peek();
+    if (next && next.indent === ownerIndent && isSequenceEntry(next.text) && line.mapping) {
+      return parseSequence(ownerIndent);
+    }
+    return parseNode(ownerIndent);
+  }
+
+  function parseSequence(indent) {
+    const arr = [];
+    for (;;) {
+      const line = peek();
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) fail('unexpected indentation', line);
+      if (!isSequenceEntry(line.text)) break;
+
+      const rest = line.text.slice(1).trimStart();
+      if (rest === '' || rest[0] === '|' || rest[0] === '>') {
+        arr.push(parseValueAfterIndicator(rest, indent, line));
+        continue;
+      }
+      // Re-read the remainder of "- item" as a line indented to its own column
+      const column = indent + line.text.length - rest.length;
+      lines[pos] = { ...line, indent: column, text: rest };
+      arr.push(parseNode(indent));
+    }
+    return arr;
+  }
+
+  function parseMapping(indent) {
+    const obj = {};
+    for (;;) {
+      const line = peek();
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) fail('unexpected indentation', line);
+      if (isSequenceEntry(line.text)) break;
+      if (line.text.startsWith('? ')) fail('complex mapping keys are not supported', line);
+
+      const entry = splitMappingEntry(line.text, fail);
+      if (!entry) fail(`expected a mapping entry, got: ${line.text}`, line);
+      if (entry.key.startsWith('&') || entry.key.startsWith('*') || entry.key.startsWith('!')) {
+        fail('anchors, aliases and tags are not supported', line);
+      }
+      if (Object.prototype.hasOwnProperty.call(obj, entry.key)) fail(`duplicate key: ${entry.key}`, line);
+
+      setKey(obj, entry.key, parseValueAfterIndicator(entry.rest, indent, { ...line, mapping: true }));
+    }
+    return obj;
+  }
+
+  const root = parseNode(-1);
+  const rest = peek();
+  if (rest) fail(`unexpected content: ${rest.text}`, rest);
+  return root;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Serializer
+// ————————————————————————————————————————————————————————————————
+
+/** True when str holds a C0/C1 control, line/paragraph separator or BOM; newlines pass when allowed */
+function hasControlChar(str, allowNewline = false) {
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code === 0x0a && allowNewline) continue;
+    if (code <= 0x1f || code === 0x7f || code === 0x85 || code === 0x2028 || code === 0x2029 || code === 0xfeff) return true;
+  }
+  return false;
+}
+
+function isPlainSafe(str) {
+  if (str === '' || str.trim() !== str) return false;
+  if (typeof resolvePlain(str) !== 'string') return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str) || str.startsWith('...')) return false;
+  if (/:(\s|$)|\s#/.test(str)) return false;
+  return !hasControlChar(str);
+}
+
+function isPlainKey(str) {
+  return str !== '' && str.trim() === str
+    && !/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)
+    && !/:(\s|$)|\s#/.test(str)
+    && !hasControlChar(str);
+}
+
+function canUseLiteral(str) {
+  if (!str.includes('\n') || /[\r\t]/.test(str) || str.startsWith(' ')) return false;
+  const body = str.replace(/\n+$/, '');
+  if (body === '' || body.startsWith('\n')) return false;
+  if (hasControlChar(str, true)) return false;
+  return body.split('\n').every(line => line === '' || line.trim() !== '');
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  const str = String(value);
+  return isPlainSafe(str) ? str : JSON.stringify(str);
+}
+
+function formatKey(key) {
+  return isPlainKey(key) ? key : JSON.stringify(key);
+}
+
+function toPlainValue(value) {
+  if (value && typeof value.toJSON === 'function') return value.toJSON();
+  return value;
+}
+
+function isSkipped(value) {
+  return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+/**
+ * Emit `value` as the body of an entry whose indicator (`key:` or `-`)
+ * sits at `indent`; returns the text that follows the indicator
+ */
+function emitValue(value, indent, step) {
+  value = toPlainValue(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return ' []';
+    return '\n' + emitSequence(value, indent + step, step);
+  }
+  if (value && typeof value === 'object') {
+    if (Object.keys(value).filter(k => !isSkipped(value[k])).length === 0) return ' {}';
+    return '\n' + emitMapping(value, indent + step, step);
+  }
+  if (typeof value === 'string' && canUseLiteral(value)) {
+    const trailing = /\n*$/.exec(value)[0].length;
+    const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    const pad = ' '.repeat(indent + step);
+    const body = value.slice(0, value.length - trailing).split('\n')
+      .map(line => (line === '' ? '' : pad + line));
+    return ` |${chomp}\n` + body.concat(Array(Math.max(trailing - 1, 0)).fill('')).join('\n');
+  }
+  return ' ' + formatScalar(value);
+}
+
+function emitMapping(obj, indent, step) {
+  const pad = ' '.repeat(indent);
+  return Object.keys(obj)
+    .filter(key => !isSkipped(obj[key]))
+    .map(key => `${pad}${formatKey(key)}:${emitValue(obj[key], indent, step)}`)
+    .join('\n');
+}
+
+function emitSequence(arr, indent, step) {
+  const pad = ' '.repeat(indent);
+  return arr.map(raw => {
+    const item = isSkipped(raw) ? null : toPlainValue(raw);
+    const nested = (Array.isArray(item) && item.length > 0)
+      || (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).some(k => !isSkipped(item[k])));
+    if (nested) {
+      // Compact form: first line of the nested block shares the "- " line
+      const block = Array.isArray(item)
+        ? emitSequence(item, indent + 2, step)
+        : emitMapping(item, indent + 2, step);
+      return `${pad}- ${block.slice(indent + 2)}`;
+    }
+    return `${pad}-${emitValue(item, indent, step)}`;
+  }).join('\n');
+}
+
+/**
+ * Serialize a JSON-compatible value to YAML, preserving key order
+ * @param {*} value - Value to serialize
+ * @param {Object} [options] - Options
+ * @param {number} [options.indent=2] - Spaces per nesting level
+ * @returns {string} YAML document (with trailing newline)
+ */
+function stringifyYaml(value, options = {}) {
+  const step = options.indent || 2;
+  const plain = toPlainValue(value);
+  if (Array.isArray(plain) && plain.length > 0) return emitSequence(plain, 0, step) + '\n';
+  if (plain && typeof plain === 'object' && !Array.isArray(plain)) {
+    const body = emitMapping(plain, 0, step);
+    return (body || '{}') + '\n';
+  }
+  return emitValue(plain, -step, step).trimStart() + '\n';
+}
+
+export {
+  parseYaml,
+  stringifyYaml
+};
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseYaml, stringifyYaml } from './yaml.js';
+
+test('parseYaml reads mappings, sequences, scalars and comments', () => {
+  const manifest = parseYaml([
+    '# payments manifest',
+    'urn: urn:proto:api:payments@1.1.0  # trailing comment',
+    'api:',
+    '  name: payments-api',
+    '  version: "1.1"',
+    '  tags: [billing, "core, v2"]',
+    'endpoints:',
+    '  paths:',
+    '    /payments:',
+    "      responses: { '201': { description: Created } }",
+    '      security:',
+    '      - oauth2',
+    '      - apiKey',
+    'retries: 3',
+    'ratio: 0.5',
+    'enabled: true',
+    'owner: ~',
+    "note: 'it''s #1'",
+    'escaped: "tab\\tcafé \\u00e9"'
+  ].join('\n'));
+
+  assert.deepEqual(manifest, {
+    urn: 'urn:proto:api:payments@1.1.0',
+    api: { name: 'payments-api', version: '1.1', tags: ['billing', 'core, v2'] },
+    endpoints: {
+      paths: { '/payments': { responses: { '201': { description: 'Created' } }, security: ['oauth2', 'apiKey'] } }
+    },
+    retries: 3,
+    ratio: 0.5,
+    enabled: true,
+    owner: null,
+    note: "it's #1",
+    escaped: 'tab\tcafé é'
+  });
+});
+
+test('parseYaml handles literal and folded block strings with chomping', () => {
+  const doc = parseYaml([
+    'literal: |',
+    '  line one',
+    '    indented',
+    '',
+    'stripped: |-',
+    '  no newline',
+    'folded: >',
+    '  joined',
+    '  words',
+    '',
+    '  new paragraph',
+    'steps:',
+    '  - |',
+    '    in a sequence',
+    '  - name: build',
+    '    run: make'
+  ].join('\n'));
+
+  assert.equal(doc.literal, 'line one\n  indented\n');
+  assert.equal(doc.stripped, 'no newline');
+  assert.equal(doc.folded, 'joined words\nnew paragraph\n');
+  assert.deepEqual(doc.steps, ['in a sequence\n', { name: 'build', run: 'make' }]);
+});
+
+test('stringifyYaml round-trips values and preserves key order', () => {
+  const manifest = {
+    zeta: 1,
+    alpha: { nested: [1, 'two', { three: [true, null] }], empty: [], none: {} },
+    strings: ['', ' padded', 'true', '1.0', 'a: b', 'x #y', '- dash', '@at', "it's", 'multi\nline\n', 'no\ntrailing'],
+    'key: with colon': 'value',
+    middle: -2.5e-3
+  };
+
+  const yaml = stringifyYaml(manifest);
+  const parsed = parseYaml(yaml);
+
+  assert.deepEqual(parsed, manifest);
+  assert.deepEqual(Object.keys(parsed), Object.keys(manifest));
+  assert.match(yaml, /^zeta: 1\nalpha:\n {2}nested:\n {4}- 1\n/);
+});
+
+test('parseYaml rejects unsupported or malformed YAML with a line number', () => {
+  assert.throws(() => parseYaml('base: &base 1'), /line 1: anchors, aliases and tags are not supported/);
+  assert.throws(() => parseYaml('a: 1\n---\nb: 2'), /line 2: multiple documents/);
+  assert.throws(() => parseYaml('a: 1\na: 2'), /line 2: duplicate key: a/);
+  assert.throws(() => parseYaml('a:\n\t- b'), /tabs are not allowed/);
+  assert.throws(() => parseYaml('a: [1, 2'), /unterminated flow collection/);
+  assert.throws(() => parseYaml('a: 1\n    b: 2'), /line 2: unexpected indentation/);
+});
+
+test('parseYaml does not let __proto__ keys reach the prototype', () => {
+  const parsed = parseYaml('__proto__:\n  polluted: true');
+  assert.equal({}.polluted, undefined);
+  assert.deepEqual(Object.keys(parsed), ['__proto__']);
+});
@@ -118,6 +118,45 @@ registerValidator('relationships.urns', m=>{
   return { ok:issues.length===0, issues };
 });
 
+// ————————————————————————————————————————————————————————————————
+// Signature envelope (identity-access.signing.v1, key-less check)
+// ————————————————————————————————————————————————————————————————
+const SIGNING_SPEC='identity-access.signing.v1';
+const SIGNING_ALGS=['EdDSA','ES256'];
+const SIGNING_CANONICAL='jsonCanon';
+const SIGNED_CONTENT=Symbol('signedContent');
+// Captured by normalize() before derived hashes are added
+function signedContent(m){ const {sig,...content}=m||{}; return jsonCanon(content); }
+function fromBase64Url(s){
+  try{ const bin=atob(s.replace(/-/g,'+').replace(/_/g,'/')); return new TextDecoder('utf-8',{fatal:true}).decode(Uint8Array.from(bin,c=>c.charCodeAt(0))); }
+  catch{ return null; }
+}
+// Malformed, tampered (payload no longer matches) and expired signatures; digest and signature are checked by @cpms/core/signing
+registerValidator('signature.envelope', m=>{
+  const issues=[]; const sig=m?.sig;
+  if(!sig) return {ok:true,issues};
+  if(typeof sig!=='object') return {ok:false,issues:[{path:'sig',msg:'signature envelope must be an object',level:'error'}]};
+  if(sig.spec!==SIGNING_SPEC) issues.push({path:'sig.spec',msg:`unsupported envelope spec: ${sig.spec}`,level:'error'});
+  for(const f of ['protected','payload','signature']) if(typeof sig[f]!=='string'||!sig[f]) issues.push({path:`sig.${f}`,msg:`${f} is required`,level:'error'});
+  if(issues.length) return {ok:false,issues};
+  if(sig.header!==undefined) issues.push({path:'sig.header',msg:'header is not covered by the signature and is ignored; the protected header is authoritative',level:'warn'});
+  let header=null; try{ header=JSON.parse(fromBase64Url(sig.protected)); }catch{ header=null; }
+  if(!header||typeof header!=='object'||Array.isArray(header)){
+    issues.push({path:'sig.protected',msg:'protected header is not valid base64url JSON',level:'error'}); return {ok:false,issues};
+  }
+  if(!SIGNING_ALGS.includes(header.alg)) issues.push({path:'sig.protected.alg',msg:`unsupported signature algorithm: ${header.alg}`,level:'error'});
+  if(!header.kid) issues.push({path:'sig.protected.kid',msg:'kid is required',level:'error'});
+  if(header.canonical&&header.canonical!==SIGNING_CANONICAL) issues.push({path:'sig.protected.canonical',msg:`unsupported canonicalization: ${header.canonical}`,level:'error'});
+  if(fromBase64Url(sig.payload)!==(m[SIGNED_CONTENT]??signedContent(m)))
+    issues.push({path:'sig.payload',msg:'manifest content does not match signed payload (tampered)',level:'error'});
+  if(header.exp){
+    const at=new Date(header.exp).getTime();
+    if(Number.isNaN(at)) issues.push({path:'sig.protected.exp',msg:`invalid exp timestamp: ${header.exp}`,level:'error'});
+    else if(at<=Date.now()) issues.push({path:'sig.protected.exp',msg:`signature expired at ${header.exp}`,level:'error'});
+  }
+  return {ok:issues.every(i=>i.level!=='error'),issues};
+});
+
 // ————————————————————————————————————————————————————————————————
 // Query language (:=: contains > < >= <=) + conveniences
 // ————————————————————————————————————————————————————————————————
@@ -146,6 +185,7 @@ function query(manifest, expr){
 // ————————————————————————————————————————————————————————————————
 function normalize(m){
   const n=clone(m||{});
+  if(n.sig) Object.defineProperty(n,SIGNED_CONTENT,{value:signedContent(n)});
   n.id_hash   = hash({id:n.agent?.id, name:n.agent?.name, version:n.agent?.version});
   n.cap_hash  = hash(n.capabilities||{});
   n.com_hash  = hash(n.communication||{});
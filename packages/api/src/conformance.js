@@ -0,0 +1,312 @@
+/*
+ * API Protocol — traffic conformance
+ * Replays recorded HTTP exchanges (HAR 1.2) against an API manifest
+ *
+ * - Undocumented endpoints and methods, and undocumented response status codes
+ * - Request (query, JSON body) and response fields that the declared schemas do not describe
+ * - PII-looking values (emails, phone numbers, SSNs, card numbers) in fields not marked x-pii
+ * - Traffic served beyond an endpoint's rateLimit
+ * Pure function: no I/O; callers read and parse the HAR file.
+ */
+
+import { listOperations, resolveSchema, periodMs } from './api-protocol.js';
+import { compileRoutes, matchRoute, parseBody, mediaSchema, findResponse, findMediaType } from './request-validator.js';
+
+// ————————————————————————————————————————————————————————————————
+// PII detection
+// ————————————————————————————————————————————————————————————————
+
+/** Luhn checksum, so order numbers and timestamps are not mistaken for card numbers */
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** Value detectors by PII kind; each takes a string and answers whether it looks like that kind */
+const PII_DETECTORS = Object.freeze({
+  email: v => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(v),
+  ssn: v => /^\d{3}-\d{2}-\d{4}$/.test(v),
+  card: v => /^\d[\d -]{11,22}\d$/.test(v) && /^\d{13,19}$/.test(v.replace(/[ -]/g, '')) && luhn(v.replace(/[ -]/g, '')),
+  phone: v => /^\+?\(?\d[\d\s().-]{8,18}\d$/.test(v)
+    && /^(\+|\(|\d{3}[\s.-])/.test(v)
+    && /^\d{10,15}$/.test(v.replace(/\D/g, ''))
+});
+
+function detectPii(value, detectors) {
+  if (typeof value !== 'string' || value.length > 64) return null;
+  const text = value.trim();
+  for (const [kind, detect] of Object.entries(detectors)) {
+    if (typeof detect === 'function' ? detect(text) : detect.test(text)) return kind;
+  }
+  return null;
+}
+
+// ————————————————————————————————————————————————————————————————
+// HAR entries
+// ————————————————————————————————————————————————————————————————
+
+/** HAR bodies may be base64 encoded (content.encoding) */
+function entryText(content) {
+  if (!content?.text) return '';
+  if (content.encoding !== 'base64') return content.text;
+  try {
+    return new TextDecoder().decode(Uint8Array.from(atob(content.text), c => c.charCodeAt(0)));
+  } catch {
+    return '';
+  }
+}
+
+const headerValue = (headers, name) => (headers || []).find(h => String(h.name).toLowerCase() === name)?.value || '';
+
+/** Path prefixes to strip before routing: the option, then the path part of each declared server URL */
+function basePaths(manifest, basePath) {
+  const paths = [basePath];
+  for (const server of manifest?.servers?.list || []) {
+    try {
+      paths.push(new URL(server.url, 'http://localhost').pathname);
+    } catch {
+      // Templated server URLs that do not parse cannot contribute a prefix
+    }
+  }
+  return [...new Set(paths.filter(Boolean).map(p => p.replace(/\/+$/, '')).filter(Boolean))]
+    .sort((a, b) => b.length - a.length);
+}
+
+function routedPath(pathname, prefixes) {
+  const prefix = prefixes.find(p => pathname === p || pathname.startsWith(`${p}/`));
+  return prefix ? pathname.slice(prefix.length) || '/' : pathname;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Field walking
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * Visit every leaf of a JSON value with the schema that documents it (undefined when none does).
+ * Properties outside a schema's `properties` are visited as 'undocumented' unless additionalProperties allows them.
+ * Array items share one path (`items[].name`) so repeated elements report once.
+ */
+function walkFields(schema, value, at, visit) {
+  if (Array.isArray(value)) {
+    const items = schema?.items;
+    value.forEach(item => walkFields(items, item, `${at}[]`, visit));
+    return;
+  }
+  if (value && typeof value === 'object') {
+    for (const [name, child] of Object.entries(value)) {
+      const path = at ? `${at}.${name}` : name;
+      const properties = schema?.properties;
+      let childSchema;
+      if (properties && name in properties) childSchema = properties[name] || {};
+      else if (schema && typeof schema.additionalProperties === 'object') childSchema = schema.additionalProperties;
+      else if (properties && schema.additionalProperties !== true) visit(path, child, undefined, 'undocumented');
+      walkFields(childSchema, child, path, visit);
+    }
+    return;
+  }
+  visit(at, value, schema, 'leaf');
+}
+
+// ————————————————————————————————————————————————————————————————
+// Conformance
+// ————————————————————————————————————————————————————————————————
+
+const FINDING_LEVELS = Object.freeze({
+  undocumented_endpoint: 'error',
+  undocumented_status: 'error',
+  undocumented_field: 'warn',
+  unmarked_pii: 'error',
+  rate_limit_exceeded: 'error',
+  unreadable_entry: 'warn'
+});
+
+/**
+ * Check recorded traffic against an API manifest
+ * Findings are de-duplicated by kind, endpoint and field; `count` says how many exchanges showed each one
+ * and `entries` lists the first few HAR entry indexes.
+ * @param {Object} apiManifest - API manifest, or an API protocol instance
+ * @param {Object} har - Parsed HAR document ({ log: { entries } })
+ * @param {Object} [options] - Conformance options
+ * @param {string} [options.basePath] - Prefix to strip from request paths before matching (servers are tried too)
+ * @param {Object<string, RegExp|Function>} [options.piiDetectors] - Extra or replacement PII value detectors by kind
+ * @returns {{ok:boolean, summary:Object, endpoints:Object, findings:Array<{kind:string, level:string, endpoint:string, location?:string, field?:string, msg:string, count:number, entries:number[]}>}}
+ */
+function checkConformance(apiManifest, har, options = {}) {
+  const manifest = typeof apiManifest?.manifest === 'function' ? apiManifest.manifest() : (apiManifest || {});
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) throw new Error('Invalid HAR: log.entries must be an array');
+
+  const routes = compileRoutes(manifest);
+  const prefixes = basePaths(manifest, options.basePath);
+  const detectors = { ...PII_DETECTORS, ...(options.piiDetectors || {}) };
+  const findings = new Map();
+  const endpoints = {};
+  const served = new Map();
+  let matched = 0;
+
+  const report = (kind, index, { endpoint, location, field, msg }) => {
+    const key = [kind, endpoint, location, field, kind === 'undocumented_status' ? msg : ''].join('|');
+    const existing = findings.get(key);
+    if (existing) {
+      existing.count++;
+      if (existing.entries.length < 5) existing.entries.push(index);
+      return;
+    }
+    findings.set(key, {
+      kind,
+      level: FINDING_LEVELS[kind],
+      endpoint,
+      ...(location && { location }),
+      ...(field !== undefined && { field }),
+      msg,
+      count: 1,
+      entries: [index]
+    });
+  };
+
+  const inspectBody = (index, endpoint, location, schema, value) => {
+    walkFields(schema, value, '', (field, leaf, fieldSchema, what) => {
+      if (what === 'undocumented') {
+        report('undocumented_field', index, { endpoint, location, field, msg: `${location} field ${field} is not in the schema` });
+        return;
+      }
+      const pii = detectPii(leaf, detectors);
+      if (pii && fieldSchema?.['x-pii'] !== true) {
+        report('unmarked_pii', index, { endpoint, location, field, msg: `${location} field ${field || '(body)'} carries ${pii} values but is not marked x-pii` });
+      }
+    });
+  };
+
+  const inspectEntry = (entry, index) => {
+    const request = entry?.request || {};
+    const response = entry?.response || {};
+    const method = String(request.method || 'GET').toUpperCase();
+    let url;
+    try {
+      url = new URL(request.url, 'http://localhost');
+    } catch {
+      report('unreadable_entry', index, { endpoint: `${method} ${request.url}`, msg: `request URL ${request.url} cannot be parsed` });
+      return;
+    }
+    const pathname = routedPath(url.pathname, prefixes);
+    const { route, allowed, malformed } = matchRoute(routes, method, pathname);
+    if (malformed) {
+      report('unreadable_entry', index, { endpoint: `${method} ${pathname}`, msg: `path ${pathname} has malformed percent-encoding` });
+      return;
+    }
+    if (!route) {
+      const msg = allowed.length
+        ? `${method} is not declared for ${pathname} (declared: ${allowed.join(', ')})`
+        : `${method} ${pathname} matches no declared path`;
+      report('undocumented_endpoint', index, { endpoint: `${method} ${pathname}`, msg });
+      return;
+    }
+
+    matched++;
+    const { operation } = route;
+    const endpoint = `${route.method} ${route.path}`;
+    const status = Number(response.status);
+    const stats = endpoints[endpoint] || (endpoints[endpoint] = { calls: 0, statuses: {} });
+    stats.calls++;
+    stats.statuses[status] = (stats.statuses[status] || 0) + 1;
+
+    // Request: query parameters, then the JSON body
+    const declaredQuery = operation.parameters?.query || {};
+    for (const name of new Set(url.searchParams.keys())) {
+      const param = declaredQuery[name];
+      if (!param) {
+        report('undocumented_field', index, { endpoint, location: 'query', field: name, msg: `query parameter ${name} is not declared` });
+      }
+      const pii = detectPii(url.searchParams.get(name), detectors);
+      const marked = param?.['x-pii'] === true || resolveSchema(manifest, param?.schema)?.['x-pii'] === true;
+      if (pii && !marked) {
+        report('unmarked_pii', index, { endpoint, location: 'query', field: name, msg: `query parameter ${name} carries ${pii} values but is not marked x-pii` });
+      }
+    }
+    const requestType = request.postData?.mimeType || headerValue(request.headers, 'content-type');
+    const requestBody = parseBody(request.postData?.text || '', requestType);
+    const requestContent = operation.requestBody?.content || {};
+    if (requestBody !== undefined && typeof requestBody === 'object') {
+      const type = findMediaType(requestContent, requestType) || Object.keys(requestContent).find(t => t.includes('json'));
+      inspectBody(index, endpoint, 'request', type ? resolveSchema(manifest, mediaSchema(requestContent[type])) : undefined, requestBody);
+    }
+
+    // Response: declared status (429 is implied by a rateLimit), then the JSON body
+    if (!status) return;
+    const declared = findResponse(operation, status) || (status === 429 && operation.rateLimit ? {} : undefined);
+    if (!declared) {
+      report('undocumented_status', index, { endpoint, location: 'response', msg: `status ${status} is not declared` });
+      return;
+    }
+    if (status !== 429) {
+      if (!served.has(endpoint)) served.set(endpoint, []);
+      const at = Date.parse(entry.startedDateTime);
+      if (!Number.isNaN(at)) served.get(endpoint).push({ at, index });
+    }
+    const responseType = response.content?.mimeType || headerValue(response.headers, 'content-type');
+    const responseBody = parseBody(entryText(response.content), responseType);
+    if (responseBody !== undefined && typeof responseBody === 'object') {
+      const content = declared.content || {};
+      const type = findMediaType(content, responseType) || Object.keys(content).find(t => t.includes('json'));
+      inspectBody(index, endpoint, 'response', type ? resolveSchema(manifest, mediaSchema(content[type])) : undefined, responseBody);
+    }
+  };
+
+  // One unreadable exchange is a finding, not the end of the report
+  entries.forEach((entry, index) => {
+    try {
+      inspectEntry(entry, index);
+    } catch (error) {
+      const request = entry?.request || {};
+      report('unreadable_entry', index, { endpoint: `${String(request.method || 'GET').toUpperCase()} ${request.url}`, msg: `entry skipped: ${error.message}` });
+    }
+  });
+
+  // Rate limits: the busiest window of served (non-429) calls against the declared allowance
+  for (const { path, method, operation } of listOperations(manifest)) {
+    const limit = operation.rateLimit;
+    const endpoint = `${method.toUpperCase()} ${path}`;
+    const calls = served.get(endpoint);
+    if (!limit?.requests || !calls) continue;
+    const windowMs = periodMs(limit.period);
+    calls.sort((a, b) => a.at - b.at);
+    let start = 0;
+    let peak = 0;
+    const over = [];
+    calls.forEach((call, i) => {
+      while (call.at - calls[start].at >= windowMs) start++;
+      const inWindow = i - start + 1;
+      peak = Math.max(peak, inWindow);
+      if (inWindow > limit.requests) over.push(call.index);
+    });
+    if (over.length) {
+      findings.set(`rate_limit_exceeded|${endpoint}`, {
+        kind: 'rate_limit_exceeded',
+        level: FINDING_LEVELS.rate_limit_exceeded,
+        endpoint,
+        msg: `served ${peak} requests within ${limit.period || `${windowMs}ms`}, rateLimit allows ${limit.requests}`,
+        count: over.length,
+        entries: over.slice(0, 5)
+      });
+    }
+  }
+
+  const list = [...findings.values()];
+  const byKind = Object.fromEntries(Object.keys(FINDING_LEVELS).map(kind => [kind, list.filter(f => f.kind === kind).length]));
+  return {
+    ok: list.every(f => f.level !== 'error'),
+    summary: { entries: entries.length, matched, unmatched: entries.length - matched, findings: byKind },
+    endpoints,
+    findings: list
+  };
+}
+
+export { checkConformance, PII_DETECTORS };
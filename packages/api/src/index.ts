@@ -2,5 +2,9 @@ export {
   createApiProtocol,
   createApiCatalog,
   registerValidator,
+  listOperations,
+  analyzeSecurity,
+  importOpenApi,
   Validators,
 } from './api-protocol.js';
+export { checkConformance } from './conformance.js';
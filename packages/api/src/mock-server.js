@@ -0,0 +1,211 @@
+/*
+ * API Protocol — mock server
+ * Serves an API manifest over node:http for contract testing
+ *
+ * - Routes every operation in endpoints.paths, matching path templates (/payments/{id})
+ * - Validates path/query/header parameters and the JSON request body (see request-validator.js)
+ * - Responds with declared examples, or with values synthesized from the response schema
+ * - Enforces declared rateLimit windows with 429 + Retry-After
+ * Node-only: kept out of the browser-safe protocol module
+ */
+
+import { createServer } from 'node:http';
+import { periodMs, resolveSchema } from './api-protocol.js';
+import { compileRoutes, matchRoute, parseBody, readBody, validateRequest } from './request-validator.js';
+
+// ————————————————————————————————————————————————————————————————
+// Response synthesis
+// ————————————————————————————————————————————————————————————————
+
+const FORMAT_SAMPLES = {
+  'date-time': '2025-01-01T00:00:00Z',
+  date: '2025-01-01',
+  email: 'user@example.com',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  uri: 'https://example.com',
+  url: 'https://example.com'
+};
+
+/** Example value for a resolved schema: example/default/const/enum first, then by type */
+function synthesize(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 8) return null;
+  for (const key of ['example', 'default', 'const']) {
+    if (schema[key] !== undefined) return schema[key];
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length) return synthesize(variants[0], depth + 1);
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((acc, s) => ({ ...acc, ...synthesize(s, depth + 1) }), {});
+  }
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : undefined);
+  switch (type) {
+    case 'string': return FORMAT_SAMPLES[schema.format] || 'string';
+    case 'integer': return schema.minimum ?? 0;
+    case 'number': return schema.minimum ?? 0;
+    case 'boolean': return true;
+    case 'null': return null;
+    case 'array': return schema.items ? [synthesize(schema.items, depth + 1)] : [];
+    case 'object': {
+      const out = {};
+      for (const [name, def] of Object.entries(schema.properties || {})) out[name] = synthesize(def, depth + 1);
+      return out;
+    }
+    default: return null;
+  }
+}
+
+/** Pick the declared response: `Prefer: code=<status>` when declared, else the lowest 2xx, else the first */
+function selectResponse(operation, prefer) {
+  const responses = operation.responses || {};
+  const statuses = Object.keys(responses);
+  const preferred = /code=(\d{3})/.exec(prefer || '')?.[1];
+  if (preferred && responses[preferred]) return preferred;
+  return statuses.filter(s => /^2\d\d$/.test(s)).sort()[0] || statuses.find(s => /^\d{3}$/.test(s)) || '200';
+}
+
+function buildResponse(manifest, operation, prefer) {
+  const status = selectResponse(operation, prefer);
+  const response = (operation.responses || {})[status] || {};
+  const [type, entry] = Object.entries(response.content || {})[0] || [];
+  if (!type || status === '204') return { status: Number(status), contentType: null, body: undefined };
+  const media = entry && typeof entry === 'object' && 'schema' in entry ? entry : { schema: entry };
+  const body = media.example !== undefined ? media.example : synthesize(resolveSchema(manifest, media.schema));
+  return { status: Number(status), contentType: type, body };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Server
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * Create a mock HTTP server for an API manifest
+ * @param {Object} apiManifest - API manifest, or an API protocol instance
+ * @param {Object} [config] - Server configuration
+ * @param {number} [config.port=3000] - Port (0 picks a free port)
+ * @param {boolean} [config.validate=true] - Reject requests that do not match the manifest with 400
+ * @param {boolean} [config.enableCors=true] - Send permissive CORS headers and answer preflights
+ * @returns {Object} Server instance ({ server, routes, start, stop })
+ */
+function createMockServer(apiManifest, config = {}) {
+  const {
+    port = 3000,
+    validate = true,
+    enableCors = true
+  } = config;
+
+  const manifest = typeof apiManifest?.manifest === 'function' ? apiManifest.manifest() : (apiManifest || {});
+  const routes = compileRoutes(manifest);
+  const buckets = new Map();
+
+  const send = (res, status, body, headers = {}) => {
+    const json = body === undefined ? undefined : JSON.stringify(body);
+    res.writeHead(status, json === undefined ? headers : { 'Content-Type': 'application/json', ...headers });
+    res.end(json);
+  };
+
+  const server = createServer(async (req, res) => {
+    if (enableCors) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', '*');
+    }
+
+    try {
+      const url = new URL(req.url, `http://localhost:${port}`);
+      const method = req.method.toUpperCase();
+      const { route, params, allowed, malformed } = matchRoute(routes, method, url.pathname);
+
+      if (malformed) {
+        send(res, 400, { error: 'Malformed request path', path: url.pathname });
+        return;
+      }
+      if (!route) {
+        if (method === 'OPTIONS' && enableCors && allowed.length) {
+          res.writeHead(204);
+          res.end();
+        } else if (allowed.length) {
+          send(res, 405, { error: 'Method not allowed', allowed }, { Allow: allowed.join(', ') });
+        } else {
+          send(res, 404, { error: 'Not found', path: url.pathname });
+        }
+        return;
+      }
+
+      const { operation } = route;
+
+      // Rate limit: fixed window per operation
+      const limit = operation.rateLimit;
+      if (limit?.requests) {
+        const key = `${route.method} ${route.path}`;
+        const windowMs = periodMs(limit.period);
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket || now - bucket.start >= windowMs) {
+          bucket = { start: now, count: 0 };
+          buckets.set(key, bucket);
+        }
+        bucket.count++;
+        const remaining = Math.max(0, limit.requests - bucket.count);
+        res.setHeader('X-RateLimit-Limit', String(limit.requests));
+        res.setHeader('X-RateLimit-Remaining', String(remaining));
+        if (bucket.count > limit.requests) {
+          const retryAfter = Math.max(1, Math.ceil((bucket.start + windowMs - now) / 1000));
+          send(res, 429, { error: 'Rate limit exceeded', limit: limit.requests, period: limit.period }, { 'Retry-After': String(retryAfter) });
+          return;
+        }
+      }
+
+      const rawBody = await readBody(req);
+      const contentType = String(req.headers['content-type'] || '');
+      const body = parseBody(rawBody, contentType);
+
+      if (validate) {
+        const issues = validateRequest(manifest, operation, { params, query: url.searchParams, headers: req.headers, body, rawBody, contentType });
+        if (issues.length) {
+          send(res, 400, { error: 'Request validation failed', issues });
+          return;
+        }
+      }
+
+      const response = buildResponse(manifest, operation, req.headers.prefer);
+      if (response.body === undefined || method === 'HEAD') {
+        res.writeHead(response.status, response.contentType ? { 'Content-Type': response.contentType } : {});
+        res.end();
+      } else {
+        res.writeHead(response.status, { 'Content-Type': response.contentType });
+        res.end(typeof response.body === 'string' && !response.contentType.includes('json') ? response.body : JSON.stringify(response.body));
+      }
+    } catch (error) {
+      send(res, 500, { error: error.message });
+    }
+  });
+
+  return {
+    server,
+    routes: routes.map(r => ({ method: r.method, path: r.path })),
+    start: () => new Promise((resolve, reject) => {
+      const handleError = (error) => {
+        server.off('error', handleError);
+        reject(error);
+      };
+
+      server.once('error', handleError);
+      server.listen(port, () => {
+        server.off('error', handleError);
+        const address = server.address();
+        const actualPort = typeof address === 'object' ? address.port : port;
+        resolve({ port: actualPort, url: `http://localhost:${actualPort}` });
+      });
+    }),
+    stop: () => new Promise((resolve) => {
+      server.close(() => {
+        resolve();
+      });
+    })
+  };
+}
+
+export {
+  createMockServer
+};
@@ -0,0 +1 @@
+export * from './mock-server.js';
@@ -0,0 +1 @@
+export * from './request-validator.js';
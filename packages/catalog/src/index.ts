@@ -2,9 +2,12 @@ export {
   createCatalogSystem,
   parseURN,
   buildURN,
+  buildEndpointURN,
   resolveURN,
+  resolveEndpointURN,
   generateURN,
   analyzeCrossEntityRelationships,
   detectCrossEntityCycles,
   validateSystem,
+  analyzeDeprecatedEndpoints,
 } from './catalog-system.js';
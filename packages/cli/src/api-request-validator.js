@@ -0,0 +1,343 @@
+/*
+ * API Protocol — request/response validator
+ * Enforces an API manifest at runtime as Node http-compatible middleware
+ *
+ * - Matches requests to endpoints.paths templates (/payments/{id}); 404/405 otherwise
+ * - Validates path/query/header parameters and JSON bodies against the declared schemas
+ * - Optionally checks outgoing responses against the declared status codes and content
+ * - Rejects requests with structured 400 errors: { error, issues: [{ in, path, msg }] }
+ */
+
+import { compileJsonSchema } from './json-schema.js';
+import { listOperations, resolveSchema } from './api_protocol_v_1_1_1.js';
+
+// ————————————————————————————————————————————————————————————————
+// Routing
+// ————————————————————————————————————————————————————————————————
+
+/** Compile operations into routes; templates with fewer parameters sort before more generic ones */
+function compileRoutes(manifest) {
+  const routes = listOperations(manifest).map(({ path, method, operation }) => {
+    const names = [];
+    const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { path, method: method.toUpperCase(), operation, names, regex: new RegExp(`^${pattern}/?$`) };
+  });
+  return routes.sort((a, b) => a.names.length - b.names.length);
+}
+
+/**
+ * Routes are sorted by specificity, so the first template that matches owns the URL.
+ * HEAD falls back to the path's GET operation unless the manifest declares HEAD itself.
+ * A path parameter with broken percent-encoding (/payments/%E0%A4%A) yields { route: null, malformed: true }.
+ */
+function matchRoute(routes, method, pathname) {
+  const allowed = [];
+  let owner = null;
+  let fallback = null;
+  for (const route of routes) {
+    if (owner !== null && route.path !== owner) continue;
+    const match = route.regex.exec(pathname);
+    if (!match) continue;
+    owner = route.path;
+    if (route.method === method) return routeParams(route, match);
+    if (method === 'HEAD' && route.method === 'GET') fallback = { route, match };
+    allowed.push(route.method);
+  }
+  if (fallback) return routeParams(fallback.route, fallback.match);
+  return { route: null, allowed: [...new Set(allowed)] };
+}
+
+/** Decoded path parameters of a matched route */
+function routeParams(route, match) {
+  const params = {};
+  try {
+    route.names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+  } catch (error) {
+    if (error instanceof URIError) return { route: null, allowed: [], malformed: true };
+    throw error;
+  }
+  return { route, params };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Request validation
+// ————————————————————————————————————————————————————————————————
+
+// Compiled validators per manifest, then per schema object, so each declared schema compiles once
+const checkers = new WeakMap();
+
+/**
+ * Validate a decoded value against a manifest schema with compileJsonSchema, as { in, path, msg } issues.
+ * Component $refs (#/components/schemas/...) resolve against the manifest.
+ */
+function schemaIssues(manifest, schema, value, at, issues, where) {
+  if (!schema || typeof schema !== 'object' || value === undefined) return;
+  let compiled = checkers.get(manifest);
+  if (!compiled) checkers.set(manifest, compiled = new WeakMap());
+  let check = compiled.get(schema);
+  if (!check) {
+    check = compileJsonSchema({ allOf: [schema], ...(manifest?.components && { components: manifest.components }) });
+    compiled.set(schema, check);
+  }
+  for (const { path, msg } of check(value).errors) {
+    issues.push({ in: where, path: !path ? at : !at || path.startsWith('[') ? `${at}${path}` : `${at}.${path}`, msg });
+  }
+}
+
+/** Parameters arrive as strings; coerce to the declared scalar type before checking */
+function coerceParam(schema, raw) {
+  const type = schema?.type;
+  if (type === 'array') return [].concat(raw).map(v => coerceParam(schema.items, v));
+  if (Array.isArray(raw)) raw = raw[raw.length - 1];
+  if (type === 'integer' || type === 'number') return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+  if (type === 'boolean') return raw === 'true' ? true : raw === 'false' ? false : raw;
+  return raw;
+}
+
+const mediaSchema = entry => (entry && typeof entry === 'object' && 'schema' in entry ? entry.schema : entry);
+
+function validateRequest(manifest, operation, { params, query, headers, body, rawBody, contentType }) {
+  const issues = [];
+  const sources = {
+    path: params,
+    query: Object.fromEntries([...new Set(query.keys())].map(k => [k, query.getAll(k).length > 1 ? query.getAll(k) : query.get(k)])),
+    header: headers
+  };
+  for (const [loc, declared] of Object.entries(operation.parameters || {})) {
+    for (const [name, param] of Object.entries(declared || {})) {
+      const raw = sources[loc]?.[loc === 'header' ? name.toLowerCase() : name];
+      if (raw === undefined) {
+        if (param.required) issues.push({ in: loc, path: name, msg: 'is required' });
+        continue;
+      }
+      // A parameter without a schema is its own schema (type, enum, bounds declared inline)
+      const schema = param.schema || param;
+      schemaIssues(manifest, schema, coerceParam(resolveSchema(manifest, schema), raw), name, issues, loc);
+    }
+  }
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    if (!rawBody) {
+      if (requestBody.required) issues.push({ in: 'body', path: '', msg: 'request body is required' });
+    } else if (body === undefined && /json/.test(contentType)) {
+      issues.push({ in: 'body', path: '', msg: 'request body is not valid JSON' });
+    } else if (body !== undefined) {
+      const content = requestBody.content || {};
+      const type = Object.keys(content).find(t => contentType.includes(t)) || Object.keys(content).find(t => t.includes('json'));
+      if (type) {
+        schemaIssues(manifest, mediaSchema(content[type]), body, '', issues, 'body');
+      }
+    }
+  }
+  return issues;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Response validation
+// ————————————————————————————————————————————————————————————————
+
+/** Declared media type for a Content-Type header: exact match, then wildcards (image/*, *\/*) */
+function findMediaType(content, contentType) {
+  const base = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const types = Object.keys(content || {});
+  return types.find(t => t.toLowerCase() === base)
+    || types.find(t => t.endsWith('/*') && base.startsWith(t.slice(0, -1)))
+    || types.find(t => t === '*/*');
+}
+
+/** Declared response for a status code: exact, then its range (2XX), then default */
+function findResponse(operation, status) {
+  const responses = operation.responses || {};
+  const code = String(status);
+  const range = Object.keys(responses).find(k => k.toUpperCase() === `${code[0]}XX`);
+  return responses[code] || (range && responses[range]) || responses.default;
+}
+
+/**
+ * Check an outgoing response against the operation's declared status codes and content
+ * @returns {Array<{in:'response', path:string, msg:string}>} Issues
+ */
+function validateResponse(manifest, operation, { status, contentType, rawBody, method }) {
+  const issues = [];
+  const push = (path, msg) => issues.push({ in: 'response', path, msg });
+  const declared = findResponse(operation, status);
+  if (!declared) {
+    push('', `status ${status} is not declared (declared: ${Object.keys(operation.responses || {}).join(', ') || 'none'})`);
+    return issues;
+  }
+  const content = declared.content || {};
+  if (!Object.keys(content).length || method === 'HEAD' || status === 204 || status === 304) return issues;
+  if (!rawBody) {
+    push('', `status ${status} must have a body (${Object.keys(content).join(', ')})`);
+    return issues;
+  }
+  const type = findMediaType(content, contentType);
+  if (!type) {
+    push('', `content type ${contentType || '(none)'} is not declared for status ${status}`);
+    return issues;
+  }
+  if (/json/.test(type) || /json/.test(contentType)) {
+    const body = parseBody(rawBody, contentType);
+    if (body === undefined) push('', 'response body is not valid JSON');
+    else schemaIssues(manifest, mediaSchema(content[type]), body, '', issues, 'response');
+  }
+  return issues;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Middleware
+// ————————————————————————————————————————————————————————————————
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/** Decode a body: JSON when it parses, undefined for malformed JSON content, else the raw text */
+function parseBody(rawBody, contentType) {
+  if (!rawBody) return undefined;
+  try {
+    return JSON.parse(rawBody);
+  } catch {
+    return /json/.test(contentType) ? undefined : rawBody;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Hold the response until it ends so it can be checked before anything reaches the client.
+ * `finish({ status, contentType, rawBody }, flush)` decides; `flush()` sends the held response.
+ */
+function holdResponse(res, finish) {
+  const { writeHead, write, end } = res;
+  const chunks = [];
+  const collect = (chunk, encoding) => {
+    if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+  };
+
+  res.writeHead = (status, ...rest) => {
+    res.statusCode = status;
+    const headers = rest.find(arg => arg && typeof arg === 'object');
+    if (headers) for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    return res;
+  };
+  res.write = (chunk, encoding, callback) => {
+    collect(chunk, encoding);
+    if (typeof encoding === 'function') encoding();
+    else if (typeof callback === 'function') callback();
+    return true;
+  };
+  res.end = (chunk, encoding, callback) => {
+    collect(chunk, encoding);
+    Object.assign(res, { writeHead, write, end });
+    const body = Buffer.concat(chunks);
+    const flush = () => {
+      if (!res.hasHeader('content-length') || body.length) res.setHeader('Content-Length', body.length);
+      end.call(res, body, typeof callback === 'function' ? callback : typeof encoding === 'function' ? encoding : undefined);
+    };
+    finish({ status: res.statusCode, contentType: String(res.getHeader('content-type') || ''), rawBody: body.toString('utf8') }, flush);
+    return res;
+  };
+}
+
+/**
+ * Create request/response validation middleware for an API manifest
+ * Usable with node:http (`validator(req, res, next)`) and connect/express-style stacks.
+ * Matched requests get `req.params`, `req.body` (parsed) and `req.operation` before `next()`.
+ * @param {Object} apiManifest - API manifest, or an API protocol instance
+ * @param {Object} [options] - Validator options
+ * @param {boolean} [options.validateResponses=false] - Check outgoing status codes and bodies
+ * @param {Function} [options.onResponseIssues] - Called with (issues, req) for an invalid response, which is
+ *   then sent unchanged; without it an invalid response is replaced by a 500
+ * @param {boolean} [options.allowUnknown=false] - Pass requests that match no operation to `next()` instead of 404
+ * @returns {Function} Middleware `(req, res, next) => Promise<void>`
+ */
+function createRequestValidator(apiManifest, options = {}) {
+  const { validateResponses = false, onResponseIssues, allowUnknown = false } = options;
+  const manifest = typeof apiManifest?.manifest === 'function' ? apiManifest.manifest() : (apiManifest || {});
+  const routes = compileRoutes(manifest);
+
+  return async function requestValidator(req, res, next) {
+    const proceed = typeof next === 'function' ? next : () => {};
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const method = String(req.method || 'GET').toUpperCase();
+      const { route, params, allowed, malformed } = matchRoute(routes, method, url.pathname);
+
+      if (malformed) {
+        sendJson(res, 400, { error: 'Malformed request path', path: url.pathname });
+        return;
+      }
+      if (!route) {
+        if (allowUnknown) return proceed();
+        if (allowed.length) sendJson(res, 405, { error: 'Method not allowed', allowed }, { Allow: allowed.join(', ') });
+        else sendJson(res, 404, { error: 'Not found', path: url.pathname });
+        return;
+      }
+
+      const { operation } = route;
+      const contentType = String(req.headers['content-type'] || '');
+      // Bodies already parsed by an earlier middleware are taken as they are
+      let body = req.body;
+      let rawBody = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+      if (body === undefined && !req.readableEnded) {
+        rawBody = await readBody(req);
+        body = parseBody(rawBody, contentType);
+      }
+
+      const issues = validateRequest(manifest, operation, { params, query: url.searchParams, headers: req.headers, body, rawBody, contentType });
+      if (issues.length) {
+        sendJson(res, 400, { error: 'Request validation failed', issues });
+        return;
+      }
+
+      req.params = { ...req.params, ...params };
+      req.body = body;
+      req.operation = { method: route.method, path: route.path, operationId: operation.operationId };
+
+      if (validateResponses) {
+        holdResponse(res, (response, flush) => {
+          const problems = validateResponse(manifest, operation, { ...response, method });
+          if (!problems.length) return flush();
+          if (typeof onResponseIssues === 'function') {
+            onResponseIssues(problems, req);
+            return flush();
+          }
+          for (const name of res.getHeaderNames()) res.removeHeader(name);
+          sendJson(res, 500, { error: 'Response validation failed', issues: problems });
+        });
+      }
+      return proceed();
+    } catch (error) {
+      if (typeof next === 'function') return next(error);
+      sendJson(res, 500, { error: error.message });
+    }
+  };
+}
+
+export {
+  compileRoutes,
+  matchRoute,
+  readBody,
+  parseBody,
+  mediaSchema,
+  findMediaType,
+  findResponse,
+  validateRequest,
+  validateResponse,
+  createRequestValidator
+};
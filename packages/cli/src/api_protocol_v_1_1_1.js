@@ -0,0 +1,2373 @@
+/*
+ * API Protocol — v1.1.1 (stand‑alone)
+ * Minimal, self‑describing API manifest + helpers
+ *
+ * Goals
+ * - Mirror Data/Event protocol ergonomics (manifest + validate + query + diff + generate)
+ * - OpenAPI compatibility and SDK generation
+ * - Zero dependencies; no external wiring
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Utilities (tiny, shared style)
+// ————————————————————————————————————————————————————————————————
+
+/** Canonicalize JSON for stable hashing */
+function jsonCanon(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(v => jsonCanon(v)).join(',') + ']';
+  const keys = Object.keys(value).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + jsonCanon(value[k])).join(',') + '}';
+}
+
+/** Deep get via dot‑path (supports [index]) */
+function dget(obj, path) {
+  if (!path) return obj;
+  const p = String(path).replace(/\[(\d+)\]/g, '.$1').split('.');
+  let cur = obj;
+  for (const k of p) { if (cur == null) return undefined; cur = cur[k]; }
+  return cur;
+}
+
+/** Deep set via dot‑path */
+function dset(obj, path, val) {
+  const parts = String(path).split('.');
+  let cur = obj;
+  while (parts.length > 1) {
+    const k = parts.shift();
+    if (!(k in cur) || typeof cur[k] !== 'object') cur[k] = {};
+    cur = cur[k];
+  }
+  cur[parts[0]] = val;
+}
+
+/** Tiny clone */
+const clone = x => {
+  try {
+    return JSON.parse(JSON.stringify(x));
+  } catch (e) {
+    // Handle circular references by creating a shallow copy
+    if (e.message.includes('circular')) {
+      return { ...x };
+    }
+    throw e;
+  }
+};
+
+/** Stable 64‑bit FNV‑1a hash (hex) of any JSON‑serializable value */
+function hash(value) {
+  // Fast path for primitives - use simple string conversion
+  if (value === null || typeof value !== 'object') {
+    const str = String(value);
+    // Use a faster hashing approach for short strings
+    let h = 2166136261;
+    const p = 16777619;
+    const len = str.length;
+    // Process in chunks of 8 characters for better performance
+    let i = 0;
+    for (; i + 8 <= len; i += 8) {
+      h ^= str.charCodeAt(i);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 1);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 2);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 3);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 4);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 5);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 6);
+      h = (h * p) >>> 0;
+      h ^= str.charCodeAt(i + 7);
+      h = (h * p) >>> 0;
+    }
+    // Process remaining characters
+    for (; i < len; i++) {
+      h ^= str.charCodeAt(i);
+      h = (h * p) >>> 0;
+    }
+    return 'fnv1a64-' + h.toString(16).padStart(16, '0');
+  }
+  
+  // For arrays, use a simple approach
+  if (Array.isArray(value)) {
+    let h = 2166136261;
+    const p = 16777619;
+    h ^= 91; // '['
+    h = (h * p) >>> 0;
+    for (let i = 0; i < value.length; i++) {
+      const itemHash = hash(value[i]);
+      // Only use first 8 chars of hash for performance
+      for (let j = 0; j < Math.min(8, itemHash.length); j++) {
+        h ^= itemHash.charCodeAt(j);
+        h = (h * p) >>> 0;
+      }
+      if (i < value.length - 1) {
+        h ^= 44; // ','
+        h = (h * p) >>> 0;
+      }
+    }
+    h ^= 93; // ']'
+    h = (h * p) >>> 0;
+    return 'fnv1a64-' + h.toString(16).padStart(16, '0');
+  }
+  
+  // For objects, use the original jsonCanon approach for correctness
+  const str = jsonCanon(value);
+  let h = 2166136261;
+  const p = 16777619;
+  
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = (h * p) >>> 0;
+  }
+  
+  return 'fnv1a64-' + h.toString(16).padStart(16, '0');
+}
+
+/**
+ * @typedef {Object} SignatureEnvelope
+ * @property {'identity-access.signing.v1'} spec
+ * @property {string} protected
+ * @property {string} payload
+ * @property {{alg:'sha-256', value:string}} hash
+ * @property {string} signature
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Manifest shape (informative JSDoc)
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * @typedef {Object} ApiManifest
+ * @property {string} [version]             Protocol version (e.g., "v1.1", "v2.0")
+ * @property {Object} api
+ * @property {string} api.name              // e.g., 'payments-api'
+ * @property {string} [api.version]         // e.g., '1.1.0'
+ * @property {Lifecycle} [api.lifecycle]
+ * @property {Object} [info]                // OpenAPI-style metadata
+ * @property {string} [info.title]
+ * @property {string} [info.description]
+ * @property {string} [info.termsOfService]
+ * @property {Object} [info.contact]
+ * @property {string} [info.contact.name]
+ * @property {string} [info.contact.email]
+ * @property {string} [info.contact.url]
+ * @property {Object} [info.license]
+ * @property {string} [info.license.name]
+ * @property {string} [info.license.url]
+ * @property {Object} [servers]             // Server configurations
+ * @property {Array<{url:string, description?:string, variables?:Object}>} [servers.list]
+ * @property {Object} [security]            // Security schemes
+ * @property {Object<string,Object>} [security.schemes] // e.g., { bearerAuth: { type: 'http', scheme: 'bearer' } }
+ * @property {Array<SecurityRequirement>} [security.global] // Global security requirements (alternatives)
+ * @property {Object} [endpoints]           // API endpoints
+ * @property {Object<string,Endpoint|PathItem>} [endpoints.paths] // path -> endpoint, or method -> operation
+ * @property {Object} [components]          // Reusable definitions
+ * @property {Object<string,Object>} [components.schemas] // name -> schema, referenced as { $ref: '#/components/schemas/<name>' }
+ * @property {Object} [governance]
+ * @property {{classification?: 'internal'|'confidential'|'pii', legal_basis?: 'gdpr'|'ccpa'|'hipaa'|'other'}} [governance.policy]
+ * @property {Object} [metadata]
+ * @property {string} [metadata.owner]
+ * @property {string[]} [metadata.tags]
+ * @property {SignatureEnvelope} [sig]
+ */
+
+/**
+ * @typedef {Object} Endpoint
+ * @property {string} summary
+ * @property {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'|'OPTIONS'|'TRACE'} [method] // single-endpoint shape only; inferred when omitted (requestBody → POST, otherwise GET)
+ * @property {string} [operationId]         // unique across the API
+ * @property {string} [description]
+ * @property {Array<string>} [tags]
+ * @property {Object} [parameters]          // path/query/header parameters
+ * @property {Object<string,Parameter>} [parameters.path]
+ * @property {Object<string,Parameter>} [parameters.query]
+ * @property {Object<string,Parameter>} [parameters.header]
+ * @property {Object} requestBody           // Request body schema
+ * @property {string} requestBody.description
+ * @property {boolean} requestBody.required
+ * @property {Object} requestBody.content   // content-type -> schema
+ * @property {Object} responses             // status code -> response
+ * @property {Object<string,Response>} responses
+ * @property {Array<SecurityRequirement>} [security] // Endpoint-specific security; [] makes the endpoint public
+ * @property {Lifecycle} [lifecycle]        // overrides the path item's and the API's lifecycle
+ * @property {Object} [rateLimit]           // Rate limiting
+ * @property {number} [rateLimit.requests]
+ * @property {string} [rateLimit.period]    // e.g., '1m', '1h', '1d'
+ */
+
+/**
+ * @typedef {Object} PathItem               // several operations under one path
+ * @property {string} [summary]
+ * @property {string} [description]
+ * @property {Object} [parameters]          // shared by every operation; operation-level entries win
+ * @property {Lifecycle} [lifecycle]        // applies to every operation that has none of its own
+ * @property {Endpoint} [get]
+ * @property {Endpoint} [post]
+ * @property {Endpoint} [put]
+ * @property {Endpoint} [patch]
+ * @property {Endpoint} [delete]
+ */
+
+/**
+ * @typedef {string|Object<string,string[]>} SecurityRequirement
+ * A scheme name, or { schemeName: scopes } (OpenAPI style); several keys are required together.
+ * e.g. 'bearerAuth' or { oauth2: ['payments:write'] }
+ */
+
+/**
+ * @typedef {Object} Lifecycle
+ * @property {'active'|'deprecated'} status
+ * @property {string} [sunset_at]           // ISO 8601; the date after which the API/operation is removed
+ * @property {string} [replacement]         // '/path', 'METHOD /path' or a URN to migrate to
+ */
+
+/**
+ * @typedef {Object} Parameter
+ * @property {string} description
+ * @property {string} type                  // string, number, integer, boolean, array
+ * @property {boolean} [required]
+ * @property {any} [default]
+ * @property {Object} [schema]              // JSON Schema for validation
+ */
+
+/**
+ * @typedef {Object} Response
+ * @property {string} description
+ * @property {Object} content               // content-type -> schema
+ * @property {Object} headers               // response headers
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Operations (path + HTTP method)
+// ————————————————————————————————————————————————————————————————
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/** True when a path item declares operations keyed by HTTP method */
+function isOperationMap(pathItem) {
+  if (!pathItem || typeof pathItem !== 'object') return false;
+  return Object.keys(pathItem).some(k => HTTP_METHODS.includes(k.toLowerCase()) && pathItem[k] && typeof pathItem[k] === 'object');
+}
+
+/** Method of a single-endpoint path item: explicit `method`, else requestBody → post, otherwise get */
+function endpointMethod(endpoint) {
+  if (endpoint?.method) return String(endpoint.method).toLowerCase();
+  return endpoint?.requestBody ? 'post' : 'get';
+}
+
+/** Merge path-level parameters under operation-level ones (operation wins per name) */
+function mergeParameters(shared, own) {
+  if (!shared) return own;
+  const merged = {};
+  for (const loc of new Set([...Object.keys(shared), ...Object.keys(own || {})])) {
+    merged[loc] = { ...(shared[loc] || {}), ...((own || {})[loc] || {}) };
+  }
+  return merged;
+}
+
+/**
+ * Flatten endpoints.paths into operations. Single-endpoint path items (the
+ * original shape) yield one operation; method-keyed path items yield one per method.
+ * @returns {Array<{path:string, method:string, key:string, operation:Object, pointer:string}>}
+ */
+function listOperations(manifest) {
+  const ops = [];
+  for (const [path, item] of Object.entries(manifest?.endpoints?.paths || {})) {
+    if (!item || typeof item !== 'object') continue;
+    if (!isOperationMap(item)) {
+      ops.push({ path, method: endpointMethod(item), key: null, operation: item, pointer: `endpoints.paths.${path}` });
+      continue;
+    }
+    for (const [key, op] of Object.entries(item)) {
+      if (!HTTP_METHODS.includes(key.toLowerCase()) || !op || typeof op !== 'object') continue;
+      const operation = item.parameters ? { ...op, parameters: mergeParameters(item.parameters, op.parameters) } : op;
+      ops.push({ path, method: key.toLowerCase(), key, operation, pointer: `endpoints.paths.${path}.${key}` });
+    }
+  }
+  return ops;
+}
+
+/** Lifecycle of an operation: its own, else its path item's, else the API's */
+function operationLifecycle(manifest, { path, key, operation }) {
+  if (operation.lifecycle) return operation.lifecycle;
+  const item = manifest?.endpoints?.paths?.[path];
+  if (key && item?.lifecycle) return item.lifecycle;
+  return manifest?.api?.lifecycle;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Component schemas ($ref)
+// ————————————————————————————————————————————————————————————————
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+/** Component name of a `#/components/schemas/<name>` reference, or null for any other reference */
+function refName(ref) {
+  if (typeof ref !== 'string' || !ref.startsWith(SCHEMA_REF_PREFIX)) return null;
+  return ref.slice(SCHEMA_REF_PREFIX.length).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/** Inline component references; a schema already being expanded keeps its $ref (recursive schemas) */
+function resolveSchema(manifest, schema, stack = []) {
+  if (Array.isArray(schema)) return schema.map(s => resolveSchema(manifest, s, stack));
+  if (!schema || typeof schema !== 'object') return schema;
+  const name = refName(schema.$ref);
+  if (name !== null) {
+    const target = manifest?.components?.schemas?.[name];
+    if (target === undefined || stack.includes(name)) return schema;
+    const { $ref, ...siblings } = schema;
+    return { ...resolveSchema(manifest, target, [...stack, name]), ...resolveSchema(manifest, siblings, stack) };
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) out[k] = resolveSchema(manifest, v, stack);
+  return out;
+}
+
+/** Names of every component schema reachable from a schema through $ref */
+function schemaRefs(manifest, schema, found = new Set()) {
+  if (!schema || typeof schema !== 'object') return found;
+  if (Array.isArray(schema)) {
+    schema.forEach(s => schemaRefs(manifest, s, found));
+    return found;
+  }
+  const name = refName(schema.$ref);
+  if (name !== null && !found.has(name)) {
+    found.add(name);
+    schemaRefs(manifest, manifest?.components?.schemas?.[name], found);
+  }
+  for (const [k, v] of Object.entries(schema)) {
+    if (k !== '$ref') schemaRefs(manifest, v, found);
+  }
+  return found;
+}
+
+/** Schema locations of an operation, relative to the operation: [{ at, schema }] */
+function operationSchemas(operation) {
+  const out = [];
+  for (const [loc, params] of Object.entries(operation.parameters || {})) {
+    for (const [name, param] of Object.entries(params || {})) {
+      if (param?.schema) out.push({ at: `parameters.${loc}.${name}.schema`, schema: param.schema });
+    }
+  }
+  for (const [type, schema] of Object.entries(operation.requestBody?.content || {})) {
+    out.push({ at: `requestBody.content.${type}`, schema });
+  }
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    for (const [type, schema] of Object.entries(response?.content || {})) {
+      out.push({ at: `responses.${status}.content.${type}`, schema });
+    }
+    for (const [name, header] of Object.entries(response?.headers || {})) {
+      out.push({ at: `responses.${status}.headers.${name}`, schema: header });
+    }
+  }
+  return out;
+}
+
+/** Dotted names of the fields in a schema (references resolved), with their definitions */
+function schemaFields(manifest, schema) {
+  const fields = [];
+  const visit = (node, prefix, stack) => {
+    if (!node || typeof node !== 'object') return;
+    const name = refName(node.$ref);
+    if (name !== null) {
+      if (stack.includes(name)) return;
+      visit(manifest?.components?.schemas?.[name], prefix, [...stack, name]);
+    }
+    for (const [field, def] of Object.entries(node.properties || {})) {
+      const dotted = prefix ? `${prefix}.${field}` : field;
+      fields.push({ name: dotted, field: def?.$ref ? resolveSchema(manifest, def, stack) : def });
+      visit(def, dotted, stack);
+    }
+    if (node.items) visit(node.items, prefix, stack);
+    for (const key of ['allOf', 'anyOf', 'oneOf']) {
+      (Array.isArray(node[key]) ? node[key] : []).forEach(s => visit(s, prefix, stack));
+    }
+  };
+  visit(schema, '', []);
+  return fields;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Security (effective requirements, strength, OAuth2 scopes)
+// ————————————————————————————————————————————————————————————————
+
+const STRENGTH_RANK = { none: 0, weak: 1, strong: 2 };
+const OAUTH2_FLOWS = ['implicit', 'password', 'clientCredentials', 'authorizationCode'];
+
+/**
+ * Security requirement list as alternatives: [{ schemes: [{ name, scopes }] }].
+ * An entry is a scheme name, or an OpenAPI-style { name: scopes } object whose
+ * schemes are all required together.
+ */
+function securityRequirements(list) {
+  return (Array.isArray(list) ? list : []).map(entry => (typeof entry === 'string'
+    ? { schemes: [{ name: entry, scopes: [] }] }
+    : { schemes: Object.entries(entry || {}).map(([name, scopes]) => ({ name, scopes: Array.isArray(scopes) ? scopes : [] })) }));
+}
+
+/** Scheme names used by a requirement list, in order of first use */
+function requirementNames(list) {
+  return [...new Set(securityRequirements(list).flatMap(r => r.schemes.map(s => s.name)))];
+}
+
+/** Stable label of one requirement, e.g. `oauth2(payments:write) + apiKey` */
+function requirementLabel(requirement) {
+  return requirement.schemes.map(s => (s.scopes.length ? `${s.name}(${s.scopes.join(' ')})` : s.name)).join(' + ');
+}
+
+/** Effective security of an operation: its own requirement list, else security.global */
+function operationSecurity(manifest, operation) {
+  return Array.isArray(operation.security) ? operation.security : (manifest?.security?.global || []);
+}
+
+/** Strength of one scheme and why: static secrets and browser-era OAuth2 flows are weak */
+function schemeStrength(scheme) {
+  if (!scheme) return { strength: 'weak', reason: 'undefined scheme' };
+  switch (scheme.type) {
+    case 'apiKey':
+      return { strength: 'weak', reason: `static API key in ${scheme.in || 'an unspecified location'}` };
+    case 'http': {
+      const kind = String(scheme.scheme || '').toLowerCase();
+      return kind === 'bearer' ? { strength: 'strong', reason: 'bearer token' } : { strength: 'weak', reason: `HTTP ${kind || 'auth'} credentials` };
+    }
+    case 'oauth2': {
+      const flows = Object.keys(scheme.flows || {});
+      const strong = flows.filter(f => f === 'authorizationCode' || f === 'clientCredentials');
+      return strong.length
+        ? { strength: 'strong', reason: `OAuth2 ${strong.join(', ')}` }
+        : { strength: 'weak', reason: flows.length ? `OAuth2 ${flows.join(', ')} only` : 'OAuth2 without flows' };
+    }
+    case 'openIdConnect':
+    case 'mutualTLS':
+      return { strength: 'strong', reason: scheme.type };
+    default:
+      return { strength: 'weak', reason: `unknown scheme type ${scheme.type}` };
+  }
+}
+
+/** Scopes an OAuth2 scheme declares across its flows */
+function declaredScopes(scheme) {
+  return new Set(Object.values(scheme?.flows || {}).flatMap(flow => Object.keys(flow?.scopes || {})));
+}
+
+/** Dotted names of the x-pii fields an operation sends or returns (parameters, bodies, responses) */
+function operationPiiFields(manifest, operation) {
+  const fields = [];
+  for (const [loc, params] of Object.entries(operation.parameters || {})) {
+    for (const [name, param] of Object.entries(params || {})) {
+      if (param?.['x-pii'] === true || resolveSchema(manifest, param?.schema)?.['x-pii'] === true) fields.push(`${loc}.${name}`);
+    }
+  }
+  for (const { at, schema } of operationSchemas(operation)) {
+    if (at.startsWith('parameters.')) continue;
+    const where = at.startsWith('requestBody.') ? 'body' : `response ${at.split('.')[1]}`;
+    for (const { name, field } of schemaFields(manifest, schema)) {
+      if (field?.['x-pii'] === true) fields.push(`${where}.${name}`);
+    }
+  }
+  return [...new Set(fields)];
+}
+
+/**
+ * Effective security per operation: the requirement alternatives, their
+ * strength (the weakest alternative a client may choose), OAuth2 scopes and
+ * x-pii exposure, plus a scope → operations matrix and findings.
+ * @returns {{
+ *   endpoints: Array<{endpoint:string, path:string, method:string, pointer:string, inherited:boolean, requirements:Array<Object>, strength:'none'|'weak'|'strong', scopes:Object<string,string[]>, pii:string[]}>,
+ *   scopes: Object<string, Object<string, string[]>>,
+ *   issues: Array<{path:string, msg:string, level:'error'|'warn'}>
+ * }}
+ */
+function analyzeSecurity(manifest) {
+  const schemes = manifest?.security?.schemes || {};
+  const endpoints = [];
+  const scopes = {};
+  const issues = [];
+  const seen = new Set();
+  // Requirements inherited from security.global are reported once
+  const report = (path, msg, level) => {
+    if (seen.has(`${path} ${msg}`)) return;
+    seen.add(`${path} ${msg}`);
+    issues.push({ path, msg, level });
+  };
+
+  for (const [name, scheme] of Object.entries(schemes)) {
+    if (scheme?.type === 'oauth2') {
+      scopes[name] = Object.fromEntries([...declaredScopes(scheme)].map(s => [s, []]));
+      for (const flow of Object.keys(scheme.flows || {})) {
+        if (!OAUTH2_FLOWS.includes(flow)) report(`security.schemes.${name}.flows.${flow}`, `unknown OAuth2 flow: ${flow}`, 'error');
+      }
+    }
+    if (scheme?.type === 'apiKey' && scheme.in === 'query') {
+      report(`security.schemes.${name}.in`, 'API key in the query string leaks into logs and caches', 'warn');
+    }
+  }
+
+  for (const op of listOperations(manifest)) {
+    const endpoint = `${op.method.toUpperCase()} ${op.path}`;
+    const inherited = !Array.isArray(op.operation.security);
+    const at = inherited ? 'security.global' : `${op.pointer}.security`;
+    const requirements = securityRequirements(operationSecurity(manifest, op.operation)).map(requirement => {
+      const resolved = requirement.schemes.map(({ name, scopes: required }) => {
+        const scheme = schemes[name];
+        if (!scheme) report(at, `undefined security scheme: ${name}`, 'error');
+        if (required.length && scheme && scheme.type !== 'oauth2' && scheme.type !== 'openIdConnect') {
+          report(at, `scopes are only meaningful for oauth2/openIdConnect, not ${scheme.type} scheme ${name}`, 'warn');
+        }
+        if (scheme?.type === 'oauth2') {
+          const declared = declaredScopes(scheme);
+          for (const scope of required) {
+            if (!declared.has(scope)) report(at, `undeclared OAuth2 scope ${name}:${scope}`, 'error');
+            else if (!scopes[name][scope].includes(endpoint)) scopes[name][scope].push(endpoint);
+          }
+        }
+        const entry = { name, type: scheme?.type, scopes: required, ...schemeStrength(scheme) };
+        if (scheme?.type === 'apiKey') entry.in = scheme.in;
+        return entry;
+      });
+      // Schemes required together are as strong as the strongest of them
+      const strength = resolved.reduce((best, s) => (STRENGTH_RANK[s.strength] > STRENGTH_RANK[best] ? s.strength : best), 'none');
+      return { label: requirementLabel(requirement), schemes: resolved, strength };
+    });
+
+    // A client may satisfy any alternative, so the weakest one decides
+    const strength = requirements.length
+      ? requirements.reduce((worst, r) => (STRENGTH_RANK[r.strength] < STRENGTH_RANK[worst] ? r.strength : worst), 'strong')
+      : 'none';
+    const opScopes = {};
+    for (const r of requirements) {
+      for (const s of r.schemes) if (s.scopes.length) opScopes[s.name] = [...new Set([...(opScopes[s.name] || []), ...s.scopes])];
+    }
+    const pii = operationPiiFields(manifest, op.operation);
+    if (pii.length && strength === 'none') {
+      report(`${op.pointer}.security`, `${endpoint} exposes x-pii fields (${pii.join(', ')}) without authentication`, 'error');
+    } else if (pii.length && strength === 'weak') {
+      const weakest = requirements.filter(r => r.strength === 'weak').map(r => r.label);
+      report(`${op.pointer}.security`, `${endpoint} exposes x-pii fields (${pii.join(', ')}) behind weak authentication: ${weakest.join(', ')}`, 'warn');
+    }
+    endpoints.push({ endpoint, path: op.path, method: op.method, pointer: op.pointer, inherited, requirements, strength, scopes: opScopes, pii });
+  }
+
+  return { endpoints, scopes, issues };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Validator registry
+// ————————————————————————————————————————————————————————————————
+
+const Validators = new Map();
+// Opt-in validators (rule packs) only run when selected or configured
+const OptInValidators = new Set();
+const RULE_LEVELS = ['error', 'warn', 'off'];
+
+/**
+ * Register a validator `(manifest, options) => { ok, issues }`
+ * @param {string} name - Validator name, e.g. 'style.path-naming'
+ * @param {Function} fn - Validator; receives the rule's configured options as its second argument
+ * @param {{optIn?: boolean}} [meta] - optIn: skip it in unselected runs unless the config enables it
+ */
+function registerValidator(name, fn, { optIn = false } = {}) {
+  Validators.set(name, fn);
+  if (optIn) OptInValidators.add(name);
+  else OptInValidators.delete(name);
+}
+
+/** Split a rule setting ('warn' or { level, ...options }) into its level override and options */
+function ruleSetting(setting) {
+  if (typeof setting === 'string') return { level: setting, options: {} };
+  const { level, ...options } = setting || {};
+  return { level, options };
+}
+
+/**
+ * Run validators over a manifest
+ * @param {Object} manifest - API manifest
+ * @param {string[]} [selected] - Validator names; 'prefix.*' selects a whole pack. Default: every validator that is not opt-in
+ * @param {Object<string, string|Object>} [config] - Per-validator settings: a level ('error'|'warn'|'off') or
+ *   { level?, ...options }. Configuring an opt-in validator enables it in unselected runs; 'off' skips it.
+ * @returns {{ok:boolean, results:Array}} Results; with a level override, a result fails only on error-level issues
+ */
+function runValidators(manifest, selected = [], config = {}) {
+  const all = Array.from(Validators.keys());
+  const names = selected.length
+    ? [...new Set(selected.flatMap(n => (n.endsWith('.*') ? all.filter(v => v.startsWith(n.slice(0, -1))) : [n])))]
+    : all.filter(n => !OptInValidators.has(n) || n in config);
+  const results = [];
+  for (const n of names) {
+    const { level, options } = ruleSetting(config[n]);
+    if (level === 'off') continue;
+    if (level !== undefined && !RULE_LEVELS.includes(level)) {
+      results.push({ name: n, ok: false, issues: [{ path: n, msg: `invalid rule level "${level}" (expected ${RULE_LEVELS.join('|')})`, level: 'error' }] });
+      continue;
+    }
+    const result = Validators.get(n)?.(manifest, options) || { ok: true };
+    if (level === undefined) {
+      results.push({ name: n, ...result });
+      continue;
+    }
+    const issues = (result.issues || []).map(i => ({ ...i, level }));
+    results.push({ name: n, ...result, ok: issues.every(i => i.level !== 'error'), issues });
+  }
+  return { ok: results.every(r => r.ok), results };
+}
+
+// Built-ins
+registerValidator('core.shape', (m) => {
+  const issues = [];
+  if (!m?.api?.name) issues.push({ path: 'api.name', msg: 'api.name is required', level: 'error' });
+  if (!m?.endpoints?.paths || typeof m.endpoints.paths !== 'object' || !Object.keys(m.endpoints.paths).length) {
+    issues.push({ path: 'endpoints.paths', msg: 'at least one endpoint path required', level: 'error' });
+  }
+  const lc = m?.api?.lifecycle; if (lc && !['active','deprecated'].includes(lc.status)) {
+    issues.push({ path: 'api.lifecycle.status', msg: 'status must be active|deprecated', level: 'error' });
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('endpoints.valid', (m) => {
+  const issues = [];
+  for (const { path, operation, pointer } of listOperations(m)) {
+    const endpoint = operation;
+    const summary = endpoint.summary || (pointer !== `endpoints.paths.${path}` && m.endpoints.paths[path].summary);
+    if (!summary) issues.push({ path: `${pointer}.summary`, msg: 'summary required', level: 'error' });
+    if (!endpoint.responses || !Object.keys(endpoint.responses).length) {
+      issues.push({ path: `${pointer}.responses`, msg: 'at least one response required', level: 'error' });
+    }
+    // Validate parameter schemas if present
+    const params = endpoint.parameters || {};
+    for (const [loc, paramMap] of Object.entries(params)) {
+      if (!['path','query','header'].includes(loc)) {
+        issues.push({ path: `${pointer}.parameters.${loc}`, msg: 'invalid parameter location', level: 'error' });
+      }
+    }
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('endpoints.operations', (m) => {
+  const issues = [];
+  const paths = m?.endpoints?.paths || {};
+  for (const [path, item] of Object.entries(paths)) {
+    if (!item || typeof item !== 'object') continue;
+    if (isOperationMap(item)) {
+      const mixed = ['method', 'requestBody', 'responses'].filter(k => k in item);
+      if (mixed.length) {
+        issues.push({ path: `endpoints.paths.${path}`, msg: `path item mixes method operations with single-endpoint fields (${mixed.join(', ')})`, level: 'error' });
+      }
+      const byMethod = {};
+      for (const key of Object.keys(item)) {
+        if (HTTP_METHODS.includes(key.toLowerCase())) (byMethod[key.toLowerCase()] ||= []).push(key);
+      }
+      for (const [method, keys] of Object.entries(byMethod)) {
+        if (keys.length > 1) {
+          issues.push({ path: `endpoints.paths.${path}`, msg: `duplicate ${method.toUpperCase()} operation (${keys.join(', ')})`, level: 'error' });
+        }
+      }
+    } else if (item.method && !HTTP_METHODS.includes(String(item.method).toLowerCase())) {
+      issues.push({ path: `endpoints.paths.${path}.method`, msg: `unsupported HTTP method: ${item.method}`, level: 'error' });
+    }
+  }
+
+  const operationIds = new Map();
+  for (const { method, operation, pointer } of listOperations(m)) {
+    if (operation.operationId) {
+      if (operationIds.has(operation.operationId)) {
+        issues.push({ path: `${pointer}.operationId`, msg: `duplicate operationId "${operation.operationId}" (also ${operationIds.get(operation.operationId)})`, level: 'error' });
+      } else {
+        operationIds.set(operation.operationId, pointer);
+      }
+    }
+    // Method/body agreement
+    if ((method === 'get' || method === 'head') && operation.requestBody) {
+      issues.push({ path: `${pointer}.requestBody`, msg: `${method.toUpperCase()} operations must not declare a requestBody`, level: 'error' });
+    } else if (['delete', 'options', 'trace'].includes(method) && operation.requestBody) {
+      issues.push({ path: `${pointer}.requestBody`, msg: `${method.toUpperCase()} request bodies have no defined semantics`, level: 'warn' });
+    } else if ((method === 'put' || method === 'patch') && !operation.requestBody) {
+      issues.push({ path: pointer, msg: `${method.toUpperCase()} operation without a requestBody`, level: 'warn' });
+    }
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('lifecycle.sunset', (m) => {
+  const issues = [];
+  const now = Date.now();
+  const ops = listOperations(m);
+  const known = new Set(ops.flatMap(op => [op.path, `${op.method.toUpperCase()} ${op.path}`]));
+  const check = (lc, at, label) => {
+    if (!lc || typeof lc !== 'object') return;
+    // api.lifecycle.status is checked by core.shape
+    if (at !== 'api.lifecycle' && !['active', 'deprecated'].includes(lc.status)) {
+      issues.push({ path: `${at}.status`, msg: 'status must be active|deprecated', level: 'error' });
+    }
+    if (lc.sunset_at !== undefined) {
+      const sunset = Date.parse(lc.sunset_at);
+      if (Number.isNaN(sunset)) {
+        issues.push({ path: `${at}.sunset_at`, msg: `invalid sunset_at timestamp: ${lc.sunset_at}`, level: 'error' });
+      } else if (sunset <= now && lc.status !== 'deprecated') {
+        issues.push({ path: `${at}.sunset_at`, msg: `${label} is past its sunset (${lc.sunset_at}) but still active`, level: 'error' });
+      } else if (sunset <= now) {
+        issues.push({ path: `${at}.sunset_at`, msg: `${label} is past its sunset (${lc.sunset_at}); remove it or move sunset_at`, level: 'warn' });
+      }
+    }
+    if (lc.replacement !== undefined) {
+      if (typeof lc.replacement !== 'string' || !lc.replacement) {
+        issues.push({ path: `${at}.replacement`, msg: 'replacement must be a path, "METHOD /path" or URN', level: 'error' });
+      } else if (!lc.replacement.startsWith('urn:') && !known.has(lc.replacement.replace(/^(\w+)\s+/, (_, verb) => `${verb.toUpperCase()} `))) {
+        issues.push({ path: `${at}.replacement`, msg: `replacement not found in this API: ${lc.replacement}`, level: 'error' });
+      }
+    }
+  };
+
+  check(m?.api?.lifecycle, 'api.lifecycle', 'API');
+  for (const [path, item] of Object.entries(m?.endpoints?.paths || {})) {
+    if (isOperationMap(item)) check(item.lifecycle, `endpoints.paths.${path}.lifecycle`, path);
+  }
+  for (const { path, method, operation, pointer } of ops) {
+    check(operation.lifecycle, `${pointer}.lifecycle`, `${method.toUpperCase()} ${path}`);
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('security.schemes', (m) => {
+  const issues = [];
+  const schemes = m?.security?.schemes || {};
+  for (const [name, scheme] of Object.entries(schemes)) {
+    if (!scheme.type) issues.push({ path: `security.schemes.${name}.type`, msg: 'security scheme type required', level: 'error' });
+    if (scheme.type === 'http' && !scheme.scheme) {
+      issues.push({ path: `security.schemes.${name}.scheme`, msg: 'http scheme required (bearer, basic)', level: 'error' });
+    }
+    // Validate allowed security scheme types
+    const validTypes = ['http', 'apiKey', 'oauth2', 'openIdConnect', 'mutualTLS'];
+    if (scheme.type && !validTypes.includes(scheme.type)) {
+      issues.push({ path: `security.schemes.${name}.type`, msg: `invalid security scheme type: ${scheme.type}`, level: 'error' });
+    }
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('security.effective', (m) => {
+  const { issues } = analyzeSecurity(m);
+  // Weak authentication is advisory; missing schemes, scopes or auth on PII are not
+  return { ok: issues.every(i => i.level !== 'error'), issues };
+});
+
+registerValidator('components.refs', (m) => {
+  const issues = [];
+  const schemas = m?.components?.schemas || {};
+  const check = (node, at) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((n, i) => check(n, `${at}[${i}]`));
+      return;
+    }
+    if (typeof node.$ref === 'string') {
+      const name = refName(node.$ref);
+      if (name === null) {
+        issues.push({ path: `${at}.$ref`, msg: `unsupported reference ${node.$ref} (expected ${SCHEMA_REF_PREFIX}<name>)`, level: 'error' });
+      } else if (!(name in schemas)) {
+        issues.push({ path: `${at}.$ref`, msg: `unresolved reference to component schema "${name}"`, level: 'error' });
+      }
+    }
+    for (const [k, v] of Object.entries(node)) {
+      if (k !== '$ref') check(v, `${at}.${k}`);
+    }
+  };
+  for (const [name, schema] of Object.entries(schemas)) check(schema, `components.schemas.${name}`);
+  for (const { operation, pointer } of listOperations(m)) {
+    for (const { at, schema } of operationSchemas(operation)) check(schema, `${pointer}.${at}`);
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('governance.pii_policy', (m) => {
+  const issues = [];
+  // Check request bodies for PII fields (through component references)
+  for (const { operation: endpoint } of listOperations(m)) {
+    const body = endpoint.requestBody?.content || {};
+    for (const [contentType, schema] of Object.entries(body)) {
+      const hasPII = schemaFields(m, schema).some(f => f.field?.['x-pii'] === true);
+      if (hasPII && m?.governance?.policy?.classification !== 'pii') {
+        issues.push({ path: `governance.policy.classification`, msg: 'PII fields in request bodies → classification should be "pii"', level: 'warn' });
+      }
+    }
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+// ————————————————————————————————————————————————————————————————
+// Signature envelope (identity-access.signing.v1, key-less check)
+// ————————————————————————————————————————————————————————————————
+
+const SIGNING_SPEC = 'identity-access.signing.v1';
+const SIGNING_ALGS = ['EdDSA', 'ES256'];
+const SIGNING_CANONICAL = 'jsonCanon';
+const SIGNED_CONTENT = Symbol('signedContent');
+
+/** Canonical JSON a signature covers: the manifest as authored, without sig */
+function signedContent(manifest) {
+  const { sig, ...content } = manifest || {};
+  return jsonCanon(content);
+}
+
+/** UTF-8 text of a base64url string, or null */
+function fromBase64Url(str) {
+  try {
+    const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flags malformed, tampered (payload no longer matches the manifest) and expired signatures.
+ * Browser-safe: the sha-256 digest and the signature itself are checked by @cpms/core/signing.
+ */
+registerValidator('signature.envelope', (m) => {
+  const issues = [];
+  const sig = m?.sig;
+  if (!sig) return { ok: true, issues };
+  if (typeof sig !== 'object') {
+    return { ok: false, issues: [{ path: 'sig', msg: 'signature envelope must be an object', level: 'error' }] };
+  }
+  if (sig.spec !== SIGNING_SPEC) issues.push({ path: 'sig.spec', msg: `unsupported envelope spec: ${sig.spec}`, level: 'error' });
+  for (const field of ['protected', 'payload', 'signature']) {
+    if (typeof sig[field] !== 'string' || !sig[field]) issues.push({ path: `sig.${field}`, msg: `${field} is required`, level: 'error' });
+  }
+  if (issues.length) return { ok: false, issues };
+  if (sig.header !== undefined) {
+    issues.push({ path: 'sig.header', msg: 'header is not covered by the signature and is ignored; the protected header is authoritative', level: 'warn' });
+  }
+
+  let header = null;
+  try {
+    header = JSON.parse(fromBase64Url(sig.protected));
+  } catch {
+    header = null;
+  }
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    issues.push({ path: 'sig.protected', msg: 'protected header is not valid base64url JSON', level: 'error' });
+    return { ok: false, issues };
+  }
+  if (!SIGNING_ALGS.includes(header.alg)) issues.push({ path: 'sig.protected.alg', msg: `unsupported signature algorithm: ${header.alg}`, level: 'error' });
+  if (!header.kid) issues.push({ path: 'sig.protected.kid', msg: 'kid is required', level: 'error' });
+  if (header.canonical && header.canonical !== SIGNING_CANONICAL) {
+    issues.push({ path: 'sig.protected.canonical', msg: `unsupported canonicalization: ${header.canonical}`, level: 'error' });
+  }
+
+  if (fromBase64Url(sig.payload) !== (m[SIGNED_CONTENT] ?? signedContent(m))) {
+    issues.push({ path: 'sig.payload', msg: 'manifest content does not match signed payload (tampered)', level: 'error' });
+  }
+  if (header.exp) {
+    const expiresAt = new Date(header.exp).getTime();
+    if (Number.isNaN(expiresAt)) issues.push({ path: 'sig.protected.exp', msg: `invalid exp timestamp: ${header.exp}`, level: 'error' });
+    else if (expiresAt <= Date.now()) issues.push({ path: 'sig.protected.exp', msg: `signature expired at ${header.exp}`, level: 'error' });
+  }
+  return { ok: issues.every(i => i.level !== 'error'), issues };
+});
+
+// ————————————————————————————————————————————————————————————————
+// Style guide rules (opt-in: validate(['style.*']) or a config entry per rule)
+// ————————————————————————————————————————————————————————————————
+
+const CASE_PATTERNS = Object.freeze({
+  kebab: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  snake: /^[a-z0-9]+(_[a-z0-9]+)*$/,
+  camel: /^[a-z][a-zA-Z0-9]*$/
+});
+const UNCOUNTABLE = new Set(['data', 'metadata', 'media', 'people', 'children', 'feedback', 'news', 'series', 'health', 'status', 'info', 'auth', 'search', 'settings']);
+
+const isTemplate = segment => /^\{[^}]+\}$/.test(segment);
+const isPlural = (segment, extra = []) => /s$/.test(segment) || UNCOUNTABLE.has(segment) || extra.includes(segment);
+
+/** Status-class check for declared response keys: '404', '4XX' and 'default' */
+const coversClass = (responses, digit) => Object.keys(responses || {}).some(code => code === 'default' || String(code)[0] === digit);
+
+/** Success response schemas (2xx) of an operation, with references resolved */
+function successSchemas(manifest, operation) {
+  return Object.entries(operation.responses || {})
+    .filter(([code]) => String(code)[0] === '2')
+    .flatMap(([, response]) => Object.values(response?.content || {}))
+    .map(schema => resolveSchema(manifest, schema));
+}
+
+/** Error response schemas keyed by shape: the component name for a $ref, else the sorted property names */
+function errorShape(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  const name = refName(schema.$ref);
+  if (name !== null) return `#/components/schemas/${name}`;
+  return `{${Object.keys(schema.properties || {}).sort().join(', ')}}`;
+}
+
+const styleResult = issues => ({ ok: issues.every(i => i.level !== 'error'), issues });
+
+registerValidator('style.path-naming', (m, { case: style = 'kebab', plural = true, pluralExceptions = [] } = {}) => {
+  const issues = [];
+  const pattern = CASE_PATTERNS[style] || CASE_PATTERNS.kebab;
+  for (const path of Object.keys(m?.endpoints?.paths || {})) {
+    const segments = path.split('/').filter(Boolean);
+    segments.forEach((segment, i) => {
+      if (isTemplate(segment)) return;
+      if (!pattern.test(segment)) {
+        issues.push({ path: `endpoints.paths.${path}`, msg: `path segment "${segment}" is not ${style}-case`, level: 'warn' });
+      } else if (plural && isTemplate(segments[i + 1] || '') && !isPlural(segment, pluralExceptions)) {
+        issues.push({ path: `endpoints.paths.${path}`, msg: `collection segment "${segment}" should be plural`, level: 'warn' });
+      }
+    });
+  }
+  return styleResult(issues);
+}, { optIn: true });
+
+registerValidator('style.error-shape', (m, { schema } = {}) => {
+  const issues = [];
+  const expected = schema ? `#/components/schemas/${schema}` : null;
+  const seen = [];
+  for (const { operation, pointer } of listOperations(m)) {
+    for (const [code, response] of Object.entries(operation.responses || {})) {
+      if (!['4', '5', 'd'].includes(String(code)[0])) continue;
+      for (const [type, body] of Object.entries(response?.content || {})) {
+        const shape = errorShape(body);
+        if (shape) seen.push({ shape, at: `${pointer}.responses.${code}.content.${type}` });
+      }
+    }
+  }
+  // Without a configured schema the most common shape is the house style
+  const counts = seen.reduce((acc, { shape }) => ({ ...acc, [shape]: (acc[shape] || 0) + 1 }), {});
+  const prevailing = expected || Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  for (const { shape, at } of seen) {
+    if (shape !== prevailing) {
+      issues.push({ path: at, msg: `error response shape ${shape} differs from ${expected ? 'the configured' : 'the prevailing'} error shape ${prevailing}`, level: 'warn' });
+    }
+  }
+  return styleResult(issues);
+}, { optIn: true });
+
+registerValidator('style.pagination', (m, { sizeParameters = ['limit', 'page_size', 'per_page'], positionParameters = ['cursor', 'offset', 'page', 'page_token'], envelopeFields = ['items', 'data', 'results'] } = {}) => {
+  const issues = [];
+  for (const { method, operation, pointer } of listOperations(m)) {
+    if (method !== 'get') continue;
+    const isList = successSchemas(m, operation).some(schema => schema?.type === 'array'
+      || envelopeFields.some(field => schema?.properties?.[field]?.type === 'array'));
+    if (!isList) continue;
+    const query = Object.keys(operation.parameters?.query || {});
+    if (!query.some(name => sizeParameters.includes(name))) {
+      issues.push({ path: `${pointer}.parameters.query`, msg: `list endpoint has no page size parameter (${sizeParameters.join('|')})`, level: 'warn' });
+    }
+    if (!query.some(name => positionParameters.includes(name))) {
+      issues.push({ path: `${pointer}.parameters.query`, msg: `list endpoint has no page position parameter (${positionParameters.join('|')})`, level: 'warn' });
+    }
+  }
+  return styleResult(issues);
+}, { optIn: true });
+
+registerValidator('style.idempotency', (m, { header = 'Idempotency-Key', methods = ['post'] } = {}) => {
+  const issues = [];
+  for (const { method, operation, pointer } of listOperations(m)) {
+    if (!methods.includes(method)) continue;
+    const declared = Object.keys(operation.parameters?.header || {}).some(name => name.toLowerCase() === header.toLowerCase());
+    if (!declared) {
+      issues.push({ path: `${pointer}.parameters.header`, msg: `${method.toUpperCase()} operation does not accept an ${header} header`, level: 'warn' });
+    }
+  }
+  return styleResult(issues);
+}, { optIn: true });
+
+registerValidator('style.error-coverage', (m, { require: classes = ['4XX', '5XX'] } = {}) => {
+  const issues = [];
+  for (const { operation, pointer } of listOperations(m)) {
+    const missing = classes.filter(cls => !coversClass(operation.responses, String(cls)[0]));
+    if (missing.length) {
+      issues.push({ path: `${pointer}.responses`, msg: `no ${missing.join('/')} response declared`, level: 'warn' });
+    }
+  }
+  return styleResult(issues);
+}, { optIn: true });
+
+// ————————————————————————————————————————————————————————————————
+// Query language (:=: contains > < >= <=) + conveniences
+// ————————————————————————————————————————————————————————————————
+
+function query(manifest, expr) {
+  // Parse expression with proper operator handling
+  const exprStr = String(expr);
+  
+  // Check for :=: operator first (most specific)
+  const eqMatch = exprStr.match(/^(.+?):=:([^:]+)$/);
+  if (eqMatch) {
+    const [, rawPath, rhs] = eqMatch;
+    const lhs = dget(manifest, rawPath);
+    return lhs !== undefined && String(lhs) === rhs;
+  }
+  
+  // Check for contains operator
+  const containsMatch = exprStr.match(/^(.+?):contains:(.+)$/);
+  if (containsMatch) {
+    const [, rawPath, rhs] = containsMatch;
+    // Convenience: endpoints contains <path>
+    if (rawPath === 'endpoints') {
+      return Object.keys(manifest?.endpoints?.paths || {}).some(p => p.includes(rhs));
+    }
+    // Convenience: security contains <scheme>
+    if (rawPath === 'security') {
+      return Object.keys(manifest?.security?.schemes || {}).some(s => s.includes(rhs));
+    }
+    const lhs = dget(manifest, rawPath);
+    return lhs !== undefined && String(lhs ?? '').includes(rhs);
+  }
+  
+  // Check for comparison operators
+  const compMatch = exprStr.match(/^(.+?)([><]=?|<>)(.+)$/);
+  if (compMatch) {
+    const [, rawPath, op, rhs] = compMatch;
+    const lhs = dget(manifest, rawPath);
+    if (lhs === undefined) return false;
+    
+    const numLhs = Number(lhs);
+    const numRhs = Number(rhs);
+    
+    switch (op) {
+      case '>': return numLhs > numRhs;
+      case '<': return numLhs < numRhs;
+      case '>=': return numLhs >= numRhs;
+      case '<=': return numLhs <= numRhs;
+      case '<>': return numLhs !== numRhs;
+      default: return false;
+    }
+  }
+  
+  return false;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Normalize (auto-hash endpoints and schemas)
+// ————————————————————————————————————————————————————————————————
+
+function normalize(manifest) {
+  const m = clone(manifest || {});
+  // Signed content is the manifest as authored, before derived hashes are added
+  if (m.sig) Object.defineProperty(m, SIGNED_CONTENT, { value: signedContent(m) });
+  // Ensure required structure exists
+  if (!m.endpoints) m.endpoints = {};
+  if (!m.endpoints.paths) m.endpoints.paths = {};
+  
+  // Compute hashes for endpoints and schemas
+  const endpoints = m.endpoints.paths;
+  m.endpoint_hashes = {};
+  for (const [path, endpoint] of Object.entries(endpoints)) {
+    m.endpoint_hashes[path] = hash(endpoint);
+  }
+  m.schema_hash = hash(m.endpoints);
+  return m;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Contract rules (API-aware compatibility of two revisions)
+// ————————————————————————————————————————————————————————————————
+
+const CONTRACT_BUMPS = { breaking: 'major', additive: 'minor', compatible: 'patch' };
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+const typesOf = s => (s?.type === undefined ? null : [].concat(s.type));
+
+/** Required property names of an object schema: the `required` array plus `required: true` on properties */
+function requiredFields(schema) {
+  const names = new Set(Array.isArray(schema?.required) ? schema.required : []);
+  for (const [name, def] of Object.entries(schema?.properties || {})) {
+    if (def?.required === true) names.add(name);
+  }
+  return names;
+}
+
+/** Parameter as a schema: the nested `schema` (resolved) over the inline type/enum/bounds */
+function parameterSchema(manifest, param) {
+  const { description, required, schema, ...inline } = param || {};
+  return { ...inline, ...resolveSchema(manifest, schema || {}) };
+}
+
+/**
+ * Compare two schema revisions at one location. Requests must keep accepting
+ * what old clients send (the new schema is the consumer); responses must stay
+ * readable by old clients (the old schema is the consumer).
+ */
+function compareSchemas(before, after, direction, emit, ptr = '', field = '') {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return;
+  if (before.$ref || after.$ref) return; // recursive reference left unresolved
+  const request = direction === 'request';
+  const consumer = request ? after : before;
+  const producer = request ? before : after;
+  const widened = request ? 'additive' : 'compatible';
+  const at = { ptr, field };
+
+  const tc = typesOf(consumer); const tp = typesOf(producer);
+  const tb = typesOf(before); const ta = typesOf(after);
+  // Dropping the type lifts the constraint, which widens the field in either direction
+  if ((tc || !ta) && JSON.stringify(tb) !== JSON.stringify(ta)) {
+    const accepts = !ta || (tp && tp.every(t => tc.includes(t) || (t === 'integer' && tc.includes('number'))));
+    emit(at, accepts ? widened : 'breaking', `type ${accepts ? 'widened' : 'changed'}: ${tb?.join('|') ?? 'any'} → ${ta?.join('|') ?? 'any'}`, before.type, after.type);
+  }
+
+  if (Array.isArray(consumer.enum) || Array.isArray(producer.enum)) {
+    const removed = (before.enum || []).filter(v => !(after.enum || []).includes(v));
+    const added = (after.enum || []).filter(v => !(before.enum || []).includes(v));
+    if (Array.isArray(consumer.enum) && !Array.isArray(producer.enum)) {
+      emit(at, 'breaking', 'enum constraint added', before.enum, after.enum);
+    } else if (Array.isArray(consumer.enum)) {
+      const dropped = request ? removed : added;
+      const gained = request ? added : removed;
+      if (dropped.length) emit(at, 'breaking', `enum value${dropped.length > 1 ? 's' : ''} ${request ? 'removed' : 'added'}: ${dropped.join(', ')}`, before.enum, after.enum);
+      else if (gained.length) emit(at, widened, `enum value${gained.length > 1 ? 's' : ''} ${request ? 'added' : 'removed'}: ${gained.join(', ')}`, before.enum, after.enum);
+    } else if (Array.isArray(producer.enum)) {
+      emit(at, widened, 'enum constraint removed', before.enum, after.enum);
+    }
+  }
+
+  for (const key of [...LOWER_BOUNDS, ...UPPER_BOUNDS, 'pattern', 'format']) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    const c = consumer[key]; const p = producer[key];
+    let tighter;
+    if (c === undefined) tighter = false;
+    else if (p === undefined) tighter = true;
+    else if (LOWER_BOUNDS.includes(key)) tighter = c > p;
+    else if (UPPER_BOUNDS.includes(key)) tighter = c < p;
+    else tighter = true;
+    emit(at, tighter ? 'breaking' : widened, `${key} ${tighter ? 'tightened' : 'relaxed'}`, before[key], after[key]);
+  }
+
+  const propsA = before.properties || {}; const propsB = after.properties || {};
+  const reqA = requiredFields(before); const reqB = requiredFields(after);
+  for (const name of new Set([...Object.keys(propsA), ...Object.keys(propsB)])) {
+    const sub = { ptr: `${ptr}${ptr ? '.' : ''}properties.${name}`, field: field ? `${field}.${name}` : name };
+    const inA = name in propsA; const inB = name in propsB;
+    if (!inA) {
+      if (request && reqB.has(name)) emit(sub, 'breaking', 'required field added', undefined, propsB[name]);
+      else emit(sub, 'additive', request ? 'optional field added' : 'field added', undefined, propsB[name]);
+      continue;
+    }
+    if (!inB) {
+      emit(sub, 'breaking', 'field removed', propsA[name], undefined);
+      continue;
+    }
+    if (reqA.has(name) !== reqB.has(name)) {
+      const nowRequired = reqB.has(name);
+      if (request) emit(sub, nowRequired ? 'breaking' : 'additive', nowRequired ? 'field now required' : 'field now optional', reqA.has(name), nowRequired);
+      else emit(sub, nowRequired ? 'compatible' : 'breaking', nowRequired ? 'field now always present' : 'field now optional', reqA.has(name), nowRequired);
+    }
+    compareSchemas(propsA[name], propsB[name], direction, emit, sub.ptr, sub.field);
+  }
+
+  if (before.items && after.items) {
+    compareSchemas(before.items, after.items, direction, emit, `${ptr}${ptr ? '.' : ''}items`, `${field}[]`);
+  }
+}
+
+/** Compare the media types of a request body or response */
+function compareContent(A, B, contentA, contentB, direction, emit, ptr) {
+  for (const type of new Set([...Object.keys(contentA || {}), ...Object.keys(contentB || {})])) {
+    const at = { ptr: `${ptr ? `${ptr}.` : ''}content.${type}`, field: '' };
+    if (!(type in (contentB || {}))) emit(at, 'breaking', `media type removed: ${type}`, contentA[type], undefined);
+    else if (!(type in (contentA || {}))) emit(at, 'additive', `media type added: ${type}`, undefined, contentB[type]);
+    else compareSchemas(resolveSchema(A, contentA[type]), resolveSchema(B, contentB[type]), direction, emit, at.ptr);
+  }
+}
+
+/**
+ * API-aware contract findings between two manifest revisions. Each finding
+ * names the operation, the location of the change and a suggested semver bump.
+ * @returns {Array<{endpoint:string, location:'operation'|'path'|'query'|'header'|'cookie'|'body'|'response'|'security', field?:string, path:string, from:any, to:any, classification:'breaking'|'additive'|'compatible', bump:'major'|'minor'|'patch', reason:string}>}
+ */
+function contractChanges(A, B) {
+  const findings = [];
+  const opsA = new Map(listOperations(A).map(op => [`${op.method} ${op.path}`, op]));
+  const opsB = new Map(listOperations(B).map(op => [`${op.method} ${op.path}`, op]));
+
+  for (const [id, opB] of opsB) {
+    if (opsA.has(id)) continue;
+    const endpoint = `${opB.method.toUpperCase()} ${opB.path}`;
+    findings.push({ endpoint, location: 'operation', path: opB.pointer, from: undefined, to: opB.operation, classification: 'additive', bump: 'minor', reason: `operation added: ${endpoint}` });
+  }
+
+  for (const [id, opA] of opsA) {
+    const endpoint = `${opA.method.toUpperCase()} ${opA.path}`;
+    const opB = opsB.get(id);
+    if (!opB) {
+      findings.push({ endpoint, location: 'operation', path: opA.pointer, from: opA.operation, to: undefined, classification: 'breaking', bump: 'major', reason: `operation removed: ${endpoint}` });
+      continue;
+    }
+    const a = opA.operation; const b = opB.operation;
+    const finder = (location, base) => ({ ptr, field }, classification, reason, from, to) => {
+      const finding = { endpoint, location, path: ptr ? `${base}.${ptr}` : base, from, to, classification, bump: CONTRACT_BUMPS[classification], reason };
+      if (field) finding.field = field;
+      findings.push(finding);
+    };
+
+    // Parameters
+    const paramsA = a.parameters || {}; const paramsB = b.parameters || {};
+    for (const loc of new Set([...Object.keys(paramsA), ...Object.keys(paramsB)])) {
+      for (const name of new Set([...Object.keys(paramsA[loc] || {}), ...Object.keys(paramsB[loc] || {})])) {
+        const pa = paramsA[loc]?.[name]; const pb = paramsB[loc]?.[name];
+        const emit = finder(loc, `${opB.pointer}.parameters.${loc}.${name}`);
+        const at = { ptr: '', field: name };
+        if (!pa) {
+          if (pb.required === true) emit(at, 'breaking', 'required parameter added', undefined, pb);
+          else emit(at, 'additive', 'optional parameter added', undefined, pb);
+          continue;
+        }
+        if (!pb) {
+          emit(at, 'breaking', 'parameter removed', pa, undefined);
+          continue;
+        }
+        if (!!pa.required !== !!pb.required) {
+          emit(at, pb.required ? 'breaking' : 'additive', pb.required ? 'parameter now required' : 'parameter now optional', !!pa.required, !!pb.required);
+        }
+        compareSchemas(parameterSchema(A, pa), parameterSchema(B, pb), 'request', (sub, ...rest) => emit({ ...sub, field: sub.field ? `${name}.${sub.field}` : name }, ...rest));
+      }
+    }
+
+    // Request body
+    const body = finder('body', `${opB.pointer}.requestBody`);
+    const rbA = a.requestBody; const rbB = b.requestBody;
+    if (!rbA && rbB) {
+      body({}, rbB.required ? 'breaking' : 'additive', rbB.required ? 'request body now required' : 'optional request body added', undefined, rbB);
+    } else if (rbA && !rbB) {
+      body({}, 'breaking', 'request body removed', rbA, undefined);
+    } else if (rbA && rbB) {
+      if (!!rbA.required !== !!rbB.required) {
+        body({ ptr: 'required' }, rbB.required ? 'breaking' : 'additive', rbB.required ? 'request body now required' : 'request body now optional', !!rbA.required, !!rbB.required);
+      }
+      compareContent(A, B, rbA.content, rbB.content, 'request', body, '');
+    }
+
+    // Responses
+    const resA = a.responses || {}; const resB = b.responses || {};
+    for (const status of new Set([...Object.keys(resA), ...Object.keys(resB)])) {
+      const response = finder('response', `${opB.pointer}.responses.${status}`);
+      if (!(status in resB)) {
+        response({}, 'breaking', `response status removed: ${status}`, resA[status], undefined);
+        continue;
+      }
+      if (!(status in resA)) {
+        response({}, 'additive', `response status added: ${status}`, undefined, resB[status]);
+        continue;
+      }
+      compareContent(A, B, resA[status]?.content, resB[status]?.content, 'response', response, '');
+      for (const name of Object.keys(resA[status]?.headers || {})) {
+        if (!(name in (resB[status]?.headers || {}))) response({ ptr: `headers.${name}` }, 'breaking', `response header removed: ${name}`, resA[status].headers[name], undefined);
+      }
+    }
+
+    // Security (requirement names are alternatives)
+    const secA = securityRequirements(operationSecurity(A, a)).map(requirementLabel);
+    const secB = securityRequirements(operationSecurity(B, b)).map(requirementLabel);
+    const security = finder('security', `${opB.pointer}.security`);
+    if (!secA.length && secB.length) {
+      security({}, 'breaking', `security requirement added: ${secB.join(' | ')}`, secA, secB);
+    } else if (secA.length && !secB.length) {
+      security({}, 'additive', 'security requirement removed', secA, secB);
+    } else {
+      const dropped = secA.filter(s => !secB.includes(s));
+      const added = secB.filter(s => !secA.includes(s));
+      if (dropped.length) security({}, 'breaking', `security alternative removed: ${dropped.join(', ')}`, secA, secB);
+      else if (added.length) security({}, 'additive', `security alternative added: ${added.join(', ')}`, secA, secB);
+    }
+  }
+  return findings;
+}
+
+/** Suggested semver bump for a diff: major on any breaking change, minor on additions, patch otherwise */
+function suggestedBump(changes, breaking, contract) {
+  if (breaking.length) return 'major';
+  if (contract.some(f => f.classification === 'additive')) return 'minor';
+  return changes.length ? 'patch' : 'none';
+}
+
+// ————————————————————————————————————————————————————————————————
+// Diff (structural + semantic hints)
+// ————————————————————————————————————————————————————————————————
+
+function diff(a, b) {
+  const A = normalize(a); const B = normalize(b);
+  const changes = [];
+
+  function walk(pa, va, vb) {
+    if (JSON.stringify(va) === JSON.stringify(vb)) return;
+    const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
+    if (!isObj(va) || !isObj(vb)) {
+      changes.push({ path: pa, from: va, to: vb });
+      return;
+    }
+    const keys = new Set([...Object.keys(va||{}), ...Object.keys(vb||{})]);
+    for (const k of keys) {
+      const hasInA = k in (va || {});
+      const hasInB = k in (vb || {});
+      
+      if (!hasInA && hasInB) {
+        changes.push({ path: pa ? pa + '.' + k : k, from: undefined, to: vb[k] });
+      } else if (hasInA && !hasInB) {
+        changes.push({ path: pa ? pa + '.' + k : k, from: va[k], to: undefined });
+      } else {
+        walk(pa ? pa + '.' + k : k, va[k], vb[k]);
+      }
+    }
+  }
+  walk('', A, B);
+
+  const breaking = [];
+  for (const c of changes) {
+    // Schema hash change - treat as breaking for endpoint removals only (not additions)
+    if (c.path === 'schema_hash' && c.to !== undefined && c.from !== undefined) {
+      // Check if this is due to endpoint removal by looking for endpoint path changes
+      const hasEndpointRemoval = changes.some(ch =>
+        ch.path.startsWith('endpoints.paths.') && ch.to === undefined && ch.from !== undefined &&
+        !ch.path.includes('.', ch.path.indexOf('endpoints.paths.') + 'endpoints.paths.'.length)
+      );
+      
+      if (hasEndpointRemoval) {
+        breaking.push({ ...c, reason: 'endpoints changed' });
+      }
+    }
+    
+    // Endpoint removal detection
+    if (c.path.startsWith('endpoints.paths.') && c.to === undefined && c.from !== undefined) {
+      // Check if this is an endpoint path being removed (not just a property)
+      if (!c.path.includes('.', c.path.indexOf('endpoints.paths.') + 'endpoints.paths.'.length)) {
+        breaking.push({ ...c, reason: 'endpoint removed' });
+      }
+    }
+    
+    // Security changes are judged per operation by contractChanges (requirements are alternatives)
+
+    // Lifecycle changes (active -> deprecated)
+    if (c.path === 'api.lifecycle.status' && c.from === 'active' && c.to === 'deprecated') {
+      breaking.push({ ...c, reason: 'lifecycle downgrade' });
+    }
+  }
+
+  // A changed component schema surfaces on every operation that references it
+  const changedComponents = new Set(changes
+    .filter(c => c.path.startsWith('components.schemas.'))
+    .map(c => c.path.slice('components.schemas.'.length).split('.')[0]));
+  if (changedComponents.size) {
+    const opsA = new Map(listOperations(A).map(op => [op.pointer, op.operation]));
+    for (const { pointer, operation } of listOperations(B)) {
+      if (!opsA.has(pointer)) continue;
+      const before = new Map(operationSchemas(opsA.get(pointer)).map(l => [l.at, l.schema]));
+      for (const { at, schema } of operationSchemas(operation)) {
+        // Locations edited in place are already reported by the walk
+        if (!before.has(at) || JSON.stringify(before.get(at)) !== JSON.stringify(schema)) continue;
+        const via = [...new Set([...schemaRefs(A, schema), ...schemaRefs(B, schema)])].filter(n => changedComponents.has(n));
+        if (!via.length) continue;
+        const from = resolveSchema(A, schema); const to = resolveSchema(B, schema);
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        changes.push({ path: `${pointer}.${at}`, from, to, via: via.map(n => `components.schemas.${n}`) });
+      }
+    }
+  }
+
+  // API-aware findings: parameters, bodies, responses and security per operation.
+  // Operations are keyed by method, so moving a single endpoint into a method map
+  // is not a removal; removed paths are already reported above.
+  const contract = contractChanges(A, B);
+  const pathsB = B.endpoints?.paths || {};
+  for (const finding of contract) {
+    if (finding.classification !== 'breaking') continue;
+    const [, path] = finding.endpoint.split(' ');
+    if (finding.location === 'operation' && !(path in pathsB)) continue;
+    breaking.push(finding);
+  }
+  
+  const significant = changes.filter(c =>
+    c.path.startsWith('metadata.') ||
+    c.path.startsWith('info.') ||
+    c.path.startsWith('servers.') ||
+    (c.path.includes('description') && !c.path.includes('responses'))
+  );
+  
+  return { changes, breaking, significant, contract, bump: suggestedBump(changes, breaking, contract) };
+}
+
+// ————————————————————————————————————————————————————————————————
+// OpenAPI spec generation
+// ————————————————————————————————————————————————————————————————
+
+/** Manifest media entries hold the schema itself; OpenAPI wraps it in a media type object */
+function toMediaTypes(content) {
+  const out = {};
+  for (const [type, entry] of Object.entries(content || {})) {
+    out[type] = entry && typeof entry === 'object' && 'schema' in entry ? entry : { schema: entry };
+  }
+  return out;
+}
+
+function toOpenApiParameters(parameters) {
+  const list = [];
+  for (const [loc, paramMap] of Object.entries(parameters || {})) {
+    for (const [name, param] of Object.entries(paramMap)) {
+      list.push({
+        name,
+        in: loc,
+        description: param.description,
+        required: param.required || false,
+        schema: param.schema || { type: param.type },
+        'x-pii': param['x-pii']
+      });
+    }
+  }
+  return list;
+}
+
+/** OpenAPI security requirement objects ({ name: scopes }) */
+function toOpenApiSecurity(list) {
+  return securityRequirements(list).map(r => Object.fromEntries(r.schemes.map(s => [s.name, s.scopes])));
+}
+
+/** Response headers announcing a deprecated operation */
+function deprecationHeaders(lifecycle) {
+  const headers = {
+    Deprecation: {
+      description: `The operation is deprecated${lifecycle.replacement ? `; use ${lifecycle.replacement} instead` : ''}`,
+      schema: { type: 'string' }
+    }
+  };
+  const sunset = Date.parse(lifecycle.sunset_at);
+  if (!Number.isNaN(sunset)) {
+    headers.Sunset = {
+      description: 'When the operation stops being served',
+      schema: { type: 'string' },
+      example: new Date(sunset).toUTCString()
+    };
+  }
+  return headers;
+}
+
+function generateOpenApi(manifest) {
+  const m = manifest || {};
+  const spec = {
+    openapi: '3.0.3',
+    info: {
+      title: m.info?.title || m.api?.name || 'API',
+      version: m.api?.version || '1.0.0',
+      description: m.info?.description,
+      termsOfService: m.info?.termsOfService,
+      contact: m.info?.contact,
+      license: m.info?.license
+    },
+    servers: m.servers?.list || [],
+    paths: {},
+    components: {
+      securitySchemes: m.security?.schemes || {},
+      schemas: m.components?.schemas || {}
+    },
+    security: m.security?.global ? toOpenApiSecurity(m.security.global) : []
+  };
+
+  // Build paths and schemas (one OpenAPI operation per declared or inferred method)
+  for (const op of listOperations(m)) {
+    const { path, method, key, operation: merged } = op;
+    // Method maps keep shared parameters on the path item
+    const item = m.endpoints.paths[path];
+    const endpoint = key ? item[key] : merged;
+    if (!spec.paths[path]) {
+      spec.paths[path] = key
+        ? { summary: item.summary, description: item.description, parameters: item.parameters ? toOpenApiParameters(item.parameters) : undefined }
+        : {};
+    }
+    
+    spec.paths[path][method] = {
+      operationId: endpoint.operationId,
+      summary: endpoint.summary,
+      description: endpoint.description,
+      tags: endpoint.tags,
+      parameters: [],
+      responses: {}
+    };
+    
+    const operation = spec.paths[path][method];
+    
+    // Add parameters
+    if (endpoint.parameters) {
+      operation.parameters.push(...toOpenApiParameters(endpoint.parameters));
+    }
+    
+    // Add request body
+    if (endpoint.requestBody) {
+      operation.requestBody = {
+        description: endpoint.requestBody.description,
+        required: endpoint.requestBody.required,
+        content: toMediaTypes(endpoint.requestBody.content)
+      };
+    }
+    
+    // Add responses (required for valid OpenAPI)
+    if (endpoint.responses) {
+      for (const [status, response] of Object.entries(endpoint.responses)) {
+        operation.responses[status] = {
+          description: response.description,
+          content: toMediaTypes(response.content),
+          headers: response.headers || {}
+        };
+      }
+    }
+    
+    // Add security
+    if (endpoint.security) {
+      operation.security = toOpenApiSecurity(endpoint.security);
+    }
+    
+    // Add rate limiting as extension
+    if (endpoint.rateLimit) {
+      operation['x-rate-limit'] = endpoint.rateLimit;
+    }
+
+    // Deprecated operations announce Deprecation (RFC 9745) and Sunset (RFC 8594) headers
+    const lifecycle = operationLifecycle(m, op);
+    if (lifecycle?.status === 'deprecated') {
+      operation.deprecated = true;
+      if (lifecycle.sunset_at) operation['x-sunset'] = lifecycle.sunset_at;
+      if (lifecycle.replacement) operation['x-replacement'] = lifecycle.replacement;
+      for (const response of Object.values(operation.responses)) {
+        response.headers = { ...deprecationHeaders(lifecycle), ...response.headers };
+      }
+    }
+  }
+
+  return JSON.stringify(spec, null, 2);
+}
+
+// ————————————————————————————————————————————————————————————————
+// OpenAPI import
+// ————————————————————————————————————————————————————————————————
+
+const OPERATION_KEYS = ['operationId', 'summary', 'description', 'tags', 'parameters', 'requestBody', 'responses', 'security', 'deprecated', 'x-sunset', 'x-replacement', 'x-rate-limit'];
+const PATH_ITEM_KEYS = ['summary', 'description', 'parameters', ...HTTP_METHODS];
+const PARAMETER_KEYS = ['name', 'in', 'description', 'required', 'schema', 'x-pii'];
+
+/** JSON Pointer segment escaping (RFC 6901) */
+const pointerSegment = s => String(s).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/** Slug used as api.name when the document only has a title */
+const slug = s => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'api';
+
+/**
+ * Import an OpenAPI 3.0/3.1 document into an API manifest.
+ * Component schemas stay shared (`components.schemas` + `$ref`); other local
+ * `$ref`s are inlined. Constructs the manifest cannot express are
+ * listed in `unmapped`, keyed by JSON Pointer into the source document.
+ * @param {Object|string} spec - OpenAPI document (object or JSON text)
+ * @param {Object} [options]
+ * @param {string} [options.name] - api.name (defaults to a slug of info.title)
+ * @returns {{manifest: ApiManifest, unmapped: Array<{pointer:string, construct:string, reason:string}>}}
+ */
+function importOpenApi(spec, options = {}) {
+  let doc = spec;
+  if (typeof doc === 'string') {
+    try { doc = JSON.parse(doc); } catch (e) { throw new Error(`Invalid OpenAPI document: ${e.message}`); }
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Invalid OpenAPI document: expected an object');
+  }
+  if (typeof doc.openapi !== 'string' || !/^3\.[01]\./.test(doc.openapi)) {
+    throw new Error(`Unsupported OpenAPI version: ${doc.openapi || doc.swagger || 'unknown'} (expected 3.0.x or 3.1.x)`);
+  }
+
+  const unmapped = [];
+  const report = (pointer, construct, reason) => unmapped.push({ pointer, construct, reason });
+  const reportExtra = (obj, known, pointer, reason) => {
+    for (const k of Object.keys(obj || {})) {
+      if (!known.includes(k)) report(`${pointer}/${pointerSegment(k)}`, k, reason);
+    }
+  };
+
+  function lookup(ref) {
+    let cur = doc;
+    for (const seg of ref.slice(2).split('/')) {
+      if (cur == null) return undefined;
+      cur = cur[seg.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return cur;
+  }
+
+  // Follow a $ref on a parameter/requestBody/response/header object
+  function deref(node, pointer) {
+    const seen = new Set();
+    while (node && typeof node === 'object' && typeof node.$ref === 'string') {
+      if (!node.$ref.startsWith('#/')) {
+        report(pointer, '$ref', `external reference ${node.$ref} is not resolved`);
+        return undefined;
+      }
+      if (seen.has(node.$ref)) {
+        report(pointer, '$ref', `circular reference ${node.$ref}`);
+        return undefined;
+      }
+      seen.add(node.$ref);
+      const target = lookup(node.$ref);
+      if (target === undefined) {
+        report(pointer, '$ref', `unresolvable reference ${node.$ref}`);
+        return undefined;
+      }
+      node = target;
+    }
+    return node;
+  }
+
+  // Component schema $refs are kept (they become manifest components); other local $refs are inlined
+  function inlineSchema(schema, pointer, stack = []) {
+    if (Array.isArray(schema)) return schema.map((s, i) => inlineSchema(s, `${pointer}/${i}`, stack));
+    if (!schema || typeof schema !== 'object') return schema;
+    if (typeof schema.$ref === 'string') {
+      const ref = schema.$ref;
+      if (!ref.startsWith('#/')) {
+        report(pointer, '$ref', `external reference ${ref} is not resolved`);
+        return clone(schema);
+      }
+      if (refName(ref) !== null) {
+        if (lookup(ref) === undefined) report(pointer, '$ref', `unresolvable reference ${ref}`);
+        return clone(schema);
+      }
+      if (stack.includes(ref)) {
+        report(pointer, '$ref', `recursive schema ${ref} is kept as a reference`);
+        return clone(schema);
+      }
+      const target = lookup(ref);
+      if (target === undefined) {
+        report(pointer, '$ref', `unresolvable reference ${ref}`);
+        return clone(schema);
+      }
+      const { $ref, ...siblings } = schema;
+      return { ...inlineSchema(target, pointer, [...stack, ref]), ...inlineSchema(siblings, pointer, stack) };
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(schema)) out[k] = inlineSchema(v, `${pointer}/${pointerSegment(k)}`, stack);
+    return out;
+  }
+
+  // Media type objects → manifest content (schema stored directly)
+  function importContent(content, pointer) {
+    const out = {};
+    for (const [type, media] of Object.entries(content || {})) {
+      const mp = `${pointer}/${pointerSegment(type)}`;
+      const schema = inlineSchema(media?.schema ?? {}, `${mp}/schema`);
+      if (media?.example !== undefined && schema && typeof schema === 'object' && schema.example === undefined) {
+        schema.example = clone(media.example);
+      }
+      reportExtra(media, ['schema', 'example'], mp, 'media type field not modelled');
+      out[type] = schema;
+    }
+    return out;
+  }
+
+  function importParameters(list, pointer) {
+    const out = {};
+    (list || []).forEach((raw, i) => {
+      const pp = `${pointer}/${i}`;
+      const param = deref(raw, pp);
+      if (!param) return;
+      if (!['path', 'query', 'header'].includes(param.in)) {
+        report(pp, `parameter ${param.name}`, `parameter location "${param.in}" is not supported`);
+        return;
+      }
+      const entry = {};
+      if (param.description !== undefined) entry.description = param.description;
+      if (param.required) entry.required = true;
+      if (param.schema !== undefined) entry.schema = inlineSchema(param.schema, `${pp}/schema`);
+      if (param['x-pii'] !== undefined) entry['x-pii'] = param['x-pii'];
+      reportExtra(param, PARAMETER_KEYS, pp, 'parameter field not modelled');
+      (out[param.in] ||= {})[param.name] = entry;
+    });
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  // Security requirements → scheme names (scopes and AND-combinations are not modelled)
+  // Plain scheme names unless the requirement carries scopes or combines schemes
+  function importSecurity(requirements) {
+    return requirements.map(req => {
+      const keys = Object.keys(req || {});
+      return keys.length === 1 && !req[keys[0]]?.length ? keys[0] : clone(req);
+    });
+  }
+
+  function importResponses(responses, pointer) {
+    const out = {};
+    for (const [status, raw] of Object.entries(responses || {})) {
+      const rp = `${pointer}/${pointerSegment(status)}`;
+      const response = deref(raw, rp);
+      if (!response) continue;
+      const entry = { description: response.description };
+      if (response.content && Object.keys(response.content).length) entry.content = importContent(response.content, `${rp}/content`);
+      if (response.headers && Object.keys(response.headers).length) {
+        entry.headers = {};
+        for (const [name, header] of Object.entries(response.headers)) {
+          const resolved = deref(header, `${rp}/headers/${pointerSegment(name)}`);
+          if (resolved) entry.headers[name] = inlineSchema(resolved, `${rp}/headers/${pointerSegment(name)}`);
+        }
+      }
+      reportExtra(response, ['description', 'content', 'headers'], rp, 'response field not modelled');
+      out[status] = entry;
+    }
+    return out;
+  }
+
+  function importOperation(op, pointer) {
+    const endpoint = {};
+    for (const k of ['operationId', 'summary', 'description', 'tags']) {
+      if (op[k] !== undefined) endpoint[k] = clone(op[k]);
+    }
+    const parameters = importParameters(op.parameters, `${pointer}/parameters`);
+    if (parameters) endpoint.parameters = parameters;
+    if (op.requestBody) {
+      const body = deref(op.requestBody, `${pointer}/requestBody`);
+      if (body) {
+        endpoint.requestBody = {};
+        if (body.description !== undefined) endpoint.requestBody.description = body.description;
+        if (body.required !== undefined) endpoint.requestBody.required = body.required;
+        endpoint.requestBody.content = importContent(body.content, `${pointer}/requestBody/content`);
+        reportExtra(body, ['description', 'required', 'content'], `${pointer}/requestBody`, 'request body field not modelled');
+      }
+    }
+    endpoint.responses = importResponses(op.responses, `${pointer}/responses`);
+    if (Array.isArray(op.security)) endpoint.security = importSecurity(op.security);
+    if (op['x-rate-limit'] !== undefined) endpoint.rateLimit = clone(op['x-rate-limit']);
+    if (op.deprecated === true) {
+      endpoint.lifecycle = { status: 'deprecated' };
+      if (op['x-sunset'] !== undefined) endpoint.lifecycle.sunset_at = op['x-sunset'];
+      if (op['x-replacement'] !== undefined) endpoint.lifecycle.replacement = op['x-replacement'];
+      // Regenerated from the lifecycle by generateOpenApi
+      for (const response of Object.values(endpoint.responses)) {
+        if (!response.headers) continue;
+        delete response.headers.Deprecation;
+        delete response.headers.Sunset;
+        if (!Object.keys(response.headers).length) delete response.headers;
+      }
+    }
+    reportExtra(op, OPERATION_KEYS, pointer, 'operation field not modelled');
+    return endpoint;
+  }
+
+  const info = doc.info || {};
+  const manifest = {
+    api: { name: options.name || slug(info.title || 'api'), version: info.version || '1.0.0' }
+  };
+  for (const k of ['title', 'description', 'termsOfService', 'contact', 'license']) {
+    if (info[k] !== undefined) (manifest.info ||= {})[k] = clone(info[k]);
+  }
+  reportExtra(info, ['title', 'version', 'description', 'termsOfService', 'contact', 'license'], '#/info', 'info field not modelled');
+
+  if (Array.isArray(doc.servers) && doc.servers.length) manifest.servers = { list: clone(doc.servers) };
+
+  const schemes = {};
+  for (const [name, scheme] of Object.entries(doc.components?.securitySchemes || {})) {
+    const resolved = deref(scheme, `#/components/securitySchemes/${pointerSegment(name)}`);
+    if (resolved) schemes[name] = clone(resolved);
+  }
+  const global = Array.isArray(doc.security) ? importSecurity(doc.security) : [];
+  if (Object.keys(schemes).length || global.length) {
+    manifest.security = { schemes };
+    if (global.length) manifest.security.global = global;
+  }
+
+  manifest.endpoints = { paths: {} };
+  for (const [path, rawItem] of Object.entries(doc.paths || {})) {
+    const ip = `#/paths/${pointerSegment(path)}`;
+    if (rawItem?.$ref) {
+      report(ip, '$ref', 'path item references are not resolved');
+      continue;
+    }
+    const item = {};
+    if (rawItem.summary !== undefined) item.summary = rawItem.summary;
+    if (rawItem.description !== undefined) item.description = rawItem.description;
+    const shared = importParameters(rawItem.parameters, `${ip}/parameters`);
+    if (shared) item.parameters = shared;
+    for (const method of HTTP_METHODS) {
+      if (rawItem[method]) item[method] = importOperation(rawItem[method], `${ip}/${method}`);
+    }
+    reportExtra(rawItem, PATH_ITEM_KEYS, ip, 'path item field not modelled');
+    manifest.endpoints.paths[path] = item;
+  }
+
+  for (const [name, schema] of Object.entries(doc.components?.schemas || {})) {
+    (manifest.components ||= { schemas: {} }).schemas[name] = inlineSchema(schema, `#/components/schemas/${pointerSegment(name)}`);
+  }
+
+  // Component parameters, request bodies and responses are inlined above
+  const inlined = ['schemas', 'parameters', 'requestBodies', 'responses', 'headers', 'securitySchemes'];
+  reportExtra(doc.components, inlined, '#/components', 'component type not modelled');
+  reportExtra(doc, ['openapi', 'info', 'servers', 'paths', 'components', 'security'], '#', 'top-level field not modelled');
+
+  return { manifest, unmapped };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Client SDK generation
+// ————————————————————————————————————————————————————————————————
+
+/** PascalCase identifier from an arbitrary name */
+const pascalCase = s => String(s).replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : '')).replace(/^./, c => c.toUpperCase()).replace(/^(\d)/, '_$1');
+
+/** Property key as written in a TypeScript type */
+const tsKey = k => (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(k) ? k : JSON.stringify(k));
+
+/** TypeScript type for a manifest schema; component references become their interface names */
+function tsType(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  const name = refName(schema.$ref);
+  if (name !== null) return pascalCase(name);
+  let type;
+  if (Array.isArray(schema.enum)) {
+    type = schema.enum.map(v => JSON.stringify(v)).join(' | ');
+  } else if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+    type = (schema.oneOf || schema.anyOf).map(s => tsType(s, indent)).join(' | ');
+  } else if (Array.isArray(schema.allOf)) {
+    type = schema.allOf.map(s => tsType(s, indent)).join(' & ');
+  } else if (schema.type === 'array' || schema.items) {
+    type = 'Array<' + tsType(schema.items, indent) + '>';
+  } else if (schema.properties) {
+    type = tsObject(schema, indent);
+  } else if (schema.type === 'object') {
+    type = 'Record<string, ' + (schema.additionalProperties && typeof schema.additionalProperties === 'object' ? tsType(schema.additionalProperties, indent) : 'unknown') + '>';
+  } else {
+    type = { string: 'string', number: 'number', integer: 'number', boolean: 'boolean', null: 'null' }[schema.type] || 'unknown';
+  }
+  return schema.nullable ? type + ' | null' : type;
+}
+
+/** Object literal type; a property is required via the schema's `required` list or its own `required: true` */
+function tsObject(schema, indent = '') {
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  const inner = indent + '  ';
+  let out = '{\n';
+  for (const [prop, def] of Object.entries(schema.properties || {})) {
+    const optional = required.has(prop) || def?.required === true ? '' : '?';
+    if (def?.description) out += inner + '/** ' + String(def.description).replace(/\*\//g, '* /') + ' */\n';
+    out += inner + tsKey(prop) + optional + ': ' + tsType(def, inner) + ';\n';
+  }
+  return out + indent + '}';
+}
+
+/** Declaration for a named model: an interface for objects, a type alias otherwise */
+function tsDeclaration(name, schema) {
+  if (schema && typeof schema === 'object' && schema.properties && !schema.$ref && !schema.allOf && !schema.oneOf && !schema.anyOf) {
+    return 'export interface ' + name + ' ' + tsObject(schema) + '\n\n';
+  }
+  return 'export type ' + name + ' = ' + tsType(schema) + ';\n\n';
+}
+
+/** Milliseconds in a rateLimit period ('1m', '30s', '1h', '1d' or a number of ms) */
+function periodMs(period) {
+  if (typeof period === 'number') return period;
+  const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(period || '').trim());
+  if (!match) return 60000;
+  return Number(match[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2] || 's'];
+}
+
+/** Client method name: operationId, else path-derived (prefixed with the method in method maps) */
+function sdkMethodName(path, method, key, endpoint) {
+  const baseName = path.replace(/[/{}\/]/g, '_').replace(/^_/, '');
+  return endpoint.operationId
+    ? endpoint.operationId.replace(/[^a-zA-Z0-9_$]/g, '_')
+    : key ? method + '_' + baseName : baseName;
+}
+
+function generateTypeScriptSdk(m) {
+  const apiName = m.api?.name || 'api';
+  const safeName = apiName.replace(/[^a-zA-Z0-9]/g, '_');
+  const schemes = m.security?.schemes || {};
+  let sdk = '/**\n * Auto-generated TypeScript SDK for: ' + apiName + '\n * Version: ' + (m.api?.version || '1.0.0') + '\n */\n\n';
+
+  // Models
+  for (const [name, schema] of Object.entries(m.components?.schemas || {})) {
+    sdk += tsDeclaration(pascalCase(name), schema);
+  }
+
+  const methods = [];
+  for (const { path, method, key, operation: endpoint } of listOperations(m)) {
+    const methodName = sdkMethodName(path, method, key, endpoint);
+    const typeName = pascalCase(methodName);
+    const op = { path, method: method.toUpperCase(), methodName, endpoint };
+
+    const groups = {};
+    for (const [loc, params] of Object.entries(endpoint.parameters || {})) {
+      const schema = { properties: {} };
+      for (const [name, param] of Object.entries(params || {})) {
+        schema.properties[name] = { ...(param.schema || { type: param.type }), description: param.description, required: param.required === true };
+      }
+      if (Object.keys(schema.properties).length) groups[loc] = schema;
+    }
+    if (Object.keys(groups).length) {
+      op.params = typeName + 'Params';
+      op.groups = Object.keys(groups);
+      op.paramsRequired = Object.values(groups).some(g => Object.values(g.properties).some(p => p.required));
+      sdk += 'export interface ' + op.params + ' {\n';
+      for (const [loc, schema] of Object.entries(groups)) {
+        const required = Object.values(schema.properties).some(p => p.required);
+        sdk += '  ' + loc + (required ? '' : '?') + ': ' + tsObject(schema, '  ') + ';\n';
+      }
+      sdk += '}\n\n';
+    }
+
+    const bodySchema = Object.entries(endpoint.requestBody?.content || {}).find(([type]) => type.includes('json'))?.[1]
+      ?? Object.values(endpoint.requestBody?.content || {})[0];
+    if (endpoint.requestBody) {
+      op.body = typeName + 'Request';
+      op.bodyRequired = endpoint.requestBody.required === true;
+      sdk += tsDeclaration(op.body, bodySchema);
+    }
+
+    const success = Object.entries(endpoint.responses || {}).find(([status, r]) => /^2/.test(status) && r?.content);
+    if (success) {
+      op.response = typeName + 'Response';
+      const content = success[1].content;
+      sdk += tsDeclaration(op.response, Object.entries(content).find(([type]) => type.includes('json'))?.[1] ?? Object.values(content)[0]);
+    }
+    methods.push(op);
+  }
+
+  // Client options and auth hooks
+  sdk += 'export type Credential<T = string> = T | (() => T | Promise<T>);\n\n';
+  sdk += 'export interface AuthOptions {\n';
+  for (const [name, scheme] of Object.entries(schemes)) {
+    // mutualTLS is satisfied by the client certificate on the connection, not by a credential
+    if (scheme?.type === 'mutualTLS') continue;
+    const type = scheme?.type === 'http' && String(scheme.scheme).toLowerCase() === 'basic'
+      ? 'Credential<{ username: string; password: string }>'
+      : 'Credential';
+    const kind = scheme?.type === 'apiKey'
+      ? 'API key (' + scheme.in + ' "' + scheme.name + '")'
+      : scheme?.type === 'http' ? String(scheme.scheme) + ' credentials' : 'access token (' + scheme?.type + ')';
+    sdk += '  /** ' + kind + ' */\n';
+    sdk += '  ' + tsKey(name) + '?: ' + type + ';\n';
+  }
+  sdk += '}\n\n';
+  sdk += 'export interface RetryOptions {\n';
+  sdk += '  /** Attempts after the first (default 2) */\n';
+  sdk += '  retries?: number;\n';
+  sdk += '  /** First backoff delay in ms, doubled per attempt (default 250) */\n';
+  sdk += '  baseDelayMs?: number;\n';
+  sdk += '  /** Upper bound for a single backoff delay in ms (default 10000) */\n';
+  sdk += '  maxDelayMs?: number;\n';
+  sdk += '}\n\n';
+  sdk += 'export interface ClientOptions {\n';
+  sdk += '  baseUrl?: string;\n';
+  sdk += '  headers?: Record<string, string>;\n';
+  sdk += '  auth?: AuthOptions;\n';
+  sdk += '  retry?: RetryOptions;\n';
+  sdk += '  /** Called with every outgoing request, e.g. to add tracing headers */\n';
+  sdk += '  onRequest?: (url: string, init: RequestInit) => RequestInit | void | Promise<RequestInit | void>;\n';
+  sdk += '  fetch?: typeof fetch;\n';
+  sdk += '}\n\n';
+  sdk += 'interface RequestOptions {\n';
+  sdk += '  path?: Record<string, unknown>;\n';
+  sdk += '  query?: Record<string, unknown>;\n';
+  sdk += '  header?: Record<string, unknown>;\n';
+  sdk += '  body?: unknown;\n';
+  sdk += '  security?: string[];\n';
+  sdk += '  rateLimit?: { key: string; requests: number; periodMs: number };\n';
+  sdk += '}\n\n';
+  sdk += 'export class ApiError extends Error {\n';
+  sdk += '  constructor(public readonly status: number, public readonly statusText: string, public readonly body: unknown) {\n';
+  sdk += '    super(`HTTP ${status}: ${statusText}`);\n';
+  sdk += '    this.name = \'ApiError\';\n';
+  sdk += '  }\n';
+  sdk += '}\n\n';
+
+  // Client
+  sdk += 'const SCHEMES: Record<string, { type: string; scheme?: string; in?: string; name?: string }> = ' + JSON.stringify(
+    Object.fromEntries(Object.entries(schemes).map(([name, s]) => [name, { type: s?.type, scheme: s?.scheme, in: s?.in, name: s?.name }]))
+  ) + ';\n';
+  sdk += 'const GLOBAL_SECURITY: string[] = ' + JSON.stringify(requirementNames(m.security?.global)) + ';\n';
+  sdk += 'const IDEMPOTENT = new Set([\'GET\', \'HEAD\', \'PUT\', \'DELETE\', \'OPTIONS\', \'TRACE\']);\n';
+  sdk += 'const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));\n\n';
+  sdk += 'export class ' + safeName + 'Client {\n';
+  sdk += '  private readonly options: ClientOptions;\n';
+  sdk += '  private readonly windows = new Map<string, number[]>();\n\n';
+  sdk += '  constructor(options: ClientOptions = {}) {\n';
+  sdk += '    this.options = { baseUrl: \'' + (m.servers?.list?.[0]?.url || '') + '\', ...options };\n';
+  sdk += '  }\n\n';
+  sdk += '  private async credential<T>(value: Credential<T>): Promise<T> {\n';
+  sdk += '    return typeof value === \'function\' ? await (value as () => T | Promise<T>)() : value;\n';
+  sdk += '  }\n\n';
+  sdk += '  /** Apply the first security scheme (in requirement order) that has credentials configured */\n';
+  sdk += '  private async applyAuth(security: string[], headers: Record<string, string>, query: URLSearchParams): Promise<void> {\n';
+  sdk += '    const auth = (this.options.auth || {}) as Record<string, Credential<any> | undefined>;\n';
+  sdk += '    for (const name of security) {\n';
+  sdk += '      const scheme = SCHEMES[name];\n';
+  sdk += '      if (!scheme || auth[name] === undefined) continue;\n';
+  sdk += '      const value = await this.credential(auth[name]!);\n';
+  sdk += '      if (scheme.type === \'apiKey\') {\n';
+  sdk += '        if (scheme.in === \'query\') query.set(scheme.name!, String(value));\n';
+  sdk += '        else if (scheme.in === \'cookie\') headers[\'Cookie\'] = scheme.name + \'=\' + encodeURIComponent(String(value));\n';
+  sdk += '        else headers[scheme.name!] = String(value);\n';
+  sdk += '      } else if (scheme.type === \'http\' && String(scheme.scheme).toLowerCase() === \'basic\') {\n';
+  sdk += '        headers[\'Authorization\'] = \'Basic \' + btoa(value.username + \':\' + value.password);\n';
+  sdk += '      } else {\n';
+  sdk += '        headers[\'Authorization\'] = \'Bearer \' + value;\n';
+  sdk += '      }\n';
+  sdk += '      return;\n';
+  sdk += '    }\n';
+  sdk += '  }\n\n';
+  sdk += '  /** Client-side rateLimit: wait until the operation has room in its window */\n';
+  sdk += '  private async throttle(limit: { key: string; requests: number; periodMs: number }): Promise<void> {\n';
+  sdk += '    const sent = this.windows.get(limit.key) || [];\n';
+  sdk += '    this.windows.set(limit.key, sent);\n';
+  sdk += '    for (;;) {\n';
+  sdk += '      const now = Date.now();\n';
+  sdk += '      while (sent.length && sent[0] <= now - limit.periodMs) sent.shift();\n';
+  sdk += '      if (sent.length < limit.requests) {\n';
+  sdk += '        sent.push(now);\n';
+  sdk += '        return;\n';
+  sdk += '      }\n';
+  sdk += '      await sleep(sent[0] + limit.periodMs - now);\n';
+  sdk += '    }\n';
+  sdk += '  }\n\n';
+  sdk += '  private retryDelay(response: Response | undefined, attempt: number): number {\n';
+  sdk += '    const { baseDelayMs = 250, maxDelayMs = 10000 } = this.options.retry || {};\n';
+  sdk += '    const retryAfter = response?.headers.get(\'Retry-After\');\n';
+  sdk += '    if (retryAfter) {\n';
+  sdk += '      const seconds = Number(retryAfter);\n';
+  sdk += '      const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;\n';
+  sdk += '      if (ms >= 0) return Math.min(ms, maxDelayMs);\n';
+  sdk += '    }\n';
+  sdk += '    return Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);\n';
+  sdk += '  }\n\n';
+  sdk += '  /** Send a request; 429s are retried for every method, network errors and 5xx only for idempotent ones */\n';
+  sdk += '  async request<T>(method: string, path: string, options: RequestOptions = {}): Promise<T> {\n';
+  sdk += '    const url = path.replace(/\\{([^}]+)\\}/g, (_, name: string) => {\n';
+  sdk += '      const value = options.path?.[name];\n';
+  sdk += '      if (value === undefined || value === null) throw new Error(`Missing path parameter: ${name}`);\n';
+  sdk += '      return encodeURIComponent(String(value));\n';
+  sdk += '    });\n';
+  sdk += '    const query = new URLSearchParams();\n';
+  sdk += '    for (const [name, value] of Object.entries(options.query || {})) {\n';
+  sdk += '      if (value === undefined || value === null) continue;\n';
+  sdk += '      for (const item of Array.isArray(value) ? value : [value]) query.append(name, String(item));\n';
+  sdk += '    }\n';
+  sdk += '    const headers: Record<string, string> = { ...this.options.headers };\n';
+  sdk += '    for (const [name, value] of Object.entries(options.header || {})) {\n';
+  sdk += '      if (value !== undefined && value !== null) headers[name] = String(value);\n';
+  sdk += '    }\n';
+  sdk += '    await this.applyAuth(options.security ?? GLOBAL_SECURITY, headers, query);\n\n';
+  sdk += '    const qs = query.toString();\n';
+  sdk += '    const target = this.options.baseUrl + url + (qs ? \'?\' + qs : \'\');\n';
+  sdk += '    let init: RequestInit = { method, headers };\n';
+  sdk += '    if (options.body !== undefined) {\n';
+  sdk += '      headers[\'Content-Type\'] = headers[\'Content-Type\'] || \'application/json\';\n';
+  sdk += '      init.body = JSON.stringify(options.body);\n';
+  sdk += '    }\n';
+  sdk += '    init = (await this.options.onRequest?.(target, init)) || init;\n\n';
+  sdk += '    const doFetch = this.options.fetch || fetch;\n';
+  sdk += '    const retries = this.options.retry?.retries ?? 2;\n';
+  sdk += '    for (let attempt = 0; ; attempt++) {\n';
+  sdk += '      if (options.rateLimit) await this.throttle(options.rateLimit);\n';
+  sdk += '      let response: Response;\n';
+  sdk += '      try {\n';
+  sdk += '        response = await doFetch(target, init);\n';
+  sdk += '      } catch (error) {\n';
+  sdk += '        if (attempt < retries && IDEMPOTENT.has(method)) {\n';
+  sdk += '          await sleep(this.retryDelay(undefined, attempt));\n';
+  sdk += '          continue;\n';
+  sdk += '        }\n';
+  sdk += '        throw error;\n';
+  sdk += '      }\n';
+  sdk += '      const retryable = response.status === 429 || (response.status >= 500 && IDEMPOTENT.has(method));\n';
+  sdk += '      if (retryable && attempt < retries) {\n';
+  sdk += '        await sleep(this.retryDelay(response, attempt));\n';
+  sdk += '        continue;\n';
+  sdk += '      }\n';
+  sdk += '      const text = await response.text();\n';
+  sdk += '      const isJson = (response.headers.get(\'Content-Type\') || \'\').includes(\'json\');\n';
+  sdk += '      const body = text && isJson ? JSON.parse(text) : text || undefined;\n';
+  sdk += '      if (!response.ok) {\n';
+  sdk += '        throw new ApiError(response.status, response.statusText, body);\n';
+  sdk += '      }\n';
+  sdk += '      return body as T;\n';
+  sdk += '    }\n';
+  sdk += '  }\n\n';
+
+  // Operations
+  for (const op of methods) {
+    const args = [];
+    if (op.params) args.push('params: ' + op.params + (op.paramsRequired ? '' : ' = {}'));
+    if (op.body) args.push('body' + (op.bodyRequired ? '' : '?') + ': ' + op.body);
+    // An optional parameter cannot precede a required one
+    if (op.params && !op.paramsRequired && op.body && op.bodyRequired) args[0] = 'params: ' + op.params + ' | undefined';
+    const options = [];
+    if (op.params) options.push(...op.groups.map(loc => loc + ': params?.' + loc));
+    if (op.body) options.push('body');
+    if (op.endpoint.security) options.push('security: ' + JSON.stringify(requirementNames(op.endpoint.security)));
+    if (op.endpoint.rateLimit?.requests) {
+      options.push('rateLimit: { key: ' + JSON.stringify(op.method + ' ' + op.path) + ', requests: ' + Number(op.endpoint.rateLimit.requests) + ', periodMs: ' + periodMs(op.endpoint.rateLimit.period) + ' }');
+    }
+
+    sdk += '  /** ' + String(op.endpoint.summary || op.method + ' ' + op.path).replace(/\*\//g, '* /') + ' */\n';
+    sdk += '  async ' + op.methodName + '(' + args.join(', ') + '): Promise<' + (op.response || 'void') + '> {\n';
+    sdk += '    return this.request<' + (op.response || 'void') + '>(\'' + op.method + '\', \'' + op.path + '\', { ' + options.join(', ') + ' });\n';
+    sdk += '  }\n\n';
+  }
+
+  sdk += '}\n\nexport default ' + safeName + 'Client;\n';
+  return sdk;
+}
+
+function generateClientSdk(manifest, language = 'javascript') {
+  const m = manifest || {};
+  const apiName = m.api?.name || 'api';
+  const safeName = apiName.replace(/[^a-zA-Z0-9]/g, '_');
+  
+  if (language === 'javascript') {
+    let sdk = '/**\n * Auto-generated JavaScript SDK for: ' + apiName + '\n * Version: ' + (m.api?.version || '1.0.0') + '\n */\n\n';
+    sdk += 'class ' + safeName + 'Client {\n';
+    sdk += '  constructor(baseUrl, options = {}) {\n';
+    sdk += '    this.baseUrl = baseUrl || \'' + (m.servers?.list?.[0]?.url || '') + '\';\n';
+    sdk += '    this.headers = {\n';
+    sdk += '      \'Content-Type\': \'application/json\',\n';
+    sdk += '      ...options.headers\n';
+    sdk += '    };\n';
+    sdk += '  }\n\n';
+    sdk += '  // params fill the {path} placeholders; the rest go to the query string\n';
+    sdk += '  async request(method, path, options = {}) {\n';
+    sdk += '    const { params = {}, body, headers } = options;\n';
+    sdk += '    const placeholders = new Set();\n';
+    sdk += '    const url = path.replace(/\\{([^}]+)\\}/g, (_, name) => {\n';
+    sdk += '      placeholders.add(name);\n';
+    sdk += '      if (params[name] === undefined || params[name] === null) throw new Error(`Missing path parameter: ${name}`);\n';
+    sdk += '      return encodeURIComponent(String(params[name]));\n';
+    sdk += '    });\n';
+    sdk += '    const query = new URLSearchParams();\n';
+    sdk += '    for (const [name, value] of Object.entries(params)) {\n';
+    sdk += '      if (placeholders.has(name) || value === undefined || value === null) continue;\n';
+    sdk += '      for (const item of Array.isArray(value) ? value : [value]) query.append(name, String(item));\n';
+    sdk += '    }\n';
+    sdk += '    const qs = query.toString();\n';
+    sdk += '    const config = {\n';
+    sdk += '      method,\n';
+    sdk += '      headers: { ...this.headers, ...headers }\n';
+    sdk += '    };\n';
+    sdk += '    \n';
+    sdk += '    if (body !== undefined) {\n';
+    sdk += '      config.body = JSON.stringify(body);\n';
+    sdk += '    }\n';
+    sdk += '    \n';
+    sdk += '    const response = await fetch(this.baseUrl + url + (qs ? \'?\' + qs : \'\'), config);\n';
+    sdk += '    if (!response.ok) {\n';
+    sdk += '      throw new Error(`HTTP ${response.status}: ${response.statusText}`);\n';
+    sdk += '    }\n';
+    sdk += '    const text = await response.text();\n';
+    sdk += '    return text ? JSON.parse(text) : undefined;\n';
+    sdk += '  }\n\n';
+    
+    // Generate methods for each operation; single-endpoint paths keep their path-derived name
+    for (const { path, method, key, operation: endpoint } of listOperations(m)) {
+      const methodName = sdkMethodName(path, method, key, endpoint);
+      // Bodiless methods take path and query params; with a body, a templated path takes them first
+      const templated = /\{[^}]+\}/.test(path);
+      const args = endpoint.requestBody && templated ? 'params = {}, body' : 'params = {}';
+      const options = !endpoint.requestBody ? '{ params }' : templated ? '{ params, body }' : '{ body: params }';
+      
+      sdk += '  // ' + endpoint.summary + '\n';
+      sdk += '  async ' + methodName + '(' + args + ') {\n';
+      sdk += '    return this.request(\'' + method.toUpperCase() + '\', \'' + path + '\', ' + options + ');\n';
+      sdk += '  }\n\n';
+    }
+    
+    sdk += '}\n\nexport default ' + safeName + 'Client;';
+    return sdk;
+  }
+  
+  if (language === 'typescript' || language === 'ts') {
+    return generateTypeScriptSdk(m);
+  }
+  
+  return '// SDK generation for ' + language + ' not yet implemented';
+}
+
+// ————————————————————————————————————————————————————————————————
+// Protocol factory
+// ————————————————————————————————————————————————————————————————
+
+function createApiProtocol(manifestInput = {}) {
+  const manifest = normalize(manifestInput);
+  return Object.freeze({
+    manifest: () => clone(manifest),
+    validate: (names=[], config={}) => runValidators(manifest, names, config),
+    match: (expr) => query(manifest, expr),
+    diff: (other) => diff(manifest, other),
+    generateOpenApi: () => generateOpenApi(manifest),
+    generateClientSdk: (language) => generateClientSdk(manifest, language),
+    analyzeSecurity: () => analyzeSecurity(manifest),
+    set: (path, value) => { const m = clone(manifest); dset(m, path, value); return createApiProtocol(m); },
+  });
+}
+
+// ————————————————————————————————————————————————————————————————
+// Catalog factory
+// ————————————————————————————————————————————————————————————————
+
+function createApiCatalog(protocols = []) {
+  const items = protocols;
+  const asManifests = () => items.map(p => p.manifest());
+  function find(expr) { return items.filter(p => p.match(expr)); }
+
+  // Analyze API dependencies and security coverage
+  function analyzeDependencies() {
+    const analysis = {
+      totalEndpoints: 0,
+      securityCoverage: 0,
+      weakAuthEndpoints: 0,
+      piiEndpoints: 0,
+      deprecatedEndpoints: 0
+    };
+    
+    for (const m of asManifests()) {
+      const operations = listOperations(m);
+      analysis.totalEndpoints += operations.length;
+
+      // Effective security: an explicit `security: []` makes an endpoint public
+      for (const { strength } of analyzeSecurity(m).endpoints) {
+        if (strength !== 'none') analysis.securityCoverage++;
+        if (strength === 'weak') analysis.weakAuthEndpoints++;
+      }
+      
+      for (const { operation: endpoint } of operations) {
+
+        // Check for PII in request/response
+        const body = endpoint.requestBody?.content || {};
+        for (const [contentType, schema] of Object.entries(body)) {
+          const hasPII = schemaFields(m, schema).some(f => f.field?.['x-pii'] === true);
+          if (hasPII) analysis.piiEndpoints++;
+        }
+      }
+      
+      analysis.deprecatedEndpoints += operations.filter(op => operationLifecycle(m, op)?.status === 'deprecated').length;
+    }
+    
+    return analysis;
+  }
+
+  // Per-API security matrix
+  function analyzeSecurityAll() {
+    return asManifests().map(m => ({ name: m.api?.name, ...analyzeSecurity(m) }));
+  }
+
+  return Object.freeze({
+    items,
+    find,
+    analyzeDependencies,
+    analyzeSecurity: analyzeSecurityAll,
+    validateAll: (names=[], config={}) => asManifests().map(m => ({ name: m.api?.name, ...runValidators(m, names, config) }))
+  });
+}
+
+// ————————————————————————————————————————————————————————————————
+// Exports
+// ————————————————————————————————————————————————————————————————
+
+export {
+  createApiProtocol,
+  createApiCatalog,
+  registerValidator,
+  listOperations,
+  resolveSchema,
+  periodMs,
+  analyzeSecurity,
+  importOpenApi,
+  Validators,
+};
+
+// ————————————————————————————————————————————————————————————————
+// Example (commented)
+// ————————————————————————————————————————————————————————————————
+/*
+const paymentsApi = createApiProtocol({
+  api: { name: 'payments-api', version: '1.1.0', lifecycle: { status: 'active' } },
+  info: {
+    title: 'Payments API',
+    description: 'Process payments and manage transactions',
+    contact: { name: 'Billing Team', email: 'billing@example.com' }
+  },
+  servers: {
+    list: [
+      { url: 'https://api.example.com/v1', description: 'Production' },
+      { url: 'https://staging-api.example.com/v1', description: 'Staging' }
+    ]
+  },
+  security: {
+    schemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    global: ['bearerAuth']
+  },
+  endpoints: {
+    paths: {
+      '/payments': {
+        summary: 'Create a new payment',
+        parameters: {
+          header: {
+            'X-Request-ID': { description: 'Request ID for idempotency', type: 'string', required: true }
+          }
+        },
+        requestBody: {
+          description: 'Payment details',
+          required: true,
+          content: {
+            'application/json': {
+              properties: {
+                amount: { type: 'number', required: true },
+                currency: { type: 'string', required: true },
+                email: { type: 'string', 'x-pii': true }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Payment created successfully',
+            content: {
+              'application/json': {
+                properties: {
+                  payment_id: { type: 'string' },
+                  status: { type: 'string' }
+                }
+              }
+            }
+          },
+          '400': { description: 'Invalid request' }
+        },
+        rateLimit: { requests: 100, period: '1m' }
+      },
+      '/payments/{id}': {
+        summary: 'Get payment status',
+        parameters: {
+          path: {
+            id: { description: 'Payment ID', type: 'string', required: true }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Payment details',
+            content: {
+              'application/json': {
+                properties: {
+                  payment_id: { type: 'string' },
+                  status: { type: 'string' },
+                  amount: { type: 'number' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  governance: { policy: { classification: 'pii', legal_basis: 'gdpr' } },
+  metadata: { owner: 'billing-team', tags: ['payments', 'billing'] }
+});
+
+console.log(paymentsApi.validate());
+console.log(paymentsApi.match('endpoints:contains:/payments'));
+console.log(paymentsApi.generateOpenApi());
+console.log(paymentsApi.generateClientSdk('javascript'));
+*/
@@ -0,0 +1,775 @@
+/*
+ * Catalog System — v1.1.1 (stand‑alone)
+ * Cross-entity analysis, URN resolution, cycle detection, and system-wide validation
+ *
+ * Goals
+ * - Unify Data, API, and Event protocols under a single catalog
+ * - Provide URN-based linking and resolution
+ * - Detect cycles across all entity types
+ * - Enable system-wide validation and governance
+ * - Zero dependencies; no external wiring
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Utilities (tiny, shared style)
+// ————————————————————————————————————————————————————————————————
+
+/** Canonicalize JSON for stable hashing */
+function jsonCanon(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(v => jsonCanon(v)).join(',') + ']';
+  const keys = Object.keys(value).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + jsonCanon(value[k])).join(',') + '}';
+}
+
+/** Deep get via dot‑path (supports [index]) */
+function dget(obj, path) {
+  if (!path) return obj;
+  const p = String(path).replace(/\[(\d+)\]/g, '.$1').split('.');
+  let cur = obj;
+  for (const k of p) { if (cur == null) return undefined; cur = cur[k]; }
+  return cur;
+}
+
+/** Deep set via dot‑path */
+function dset(obj, path, val) {
+  const parts = String(path).split('.');
+  let cur = obj;
+  while (parts.length > 1) {
+    const k = parts.shift();
+    if (!(k in cur) || typeof cur[k] !== 'object') cur[k] = {};
+    cur = cur[k];
+  }
+  cur[parts[0]] = val;
+}
+
+/** Tiny clone */
+const clone = x => JSON.parse(JSON.stringify(x));
+
+/** Stable 64‑bit FNV‑1a hash (hex) of any JSON‑serializable value */
+function hash(value) {
+  const str = jsonCanon(value);
+  let h = BigInt('0xcbf29ce484222325');
+  const p = BigInt('0x100000001b3');
+  for (let i = 0; i < str.length; i++) {
+    h ^= BigInt(str.charCodeAt(i));
+    h = (h * p) & BigInt('0xFFFFFFFFFFFFFFFF');
+  }
+  return 'fnv1a64-' + h.toString(16).padStart(16, '0');
+}
+
+// ————————————————————————————————————————————————————————————————
+// URN Resolution
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * URN format: urn:protocol:entity:id:version
+ * Examples:
+ * - urn:data:dataset:user_events:v1.1.0
+ * - urn:api:endpoint:/payments:v1.0.0
+ * - urn:api:endpoint:payments-api/payments/{id}#delete:v1.1.1
+ * - urn:event:event:payment.completed:v1.1.0
+ *
+ * API endpoint ids are `[api-name]/path[#method]`: without an API name the
+ * path matches in any API, and without a method every operation on the path.
+ */
+
+function parseURN(urn) {
+  if (!urn || !urn.startsWith('urn:')) return null;
+  const parts = urn.split(':');
+  if (parts.length < 4) return null;
+  
+  return {
+    scheme: parts[0],
+    protocol: parts[1],
+    entity: parts[2],
+    id: parts[3],
+    version: parts[4] || 'latest'
+  };
+}
+
+function buildURN(protocol, entity, id, version = 'latest') {
+  return `urn:${protocol}:${entity}:${id}:${version}`;
+}
+
+function parseEndpointId(id) {
+  const slash = id.indexOf('/');
+  if (slash < 0) return null;
+  const [path, method] = id.slice(slash).split('#');
+  return { api: id.slice(0, slash) || null, path, method: method ? method.toLowerCase() : null };
+}
+
+function buildEndpointURN(apiName, path, method, version = 'latest') {
+  return buildURN('api', 'endpoint', `${apiName}${path}${method ? `#${method.toLowerCase()}` : ''}`, version);
+}
+
+/** Operations of the catalog's API manifests that an endpoint URN points at */
+function resolveEndpointURN(catalog, urn) {
+  const parsed = parseURN(urn);
+  if (!parsed || parsed.protocol !== 'api' || parsed.entity !== 'endpoint') return [];
+  const target = parseEndpointId(parsed.id);
+  if (!target) return [];
+
+  const matches = [];
+  for (const item of catalog.items || []) {
+    const manifest = item.manifest ? item.manifest() : item;
+    if (!manifest.api || (target.api && manifest.api.name !== target.api)) continue;
+    for (const op of apiOperations(manifest)) {
+      if (op.path === target.path && (!target.method || op.method === target.method)) {
+        matches.push({ item, api: manifest.api.name, ...op });
+      }
+    }
+  }
+  return matches;
+}
+
+function resolveURN(catalog, urn) {
+  const parsed = parseURN(urn);
+  if (!parsed) return null;
+  
+  const { protocol, entity, id, version } = parsed;
+
+  // Endpoint URNs resolve to the API that serves them
+  if (protocol === 'api' && entity === 'endpoint') {
+    return resolveEndpointURN(catalog, urn)[0]?.item || null;
+  }
+  
+  // Find matching protocol instance
+  const items = catalog.items || [];
+  for (const item of items) {
+    const manifest = item.manifest ? item.manifest() : item;
+    
+    // Match by protocol type
+    if (protocol === 'data' && manifest.dataset?.name === id) {
+      return item;
+    }
+    if (protocol === 'api' && manifest.api?.name === id) {
+      return item;
+    }
+    if (protocol === 'event' && manifest.event?.name === id) {
+      return item;
+    }
+  }
+  
+  return null;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Cross-Entity Analysis
+// ————————————————————————————————————————————————————————————————
+
+function analyzeCrossEntityRelationships(catalog) {
+  const relationships = {
+    dataToApi: [],
+    dataToEvent: [],
+    apiToEvent: [],
+    eventToEvent: [],
+    apiToApi: [],
+    apiToData: []
+  };
+  
+  const items = catalog.items || [];
+  const manifests = items.map(item => ({
+    protocol: item,
+    manifest: item.manifest ? item.manifest() : item,
+    urn: generateURN(item)
+  }));
+  
+  // Analyze lineage and references
+  for (const { protocol, manifest, urn } of manifests) {
+    // Data protocol lineage
+    if (manifest.dataset) {
+      const consumers = manifest.lineage?.consumers || [];
+      for (const consumer of consumers) {
+        if (consumer.type === 'model') {
+          relationships.dataToEvent.push({
+            from: urn,
+            to: consumer.id,
+            type: 'model_consumer',
+            relationship: 'produces'
+          });
+        } else if (consumer.type === 'external') {
+          relationships.dataToApi.push({
+            from: urn,
+            to: consumer.id,
+            type: 'external_consumer',
+            relationship: 'serves'
+          });
+        }
+      }
+    }
+    
+    // API protocol endpoints
+    if (manifest.api) {
+      for (const { operation: endpoint } of apiOperations(manifest)) {
+        // Check request/response schemas for data references
+        const body = endpoint.requestBody?.content || {};
+        for (const [contentType, schema] of Object.entries(body)) {
+          for (const { name: fieldName, field } of apiSchemaFields(manifest, schema)) {
+            if (field['x-data-ref']) {
+              relationships.apiToData.push({
+                from: urn,
+                to: field['x-data-ref'],
+                type: 'data_reference',
+                field: fieldName
+              });
+            }
+          }
+        }
+      }
+    }
+    
+    // Event protocol workflows
+    if (manifest.event) {
+      // Check for references to other events in workflows
+      // This would be populated by workflow analysis
+    }
+  }
+  
+  return relationships;
+}
+
+function generateURN(protocol) {
+  const manifest = protocol.manifest ? protocol.manifest() : protocol;
+  
+  if (manifest.dataset) {
+    return buildURN('data', 'dataset', manifest.dataset.name, manifest.version || 'v1.1.1');
+  }
+  if (manifest.api) {
+    return buildURN('api', 'api', manifest.api.name, manifest.version || 'v1.1.1');
+  }
+  if (manifest.event) {
+    return buildURN('event', 'event', manifest.event.name, manifest.version || 'v1.1.1');
+  }
+  
+  return null;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Cycle Detection
+// ————————————————————————————————————————————————————————————————
+
+function detectCrossEntityCycles(catalog) {
+  const graph = new Map();
+  const items = catalog.items || [];
+  
+  // Build graph from all entity relationships
+  for (const item of items) {
+    const manifest = item.manifest ? item.manifest() : item;
+    const urn = generateURN(item);
+    
+    if (!urn) continue;
+    
+    const edges = [];
+    
+    // Data protocol lineage
+    if (manifest.dataset) {
+      const consumers = manifest.lineage?.consumers || [];
+      for (const consumer of consumers) {
+        edges.push(consumer.id);
+      }
+    }
+    
+    // Event protocol workflows (if available)
+    if (manifest.workflow) {
+      const steps = manifest.workflow.steps || [];
+      for (const step of steps) {
+        if (step.produces) {
+          edges.push(...step.produces);
+        }
+      }
+    }
+    
+    // API protocol dependencies (simplified)
+    if (manifest.api && manifest.metadata?.dependencies) {
+      edges.push(...manifest.metadata.dependencies);
+    }
+    
+    graph.set(urn, edges);
+  }
+  
+  // Detect cycles using DFS
+  const visited = new Set();
+  const stack = new Set();
+  const cycles = [];
+  
+  function dfs(node, path = []) {
+    if (stack.has(node)) {
+      const cycleStart = path.indexOf(node);
+      cycles.push(path.slice(cycleStart).concat([node]));
+      return;
+    }
+    
+    if (visited.has(node)) return;
+    
+    visited.add(node);
+    stack.add(node);
+    
+    const neighbors = graph.get(node) || [];
+    for (const neighbor of neighbors) {
+      // Try to resolve neighbor to URN
+      const neighborURN = neighbor.startsWith('urn:') ? neighbor : findURNByName(catalog, neighbor);
+      if (neighborURN) {
+        dfs(neighborURN, [...path, node]);
+      }
+    }
+    
+    stack.delete(node);
+  }
+  
+  for (const [node] of graph) {
+    if (!visited.has(node)) {
+      dfs(node, []);
+    }
+  }
+  
+  return cycles;
+}
+
+function findURNByName(catalog, name) {
+  const items = catalog.items || [];
+  for (const item of items) {
+    const manifest = item.manifest ? item.manifest() : item;
+    if (manifest.dataset?.name === name || 
+        manifest.api?.name === name || 
+        manifest.event?.name === name) {
+      return generateURN(item);
+    }
+  }
+  return null;
+}
+
+// ————————————————————————————————————————————————————————————————
+// System-Wide Validation
+// ————————————————————————————————————————————————————————————————
+
+function validateSystem(catalog, options = {}) {
+  const results = {
+    valid: true,
+    protocolValidations: [],
+    crossEntityValidation: [],
+    governanceChecks: [],
+    securityChecks: [],
+    performanceChecks: []
+  };
+  
+  const items = catalog.items || [];
+  
+  // 1. Validate each protocol individually
+  for (const item of items) {
+    if (item.validate) {
+      const validation = item.validate();
+      results.protocolValidations.push({
+        urn: generateURN(item),
+        valid: validation.ok,
+        issues: validation.results || []
+      });
+      if (!validation.ok) results.valid = false;
+    }
+  }
+  
+  // 2. Cross-entity validation
+  const relationships = analyzeCrossEntityRelationships(catalog);
+  const cycles = detectCrossEntityCycles(catalog);
+  
+  if (cycles.length > 0) {
+    results.crossEntityValidation.push({
+      type: 'cycles',
+      valid: false,
+      cycles: cycles
+    });
+    results.valid = false;
+  }
+
+  // Deprecated endpoints still referenced; a reference past sunset is an error
+  const deprecated = analyzeDeprecatedEndpoints(catalog, options);
+  if (deprecated.length > 0) {
+    const pastSunset = deprecated.some(d => d.pastSunset);
+    results.crossEntityValidation.push({
+      type: 'deprecated_references',
+      valid: !pastSunset,
+      references: deprecated
+    });
+    if (pastSunset) results.valid = false;
+  }
+  
+  // 3. Governance checks
+  const piiAnalysis = analyzePIIGovernance(catalog);
+  results.governanceChecks.push(...piiAnalysis);
+  
+  // 4. API security: protocols that resolve their effective security per endpoint
+  for (const item of items) {
+    if (typeof item.analyzeSecurity !== 'function') continue;
+    const { endpoints, issues } = item.analyzeSecurity();
+    results.securityChecks.push({
+      type: 'api_security',
+      urn: generateURN(item),
+      endpoints: endpoints.map(({ endpoint, strength, requirements, scopes, pii }) => ({
+        endpoint,
+        strength,
+        schemes: requirements.map(r => r.label),
+        scopes,
+        pii
+      })),
+      issues,
+      valid: !issues.some(issue => issue.level === 'error')
+    });
+  }
+
+  // 5. Performance analysis
+  if (options.checkPerformance) {
+    const performance = analyzePerformance(catalog);
+    results.performanceChecks.push(...performance);
+  }
+  
+  return results;
+}
+
+function analyzePIIGovernance(catalog) {
+  const checks = [];
+  const items = catalog.items || [];
+  
+  let totalPIIFields = 0;
+  let encryptedDatasets = 0;
+  let piiEventsWithoutDLQ = 0;
+  
+  for (const item of items) {
+    const manifest = item.manifest ? item.manifest() : item;
+    const urn = generateURN(item);
+    
+    // Data protocol PII analysis
+    if (manifest.dataset) {
+      const fields = manifest.schema?.fields || {};
+      const piiFields = Object.entries(fields).filter(([_, field]) => field.pii);
+      totalPIIFields += piiFields.length;
+      
+      if (piiFields.length > 0) {
+        const encrypted = manifest.governance?.storage_residency?.encrypted_at_rest;
+        if (encrypted) encryptedDatasets++;
+        
+        checks.push({
+          type: 'pii_data',
+          urn: urn,
+          piiFields: piiFields.length,
+          encrypted: encrypted,
+          valid: encrypted || piiFields.length === 0
+        });
+      }
+    }
+    
+    // Event protocol PII analysis
+    if (manifest.event) {
+      const fields = extractEventFields(manifest);
+      const piiFields = fields.filter(f => f.pii);
+      
+      if (piiFields.length > 0) {
+        const hasDLQ = manifest.delivery?.contract?.dlq;
+        if (!hasDLQ && manifest.delivery?.contract?.guarantees !== 'best-effort') {
+          piiEventsWithoutDLQ++;
+        }
+        
+        checks.push({
+          type: 'pii_event',
+          urn: urn,
+          piiFields: piiFields.length,
+          hasDLQ: hasDLQ,
+          valid: hasDLQ || manifest.delivery?.contract?.guarantees === 'best-effort'
+        });
+      }
+    }
+    
+    // API protocol PII analysis
+    if (manifest.api) {
+      const piiFields = findAPIPIIFields(manifest);
+      if (piiFields.length > 0) {
+        const classification = manifest.governance?.policy?.classification;
+        checks.push({
+          type: 'pii_api',
+          urn: urn,
+          piiFields: piiFields.length,
+          classification: classification,
+          valid: classification === 'pii'
+        });
+      }
+    }
+  }
+  
+  return checks;
+}
+
+function extractEventFields(manifest) {
+  if (Array.isArray(manifest.schema?.fields)) {
+    return manifest.schema.fields.map(f => ({ name: f.name, pii: !!f.pii }));
+  }
+  const props = manifest.schema?.payload?.properties || {};
+  const req = new Set(manifest.schema?.payload?.required || []);
+  return Object.keys(props).map(name => ({ 
+    name, 
+    pii: !!props[name]['x-pii'], 
+    required: req.has(name) 
+  }));
+}
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * API operations: single-endpoint path items, or one entry per method-keyed operation.
+ * `lifecycle` is the operation's own, else its path item's, else the API's.
+ */
+function apiOperations(manifest) {
+  const ops = [];
+  for (const [path, item] of Object.entries(manifest.endpoints?.paths || {})) {
+    if (!item || typeof item !== 'object') continue;
+    const methods = Object.keys(item).filter(k => HTTP_METHODS.includes(k.toLowerCase()) && item[k] && typeof item[k] === 'object');
+    if (!methods.length) {
+      const method = item.method ? String(item.method).toLowerCase() : (item.requestBody ? 'post' : 'get');
+      ops.push({ path, method, operation: item, lifecycle: item.lifecycle || manifest.api?.lifecycle });
+    } else {
+      for (const key of methods) {
+        const lifecycle = item[key].lifecycle || item.lifecycle || manifest.api?.lifecycle;
+        ops.push({ path, method: key.toLowerCase(), operation: item[key], lifecycle });
+      }
+    }
+  }
+  return ops;
+}
+
+/** Dotted field names of an API schema, following `#/components/schemas/<name>` references */
+function apiSchemaFields(manifest, schema) {
+  const fields = [];
+  const components = manifest.components?.schemas || {};
+  const deref = (node, stack) => {
+    const ref = typeof node?.$ref === 'string' && node.$ref.startsWith('#/components/schemas/')
+      ? node.$ref.slice('#/components/schemas/'.length).replace(/~1/g, '/').replace(/~0/g, '~')
+      : null;
+    if (ref === null) return { node, stack };
+    if (stack.includes(ref)) return { node: null, stack };
+    const { $ref, ...siblings } = node;
+    const target = deref(components[ref], [...stack, ref]);
+    return { node: target.node && { ...target.node, ...siblings }, stack: target.stack };
+  };
+  const visit = (raw, prefix, outer) => {
+    const { node, stack } = deref(raw, outer);
+    if (!node || typeof node !== 'object') return;
+    for (const [name, def] of Object.entries(node.properties || {})) {
+      const dotted = prefix ? `${prefix}.${name}` : name;
+      const resolved = deref(def, stack).node || def;
+      fields.push({ name: dotted, field: resolved });
+      visit(def, dotted, stack);
+    }
+    if (node.items) visit(node.items, prefix, stack);
+    for (const key of ['allOf', 'anyOf', 'oneOf']) {
+      (Array.isArray(node[key]) ? node[key] : []).forEach(s => visit(s, prefix, stack));
+    }
+  };
+  visit(schema, '', []);
+  return fields;
+}
+
+function findAPIPIIFields(manifest) {
+  const piiFields = [];
+  
+  for (const { path, method, operation } of apiOperations(manifest)) {
+    const body = operation.requestBody?.content || {};
+    for (const [contentType, schema] of Object.entries(body)) {
+      for (const { name: fieldName, field } of apiSchemaFields(manifest, schema)) {
+        if (field['x-pii'] === true) {
+          piiFields.push({ path, method, field: fieldName });
+        }
+      }
+    }
+  }
+  
+  return piiFields;
+}
+
+function analyzePerformance(catalog) {
+  const checks = [];
+  const items = catalog.items || [];
+  
+  let totalEntities = items.length;
+  let totalEndpoints = 0;
+  let totalEvents = 0;
+  let totalDatasets = 0;
+  
+  for (const item of items) {
+    const manifest = item.manifest ? item.manifest() : item;
+    
+    if (manifest.api) {
+      totalEndpoints += apiOperations(manifest).length;
+    } else if (manifest.event) {
+      totalEvents++;
+    } else if (manifest.dataset) {
+      totalDatasets++;
+    }
+  }
+  
+  checks.push({
+    type: 'scale',
+    totalEntities,
+    totalEndpoints,
+    totalEvents,
+    totalDatasets,
+    valid: totalEntities < 10000 // Arbitrary threshold
+  });
+  
+  return checks;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Endpoint Lifecycle
+// ————————————————————————————————————————————————————————————————
+
+/** Endpoint URNs anywhere in a manifest, with the dotted path they appear at */
+function findEndpointReferences(manifest) {
+  const refs = [];
+  const visit = (value, at) => {
+    if (typeof value === 'string') {
+      if (value.startsWith('urn:api:endpoint:')) refs.push({ urn: value, at });
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key !== 'sig') visit(child, at ? `${at}.${key}` : key);
+      }
+    }
+  };
+  visit(manifest, '');
+  return refs;
+}
+
+/**
+ * Deprecated API operations that other manifests in the catalog still reference by URN
+ * @param {Object} catalog - Catalog ({ items })
+ * @param {Object} [options] - Options
+ * @param {Date|string|number} [options.now] - Reference time for `sunset_at`
+ * @returns {Array<{urn:string, api:string, endpoint:string, lifecycle:Object, pastSunset:boolean, referencedBy:Array<{urn:string, reference:string, at:string}>}>}
+ */
+function analyzeDeprecatedEndpoints(catalog, options = {}) {
+  const now = options.now !== undefined ? new Date(options.now).getTime() : Date.now();
+  const report = new Map();
+
+  for (const item of catalog.items || []) {
+    const manifest = item.manifest ? item.manifest() : item;
+    const from = generateURN(item);
+    for (const { urn: reference, at } of findEndpointReferences(manifest)) {
+      for (const op of resolveEndpointURN(catalog, reference)) {
+        if (op.item === item || op.lifecycle?.status !== 'deprecated') continue;
+        const owner = op.item.manifest ? op.item.manifest() : op.item;
+        const urn = buildEndpointURN(op.api, op.path, op.method, owner.version || 'v1.1.1');
+        if (!report.has(urn)) {
+          const sunset = Date.parse(op.lifecycle.sunset_at);
+          report.set(urn, {
+            urn,
+            api: op.api,
+            endpoint: `${op.method.toUpperCase()} ${op.path}`,
+            lifecycle: op.lifecycle,
+            pastSunset: !Number.isNaN(sunset) && sunset <= now,
+            referencedBy: []
+          });
+        }
+        report.get(urn).referencedBy.push({ urn: from, reference, at });
+      }
+    }
+  }
+
+  return [...report.values()];
+}
+
+// ————————————————————————————————————————————————————————————————
+// Catalog Factory
+// ————————————————————————————————————————————————————————————————
+
+function createCatalogSystem(protocols = []) {
+  // Create a copy to ensure immutability
+  const items = [...protocols];
+  
+  function asManifests() {
+    return items.map(p => p.manifest ? p.manifest() : p);
+  }
+  
+  function find(expr) {
+    const searchStr = String(expr).toLowerCase();
+    return items.filter(p => {
+      const manifest = p.manifest ? p.manifest() : p;
+      const name = String(manifest.dataset?.name || manifest.api?.name || manifest.event?.name || '').toLowerCase();
+      return name.includes(searchStr);
+    });
+  }
+  
+  function findByURN(urn) {
+    return resolveURN({ items }, urn);
+  }
+  
+  function getRelationships() {
+    return analyzeCrossEntityRelationships({ items });
+  }
+  
+  function detectCycles() {
+    return detectCrossEntityCycles({ items });
+  }
+  
+  function validate(options = {}) {
+    return validateSystem({ items }, options);
+  }
+
+  function analyzeGovernance() {
+    return analyzePIIGovernance({ items });
+  }
+
+  function findDeprecatedReferences(options = {}) {
+    return analyzeDeprecatedEndpoints({ items }, options);
+  }
+  
+  function generateSystemReport() {
+    const validation = validate({ checkPerformance: true });
+    const relationships = getRelationships();
+    const cycles = detectCycles();
+    const deprecatedReferences = findDeprecatedReferences();
+    
+    return {
+      summary: {
+        totalEntities: items.length,
+        valid: validation.valid,
+        cyclesDetected: cycles.length,
+        relationshipsFound: Object.values(relationships).flat().length
+      },
+      validation,
+      relationships,
+      cycles,
+      deprecatedReferences,
+      urns: items.map(item => generateURN(item)).filter(Boolean)
+    };
+  }
+  
+  // Return a frozen object with a getter for items that returns a copy
+  return Object.freeze({
+    get items() { return [...items]; },
+    find,
+    findByURN,
+    getRelationships,
+    detectCycles,
+    validate,
+    analyzePIIGovernance: analyzeGovernance,
+    findDeprecatedReferences,
+    generateSystemReport,
+    asManifests
+  });
+}
+
+// ————————————————————————————————————————————————————————————————
+// Exports
+// ————————————————————————————————————————————————————————————————
+
+export {
+  createCatalogSystem,
+  parseURN,
+  buildURN,
+  buildEndpointURN,
+  resolveURN,
+  resolveEndpointURN,
+  generateURN,
+  analyzeCrossEntityRelationships,
+  detectCrossEntityCycles,
+  validateSystem,
+  analyzePIIGovernance,
+  analyzeDeprecatedEndpoints
+};
\ No newline at end of file
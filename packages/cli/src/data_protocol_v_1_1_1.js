@@ -138,7 +138,6 @@ function hash(value) {
  * @property {string} payload
  * @property {{alg:'sha-256', value:string}} hash
  * @property {string} signature
- * @property {{alg:'EdDSA'|'ES256', kid:string, typ:string, canonical:string, digest:string, iat:string, exp?:string, [key:string]:any}} [header]
  */
 
 // ————————————————————————————————————————————————————————————————
@@ -243,6 +242,78 @@ registerValidator('operations.refresh', (m) => {
   return { ok: issues.length === 0, issues };
 });
 
+// ————————————————————————————————————————————————————————————————
+// Signature envelope (identity-access.signing.v1, key-less check)
+// ————————————————————————————————————————————————————————————————
+
+const SIGNING_SPEC = 'identity-access.signing.v1';
+const SIGNING_ALGS = ['EdDSA', 'ES256'];
+const SIGNING_CANONICAL = 'jsonCanon';
+const SIGNED_CONTENT = Symbol('signedContent');
+
+/** Canonical JSON a signature covers: the manifest as authored, without sig */
+function signedContent(manifest) {
+  const { sig, ...content } = manifest || {};
+  return jsonCanon(content);
+}
+
+/** UTF-8 text of a base64url string, or null */
+function fromBase64Url(str) {
+  try {
+    const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flags malformed, tampered (payload no longer matches the manifest) and expired signatures.
+ * Browser-safe: the sha-256 digest and the signature itself are checked by @cpms/core/signing.
+ */
+registerValidator('signature.envelope', (m) => {
+  const issues = [];
+  const sig = m?.sig;
+  if (!sig) return { ok: true, issues };
+  if (typeof sig !== 'object') {
+    return { ok: false, issues: [{ path: 'sig', msg: 'signature envelope must be an object', level: 'error' }] };
+  }
+  if (sig.spec !== SIGNING_SPEC) issues.push({ path: 'sig.spec', msg: `unsupported envelope spec: ${sig.spec}`, level: 'error' });
+  for (const field of ['protected', 'payload', 'signature']) {
+    if (typeof sig[field] !== 'string' || !sig[field]) issues.push({ path: `sig.${field}`, msg: `${field} is required`, level: 'error' });
+  }
+  if (issues.length) return { ok: false, issues };
+  if (sig.header !== undefined) {
+    issues.push({ path: 'sig.header', msg: 'header is not covered by the signature and is ignored; the protected header is authoritative', level: 'warn' });
+  }
+
+  let header = null;
+  try {
+    header = JSON.parse(fromBase64Url(sig.protected));
+  } catch {
+    header = null;
+  }
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    issues.push({ path: 'sig.protected', msg: 'protected header is not valid base64url JSON', level: 'error' });
+    return { ok: false, issues };
+  }
+  if (!SIGNING_ALGS.includes(header.alg)) issues.push({ path: 'sig.protected.alg', msg: `unsupported signature algorithm: ${header.alg}`, level: 'error' });
+  if (!header.kid) issues.push({ path: 'sig.protected.kid', msg: 'kid is required', level: 'error' });
+  if (header.canonical && header.canonical !== SIGNING_CANONICAL) {
+    issues.push({ path: 'sig.protected.canonical', msg: `unsupported canonicalization: ${header.canonical}`, level: 'error' });
+  }
+
+  if (fromBase64Url(sig.payload) !== (m[SIGNED_CONTENT] ?? signedContent(m))) {
+    issues.push({ path: 'sig.payload', msg: 'manifest content does not match signed payload (tampered)', level: 'error' });
+  }
+  if (header.exp) {
+    const expiresAt = new Date(header.exp).getTime();
+    if (Number.isNaN(expiresAt)) issues.push({ path: 'sig.protected.exp', msg: `invalid exp timestamp: ${header.exp}`, level: 'error' });
+    else if (expiresAt <= Date.now()) issues.push({ path: 'sig.protected.exp', msg: `signature expired at ${header.exp}`, level: 'error' });
+  }
+  return { ok: issues.every(i => i.level !== 'error'), issues };
+});
+
 // ————————————————————————————————————————————————————————————————
 // Query language (tiny): ':=:' 'contains' '>' '<' '>=' '<='
 // Adds convenience for lineage/fields
@@ -282,6 +353,8 @@ function query(manifest, expr) {
 
 function normalize(manifest) {
   const m = clone(manifest || {});
+  // Signed content is the manifest as authored, before derived hashes are added
+  if (m.sig) Object.defineProperty(m, SIGNED_CONTENT, { value: signedContent(m) });
   if (!m.schema) m.schema = {};
   if (!m.schema.fields) m.schema.fields = {};
   // hash per field and whole schema for integrity checks
@@ -493,6 +566,162 @@ function generateDocs(manifest) {
   return docs;
 }
 
+// ————————————————————————————————————————————————————————————————
+// Avro (.avsc export + import)
+// ————————————————————————————————————————————————————————————————
+
+const MS_PER_DAY = 86400000;
+
+/** Manifest field type → Avro type; unknown types are strings */
+const AVRO_TYPES = {
+  string: 'string', text: 'string',
+  integer: 'long', int: 'long', bigint: 'long', long: 'long',
+  number: 'double', float: 'double', double: 'double', decimal: 'double',
+  boolean: 'boolean', bool: 'boolean',
+  bytes: 'bytes', binary: 'bytes',
+  date: { type: 'int', logicalType: 'date' },
+  timestamp: { type: 'long', logicalType: 'timestamp-millis' },
+  datetime: { type: 'long', logicalType: 'timestamp-millis' },
+  uuid: { type: 'string', logicalType: 'uuid' },
+  object: { type: 'map', values: 'string' },
+  json: { type: 'map', values: 'string' },
+  array: { type: 'array', items: 'string' }
+};
+
+/** Avro type → manifest field type; generateAvro records any other spelling as `manifestType` */
+function manifestTypeOf(type) {
+  if (typeof type === 'string') {
+    return { string: 'string', int: 'integer', long: 'integer', float: 'number', double: 'number', boolean: 'boolean', bytes: 'bytes' }[type];
+  }
+  if (!type || typeof type !== 'object' || Array.isArray(type)) return undefined;
+  if (type.logicalType === 'date') return 'date';
+  if (type.logicalType === 'timestamp-millis' || type.logicalType === 'timestamp-micros') return 'timestamp';
+  if (type.logicalType === 'uuid') return 'uuid';
+  if (type.logicalType === 'decimal') return 'decimal';
+  if (type.type === 'map' || type.type === 'record') return 'object';
+  if (type.type === 'array') return 'array';
+  if (type.type === 'enum') return 'string';
+  return manifestTypeOf(type.type);
+}
+
+const avroName = s => {
+  const name = String(s ?? '').replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+/** Avro defaults of logical types are numbers; manifests keep the ISO string */
+function avroDefault(type, value) {
+  if (typeof value !== 'string' || typeof type !== 'object') return value;
+  if (type.logicalType === 'date') return Math.round(Date.parse(`${value}T00:00:00Z`) / MS_PER_DAY);
+  if (type.logicalType === 'timestamp-millis') return Date.parse(value);
+  return value;
+}
+function manifestDefault(type, value) {
+  if (typeof value !== 'number' || !type || typeof type !== 'object') return value;
+  if (type.logicalType === 'date') return new Date(value * MS_PER_DAY).toISOString().slice(0, 10);
+  if (type.logicalType === 'timestamp-millis') return new Date(value).toISOString();
+  return value;
+}
+
+/**
+ * Generate an Avro record schema (.avsc) for a dataset's schema.fields.
+ * Required fields get non-null types and optional ones a ["null", T] union defaulting to null
+ * (or [T, "null"] with the field's own default). Field types without an exact Avro
+ * counterpart keep their spelling in `manifestType`, so an import diffs clean. PII fields
+ * carry `pii: true`; the primary key and classification ride on the record.
+ * @param {Object} manifest - Data manifest
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Defaults to the dotted prefix of dataset.name
+ * @returns {Object} Avro record schema
+ */
+function generateAvro(manifest, options = {}) {
+  const parts = String(manifest?.dataset?.name || 'dataset').split('.').filter(Boolean);
+  const name = avroName(parts.pop() || 'dataset');
+  const namespace = options.namespace ?? parts.map(avroName).join('.');
+  const classification = manifest?.governance?.policy?.classification;
+
+  // Field maps are canonical; [{name, ...}] lists are accepted as well
+  const source = manifest?.schema?.fields || {};
+  const entries = Array.isArray(source) ? source.map(def => [def?.name, def]) : Object.entries(source);
+  const fields = entries.map(([fieldName, def = {}]) => {
+    const base = AVRO_TYPES[String(def.type || 'string').toLowerCase()] ?? 'string';
+    const type = typeof base === 'object' ? { ...base } : base;
+    const field = { name: avroName(fieldName) };
+    if (def.description) field.doc = def.description;
+    const hasDefault = def.default !== undefined && def.default !== null;
+    if (def.required) {
+      field.type = type;
+      if (hasDefault) field.default = avroDefault(type, def.default);
+    } else {
+      field.type = hasDefault ? [type, 'null'] : ['null', type];
+      field.default = hasDefault ? avroDefault(type, def.default) : null;
+    }
+    if (def.type && manifestTypeOf(type) !== def.type) field.manifestType = def.type;
+    if (def.pii) field.pii = true;
+    return field;
+  });
+
+  return {
+    type: 'record',
+    name,
+    ...(namespace && { namespace }),
+    ...(manifest?.dataset?.description && { doc: manifest.dataset.description }),
+    ...(manifest?.schema?.primary_key && { primaryKey: clone(manifest.schema.primary_key) }),
+    ...(classification && { classification }),
+    fields
+  };
+}
+
+/**
+ * Import an Avro record schema (.avsc, parsed or as JSON text) as a data manifest.
+ * dataset.name is namespace + name; a union with null is optional when it has a default.
+ * Nested records, enums and fixed types are flattened to their closest field type.
+ * @param {Object|string} avsc - Avro record schema
+ * @returns {{manifest:Object, unmapped:Array<{pointer:string, reason:string}>}}
+ */
+function importAvro(avsc) {
+  const record = typeof avsc === 'string' ? JSON.parse(avsc) : avsc;
+  if (!record || typeof record !== 'object' || record.type !== 'record' || !record.name) {
+    throw new Error('Not an Avro record schema (expected {"type": "record", "name": ...})');
+  }
+  const unmapped = [];
+  const fields = {};
+  (record.fields || []).forEach((field, i) => {
+    const optional = Array.isArray(field.type) && field.type.includes('null') && field.default !== undefined;
+    const branches = Array.isArray(field.type) ? field.type.filter(t => t !== 'null') : [field.type];
+    if (branches.length !== 1) {
+      unmapped.push({ pointer: `/fields/${i}/type`, reason: `union of ${branches.length} types mapped to string` });
+    }
+    const type = branches.length === 1 ? branches[0] : 'string';
+    let fieldType = field.manifestType || manifestTypeOf(type);
+    if (!fieldType) {
+      unmapped.push({ pointer: `/fields/${i}/type`, reason: `Avro type ${JSON.stringify(type)} mapped to string` });
+      fieldType = 'string';
+    } else if (!field.manifestType && typeof type === 'object' && ['record', 'enum', 'fixed'].includes(type.type)) {
+      unmapped.push({ pointer: `/fields/${i}/type`, reason: `${type.type} ${type.name} flattened to ${fieldType}` });
+    }
+    fields[field.name] = {
+      type: fieldType,
+      ...(!optional && { required: true }),
+      ...(field.pii && { pii: true }),
+      ...(field.doc && { description: field.doc }),
+      ...(field.default !== undefined && field.default !== null && { default: manifestDefault(type, field.default) })
+    };
+  });
+
+  const shortName = record.name.split('.').pop();
+  const namespace = record.namespace || (record.name.includes('.') ? record.name.slice(0, record.name.lastIndexOf('.')) : '');
+  const manifest = {
+    dataset: {
+      name: namespace ? `${namespace}.${shortName}` : shortName,
+      ...(record.doc && { description: record.doc })
+    },
+    schema: { ...(record.primaryKey && { primary_key: record.primaryKey }), fields },
+    ...(record.classification && { governance: { policy: { classification: record.classification } } })
+  };
+  return { manifest, unmapped };
+}
+
 // ————————————————————————————————————————————————————————————————
 // Protocol factory
 // ————————————————————————————————————————————————————————————————
@@ -508,6 +737,7 @@ function createDataProtocol(manifestInput = {}) {
     generateSchema: () => generateSchema(manifest),
     generateValidation: () => generateValidation(manifest),
     generateDocs: () => generateDocs(manifest),
+    generateAvro: (options) => generateAvro(manifest, options),
     set: (path, value) => { const m = clone(manifest); dset(m, path, value); return createDataProtocol(m); },
   });
 }
@@ -596,6 +826,8 @@ export {
   createDataCatalog,
   registerValidator,
   Validators,
+  generateAvro,
+  importAvro,
 };
 
 // ————————————————————————————————————————————————————————————————
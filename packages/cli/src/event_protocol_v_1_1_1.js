@@ -0,0 +1,1237 @@
+/*
+ * Event Protocol — v1.1.1 (stand‑alone)
+ * Minimal, self‑describing event manifest + helpers
+ *
+ * Goals
+ * - Mirror API/Data protocol ergonomics (manifest + validate + query + diff + generate)
+ * - Keep it tiny; add only essentials: compatibility, lifecycle, delivery hints, PII governance
+ * - Zero dependencies; no external wiring
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Utilities (tiny, shared style)
+// ————————————————————————————————————————————————————————————————
+
+/** Canonicalize JSON for stable hashing */
+function jsonCanon(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(v => jsonCanon(v)).join(',') + ']';
+  const keys = Object.keys(value).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + jsonCanon(value[k])).join(',') + '}';
+}
+
+/** Deep get via dot‑path (supports [index]) */
+function dget(obj, path) {
+  if (!path) return obj;
+  const p = String(path).replace(/\[(\d+)\]/g, '.$1').split('.');
+  let cur = obj;
+  for (const k of p) { if (cur == null) return undefined; cur = cur[k]; }
+  return cur;
+}
+
+/** Deep set via dot‑path */
+function dset(obj, path, val) {
+  const parts = String(path).split('.');
+  let cur = obj;
+  while (parts.length > 1) {
+    const k = parts.shift();
+    if (!(k in cur) || typeof cur[k] !== 'object') cur[k] = {};
+    cur = cur[k];
+  }
+  cur[parts[0]] = val;
+}
+
+/** Tiny clone */
+const clone = x => JSON.parse(JSON.stringify(x));
+
+/** Stable 64‑bit FNV‑1a hash (hex) of any JSON‑serializable value */
+function hash(value) {
+  const str = jsonCanon(value);
+  let h = BigInt('0xcbf29ce484222325');
+  const p = BigInt('0x100000001b3');
+  for (let i = 0; i < str.length; i++) {
+    h ^= BigInt(str.charCodeAt(i));
+    h = (h * p) & BigInt('0xFFFFFFFFFFFFFFFF');
+  }
+  return 'fnv1a64-' + h.toString(16).padStart(16, '0');
+}
+
+/**
+ * @typedef {Object} SignatureEnvelope
+ * @property {'identity-access.signing.v1'} spec
+ * @property {string} protected
+ * @property {string} payload
+ * @property {{alg:'sha-256', value:string}} hash
+ * @property {string} signature
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Manifest shape (informative JSDoc)
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * @typedef {Object} EventManifest
+ * @property {string} [version]             Protocol version (e.g., "v1.1", "v2.0")
+ * @property {Object} event
+ * @property {string} event.name            // e.g., 'payment.completed'
+ * @property {string} [event.version]       // e.g., '1.1.0'
+ * @property {{status:'active'|'deprecated', sunset_at?:string}} [event.lifecycle]
+ * @property {Object} [semantics]           // human intent
+ * @property {string} [semantics.purpose]
+ * @property {Object} [schema]
+ * @property {('json-schema'|'custom')} [schema.format]
+ * @property {Object} [schema.payload]      // JSON Schema (properties, required, ...)
+ * @property {Array<{name:string,type?:string,required?:boolean,pii?:boolean,description?:string}>} [schema.fields] // optional flat map for convenience
+ * @property {{ policy?: 'backward'|'backward_transitive'|'forward'|'forward_transitive'|'full'|'full_transitive'|'none', compatible_versions?: string[] }} [schema.compatibility]
+ * @property {Object} [delivery]
+ * @property {{transport?:'kafka'|'sns'|'sqs'|'webhook'|'sse'|'ws', topic?:string, guarantees?:'at-least-once'|'exactly-once'|'best-effort', retry_policy?:'exponential'|'linear'|'none', dlq?:string}} [delivery.contract]
+ * @property {Object} [governance]
+ * @property {{classification?: 'internal'|'confidential'|'pii', legal_basis?: 'gdpr'|'ccpa'|'hipaa'|'other'}} [governance.policy]
+ * @property {Object} [metadata]
+ * @property {string} [metadata.owner]
+ * @property {string[]} [metadata.tags]
+ * @property {SignatureEnvelope} [sig]
+ */
+
+// ————————————————————————————————————————————————————————————————
+// Validator registry
+// ————————————————————————————————————————————————————————————————
+
+const Validators = new Map();
+function registerValidator(name, fn) { Validators.set(name, fn); }
+function runValidators(manifest, selected = []) {
+  const names = selected.length ? selected : Array.from(Validators.keys());
+  const results = [];
+  for (const n of names) results.push({ name: n, ...(Validators.get(n)?.(manifest) || { ok: true }) });
+  return { ok: results.every(r => r.ok), results };
+}
+
+const COMPATIBILITY_POLICIES = ['backward', 'backward_transitive', 'forward', 'forward_transitive', 'full', 'full_transitive', 'none'];
+
+// — Helpers: field extraction (supports schema.fields or JSON Schema w/ x-pii) —
+function extractFields(m) {
+  if (Array.isArray(m?.schema?.fields)) return m.schema.fields.map(f => ({ name: f.name, pii: !!f.pii, required: !!f.required }));
+  const props = m?.schema?.payload?.properties || {}; const req = new Set(m?.schema?.payload?.required || []);
+  return Object.keys(props).map(name => ({ name, pii: !!props[name]['x-pii'], required: req.has(name) }));
+}
+
+// Built-ins
+registerValidator('core.shape', (m) => {
+  const issues = [];
+  if (!m?.event?.name) issues.push({ path: 'event.name', msg: 'event.name is required', level: 'error' });
+  const hasFields = Array.isArray(m?.schema?.fields) ? m.schema.fields.length > 0 : !!m?.schema?.payload;
+  if (!hasFields) issues.push({ path: 'schema', msg: 'schema.payload (JSON Schema) or schema.fields[] required', level: 'error' });
+  const lc = m?.event?.lifecycle; if (lc && !['active','deprecated'].includes(lc.status)) issues.push({ path: 'event.lifecycle.status', msg: 'status must be active|deprecated', level: 'error' });
+  const pol = m?.schema?.compatibility?.policy; if (pol && !COMPATIBILITY_POLICIES.includes(pol)) issues.push({ path: 'schema.compatibility.policy', msg: 'invalid compatibility policy', level: 'error' });
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('governance.pii_policy', (m) => {
+  const issues = [];
+  const anyPII = extractFields(m).some(f => f.pii);
+  if (anyPII) {
+    if (m?.governance?.policy?.classification !== 'pii') issues.push({ path: 'governance.policy.classification', msg: 'PII fields present → classification should be "pii"', level: 'warn' });
+    if (m?.delivery?.contract?.dlq == null && (m?.delivery?.contract?.guarantees !== 'best-effort')) {
+      issues.push({ path: 'delivery.contract.dlq', msg: 'PII events with retries should declare a DLQ', level: 'warn' });
+    }
+  }
+  return { ok: issues.length === 0, issues };
+});
+
+registerValidator('delivery.contract', (m) => {
+  const issues = [];
+  const g = m?.delivery?.contract?.guarantees;
+  if (g && !['at-least-once','exactly-once','best-effort'].includes(g)) issues.push({ path: 'delivery.contract.guarantees', msg: 'invalid guarantees', level: 'error' });
+  return { ok: issues.length === 0, issues };
+});
+
+// ————————————————————————————————————————————————————————————————
+// Signature envelope (identity-access.signing.v1, key-less check)
+// ————————————————————————————————————————————————————————————————
+
+const SIGNING_SPEC = 'identity-access.signing.v1';
+const SIGNING_ALGS = ['EdDSA', 'ES256'];
+const SIGNING_CANONICAL = 'jsonCanon';
+const SIGNED_CONTENT = Symbol('signedContent');
+
+/** Canonical JSON a signature covers: the manifest as authored, without sig */
+function signedContent(manifest) {
+  const { sig, ...content } = manifest || {};
+  return jsonCanon(content);
+}
+
+/** UTF-8 text of a base64url string, or null */
+function fromBase64Url(str) {
+  try {
+    const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flags malformed, tampered (payload no longer matches the manifest) and expired signatures.
+ * Browser-safe: the sha-256 digest and the signature itself are checked by @cpms/core/signing.
+ */
+registerValidator('signature.envelope', (m) => {
+  const issues = [];
+  const sig = m?.sig;
+  if (!sig) return { ok: true, issues };
+  if (typeof sig !== 'object') {
+    return { ok: false, issues: [{ path: 'sig', msg: 'signature envelope must be an object', level: 'error' }] };
+  }
+  if (sig.spec !== SIGNING_SPEC) issues.push({ path: 'sig.spec', msg: `unsupported envelope spec: ${sig.spec}`, level: 'error' });
+  for (const field of ['protected', 'payload', 'signature']) {
+    if (typeof sig[field] !== 'string' || !sig[field]) issues.push({ path: `sig.${field}`, msg: `${field} is required`, level: 'error' });
+  }
+  if (issues.length) return { ok: false, issues };
+  if (sig.header !== undefined) {
+    issues.push({ path: 'sig.header', msg: 'header is not covered by the signature and is ignored; the protected header is authoritative', level: 'warn' });
+  }
+
+  let header = null;
+  try {
+    header = JSON.parse(fromBase64Url(sig.protected));
+  } catch {
+    header = null;
+  }
+  if (!header || typeof header !== 'object' || Array.isArray(header)) {
+    issues.push({ path: 'sig.protected', msg: 'protected header is not valid base64url JSON', level: 'error' });
+    return { ok: false, issues };
+  }
+  if (!SIGNING_ALGS.includes(header.alg)) issues.push({ path: 'sig.protected.alg', msg: `unsupported signature algorithm: ${header.alg}`, level: 'error' });
+  if (!header.kid) issues.push({ path: 'sig.protected.kid', msg: 'kid is required', level: 'error' });
+  if (header.canonical && header.canonical !== SIGNING_CANONICAL) {
+    issues.push({ path: 'sig.protected.canonical', msg: `unsupported canonicalization: ${header.canonical}`, level: 'error' });
+  }
+
+  if (fromBase64Url(sig.payload) !== (m[SIGNED_CONTENT] ?? signedContent(m))) {
+    issues.push({ path: 'sig.payload', msg: 'manifest content does not match signed payload (tampered)', level: 'error' });
+  }
+  if (header.exp) {
+    const expiresAt = new Date(header.exp).getTime();
+    if (Number.isNaN(expiresAt)) issues.push({ path: 'sig.protected.exp', msg: `invalid exp timestamp: ${header.exp}`, level: 'error' });
+    else if (expiresAt <= Date.now()) issues.push({ path: 'sig.protected.exp', msg: `signature expired at ${header.exp}`, level: 'error' });
+  }
+  return { ok: issues.every(i => i.level !== 'error'), issues };
+});
+
+// ————————————————————————————————————————————————————————————————
+// Query language (:=: contains > < >= <=) + conveniences
+// ————————————————————————————————————————————————————————————————
+
+function query(manifest, expr) {
+  const [rawPath, op, ...rest] = String(expr).split(':');
+  const rhs = rest.join(':');
+  if (!rawPath || !op) return false;
+
+  // Convenience: schema.fields contains <name>
+  if (rawPath === 'schema.fields' && op === 'contains') return extractFields(manifest).some(f => f.name.includes(rhs));
+  // Convenience: schema.pii contains <name>
+  if (rawPath === 'schema.pii' && op === 'contains') return extractFields(manifest).some(f => f.pii && f.name.includes(rhs));
+
+  const lhs = dget(manifest, rawPath.replace(/\[(\d+)\]/g, '.$1'));
+  switch (op) {
+    case ':=:': return String(lhs) === rhs;
+    case 'contains': return String(lhs ?? '').includes(rhs);
+    case '>': return Number(lhs) > Number(rhs);
+    case '<': return Number(lhs) < Number(rhs);
+    case '>=': return Number(lhs) >= Number(rhs);
+    case '<=': return Number(lhs) <= Number(rhs);
+    default: return false;
+  }
+}
+
+// ————————————————————————————————————————————————————————————————
+// Normalize (auto-hash schema + field hashes)
+// ————————————————————————————————————————————————————————————————
+
+function normalize(manifest) {
+  const m = clone(manifest || {});
+  // Signed content is the manifest as authored, before derived hashes are added
+  if (m.sig) Object.defineProperty(m, SIGNED_CONTENT, { value: signedContent(m) });
+  // compute hashes used by diff/compat
+  const fields = extractFields(m);
+  m.schema_hash = hash(m.schema || {});
+  m.field_hashes = Object.fromEntries(fields.map(f => [f.name, hash(f)]));
+  return m;
+}
+
+// ————————————————————————————————————————————————————————————————
+// Diff (structural + semantic hints)
+// ————————————————————————————————————————————————————————————————
+
+function diff(a, b) {
+  const A = normalize(a); const B = normalize(b);
+  const changes = [];
+
+  function walk(pa, va, vb) {
+    if (JSON.stringify(va) === JSON.stringify(vb)) return;
+    const isObj = v => v && typeof v === 'object';
+    if (!isObj(va) || !isObj(vb)) { changes.push({ path: pa, from: va, to: vb }); return; }
+    const keys = new Set([...Object.keys(va||{}), ...Object.keys(vb||{})]);
+    for (const k of keys) walk(pa ? pa + '.' + k : k, va?.[k], vb?.[k]);
+  }
+  walk('', A, B);
+
+  const breaking = [];
+  const significant = changes.filter(c => c.path.startsWith('metadata.') || c.path.startsWith('delivery.contract.') || c.path.startsWith('semantics.'));
+  for (const c of changes) {
+    if (c.path === 'schema_hash') {
+      // Field-level check under the new manifest's policy; a compatible schema change is significant, not breaking
+      const policy = dget(b, 'schema.compatibility.policy');
+      const { mode, violations } = checkSchemaCompatibility(a, b, { mode: COMPATIBILITY_POLICIES.includes(policy) ? policy : 'backward' });
+      if (mode === 'NONE') breaking.push({ ...c, reason: 'schema changed (compatibility policy: none)' });
+      else if (violations.length) breaking.push(...violations.map(v => ({ path: v.path, from: v.from, to: v.to, field: v.field, reason: v.reason })));
+      else significant.push({ ...c, reason: `schema changed (${mode} compatible)` });
+    }
+    if (c.path.startsWith('delivery.contract.guarantees')) breaking.push({ ...c, reason: 'delivery guarantees changed' });
+    if (c.path === 'event.lifecycle.status' && dget(a,'event.lifecycle.status')==='active' && dget(b,'event.lifecycle.status')==='deprecated') breaking.push({ ...c, reason: 'lifecycle downgrade' });
+    if (c.path.startsWith('schema.compatibility.')) {
+      breaking.push({ ...c, reason: 'compatibility contract changed' });
+    }
+  }
+  return { changes, breaking, significant };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Compatibility check (simple policy)
+// ————————————————————————————————————————————————————————————————
+
+function cmpSemver(a, b) { // returns -1,0,1 (best-effort)
+  const pa = String(a||'0').split('.').map(Number), pb = String(b||'0').split('.').map(Number);
+  for (let i=0;i<Math.max(pa.length,pb.length);i++){ const x=pa[i]||0, y=pb[i]||0; if (x<y) return -1; if (x>y) return 1; }
+  return 0;
+}
+
+/**
+ * Can a consumer handle the producer's events?
+ * With consumerExpectation.schema (the payload schema the consumer reads with) the answer is field-level,
+ * as if the consumer held the old schema and the producer the new one; otherwise versions are compared under the policy.
+ */
+function checkCompatibility(producerManifest, consumerExpectation) {
+  const nameOk = producerManifest?.event?.name === consumerExpectation?.eventName;
+  if (!nameOk) return { compatible: false, reason: 'event name mismatch' };
+
+  if (consumerExpectation?.schema) {
+    const violations = [];
+    readerViolations(consumerExpectation.schema, payloadSchema(producerManifest), 'forward', '', '', violations);
+    return {
+      compatible: violations.length === 0,
+      reason: violations.length ? `consumer schema cannot read ${violations.length} field(s)` : 'consumer schema reads producer events',
+      violations: violations.map(({ pointer, direction, ...v }) => v)
+    };
+  }
+
+  // Transitive variants differ only across version histories; for one producer/consumer pair the base policy decides
+  const policy = String(producerManifest?.schema?.compatibility?.policy || 'backward').replace(/_transitive$/, '');
+  const listed = producerManifest?.schema?.compatibility?.compatible_versions || [];
+  const pv = producerManifest?.event?.version || '0';
+  const cv = consumerExpectation?.version || '0';
+
+  if (listed.includes(cv)) return { compatible: true, reason: 'explicitly listed version' };
+
+  if (policy === 'none') return { compatible: false, reason: 'compatibility policy: none' };
+  if (policy === 'backward') return { compatible: cmpSemver(cv, pv) <= 0, reason: `consumer<=producer? (${cv}<=${pv})` };
+  if (policy === 'forward') return { compatible: cmpSemver(cv, pv) >= 0, reason: `consumer>=producer? (${cv}>=${pv})` };
+  if (policy === 'full') return { compatible: true, reason: 'full compatibility' };
+  return { compatible: false, reason: 'unknown policy' };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Schema registry compatibility (field level, BACKWARD/FORWARD/FULL + transitive)
+// ————————————————————————————————————————————————————————————————
+
+const COMPATIBILITY_MODES = ['BACKWARD', 'BACKWARD_TRANSITIVE', 'FORWARD', 'FORWARD_TRANSITIVE', 'FULL', 'FULL_TRANSITIVE', 'NONE'];
+
+/** Declared types of a schema node (type or type[]), inferred from properties/items; null when unconstrained */
+function schemaTypes(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.type) return [].concat(schema.type);
+  if (schema.properties) return ['object'];
+  if (schema.items) return ['array'];
+  return null;
+}
+
+/** Required property names: the JSON Schema `required` list plus inline `required: true` flags */
+function requiredProps(schema) {
+  const names = new Set(Array.isArray(schema?.required) ? schema.required : []);
+  for (const [name, def] of Object.entries(schema?.properties || {})) if (def?.required === true) names.add(name);
+  return names;
+}
+
+/**
+ * Where a reader schema cannot read data written with a writer schema
+ * BACKWARD reads old data with the new schema (reader = new); FORWARD reads new data with the old one (reader = old).
+ * Changes are described from old to new whichever side reads.
+ */
+function readerViolations(reader, writer, direction, at, pointer, out) {
+  const backward = direction === 'backward';
+  const [before, after] = backward ? [writer, reader] : [reader, writer];
+  const push = (field, ptr, change, reason, extra = {}) => out.push({ field: field || '(payload)', pointer: ptr, change, direction, reason, ...extra });
+
+  const readerTypes = schemaTypes(reader);
+  const writerTypes = schemaTypes(writer);
+  if (readerTypes && writerTypes) {
+    const readable = writerTypes.every(t => readerTypes.includes(t) || (t === 'integer' && readerTypes.includes('number')));
+    if (!readable) {
+      push(at, pointer, 'type_changed', `type changed from ${schemaTypes(before).join('|')} to ${schemaTypes(after).join('|')}`, { from: before.type, to: after.type });
+      return;
+    }
+  }
+
+  if (Array.isArray(reader?.enum)) {
+    const same = v => reader.enum.some(r => JSON.stringify(r) === JSON.stringify(v));
+    if (!Array.isArray(writer?.enum)) {
+      push(at, pointer, 'enum_added', 'enum constraint added', { to: after?.enum });
+    } else if (writer.enum.some(v => !same(v))) {
+      const values = writer.enum.filter(v => !same(v)).map(v => JSON.stringify(v)).join(', ');
+      push(at, pointer, backward ? 'enum_values_removed' : 'enum_values_added', `enum values ${backward ? 'removed' : 'added'}: ${values}`, { from: before.enum, to: after.enum });
+    }
+  }
+
+  if (reader?.properties || writer?.properties) {
+    const readerProps = reader?.properties || {};
+    const writerProps = writer?.properties || {};
+    const writerRequired = requiredProps(writer);
+    const child = name => (at ? `${at}.${name}` : name);
+    const childPointer = name => `${pointer}.properties.${name}`;
+    for (const name of requiredProps(reader)) {
+      if (!(name in writerProps)) {
+        if (readerProps[name]?.default !== undefined) continue;
+        push(child(name), childPointer(name), ...(backward
+          ? ['required_field_added', 'new required field without a default: events on the old schema do not carry it']
+          : ['required_field_removed', 'required field removed: consumers on the old schema still require it']));
+      } else if (!writerRequired.has(name)) {
+        push(child(name), childPointer(name), ...(backward
+          ? ['field_made_required', 'optional field made required']
+          : ['field_made_optional', 'required field made optional']));
+      }
+    }
+    // Open content models ignore unknown fields; a closed reader rejects them
+    if (reader?.additionalProperties === false) {
+      for (const name of Object.keys(writerProps).filter(n => !(n in readerProps))) {
+        push(child(name), childPointer(name), ...(backward
+          ? ['field_removed', 'field removed while additionalProperties is false: events on the old schema still carry it']
+          : ['field_added', 'field added while the old schema sets additionalProperties: false']));
+      }
+    }
+    for (const name of Object.keys(readerProps)) {
+      if (name in writerProps) readerViolations(readerProps[name], writerProps[name], direction, child(name), childPointer(name), out);
+    }
+  }
+
+  if (reader?.items && writer?.items) readerViolations(reader.items, writer.items, direction, `${at}[]`, `${pointer}.items`, out);
+}
+
+/** Manifest path of a violation: into schema.payload, or the schema.fields entry of a top-level field */
+function violationPath(newer, older, pointer) {
+  const uses = m => Array.isArray(m?.schema?.fields) && !m?.schema?.payload;
+  if (!uses(newer)) return `schema.payload${pointer}`;
+  const name = pointer.split('.properties.')[1]?.split('.')[0];
+  const index = [newer, older].map(m => (uses(m) ? m.schema.fields.findIndex(f => f.name === name) : -1)).find(i => i >= 0);
+  return index === undefined ? 'schema.fields' : `schema.fields.${index}`;
+}
+
+/** Registry mode for a policy name ('backward_transitive' → 'BACKWARD_TRANSITIVE'); registries default to BACKWARD */
+function compatibilityMode(policy) {
+  const mode = String(policy || 'backward').toUpperCase();
+  if (!COMPATIBILITY_MODES.includes(mode)) throw new Error(`Unknown compatibility mode: ${policy}. Supported modes: ${COMPATIBILITY_MODES.join(', ')}`);
+  return mode;
+}
+
+/**
+ * Check a new event schema against earlier versions the way a schema registry does
+ * BACKWARD: consumers on the new schema read old events. FORWARD: consumers on the old schema read new events.
+ * FULL: both. *_TRANSITIVE modes check every earlier version instead of only the latest.
+ * @param {Object|Object[]} previous - Earlier manifest, or the version history (oldest first)
+ * @param {Object} next - New manifest
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Registry mode or policy name (default: next's schema.compatibility.policy, else BACKWARD)
+ * @returns {{compatible:boolean, mode:string, checked:string[], violations:Array<{field:string, path:string, change:string, direction:'backward'|'forward', reason:string, against:string, from?:any, to?:any}>}}
+ */
+function checkSchemaCompatibility(previous, next, options = {}) {
+  const unwrap = m => (typeof m?.manifest === 'function' ? m.manifest() : m);
+  const newer = unwrap(next);
+  const mode = compatibilityMode(options.mode || newer?.schema?.compatibility?.policy);
+  const history = (Array.isArray(previous) ? previous : [previous]).map(unwrap).filter(Boolean);
+  if (mode === 'NONE' || !history.length) return { compatible: true, mode, checked: [], violations: [] };
+
+  const against = mode.endsWith('_TRANSITIVE') ? history : history.slice(-1);
+  const directions = mode.startsWith('FULL') ? ['backward', 'forward'] : [mode.startsWith('BACKWARD') ? 'backward' : 'forward'];
+  const newSchema = payloadSchema(newer);
+  const violations = [];
+  for (const older of against) {
+    const oldSchema = payloadSchema(older);
+    const version = older?.event?.version || '(unversioned)';
+    for (const direction of directions) {
+      const found = [];
+      if (direction === 'backward') readerViolations(newSchema, oldSchema, direction, '', '', found);
+      else readerViolations(oldSchema, newSchema, direction, '', '', found);
+      for (const { pointer, ...v } of found) violations.push({ ...v, path: violationPath(newer, older, pointer), against: version });
+    }
+  }
+  return { compatible: violations.length === 0, mode, checked: against.map(m => m?.event?.version || '(unversioned)'), violations };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Generators
+// ————————————————————————————————————————————————————————————————
+
+function generateConsumerSkeleton(manifest, language = 'javascript') {
+  const piiFields = extractFields(manifest).filter(f => f.pii).map(f => f.name);
+  const eventName = String(manifest?.event?.name || 'event');
+  const safeName = eventName.replace(/[._-]/g, ' ').replace(/(?:^|\s)([a-z])/g, (_,c)=>c.toUpperCase()).replace(/\s+/g,'');
+  const version = manifest?.event?.version || '1.0.0';
+  const policy = manifest?.schema?.compatibility?.policy || 'backward';
+
+  return `/**\n * Auto-generated consumer for: ${eventName}\n * Purpose: ${manifest?.semantics?.purpose || ''}\n * Version: ${version} (compat: ${policy})\n * PII fields: [${piiFields.join(', ')}]\n */\nexport async function handle${safeName}(event) {\n  const { payload, metadata } = event;\n  console.log('Handling ${eventName}', metadata?.eventId);\n  // TODO: validate payload against JSON Schema or field map\n  // TODO: implement business logic\n  // TODO: ack/nack per transport semantics\n}`;
+}
+
+function generateTestScenarios(manifest) {
+  const tests = [];
+  tests.push({ name: `schema: ${manifest.event?.name}`, kind: 'schema', expect: { hash: normalize(manifest).schema_hash } });
+  const g = manifest.delivery?.contract?.guarantees;
+  if (g && g !== 'best-effort') tests.push({ name: 'delivery: retryable', kind: 'delivery', expect: { dlq: !!manifest.delivery?.contract?.dlq } });
+  return tests;
+}
+
+// ————————————————————————————————————————————————————————————————
+// AsyncAPI (2.6 / 3.0 export + import)
+// ————————————————————————————————————————————————————————————————
+
+const ASYNCAPI_VERSIONS = ['2.6.0', '3.0.0'];
+
+/** delivery.contract.transport → AsyncAPI binding protocol (webhook/sse ride on http) */
+const TRANSPORT_BINDINGS = { kafka: 'kafka', sns: 'sns', sqs: 'sqs', webhook: 'http', sse: 'http', ws: 'ws' };
+const BINDING_VERSIONS = { kafka: '0.4.0', sns: '0.1.0', sqs: '0.2.0', http: '0.3.0', ws: '0.1.0' };
+
+/** AsyncAPI component/channel keys allow [A-Za-z0-9._-] only */
+const asyncApiKey = s => String(s || 'event').replace(/[^A-Za-z0-9._-]/g, '_');
+const pascalCase = s => asyncApiKey(s).replace(/(^|[._-]+)([A-Za-z0-9])/g, (_, __, c) => c.toUpperCase()).replace(/[._-]/g, '');
+
+/** JSON Schema payload: schema.payload as is, else built from schema.fields */
+function payloadSchema(m) {
+  if (m?.schema?.payload) return clone(m.schema.payload);
+  const fields = Array.isArray(m?.schema?.fields) ? m.schema.fields : [];
+  const properties = Object.fromEntries(fields.map(f => [f.name, {
+    ...(f.type && { type: f.type }),
+    ...(f.description && { description: f.description }),
+    ...(f.pii && { 'x-pii': true })
+  }]));
+  const required = fields.filter(f => f.required).map(f => f.name);
+  return { type: 'object', properties, ...(required.length && { required }) };
+}
+
+/** Channel, operation and message bindings for a delivery contract */
+function transportBindings(contract = {}) {
+  const protocol = TRANSPORT_BINDINGS[contract.transport];
+  if (!protocol) return {};
+  const bindingVersion = BINDING_VERSIONS[protocol];
+  const topic = contract.topic;
+  switch (protocol) {
+    case 'kafka':
+      return { channel: { kafka: { ...(topic && { topic }), bindingVersion } } };
+    case 'sns':
+      return { channel: { sns: { ...(topic && { name: topic }), bindingVersion } } };
+    case 'sqs': {
+      const dlq = contract.dlq && { name: contract.dlq };
+      const queue = { name: topic || 'queue', ...(dlq && { redrivePolicy: { deadLetterQueue: dlq } }) };
+      return { channel: { sqs: { queue, ...(dlq && { deadLetterQueue: dlq }), bindingVersion } } };
+    }
+    case 'http':
+      return { operation: { http: { method: contract.transport === 'sse' ? 'GET' : 'POST', bindingVersion } } };
+    default:
+      return { channel: { [protocol]: { bindingVersion } } };
+  }
+}
+
+/**
+ * Component message for an event manifest; delivery details the bindings cannot carry go to x- fields.
+ * ownTransport keeps the transport of an event whose channel is already bound to another one.
+ */
+function asyncApiMessage(m, ownTransport = false) {
+  const { transport, guarantees, retry_policy, dlq } = m?.delivery?.contract || {};
+  const delivery = {
+    ...(ownTransport && transport && { transport }),
+    ...(guarantees && { guarantees }),
+    ...(retry_policy && { retry_policy }),
+    ...(dlq && { dlq })
+  };
+  return {
+    name: m.event?.name,
+    ...(m.semantics?.purpose && { summary: m.semantics.purpose }),
+    contentType: 'application/json',
+    payload: payloadSchema(m),
+    ...(m.metadata?.tags?.length && { tags: m.metadata.tags.map(name => ({ name })) }),
+    ...(m.event?.version && { 'x-version': m.event.version }),
+    ...(m.event?.lifecycle && { 'x-lifecycle': clone(m.event.lifecycle) }),
+    ...(m.schema?.compatibility && { 'x-compatibility': clone(m.schema.compatibility) }),
+    ...(Object.keys(delivery).length && { 'x-delivery': delivery }),
+    ...(m.governance && { 'x-governance': clone(m.governance) }),
+    ...(m.metadata?.owner && { 'x-owner': m.metadata.owner })
+  };
+}
+
+/**
+ * Generate an AsyncAPI document for event manifests: one channel per topic, one message per event version.
+ * Messages are keyed by event name, plus the version when the list holds several versions of an event.
+ * An event whose transport differs from the one already bound to its channel keeps it in x-delivery.transport,
+ * and the channel lists it under x-binding-conflicts.
+ * @param {Array<Object>|Object} manifests - Event manifests or event protocol instances
+ * @param {Object} [options]
+ * @param {'2.6.0'|'3.0.0'} [options.asyncapi='3.0.0'] - Target AsyncAPI version
+ * @param {string} [options.title] - info.title (default: 'Event catalog')
+ * @param {string} [options.version] - info.version (default: '1.0.0')
+ * @param {string} [options.description] - info.description
+ * @param {Object} [options.servers] - AsyncAPI servers object, copied as is
+ * @returns {Object} AsyncAPI document
+ */
+function generateAsyncApi(manifests, options = {}) {
+  const target = String(options.asyncapi || '3.0.0');
+  if (!ASYNCAPI_VERSIONS.includes(target)) {
+    throw new Error(`Unsupported AsyncAPI version: ${target}. Supported versions: ${ASYNCAPI_VERSIONS.join(', ')}`);
+  }
+  const list = (Array.isArray(manifests) ? manifests : [manifests]).map(p => (typeof p?.manifest === 'function' ? p.manifest() : p));
+  const v3 = target === '3.0.0';
+  const doc = {
+    asyncapi: target,
+    info: { title: options.title || 'Event catalog', version: options.version || '1.0.0', ...(options.description && { description: options.description }) },
+    ...(options.servers && { servers: clone(options.servers) }),
+    defaultContentType: 'application/json',
+    channels: {},
+    ...(v3 && { operations: {} }),
+    components: { messages: {} }
+  };
+
+  const versions = new Map();
+  for (const m of list) {
+    if (m?.event?.name) versions.set(m.event.name, new Set(versions.get(m.event.name)).add(m.event.version));
+  }
+  const transports = new Map();
+
+  for (const m of list) {
+    if (!m?.event?.name) continue;
+    const contract = m.delivery?.contract || {};
+    const address = contract.topic || m.event.name;
+    // 3.0 channel ids are keys; 2.6 keys channels by their address
+    const channelId = v3 ? asyncApiKey(address) : address;
+    const messageId = asyncApiKey(versions.get(m.event.name).size > 1 ? `${m.event.name}_${m.event.version || 'unversioned'}` : m.event.name);
+    const bindings = transportBindings(contract);
+    const messageRef = { $ref: `#/components/messages/${messageId}` };
+
+    const channel = doc.channels[channelId] || (doc.channels[channelId] = v3 ? { address, messages: {} } : {});
+    // The first event on a channel binds it; later events on another transport are reported, not dropped
+    const transport = TRANSPORT_BINDINGS[contract.transport] ? contract.transport : undefined;
+    if (!transports.has(channelId)) transports.set(channelId, transport);
+    const conflict = transport !== transports.get(channelId);
+    if (conflict) {
+      channel['x-binding-conflicts'] = [...(channel['x-binding-conflicts'] || []), { message: messageId, transport: transport || null }];
+    }
+    doc.components.messages[messageId] = asyncApiMessage(m, conflict);
+    if (bindings.channel && !channel.bindings && !conflict) channel.bindings = bindings.channel;
+    if (contract.dlq && !channel['x-dlq']) channel['x-dlq'] = contract.dlq;
+
+    if (v3) {
+      if (channel.messages[messageId]) continue;
+      channel.messages[messageId] = messageRef;
+      const operationId = `send${pascalCase(channelId)}`;
+      const operation = doc.operations[operationId] || (doc.operations[operationId] = {
+        action: 'send',
+        channel: { $ref: `#/channels/${channelId}` },
+        messages: [],
+        ...(bindings.operation && { bindings: bindings.operation })
+      });
+      operation.messages.push({ $ref: `#/channels/${channelId}/messages/${messageId}` });
+    } else {
+      // 2.6 is written from the consumer's side: applications subscribe to what the producer sends
+      const subscribe = channel.subscribe || (channel.subscribe = {
+        operationId: `receive${pascalCase(channelId)}`,
+        ...(bindings.operation && { bindings: bindings.operation })
+      });
+      const refs = subscribe.message ? (subscribe.message.oneOf || [subscribe.message]) : [];
+      if (refs.some(ref => ref.$ref === messageRef.$ref)) continue;
+      subscribe.message = refs.length ? { oneOf: [...refs, messageRef] } : messageRef;
+    }
+  }
+  return doc;
+}
+
+/** Resolve a local `#/...` reference in an AsyncAPI document */
+function resolvePointer(doc, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], doc);
+}
+
+/** Inline component schema references in a payload; recursive references stay as $ref */
+function inlineRefs(doc, node, stack = []) {
+  if (Array.isArray(node)) return node.map(n => inlineRefs(doc, n, stack));
+  if (!node || typeof node !== 'object') return node;
+  if (typeof node.$ref === 'string' && !stack.includes(node.$ref)) {
+    const target = resolvePointer(doc, node.$ref);
+    if (target !== undefined) {
+      const { $ref, ...rest } = node;
+      return inlineRefs(doc, { ...target, ...rest }, [...stack, $ref]);
+    }
+  }
+  return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, inlineRefs(doc, v, stack)]));
+}
+
+/** Binding protocols the importer recognises, in the order contractFromBindings prefers them */
+const IMPORTED_PROTOCOLS = ['kafka', 'sns', 'sqs', 'http', 'ws'];
+
+/** Transport and delivery contract from channel/operation bindings (first recognised protocol wins) */
+function contractFromBindings(address, channelBindings = {}, operationBindings = {}) {
+  const contract = {};
+  if (channelBindings.kafka || operationBindings.kafka) {
+    contract.transport = 'kafka';
+    contract.topic = channelBindings.kafka?.topic || address;
+  } else if (channelBindings.sns) {
+    contract.transport = 'sns';
+    contract.topic = channelBindings.sns.name || address;
+  } else if (channelBindings.sqs) {
+    contract.transport = 'sqs';
+    contract.topic = channelBindings.sqs.queue?.name || address;
+    const dlq = channelBindings.sqs.deadLetterQueue?.name || channelBindings.sqs.queue?.redrivePolicy?.deadLetterQueue?.name;
+    if (dlq) contract.dlq = dlq;
+  } else if (operationBindings.http || channelBindings.http) {
+    contract.transport = String(operationBindings.http?.method || 'POST').toUpperCase() === 'GET' ? 'sse' : 'webhook';
+    contract.topic = address;
+  } else if (channelBindings.ws || operationBindings.ws) {
+    contract.transport = 'ws';
+    contract.topic = address;
+  } else if (address) {
+    contract.topic = address;
+  }
+  return contract;
+}
+
+/** (channel, message, pointer) triples from a 2.6 or 3.0 document */
+function asyncApiMessages(doc) {
+  const found = [];
+  const v3 = String(doc.asyncapi).startsWith('3.');
+  for (const [channelId, channel] of Object.entries(doc.channels || {})) {
+    if (!channel || typeof channel !== 'object') continue;
+    if (v3) {
+      const operations = Object.values(doc.operations || {}).filter(op => op?.channel?.$ref === `#/channels/${channelId}`);
+      const operationBindings = Object.assign({}, ...operations.map(op => op.bindings || {}));
+      const address = channel.address ?? channelId;
+      for (const [key, message] of Object.entries(channel.messages || {})) {
+        found.push({ channelId, address, channel, operationBindings, key, message, pointer: `#/channels/${channelId}/messages/${key}` });
+      }
+    } else {
+      for (const action of ['subscribe', 'publish']) {
+        const op = channel[action];
+        if (!op?.message) continue;
+        const messages = Array.isArray(op.message.oneOf) ? op.message.oneOf : [op.message];
+        messages.forEach((message, i) => {
+          const pointer = `#/channels/${channelId}/${action}/message${op.message.oneOf ? `/oneOf/${i}` : ''}`;
+          found.push({ channelId, address: channelId, channel, operationBindings: op.bindings || {}, key: null, message, pointer });
+        });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Import an AsyncAPI 2.6/3.0 document as event manifests (one per message name and x-version).
+ * A message's x-delivery.transport overrides the channel bindings; channels binding several protocols are reported.
+ * @param {Object} doc - Parsed AsyncAPI document
+ * @returns {{manifests: Object[], unmapped: Array<{pointer:string, reason:string}>}}
+ */
+function importAsyncApi(doc) {
+  if (!doc || typeof doc !== 'object' || !/^[23]\./.test(String(doc.asyncapi || ''))) {
+    throw new Error('Not an AsyncAPI 2.x/3.x document (missing or unsupported "asyncapi" version)');
+  }
+  const unmapped = [];
+  const byName = new Map();
+  const conflicted = new Set();
+
+  for (const { channelId, address, channel, operationBindings, key, message: raw, pointer } of asyncApiMessages(doc)) {
+    const messagePointer = raw?.$ref || pointer;
+    const message = inlineRefs(doc, raw?.$ref ? resolvePointer(doc, raw.$ref) : raw);
+    if (!message || typeof message !== 'object') {
+      unmapped.push({ pointer, reason: `unresolved message reference ${raw?.$ref}` });
+      continue;
+    }
+    const name = message.name || message.messageId || (raw?.$ref ? raw.$ref.split('/').pop() : key) || address;
+    const version = message['x-version'];
+    const id = `${name}\u0000${version || ''}`;
+    if (byName.has(id)) {
+      const label = version ? `${name}@${version}` : name;
+      unmapped.push({ pointer, reason: `message "${label}" is already mapped from ${byName.get(id).pointer}; only its first channel is kept` });
+      continue;
+    }
+
+    const protocols = IMPORTED_PROTOCOLS.filter(protocol => channel.bindings?.[protocol] || operationBindings[protocol]);
+    if (protocols.length > 1 && !conflicted.has(channelId)) {
+      conflicted.add(channelId);
+      unmapped.push({ pointer: `#/channels/${channelId}/bindings`, reason: `channel binds ${protocols.join(', ')}; messages without x-delivery.transport use ${protocols[0]}` });
+    }
+    const delivery = message['x-delivery'] || {};
+    const contract = delivery.transport
+      ? { transport: delivery.transport, topic: address }
+      : contractFromBindings(address, channel.bindings, operationBindings);
+    for (const field of ['guarantees', 'retry_policy', 'dlq']) {
+      if (delivery[field] !== undefined && contract[field] === undefined) contract[field] = delivery[field];
+    }
+    if (channel['x-dlq'] && !contract.dlq) contract.dlq = channel['x-dlq'];
+
+    if (message.schemaFormat && !/json|asyncapi/i.test(message.schemaFormat)) {
+      unmapped.push({ pointer: messagePointer, reason: `payload schemaFormat ${message.schemaFormat} kept verbatim (not JSON Schema)` });
+    }
+    for (const field of ['headers', 'correlationId', 'traits']) {
+      if (message[field] !== undefined) unmapped.push({ pointer: `${messagePointer}/${field}`, reason: `message ${field} not modelled` });
+    }
+
+    const manifest = {
+      event: {
+        name,
+        ...(version && { version }),
+        ...(message['x-lifecycle'] && { lifecycle: message['x-lifecycle'] })
+      },
+      ...((message.summary || message.description) && { semantics: { purpose: message.summary || message.description } }),
+      schema: {
+        format: 'json-schema',
+        payload: message.payload || {},
+        ...(message['x-compatibility'] && { compatibility: message['x-compatibility'] })
+      },
+      ...(Object.keys(contract).length && { delivery: { contract } }),
+      ...(message['x-governance'] && { governance: message['x-governance'] }),
+      ...((message['x-owner'] || message.tags?.length) && {
+        metadata: {
+          ...(message['x-owner'] && { owner: message['x-owner'] }),
+          ...(message.tags?.length && { tags: message.tags.map(t => t.name) })
+        }
+      })
+    };
+    byName.set(id, { pointer, manifest });
+  }
+
+  return { manifests: [...byName.values()].map(v => v.manifest), unmapped };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Avro (.avsc export + import)
+// ————————————————————————————————————————————————————————————————
+
+/** Avro names are [A-Za-z_][A-Za-z0-9_]* */
+const avroName = s => {
+  const name = String(s ?? '').replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+/** Record name and namespace from a dotted name: payment.completed → { namespace: 'payment', name: 'completed' } */
+function avroFullName(dotted, namespace) {
+  const parts = String(dotted || 'event').split('.').filter(Boolean);
+  const name = avroName(parts.pop() || 'event');
+  const ns = namespace ?? parts.map(avroName).join('.');
+  return { name, ...(ns && { namespace: ns }) };
+}
+
+/** JSON Schema string formats with an Avro logical type; the importer maps them back */
+const AVRO_FORMATS = {
+  date: { type: 'int', logicalType: 'date' },
+  'date-time': { type: 'long', logicalType: 'timestamp-millis' },
+  time: { type: 'int', logicalType: 'time-millis' },
+  uuid: { type: 'string', logicalType: 'uuid' }
+};
+const AVRO_LOGICAL_FORMATS = {
+  date: 'date', 'timestamp-millis': 'date-time', 'timestamp-micros': 'date-time',
+  'time-millis': 'time', 'time-micros': 'time', uuid: 'uuid'
+};
+const MS_PER_DAY = 86400000;
+
+/** Avro defaults of logical types are numbers; manifests keep the ISO string */
+function avroDefault(type, value) {
+  const logical = typeof type === 'object' && !Array.isArray(type) ? type.logicalType : undefined;
+  if (typeof value !== 'string') return value;
+  if (logical === 'date') return Math.round(Date.parse(`${value}T00:00:00Z`) / MS_PER_DAY);
+  if (logical === 'timestamp-millis') return Date.parse(value);
+  return value;
+}
+function jsonDefault(type, value) {
+  const logical = typeof type === 'object' && !Array.isArray(type) ? type.logicalType : undefined;
+  if (typeof value !== 'number') return value;
+  if (logical === 'date') return new Date(value * MS_PER_DAY).toISOString().slice(0, 10);
+  if (logical === 'timestamp-millis') return new Date(value).toISOString();
+  return value;
+}
+
+/** Union of Avro types: flattened, de-duplicated, `null` first unless `nullLast` (a non-null default must match branch one) */
+function avroUnion(types, nullLast = false) {
+  const flat = types.flatMap(t => (Array.isArray(t) ? t : [t]));
+  const seen = new Set();
+  const branches = flat.filter(t => {
+    const key = typeof t === 'string' ? t : t.name || t.type;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const nonNull = branches.filter(t => t !== 'null');
+  if (nonNull.length === branches.length) return nonNull.length === 1 ? nonNull[0] : nonNull;
+  return nullLast ? [...nonNull, 'null'] : ['null', ...nonNull];
+}
+
+/** Avro type for a JSON Schema; object schemas with properties become named records, anything untyped a string */
+function avroType(schema, name, ctx) {
+  if (schema === true || !schema || typeof schema !== 'object') return 'string';
+  if (typeof schema.$ref === 'string') {
+    const target = schema.$ref === '#' ? ctx.root : resolvePointer(ctx.root, schema.$ref);
+    if (!target) return 'string';
+    if (ctx.named.has(target)) return ctx.named.get(target);
+    return avroType(target, schema.$ref.split('/').pop(), ctx);
+  }
+  const branches = schema.oneOf || schema.anyOf;
+  if (Array.isArray(branches)) return avroUnion(branches.map((b, i) => avroType(b, `${name}_${i}`, ctx)));
+  if (Array.isArray(schema.type)) return avroUnion(schema.type.map(type => avroType({ ...schema, type }, name, ctx)));
+
+  if (Array.isArray(schema.enum) && schema.enum.length && schema.enum.every(v => typeof v === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(v))) {
+    return namedType(schema, name, ctx, { type: 'enum', symbols: [...schema.enum] });
+  }
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : undefined);
+  switch (type) {
+    case 'string': return AVRO_FORMATS[schema.format] ? { ...AVRO_FORMATS[schema.format] } : 'string';
+    case 'integer': return 'long';
+    case 'number': return 'double';
+    case 'boolean': return 'boolean';
+    case 'null': return 'null';
+    case 'array': return { type: 'array', items: avroType(schema.items, `${name}_item`, ctx) };
+    case 'object':
+      if (schema.properties) return namedType(schema, name, ctx, null);
+      return { type: 'map', values: schema.additionalProperties && typeof schema.additionalProperties === 'object' ? avroType(schema.additionalProperties, `${name}_value`, ctx) : 'string' };
+    default:
+      return 'string';
+  }
+}
+
+/** Define a record or enum once; later uses (and recursive ones) refer to it by name */
+function namedType(schema, name, ctx, enumType) {
+  let unique = avroName(name);
+  for (let i = 2; ctx.names.has(unique); i++) unique = `${avroName(name)}_${i}`;
+  ctx.names.add(unique);
+  ctx.named.set(schema, unique);
+  if (enumType) return { type: 'enum', name: unique, ...(schema.description && { doc: schema.description }), symbols: enumType.symbols };
+  return { type: 'record', name: unique, ...(schema.description && { doc: schema.description }), fields: avroFields(schema, ctx) };
+}
+
+/** Record fields: required → plain type; optional → nullable union defaulting to null (or to its own default) */
+function avroFields(schema, ctx) {
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  return Object.entries(schema.properties || {}).map(([name, def]) => {
+    let type = avroType(def, name, ctx);
+    const field = { name: avroName(name) };
+    if (def?.description) field.doc = def.description;
+    const hasDefault = def?.default !== undefined && def.default !== null;
+    if (required.has(name) || def?.required === true) {
+      field.type = type;
+      if (hasDefault) field.default = avroDefault(type, def.default);
+    } else {
+      type = avroUnion([type, 'null'], hasDefault);
+      field.type = type;
+      field.default = hasDefault ? avroDefault(Array.isArray(type) ? type[0] : type, def.default) : null;
+    }
+    if (def?.['x-pii']) field.pii = true;
+    return field;
+  });
+}
+
+/**
+ * Generate an Avro record schema (.avsc) for an event manifest's payload.
+ * Required fields get non-null types, optional ones a ["null", T] union defaulting to null
+ * (so adding an optional field stays compatible, as in the field-level diff), integer/number
+ * map to long/double (long promotes to double), and PII fields carry a `pii: true` attribute.
+ * @param {Object} manifest - Event manifest (schema.payload or schema.fields)
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Defaults to the dotted prefix of event.name
+ * @returns {Object} Avro record schema
+ */
+function generateAvro(manifest, options = {}) {
+  const payload = payloadSchema(manifest);
+  const ctx = { root: payload, names: new Set(), named: new Map() };
+  const { name, namespace } = avroFullName(manifest?.event?.name, options.namespace);
+  ctx.names.add(name);
+  ctx.named.set(payload, name);
+  const classification = manifest?.governance?.policy?.classification;
+  return {
+    type: 'record',
+    name,
+    ...(namespace && { namespace }),
+    ...(manifest?.semantics?.purpose && { doc: manifest.semantics.purpose }),
+    ...(manifest?.event?.version && { version: manifest.event.version }),
+    ...(classification && { classification }),
+    fields: avroFields(payload, ctx)
+  };
+}
+
+const AVRO_PRIMITIVES = new Set(['null', 'boolean', 'int', 'long', 'float', 'double', 'bytes', 'string']);
+const shortName = name => String(name).split('.').pop();
+
+/** Names of record/enum/fixed types referenced by name, i.e. reused (or recursive) */
+function avroNameReferences(type, out = new Set()) {
+  if (typeof type === 'string') {
+    if (!AVRO_PRIMITIVES.has(type)) out.add(shortName(type));
+  } else if (Array.isArray(type)) {
+    type.forEach(t => avroNameReferences(t, out));
+  } else if (type && typeof type === 'object') {
+    avroNameReferences(type.type, out);
+    if (type.items !== undefined) avroNameReferences(type.items, out);
+    if (type.values !== undefined) avroNameReferences(type.values, out);
+    (type.fields || []).forEach(f => avroNameReferences(f.type, out));
+  }
+  return out;
+}
+
+/** JSON Schema for an Avro type; reused named types live in $defs and are $ref'd, single-use ones are inlined */
+function jsonSchemaFromAvro(type, ctx, pointer) {
+  if (Array.isArray(type)) {
+    const nullable = type.includes('null');
+    const branches = type.filter(t => t !== 'null').map((t, i) => jsonSchemaFromAvro(t, ctx, `${pointer}/${i}`));
+    if (branches.length === 1 && !nullable) return branches[0];
+    if (branches.length === 1 && typeof branches[0].type === 'string') return { ...branches[0], type: [branches[0].type, 'null'] };
+    return { oneOf: nullable ? [...branches, { type: 'null' }] : branches };
+  }
+  if (typeof type === 'string') {
+    switch (type) {
+      case 'string': return { type: 'string' };
+      case 'int': case 'long': return { type: 'integer' };
+      case 'float': case 'double': return { type: 'number' };
+      case 'boolean': return { type: 'boolean' };
+      case 'null': return { type: 'null' };
+      case 'bytes': return { type: 'string', contentEncoding: 'base64' };
+      default:
+        if (shortName(type) === ctx.rootName) return { $ref: '#' };
+        if (!ctx.defined.has(shortName(type))) {
+          ctx.unmapped.push({ pointer, reason: `unknown Avro type ${type} mapped to string` });
+          return { type: 'string' };
+        }
+        return { $ref: `#/$defs/${shortName(type)}` };
+    }
+  }
+  if (!type || typeof type !== 'object') return { type: 'string' };
+  if (type.logicalType && AVRO_LOGICAL_FORMATS[type.logicalType]) return { type: 'string', format: AVRO_LOGICAL_FORMATS[type.logicalType] };
+  if (type.logicalType === 'decimal') {
+    ctx.unmapped.push({ pointer, reason: `decimal(${type.precision ?? '?'},${type.scale ?? 0}) mapped to number` });
+    return { type: 'number' };
+  }
+  switch (type.type) {
+    case 'record':
+      return defineNamed(type, ctx, () => ({ type: 'object', ...(type.doc && { description: type.doc }), ...jsonObjectFromAvro(type, ctx, pointer) }));
+    case 'enum':
+      return defineNamed(type, ctx, () => ({ type: 'string', ...(type.doc && { description: type.doc }), enum: [...(type.symbols || [])] }));
+    case 'fixed':
+      ctx.unmapped.push({ pointer, reason: `fixed(${type.size}) mapped to string` });
+      return defineNamed(type, ctx, () => ({ type: 'string' }));
+    case 'array': return { type: 'array', items: jsonSchemaFromAvro(type.items, ctx, `${pointer}/items`) };
+    case 'map': return { type: 'object', additionalProperties: jsonSchemaFromAvro(type.values, ctx, `${pointer}/values`) };
+    default: return jsonSchemaFromAvro(type.type, ctx, pointer);
+  }
+}
+
+function defineNamed(type, ctx, build) {
+  const name = shortName(type.name);
+  ctx.defined.add(name);
+  if (!ctx.reused.has(name)) return build();
+  ctx.defs[name] = build();
+  return { $ref: `#/$defs/${name}` };
+}
+
+/**
+ * Properties/required of an Avro record. A union with null is optional when it has a default
+ * (what generateAvro emits for optional fields) and required-but-nullable when it has none.
+ */
+function jsonObjectFromAvro(record, ctx, pointer) {
+  const properties = {};
+  const required = [];
+  (record.fields || []).forEach((field, i) => {
+    const at = `${pointer}/fields/${i}`;
+    const optional = Array.isArray(field.type) && field.type.includes('null') && field.default !== undefined;
+    const type = optional && field.type.length === 2 ? field.type.find(t => t !== 'null') : field.type;
+    const schema = { ...jsonSchemaFromAvro(type, ctx, `${at}/type`) };
+    if (field.doc) schema.description = field.doc;
+    if (field.default !== undefined && field.default !== null) schema.default = jsonDefault(type, field.default);
+    if (field.pii) schema['x-pii'] = true;
+    properties[field.name] = schema;
+    if (!optional) required.push(field.name);
+  });
+  return { properties, ...(required.length && { required }) };
+}
+
+/**
+ * Import an Avro record schema (.avsc, parsed or as JSON text) as an event manifest.
+ * event.name is namespace + name; logical types come back as string formats, and optional
+ * fields that also allowed null come back as plain optional fields.
+ * @param {Object|string} avsc - Avro record schema
+ * @returns {{manifest:Object, unmapped:Array<{pointer:string, reason:string}>}}
+ */
+function importAvro(avsc) {
+  const record = typeof avsc === 'string' ? JSON.parse(avsc) : avsc;
+  if (!record || typeof record !== 'object' || record.type !== 'record' || !record.name) {
+    throw new Error('Not an Avro record schema (expected {"type": "record", "name": ...})');
+  }
+  const rootName = shortName(record.name);
+  const reused = avroNameReferences({ fields: record.fields });
+  reused.delete(rootName);
+  const ctx = { rootName, reused, defined: new Set(), defs: {}, unmapped: [] };
+  const payload = { type: 'object', ...jsonObjectFromAvro(record, ctx, '') };
+  if (Object.keys(ctx.defs).length) payload.$defs = ctx.defs;
+
+  const namespace = record.namespace || (record.name.includes('.') ? record.name.slice(0, record.name.lastIndexOf('.')) : '');
+  const manifest = {
+    event: {
+      name: namespace ? `${namespace}.${rootName}` : rootName,
+      ...(record.version && { version: String(record.version) })
+    },
+    ...(record.doc && { semantics: { purpose: record.doc } }),
+    schema: { format: 'json-schema', payload },
+    ...(record.classification && { governance: { policy: { classification: record.classification } } })
+  };
+  return { manifest, unmapped: ctx.unmapped };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Workflow (Saga) — clarified shape
+// ————————————————————————————————————————————————————————————————
+
+/**
+ * @typedef {Object} WorkflowManifest
+ * @property {Object} workflow
+ * @property {string} workflow.name
+ * @property {string} [workflow.purpose]
+ * @property {string} workflow.trigger_event
+ * @property {Object} sla
+ * @property {string} sla.timeout
+ * @property {string} [sla.on_timeout_event]
+ * @property {Array<{consumes:string, service:string, produces?:string[]}>} steps
+ * @property {Array<{on:string, compensation_event:string}>} [compensation]
+ */
+
+function createWorkflowManifest(manifest) {
+  const m = clone(manifest||{});
+  return Object.freeze({
+    manifest: () => clone(m),
+    getTriggerEvent: () => m?.workflow?.trigger_event,
+    getTerminalEvents: () => {
+      const prod = new Set((m?.steps||[]).flatMap(s => s.produces||[]));
+      const cons = new Set((m?.steps||[]).map(s => s.consumes));
+      return [...prod].filter(e => !cons.has(e));
+    },
+    generateVisualFlow: () => {
+      const lines = ['graph TD', '  subgraph Workflow: ' + (m?.workflow?.name||'unnamed')];
+      for (const step of (m?.steps||[])) {
+        const eNode = step.consumes.replace(/\./g,'_') + '[' + step.consumes + ']';
+        const sNode = step.service.replace(/\W/g,'_') + '((' + step.service + '))';
+        lines.push(`  ${eNode} -- handled by --> ${sNode}`);
+        for (const p of (step.produces||[])) {
+          const pNode = p.replace(/\./g,'_') + '[' + p + ']';
+          lines.push(`  ${sNode} -- publishes --> ${pNode}`);
+        }
+      }
+      lines.push('  end');
+      return lines.join('\n');
+    }
+  });
+}
+
+// ————————————————————————————————————————————————————————————————
+// Protocol + Catalog factories
+// ————————————————————————————————————————————————————————————————
+
+function createEventProtocol(manifestInput = {}) {
+  const manifest = normalize(manifestInput);
+  return Object.freeze({
+    manifest: () => clone(manifest),
+    validate: (names=[]) => runValidators(manifest, names),
+    match: (expr) => query(manifest, expr),
+    diff: (other) => diff(manifest, other),
+    checkCompatibility: (consumer) => checkCompatibility(manifest, consumer),
+    checkSchemaCompatibility: (previous, options) => checkSchemaCompatibility(previous, manifest, options),
+    generateConsumerSkeleton: (language) => generateConsumerSkeleton(manifest, language),
+    generateTestScenarios: () => generateTestScenarios(manifest),
+    generateAsyncApi: (options) => generateAsyncApi([manifest], { title: manifest.event?.name, version: manifest.event?.version, ...options }),
+    generateAvro: (options) => generateAvro(manifest, options),
+    set: (path, value) => { const m = clone(manifest); dset(m, path, value); return createEventProtocol(m); },
+  });
+}
+
+function createEventCatalog(protocols = []) {
+  const items = protocols;
+  const asManifests = () => items.map(p => p.manifest());
+  function find(expr) { return items.filter(p => p.match(expr)); }
+
+  // crude flow linkage: event name → services that consume/produce it (from workflows)
+  function analyzeFlow(workflows = []) {
+    const map = new Map(); // event -> {consumers:Set, producers:Set}
+    const ensure = (k) => { if (!map.has(k)) map.set(k, { consumers:new Set(), producers:new Set() }); return map.get(k); };
+    for (const w of workflows) {
+      const wm = w.manifest ? w.manifest() : w; // accept raw manifest or wrapper
+      for (const s of (wm?.steps||[])) {
+        ensure(s.consumes).consumers.add(s.service);
+        for (const p of (s.produces||[])) ensure(p).producers.add(s.service);
+      }
+    }
+    const out = []; for (const [evt, v] of map.entries()) out.push({ event: evt, consumers: [...v.consumers], producers: [...v.producers] });
+    return out;
+  }
+
+  return Object.freeze({
+    items,
+    find,
+    analyzeFlow,
+    generateAsyncApi: (options) => generateAsyncApi(asManifests(), options),
+    validateAll: (names=[]) => asManifests().map(m => ({ name: m.event?.name, ...runValidators(m, names) }))
+  });
+}
+
+// ————————————————————————————————————————————————————————————————
+// Exports
+// ————————————————————————————————————————————————————————————————
+
+export {
+  createEventProtocol,
+  createEventCatalog,
+  createWorkflowManifest,
+  registerValidator,
+  Validators,
+  checkCompatibility,
+  checkSchemaCompatibility,
+  generateAsyncApi,
+  importAsyncApi,
+  generateAvro,
+  importAvro,
+};
+
+// ————————————————————————————————————————————————————————————————
+// Example (commented)
+// ————————————————————————————————————————————————————————————————
+/*
+const paymentCompleted = createEventProtocol({
+  event: { name: 'payment.completed', version: '1.1.0', lifecycle: { status: 'active' } },
+  semantics: { purpose: 'Record a successful payment and trigger fulfillment' },
+  schema: {
+    format: 'json-schema',
+    payload: {
+      type: 'object',
+      required: ['payment_id','user_id','amount'],
+      properties: {
+        payment_id: { type: 'string' },
+        user_id: { type: 'string' },
+        amount: { type: 'number' },
+        email: { type: 'string', 'x-pii': true }
+      }
+    },
+    compatibility: { policy: 'backward', compatible_versions: ['1.0.0','1.1.0'] }
+  },
+  delivery: { contract: { transport: 'kafka', topic: 'billing.payments', guarantees: 'at-least-once', retry_policy: 'exponential', dlq: 'billing.payments.dlq' } },
+  governance: { policy: { classification: 'pii', legal_basis: 'gdpr' } },
+  metadata: { owner: 'billing-team', tags: ['billing','payments'] }
+});
+
+console.log(paymentCompleted.validate());
+console.log(paymentCompleted.match('schema.pii:contains:email'));
+console.log(paymentCompleted.generateConsumerSkeleton());
+const consumer = { eventName: 'payment.completed', version: '1.0.0' };
+console.log(paymentCompleted.checkCompatibility(consumer));
+*/
@@ -0,0 +1,2 @@
+// JSON Schema (2020-12) validator, kept off the main entry so bundles that never validate stay small
+export * from '@cpms/utils/json-schema';
\ No newline at end of file
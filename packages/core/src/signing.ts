@@ -0,0 +1,2 @@
+// Node-only manifest signing, kept off the main entry so browser bundles stay crypto-free
+export * from '@cpms/utils/signing';
\ No newline at end of file
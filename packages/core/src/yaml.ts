@@ -0,0 +1,2 @@
+// YAML subset (parseYaml / stringifyYaml) for manifests authored in YAML; opt-in, like signing
+export * from '@cpms/utils/yaml';
\ No newline at end of file
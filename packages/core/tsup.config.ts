@@ -1,7 +1,7 @@
 import { defineConfig } from 'tsup';
 
 export default defineConfig({
-  entry: ['src/index.ts'],
+  entry: ['src/index.ts', 'src/signing.ts', 'src/yaml.ts', 'src/json-schema.ts'],
   format: ['cjs', 'esm'],
   dts: true,
   splitting: true,
@@ -1,2 +1,2 @@
 // Re-export data protocol functions
-export { createDataProtocol, createDataCatalog } from './data-protocol.js';
\ No newline at end of file
+export { createDataProtocol, createDataCatalog, generateAvro, importAvro } from './data-protocol.js';
\ No newline at end of file
@@ -0,0 +1,248 @@
+/*
+ * Event Protocol — durable event log
+ * Append-only, file-backed log for createEventProtocol({ log })
+ *
+ * - One JSON line per event: { offset, timestamp, type, event }; offsets are gapless sequence numbers
+ * - Segments rotate by size and are named after their first offset (00000000000000000000.log)
+ * - Named consumer groups keep a committed position in offsets.json and can seek by offset or time
+ * - Writes are synchronous so publish stays synchronous; a torn last line is dropped on open
+ * Node-only: kept out of the browser-safe bus module
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const SEGMENT_FILE = /^(\d{20})\.log$/;
+const OFFSETS_FILE = 'offsets.json';
+
+/** Segment file name for a base offset */
+function segmentName(baseOffset) {
+  return `${String(baseOffset).padStart(20, '0')}.log`;
+}
+
+/** Epoch milliseconds for a Date, ISO string or number */
+function toMillis(time) {
+  const ms = time instanceof Date ? time.getTime() : typeof time === 'string' ? Date.parse(time) : Number(time);
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+  return ms;
+}
+
+/** Parse the complete lines of a segment */
+function readSegment(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const end = text.lastIndexOf('\n');
+  return end < 0 ? [] : text.slice(0, end).split('\n').map(line => JSON.parse(line));
+}
+
+/**
+ * Creates a file-backed event log
+ * @param {Object} config - Configuration
+ * @param {string} config.dir - Directory holding the segments and offsets.json (created if missing)
+ * @param {number} [config.segmentBytes=16777216] - Rotate to a new segment once the current one would exceed this size
+ * @returns {Object} Frozen log ({ append, read, seek, poll, commit, committed, groups, info, close })
+ */
+function createFileEventLog(config = {}) {
+  const { dir, segmentBytes = 16 * 1024 * 1024 } = config;
+  if (!dir || typeof dir !== 'string') {
+    throw new Error('Event log requires a directory (createFileEventLog({ dir }))');
+  }
+  if (!(segmentBytes > 0)) {
+    throw new Error(`segmentBytes must be a positive number, got ${segmentBytes}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const segments = fs.readdirSync(dir)
+    .map(name => SEGMENT_FILE.exec(name))
+    .filter(Boolean)
+    .map(match => ({ baseOffset: Number(match[1]), file: path.join(dir, match[0]), bytes: 0 }))
+    .sort((a, b) => a.baseOffset - b.baseOffset);
+
+  let nextOffset = 0;
+  if (segments.length) {
+    // Recover the write position; a crash mid-append leaves a line without its newline
+    const last = segments[segments.length - 1];
+    const text = fs.readFileSync(last.file, 'utf8');
+    const end = text.lastIndexOf('\n') + 1;
+    if (end < text.length) {
+      fs.truncateSync(last.file, Buffer.byteLength(text.slice(0, end)));
+    }
+    for (const segment of segments) {
+      segment.bytes = fs.statSync(segment.file).size;
+    }
+    const records = readSegment(last.file);
+    nextOffset = records.length ? records[records.length - 1].offset + 1 : last.baseOffset;
+  }
+
+  const offsetsPath = path.join(dir, OFFSETS_FILE);
+  const positions = new Map(Object.entries(fs.existsSync(offsetsPath) ? JSON.parse(fs.readFileSync(offsetsPath, 'utf8')) : {}));
+  let fd = null;
+
+  /** Persist group positions atomically */
+  function saveOffsets() {
+    const tmp = `${offsetsPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(positions), null, 2));
+    fs.renameSync(tmp, offsetsPath);
+  }
+
+  /** Segment to append to, rotating when the line would overflow it */
+  function activeSegment(lineBytes) {
+    let segment = segments[segments.length - 1];
+    if (!segment || (segment.bytes > 0 && segment.bytes + lineBytes > segmentBytes)) {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+      segment = { baseOffset: nextOffset, file: path.join(dir, segmentName(nextOffset)), bytes: 0 };
+      segments.push(segment);
+    }
+    if (fd === null) {
+      fd = fs.openSync(segment.file, 'a');
+    }
+    return segment;
+  }
+
+  /**
+   * Append an event
+   * @param {string} type - Event type
+   * @param {Object} event - Event data (must be JSON-serializable)
+   * @returns {{offset:number, timestamp:number, type:string, event:Object}} The stored record
+   */
+  function append(type, event) {
+    const record = { offset: nextOffset, timestamp: Date.now(), type, event };
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+    const segment = activeSegment(bytes);
+    fs.writeSync(fd, line);
+    segment.bytes += bytes;
+    nextOffset++;
+    return record;
+  }
+
+  /**
+   * Read records in offset order
+   * @param {Object} [options] - Range
+   * @param {number} [options.offset=0] - First offset to return
+   * @param {number|string|Date} [options.since] - Only records logged at or after this time
+   * @param {number} [options.limit=Infinity] - Maximum number of records
+   * @returns {Object[]} Records
+   */
+  function read(options = {}) {
+    const { offset = 0, since, limit = Infinity } = options;
+    const sinceMs = since === undefined ? null : toMillis(since);
+    const records = [];
+    for (let i = 0; i < segments.length && records.length < limit; i++) {
+      // Skip segments that end before the requested offset
+      if (i + 1 < segments.length && segments[i + 1].baseOffset <= offset) continue;
+      for (const record of readSegment(segments[i].file)) {
+        if (record.offset < offset || (sinceMs !== null && record.timestamp < sinceMs)) continue;
+        records.push(record);
+        if (records.length >= limit) break;
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Position of a consumer group: the next offset it will poll
+   * @param {string} group - Consumer group name
+   * @returns {number}
+   */
+  function committed(group) {
+    return positions.get(group) ?? 0;
+  }
+
+  /**
+   * Mark everything up to and including an offset as processed by a group
+   * @param {string} group - Consumer group name
+   * @param {number} offset - Last processed offset
+   */
+  function commit(group, offset) {
+    if (!group || typeof group !== 'string') {
+      throw new Error('Consumer group must be a non-empty string');
+    }
+    positions.set(group, offset + 1);
+    saveOffsets();
+  }
+
+  /**
+   * Move a group to an offset, or to the first record logged at or after a time
+   * @param {string} group - Consumer group name
+   * @param {{offset?:number, since?:number|string|Date}} target - Where to resume
+   * @returns {number} The group's new position
+   */
+  function seek(group, target = {}) {
+    if (!group || typeof group !== 'string') {
+      throw new Error('Consumer group must be a non-empty string');
+    }
+    let position;
+    if (target.since !== undefined) {
+      position = read({ since: target.since, limit: 1 })[0]?.offset ?? nextOffset;
+    } else if (Number.isInteger(target.offset) && target.offset >= 0) {
+      position = target.offset;
+    } else {
+      throw new Error('seek needs an offset (non-negative integer) or since');
+    }
+    positions.set(group, position);
+    saveOffsets();
+    return position;
+  }
+
+  /**
+   * Records a group has not committed yet; commit after processing for at-least-once delivery
+   * @param {string} group - Consumer group name
+   * @param {{limit?:number}} [options] - Maximum number of records
+   * @returns {Object[]} Records
+   */
+  function poll(group, options = {}) {
+    return read({ offset: committed(group), limit: options.limit });
+  }
+
+  /**
+   * Committed positions of every consumer group
+   * @returns {Object<string, number>}
+   */
+  function groups() {
+    return Object.fromEntries(positions);
+  }
+
+  /**
+   * Log layout for operations and tests
+   * @returns {{dir:string, nextOffset:number, segments:Array<{file:string, baseOffset:number, bytes:number}>}}
+   */
+  function info() {
+    return {
+      dir,
+      nextOffset,
+      segments: segments.map(({ file, baseOffset, bytes }) => ({ file: path.basename(file), baseOffset, bytes }))
+    };
+  }
+
+  /**
+   * Release the open segment file handle; a later append reopens it
+   */
+  function close() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  return Object.freeze({
+    append,
+    read,
+    seek,
+    poll,
+    commit,
+    committed,
+    groups,
+    info,
+    close
+  });
+}
+
+export {
+  createFileEventLog
+};
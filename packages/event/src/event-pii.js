@@ -0,0 +1,252 @@
+/*
+ * Event Protocol — PII interceptor
+ * Redacts, hashes or encrypts PII fields per subscriber clearance (createEventProtocol({ interceptors }))
+ *
+ * - PII paths come from the delivery envelope (manifest x-pii / pii fields) or an explicit per-type map
+ * - Each clearance maps to an action: clear, encrypt (AES-256-GCM), hash (HMAC-SHA-256) or redact
+ * - Every cleartext delivery of PII is recorded in an audit log
+ * - Events are copied only along PII paths; the published event is never mutated
+ * - encryptOnPublish encrypts PII before the bus logs it (createEventProtocol({ log })) and decrypts per subscriber
+ * Node-only: relies on node:crypto, kept out of the browser-safe bus module
+ */
+
+import { createCipheriv, createDecipheriv, createHmac, randomBytes } from 'node:crypto';
+
+const PII_ACTIONS = ['clear', 'encrypt', 'hash', 'redact'];
+const ENCRYPTED_PREFIX = 'aes-256-gcm:';
+
+// Lowest to highest; a subscriber without a known clearance is treated as the lowest.
+// No level encrypts, so the defaults need no key.
+const DEFAULT_CLEARANCES = Object.freeze({
+  public: 'redact',
+  internal: 'hash',
+  pii: 'clear'
+});
+
+/** 32-byte AES-256 key from a Buffer, Uint8Array or base64 string */
+function toKey(key) {
+  const bytes = typeof key === 'string' ? Buffer.from(key, 'base64') : Buffer.from(key || []);
+  if (bytes.length !== 32) {
+    throw new Error(`PII encryption key must be 32 bytes (AES-256-GCM), got ${bytes.length}`);
+  }
+  return bytes;
+}
+
+/** Steps of a PII path: 'contacts[].phone' -> [{key:'contacts', each:true}, {key:'phone', each:false}]; 'tags.*' matches every key */
+function pathSteps(path) {
+  return path.split('.').map(part => part.endsWith('[]')
+    ? { key: part.slice(0, -2), each: true }
+    : { key: part, each: false });
+}
+
+/**
+ * Apply fn to the values at a path, copying only the containers on the way; a * step matches every key
+ * @returns {*} The same value when nothing at the path changed
+ */
+function applyAtPath(value, steps, i, fn) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  const { key, each } = steps[i];
+  const keys = key === '*' ? Object.keys(value) : [key].filter(k => Object.prototype.hasOwnProperty.call(value, k));
+  const last = i + 1 === steps.length;
+  let result = value;
+  for (const k of keys) {
+    const child = value[k];
+    let next;
+    if (each) {
+      if (!Array.isArray(child)) continue;
+      const items = child.map(item => (last ? fn(item) : applyAtPath(item, steps, i + 1, fn)));
+      next = items.some((item, index) => item !== child[index]) ? items : child;
+    } else {
+      next = last ? fn(child) : applyAtPath(child, steps, i + 1, fn);
+    }
+    if (next === child) continue;
+    if (result === value) {
+      result = Array.isArray(value) ? [...value] : { ...value };
+    }
+    result[k] = next;
+  }
+  return result;
+}
+
+/**
+ * Encrypt a value (any JSON) as 'aes-256-gcm:<iv>:<tag>:<ciphertext>' (base64url)
+ * @param {*} value - Value to encrypt
+ * @param {Buffer|Uint8Array|string} key - 32-byte key
+ * @returns {string}
+ */
+function encryptPii(value, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', toKey(key), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64url')}:${cipher.getAuthTag().toString('base64url')}:${data.toString('base64url')}`;
+}
+
+/**
+ * Decrypt a value produced by encryptPii (or the interceptor's encrypt action)
+ * @param {string} token - Encrypted value
+ * @param {Buffer|Uint8Array|string} key - 32-byte key
+ * @returns {*} The original value
+ * @throws {Error} If the token is malformed or fails authentication
+ */
+function decryptPii(token, key) {
+  const parts = typeof token === 'string' && token.startsWith(ENCRYPTED_PREFIX) ? token.slice(ENCRYPTED_PREFIX.length).split(':') : [];
+  if (parts.length !== 3) {
+    throw new Error('Not an encrypted PII value (expected aes-256-gcm:<iv>:<tag>:<data>)');
+  }
+  const [iv, tag, data] = parts.map(part => Buffer.from(part, 'base64url'));
+  const decipher = createDecipheriv('aes-256-gcm', toKey(key), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Creates the PII interceptor
+ * @param {Object} [config] - Configuration
+ * @param {Object<string, 'clear'|'encrypt'|'hash'|'redact'>} [config.clearances] - Action per clearance, lowest clearance first
+ * @param {Buffer|Uint8Array|string} [config.key] - AES-256-GCM key (32 bytes or base64); required when a clearance encrypts or with encryptOnPublish
+ * @param {boolean} [config.encryptOnPublish=false] - Encrypt PII in the published event, so the bus log stores ciphertext;
+ *   deliveries (and replays) decrypt it again per clearance. PII fields are then validated as strings.
+ * @param {Buffer|string} [config.hashSecret] - HMAC secret for the hash action; when omitted a random per-interceptor
+ *   secret is used, so hashes are stable within one interceptor but cannot be matched across interceptors or restarts
+ * @param {string} [config.redacted='[REDACTED]'] - Replacement for redacted values
+ * @param {Object<string, string[]>} [config.fields] - PII paths per event type, used when the envelope has none
+ * @param {Function} [config.onAudit] - Called with each audit entry as it is recorded
+ * @param {number} [config.auditLimit=10000] - Audit entries kept in memory (oldest dropped first)
+ * @returns {Object} Frozen interceptor ({ name, onPublish?, onDeliver, getAuditLog, clearAuditLog })
+ */
+function createPiiInterceptor(config = {}) {
+  const {
+    clearances = DEFAULT_CLEARANCES,
+    key,
+    encryptOnPublish = false,
+    hashSecret,
+    redacted = '[REDACTED]',
+    fields = {},
+    onAudit,
+    auditLimit = 10000
+  } = config;
+
+  const levels = Object.keys(clearances);
+  if (!levels.length) {
+    throw new Error('PII interceptor needs at least one clearance');
+  }
+  for (const [clearance, action] of Object.entries(clearances)) {
+    if (!PII_ACTIONS.includes(action)) {
+      throw new Error(`Unknown PII action "${action}" for clearance ${clearance} (expected ${PII_ACTIONS.join(', ')})`);
+    }
+  }
+  const encryptionKey = encryptOnPublish || Object.values(clearances).includes('encrypt') ? toKey(key) : null;
+  if (hashSecret !== undefined && !hashSecret?.length) {
+    throw new Error('PII hashSecret must be a non-empty string or Buffer');
+  }
+  // Unsalted SHA-256 of emails or phone numbers is reversible by dictionary, so hashes are always keyed
+  const hmacSecret = hashSecret ?? randomBytes(32);
+
+  const stepsCache = new Map();
+  const audit = [];
+
+  const transforms = {
+    redact: () => redacted,
+    hash: value => {
+      const input = JSON.stringify(value);
+      return `sha256:${createHmac('sha256', hmacSecret).update(input).digest('hex')}`;
+    },
+    encrypt: value => encryptPii(value, encryptionKey)
+  };
+
+  /** Original value of a field encrypted by onPublish; other values pass through */
+  const reveal = value => (typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX) ? decryptPii(value, encryptionKey) : value);
+
+  /** PII paths for an event type, compiled once */
+  function piiSteps(type, envelope) {
+    const paths = envelope?.pii?.length ? envelope.pii : (fields[type] || []);
+    const cacheKey = `${type}\u0000${paths.join('\u0000')}`;
+    if (!stepsCache.has(cacheKey)) {
+      stepsCache.set(cacheKey, paths.map(path => ({ path, steps: pathSteps(path) })));
+    }
+    return stepsCache.get(cacheKey);
+  }
+
+  function record(entry) {
+    audit.push(entry);
+    if (audit.length > auditLimit) {
+      audit.splice(0, audit.length - auditLimit);
+    }
+    if (onAudit) {
+      onAudit(entry);
+    }
+  }
+
+  /** Apply fn to every non-empty PII value of the event */
+  function transformPii(event, paths, fn) {
+    return paths.reduce(
+      (current, { steps }) => applyAtPath(current, steps, 0, value => (value === undefined || value === null ? value : fn(value))),
+      event
+    );
+  }
+
+  /**
+   * onPublish hook (encryptOnPublish): encrypt PII before the event is validated, logged and delivered
+   */
+  function onPublish({ type, event, envelope }) {
+    const paths = piiSteps(type, envelope);
+    return paths.length ? transformPii(event, paths, transforms.encrypt) : undefined;
+  }
+
+  /**
+   * onDeliver hook: transform PII for this subscriber, auditing cleartext deliveries
+   */
+  function onDeliver({ type, event, envelope, subscriber }) {
+    const paths = piiSteps(type, envelope);
+    if (!paths.length) return undefined;
+
+    const clearance = Object.prototype.hasOwnProperty.call(clearances, subscriber?.clearance) ? subscriber.clearance : levels[0];
+    const action = clearances[clearance];
+
+    if (action === 'clear') {
+      const present = paths.filter(({ steps }) => {
+        let found = false;
+        applyAtPath(event, steps, 0, value => {
+          if (value !== undefined && value !== null) found = true;
+          return value;
+        });
+        return found;
+      });
+      if (present.length) {
+        record(Object.freeze({
+          timestamp: new Date().toISOString(),
+          type,
+          subscriptionId: subscriber?.id,
+          ...(subscriber?.name && { subscriber: subscriber.name }),
+          clearance,
+          fields: Object.freeze(present.map(({ path }) => path))
+        }));
+      }
+      return encryptOnPublish ? transformPii(event, paths, reveal) : undefined;
+    }
+
+    if (encryptOnPublish && action === 'encrypt') {
+      return undefined;
+    }
+    const transform = transforms[action];
+    return transformPii(event, paths, encryptOnPublish ? value => transform(reveal(value)) : transform);
+  }
+
+  return Object.freeze({
+    name: 'pii',
+    ...(encryptOnPublish && { onPublish }),
+    onDeliver,
+    getAuditLog: () => [...audit],
+    clearAuditLog: () => {
+      audit.length = 0;
+    }
+  });
+}
+
+export {
+  createPiiInterceptor,
+  encryptPii,
+  decryptPii
+};
@@ -0,0 +1,25 @@
+/*
+ * Event Protocol — schema-validating bus
+ * createEventProtocol with the JSON Schema (2020-12) validator wired in
+ *
+ * - Needed for eventSchema validation (validateEvents) and for binding manifests with a payload schema
+ * - Same bus and options as the main entry; an explicit config.compileSchema still wins
+ * - A separate entry so buses that validate nothing don't ship the validator
+ */
+
+import { compileJsonSchema } from '@cpms/core/json-schema';
+import { createEventProtocol as createBus } from './event-protocol.js';
+
+/**
+ * Creates an Event Protocol instance that validates with compileJsonSchema
+ * @param {Object} [config] - EventProtocolConfig (see event-protocol.js)
+ * @returns {Object} Frozen protocol instance
+ */
+function createEventProtocol(config = {}) {
+  return createBus({ ...config, compileSchema: config.compileSchema || compileJsonSchema });
+}
+
+export {
+  createEventProtocol,
+  compileJsonSchema
+};
@@ -0,0 +1 @@
+export * from './event-log.js';
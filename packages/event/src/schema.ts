@@ -0,0 +1 @@
+export * from './event-schema.js';
\ No newline at end of file
@@ -1,11 +1,12 @@
 import { defineConfig } from 'tsup';
 
 export default defineConfig({
-  entry: ['src/index.ts'],
+  entry: ['src/index.ts', 'src/log.ts', 'src/pii.ts', 'src/schema.ts'],
   format: ['cjs', 'esm'],
   dts: true,
   splitting: true,
   clean: true,
   treeshake: true,
   minify: true,
+  noExternal: ['@cpms/core']
 });
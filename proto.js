@@ -10,17 +10,26 @@ import fs from 'fs';
 import path from 'path';
 
 // Import protocol implementations (prefer workspace package, fall back to local zero-dep file)
-import { createDataProtocol as localCreateDataProtocol } from './data_protocol_v_1_1_1.js';
+import { createDataProtocol as localCreateDataProtocol, generateAvro as generateDataAvro, importAvro as importDataAvro } from './data_protocol_v_1_1_1.js';
 import { createAgentProtocol as localCreateAgentProtocol } from './agent_protocol_v_1_1_1.js';
-import { createApiProtocol as localCreateApiProtocol } from './api_protocol_v_1_1_1.js';
-import { createEventProtocol as localCreateEventProtocol } from './event_protocol_v_1_1_1.js';
+import { createApiProtocol as localCreateApiProtocol, importOpenApi as localImportOpenApi } from './api_protocol_v_1_1_1.js';
 import { createSemanticProtocol as localCreateSemanticProtocol } from './Semantic Protocol — v3.2.0.js';
+// @cpms/event publishes the runtime event bus, so event manifests always use the local protocol file
+import { createEventProtocol, generateAsyncApi, importAsyncApi, generateAvro as generateEventAvro, importAvro as importEventAvro } from './event_protocol_v_1_1_1.js';
+import { createCatalogSystem as localCreateCatalogSystem } from './catalog_system_v_1_1_1.js';
+import { createMockServer as localCreateMockServer } from './api-mock-server.js';
+import { checkConformance as localCheckConformance } from './api-conformance.js';
+import { sign, verify, checkSignature } from './signing.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
 
 let createDataProtocol = localCreateDataProtocol;
 let createAgentProtocol = localCreateAgentProtocol;
 let createApiProtocol = localCreateApiProtocol;
-let createEventProtocol = localCreateEventProtocol;
+let importOpenApi = localImportOpenApi;
 let createSemanticProtocol = localCreateSemanticProtocol;
+let createCatalogSystem = localCreateCatalogSystem;
+let createMockServer = localCreateMockServer;
+let checkConformance = localCheckConformance;
 
 try {
   const dataProtocolModule = await import('@cpms/data');
@@ -49,6 +58,12 @@ try {
   if (apiProtocolModule?.createApiProtocol) {
     createApiProtocol = apiProtocolModule.createApiProtocol;
   }
+  if (apiProtocolModule?.importOpenApi) {
+    importOpenApi = apiProtocolModule.importOpenApi;
+  }
+  if (apiProtocolModule?.checkConformance) {
+    checkConformance = apiProtocolModule.checkConformance;
+  }
 } catch (error) {
   if (process?.env?.PROTO_DEBUG === '1') {
     console.warn('[proto-cli] fallback to local api protocol implementation:', error.message);
@@ -56,13 +71,13 @@ try {
 }
 
 try {
-  const eventProtocolModule = await import('@cpms/event');
-  if (eventProtocolModule?.createEventProtocol) {
-    createEventProtocol = eventProtocolModule.createEventProtocol;
+  const apiMockModule = await import('@cpms/api/mock');
+  if (apiMockModule?.createMockServer) {
+    createMockServer = apiMockModule.createMockServer;
   }
 } catch (error) {
   if (process?.env?.PROTO_DEBUG === '1') {
-    console.warn('[proto-cli] fallback to local event protocol implementation:', error.message);
+    console.warn('[proto-cli] fallback to local api mock server implementation:', error.message);
   }
 }
 
@@ -77,6 +92,24 @@ try {
   }
 }
 
+try {
+  const catalogModule = await import('@cpms/catalog');
+  if (catalogModule?.createCatalogSystem) {
+    createCatalogSystem = catalogModule.createCatalogSystem;
+  }
+} catch (error) {
+  if (process?.env?.PROTO_DEBUG === '1') {
+    console.warn('[proto-cli] fallback to local catalog system implementation:', error.message);
+  }
+}
+
+const PROTOCOL_TYPES = ['data', 'event', 'api', 'agent', 'semantic'];
+const IMPORT_FORMATS = ['openapi', 'asyncapi', 'avro'];
+const AVRO_TYPES = ['event', 'data'];
+const FAIL_ON_LEVELS = ['breaking', 'significant'];
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+const MANIFEST_EXTENSIONS = ['.json', ...YAML_EXTENSIONS];
+
 /**
  * CLI Argument Parser
  * @param {string[]} args - Process arguments (process.argv.slice(2))
@@ -98,8 +131,8 @@ function parseArgs(args) {
   result.command = args[0];
   let i = 1;
 
-  // Handle commands with subcommands (generate, query, graph)
-  if ((result.command === 'generate' || result.command === 'query' || result.command === 'graph') && args.length > 1) {
+  // Handle commands with subcommands (generate, query, graph, import)
+  if (['generate', 'query', 'graph', 'import'].includes(result.command) && args.length > 1) {
     result.subcommand = args[1];
     i = 2;
   }
@@ -118,6 +151,9 @@ function parseArgs(args) {
       } else {
         result.options[key] = true;
       }
+    } else if (result.command === 'import' && result.options.spec === undefined) {
+      // proto import <format> <file>
+      result.options.spec = arg;
     } else {
       result.errors.push(`Unexpected argument: ${arg}`);
     }
@@ -127,9 +163,52 @@ function parseArgs(args) {
   return result;
 }
 
+/**
+ * Whether a path names a YAML file
+ * @param {string} filePath - File path
+ * @returns {boolean} True for .yaml/.yml
+ */
+function isYamlFile(filePath) {
+  return YAML_EXTENSIONS.includes(path.extname(String(filePath)).toLowerCase());
+}
+
+/**
+ * Parse manifest file content, choosing YAML or JSON from the file extension
+ * @param {string} content - File content
+ * @param {string} filePath - Path the content was read from
+ * @returns {Object} Parsed manifest
+ */
+function parseManifestContent(content, filePath) {
+  if (isYamlFile(filePath)) {
+    try {
+      return parseYaml(content);
+    } catch (error) {
+      throw new Error(`Invalid YAML in manifest file: ${error.message}`);
+    }
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in manifest file: ${error.message}`);
+  }
+}
+
+/**
+ * Serialize a manifest for writing, as YAML when the target is .yaml/.yml
+ * @param {Object} manifest - Manifest to serialize
+ * @param {string} [filePath] - Target path (JSON when omitted)
+ * @returns {string} Serialized manifest with trailing newline
+ */
+function serializeManifest(manifest, filePath) {
+  return filePath && isYamlFile(filePath)
+    ? stringifyYaml(manifest)
+    : JSON.stringify(manifest, null, 2) + '\n';
+}
+
 /**
  * Load manifest from file
- * @param {string} filePath - Path to manifest file
+ * @param {string} filePath - Path to manifest file (JSON, or YAML by extension)
  * @returns {Object} Parsed manifest
  */
 function loadManifest(filePath) {
@@ -143,33 +222,328 @@ function loadManifest(filePath) {
   }
 
   const content = fs.readFileSync(fullPath, 'utf8');
-  
-  try {
-    return JSON.parse(content);
-  } catch (error) {
-    throw new Error(`Invalid JSON in manifest file: ${error.message}`);
+  return parseManifestContent(content, fullPath);
+}
+
+/**
+ * Detect the protocol family of a manifest
+ * An explicit type wins, then the manifest's own `type`/URN, then its top-level keys
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} [explicitType] - Type passed via --type
+ * @returns {string} One of data, event, api, agent, semantic
+ */
+function detectManifestType(manifest, explicitType) {
+  if (explicitType) {
+    const type = String(explicitType).toLowerCase();
+    if (!PROTOCOL_TYPES.includes(type)) {
+      throw new Error(`Unsupported manifest type: ${explicitType}. Supported types: ${PROTOCOL_TYPES.join(', ')}`);
+    }
+    return type;
   }
+
+  const declared = typeof manifest?.type === 'string' ? manifest.type.toLowerCase() : '';
+  if (PROTOCOL_TYPES.includes(declared)) return declared;
+
+  const urnType = typeof manifest?.urn === 'string' ? manifest.urn.match(/^urn:proto:([a-z]+):/)?.[1] : null;
+  if (urnType && PROTOCOL_TYPES.includes(urnType)) return urnType;
+
+  if (manifest?.dataset) return 'data';
+  if (manifest?.event) return 'event';
+  if (manifest?.api) return 'api';
+  if (manifest?.agent) return 'agent';
+  if (manifest?.element || manifest?.context?.protocolBindings) return 'semantic';
+
+  // Historical default: anything else is treated as a dataset manifest
+  return 'data';
 }
 
 /**
  * Normalize manifest shape before validation
  * @param {Object} manifest - Raw manifest object
+ * @param {string} type - Detected protocol type
  * @returns {Object} Prepared manifest
  */
-function prepareManifestForValidation(manifest) {
+function prepareManifestForValidation(manifest, type) {
   const copy = JSON.parse(JSON.stringify(manifest));
-  const type = (copy.type || '').toLowerCase();
-  
+
   if (type === 'agent') {
     copy.agent = copy.agent || {};
     copy.agent.id = copy.agent.id || copy.id || copy.urn || copy.name || 'agent';
     copy.agent.name = copy.agent.name || copy.name || copy.agent.id;
     copy.agent.version = copy.agent.version || copy.version;
   }
-  
+
   return copy;
 }
 
+/**
+ * Instantiate the protocol matching a manifest type
+ * @param {Object} manifest - Manifest object
+ * @param {string} type - Protocol type
+ * @returns {Object} Protocol instance
+ */
+function createProtocolForManifest(manifest, type) {
+  const factories = {
+    data: createDataProtocol,
+    event: createEventProtocol,
+    api: createApiProtocol,
+    agent: createAgentProtocol,
+    semantic: createSemanticProtocol
+  };
+
+  return factories[type](manifest);
+}
+
+/**
+ * Convert a protocol validation result into the CLI issue format
+ * Protocols disagree on issue keys (semantic uses `p`), so every issue is
+ * reshaped to {path, msg, level}
+ * @param {Object} protocolResult - Result of protocol.validate()
+ * @param {string} type - Protocol type
+ * @returns {Object} CLI validation result
+ */
+function toCliValidationResult(protocolResult, type) {
+  const validatorResults = (protocolResult.results || []).map(validatorResult => ({
+    name: validatorResult.name,
+    ok: validatorResult.ok,
+    issues: (validatorResult.issues || []).map(issue => ({
+      path: issue.path ?? issue.p ?? '',
+      msg: issue.msg ?? issue.message ?? 'invalid',
+      level: issue.level || 'error'
+    }))
+  }));
+
+  const errors = [];
+  validatorResults.forEach(validatorResult => {
+    if (!validatorResult.ok) {
+      validatorResult.issues.forEach(issue => {
+        errors.push(`${issue.path}: ${issue.msg}`);
+      });
+    }
+  });
+
+  return {
+    type,
+    valid: protocolResult.ok,
+    validatorResults,
+    errors
+  };
+}
+
+/**
+ * Build a machine-readable diff report from a protocol diff result
+ * Every change is tagged breaking, significant or compatible with a reason;
+ * protocol findings that do not map onto a single change are kept as entries.
+ * API contract findings (which carry a `location`) also cover the changes beneath them.
+ * @param {Object} diffResult - Result of protocol.diff() ({changes, breaking, significant, contract?, bump?})
+ * @param {string} type - Protocol type used for the diff
+ * @param {string} [failOn] - Gate level: breaking or significant
+ * @returns {Object} Diff report
+ */
+function buildDiffReport(diffResult, type, failOn) {
+  const breaking = diffResult.breaking || [];
+  const significant = diffResult.significant || [];
+  const covers = (change, finding) =>
+    change.path === '*' || finding.path === change.path || String(finding.path).startsWith(`${change.path}.`) ||
+    (finding.location !== undefined && String(change.path).startsWith(`${finding.path}.`));
+  const matched = new Set();
+
+  const reasonsFor = (change, findings) => {
+    const reasons = [];
+    findings.forEach(finding => {
+      if (!covers(change, finding)) return;
+      matched.add(finding);
+      const reason = finding.reason || `${String(finding.path).split('.')[0]} changed`;
+      if (!reasons.includes(reason)) reasons.push(reason);
+    });
+    return reasons;
+  };
+
+  const changes = (diffResult.changes || []).map(change => {
+    const breakingReasons = reasonsFor(change, breaking);
+    const significantReasons = reasonsFor(change, significant);
+    let classification = 'compatible';
+    let reasons = breakingReasons;
+    if (breakingReasons.length) {
+      classification = 'breaking';
+    } else if (significantReasons.length) {
+      classification = 'significant';
+      reasons = significantReasons;
+    } else {
+      reasons = [change.from === undefined ? 'added' : change.to === undefined ? 'removed' : 'changed'];
+    }
+    return { path: change.path, from: change.from, to: change.to, classification, reason: reasons.join('; ') };
+  });
+
+  [['breaking', breaking], ['significant', significant]].forEach(([classification, findings]) => {
+    findings.filter(finding => !matched.has(finding)).forEach(finding => {
+      changes.push({
+        path: finding.path,
+        from: finding.from,
+        to: finding.to,
+        classification,
+        reason: finding.reason || `${String(finding.path).split('.')[0]} changed`
+      });
+    });
+  });
+
+  const count = classification => changes.filter(change => change.classification === classification).length;
+  const summary = {
+    total: changes.length,
+    breaking: count('breaking'),
+    significant: count('significant'),
+    compatible: count('compatible')
+  };
+
+  let failed = false;
+  if (failOn === 'breaking') failed = summary.breaking > 0;
+  if (failOn === 'significant') failed = summary.breaking + summary.significant > 0;
+
+  const report = {
+    type,
+    changes,
+    breaking,
+    significant,
+    summary,
+    failOn: failOn || null,
+    failed
+  };
+  if (diffResult.contract) report.contract = diffResult.contract;
+  if (diffResult.bump) report.bump = diffResult.bump;
+  return report;
+}
+
+/**
+ * Replace the protocol's key-less signature.envelope result with the full
+ * check (adds the sha-256 digest) when the manifest carries `sig`
+ * @param {Object} protocolResult - Result of protocol.validate()
+ * @param {Object} manifest - Raw manifest as loaded from disk
+ * @returns {Object} Protocol result including signature.envelope
+ */
+function withSignatureCheck(protocolResult, manifest) {
+  if (!manifest?.sig) {
+    return protocolResult;
+  }
+
+  const signatureResult = checkSignature(manifest);
+  const results = (protocolResult.results || []).filter(r => r.name !== 'signature.envelope');
+  return {
+    ok: results.every(r => r.ok) && signatureResult.ok,
+    results: [...results, { name: 'signature.envelope', ...signatureResult }]
+  };
+}
+
+/**
+ * Load key material for sign/verify
+ * PEM files are passed through; JSON files are read as a JWK or a keyring
+ * @param {string} filePath - Path to key or keyring file
+ * @returns {string|Object} PEM string, JWK, or keyring object (kid -> key)
+ */
+function loadKeyFile(filePath) {
+  const fullPath = path.resolve(filePath);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Key file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(fullPath, 'utf8');
+  if (content.trim().startsWith('{')) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in key file: ${error.message}`);
+    }
+  }
+  return content;
+}
+
+/**
+ * Recursively list manifest files under a directory
+ * Hidden directories and node_modules are skipped
+ * @param {string} dirPath - Directory to scan
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function findManifestFiles(dirPath) {
+  const files = [];
+  const walk = current => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (MANIFEST_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+  };
+  walk(dirPath);
+  return files.sort();
+}
+
+/**
+ * Load every manifest in a directory tree into a catalog and analyze it
+ * @param {string} dirPath - Manifest directory
+ * @returns {Object} Catalog report (summary, entities, validation, cycles, governance, relationships)
+ */
+function buildCatalogReport(dirPath) {
+  const fullPath = path.resolve(dirPath);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Manifest directory not found: ${dirPath}`);
+  }
+
+  const entities = [];
+  const skipped = [];
+  const items = [];
+
+  for (const filePath of findManifestFiles(fullPath)) {
+    const file = path.relative(fullPath, filePath);
+    let rawManifest;
+    try {
+      rawManifest = parseManifestContent(fs.readFileSync(filePath, 'utf8'), filePath);
+    } catch (error) {
+      skipped.push({ file, reason: error.message });
+      continue;
+    }
+    if (!rawManifest || typeof rawManifest !== 'object' || Array.isArray(rawManifest)) {
+      skipped.push({ file, reason: 'not a manifest object' });
+      continue;
+    }
+
+    const type = detectManifestType(rawManifest);
+    const manifest = prepareManifestForValidation(rawManifest, type);
+    const protocol = createProtocolForManifest(manifest, type);
+    const validation = toCliValidationResult(withSignatureCheck(protocol.validate(), rawManifest), type);
+
+    items.push(protocol);
+    entities.push({
+      file,
+      type,
+      urn: rawManifest.urn || null,
+      name: manifest.dataset?.name || manifest.api?.name || manifest.event?.name || manifest.agent?.name || manifest.name || null,
+      valid: validation.valid,
+      issues: validation.validatorResults.flatMap(result => result.issues)
+    });
+  }
+
+  const catalog = createCatalogSystem(items);
+  const systemReport = catalog.generateSystemReport();
+  const governance = catalog.analyzePIIGovernance();
+
+  return {
+    manifestDir: dirPath,
+    summary: {
+      ...systemReport.summary,
+      governanceValid: governance.every(check => check.valid)
+    },
+    entities,
+    skipped,
+    validation: systemReport.validation,
+    cycles: catalog.detectCycles(),
+    governance,
+    relationships: systemReport.relationships,
+    urns: systemReport.urns
+  };
+}
+
 /**
  * Format output based on format option
  * @param {*} data - Data to output
@@ -200,242 +574,962 @@ function formatOutput(data, format = 'text') {
       return formatMigrationResult(data);
     }
   }
-  
-  return JSON.stringify(data, null, 2);
+  
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Format validation result for text output
+ * @param {Object} result - Validation result from protocol
+ * @returns {string} Formatted text
+ */
+function formatValidationResult(result) {
+  const lines = [];
+  
+  // Handle both protocol format (ok/results) and expected format (valid/errors)
+  const isValid = result.valid !== undefined ? result.valid : result.ok;
+  const validatorResults = result.validatorResults || result.results;
+  
+  if (isValid) {
+    lines.push('✓ Manifest is valid');
+  } else {
+    lines.push('✗ Manifest validation failed');
+  }
+
+  if (result.type) {
+    lines.push(`  Protocol: ${result.type}`);
+  }
+  
+  if (result.errors && result.errors.length > 0) {
+    lines.push('');
+    lines.push('Errors:');
+    result.errors.forEach(error => {
+      lines.push(`  - ${error}`);
+    });
+  }
+  
+  if (validatorResults) {
+    lines.push('');
+    lines.push('Validator Results:');
+    validatorResults.forEach(validatorResult => {
+      const name = validatorResult.name || 'unknown';
+      const status = validatorResult.ok || validatorResult.valid ? '✓' : '✗';
+      lines.push(`  ${status} ${name}`);
+      
+      if (validatorResult.issues && validatorResult.issues.length > 0) {
+        validatorResult.issues.forEach(issue => {
+          const level = issue.level || 'error';
+          lines.push(`    - ${issue.path}: ${issue.msg} [${level}]`);
+        });
+      }
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format diff result for text output
+ * @param {Object} result - Diff result
+ * @returns {string} Formatted text
+ */
+function formatDiffResult(result) {
+  const lines = [];
+
+  if (result.type) {
+    lines.push(`Protocol: ${result.type}`);
+    lines.push('');
+  }
+  
+  if (result.changes && result.changes.length > 0) {
+    lines.push(`Found ${result.changes.length} change(s):`);
+    lines.push('');
+    
+    result.changes.forEach(change => {
+      const path = change.path || 'unknown';
+      const from = change.from !== undefined ? JSON.stringify(change.from) : '(undefined)';
+      const to = change.to !== undefined ? JSON.stringify(change.to) : '(undefined)';
+      const tag = change.classification ? ` [${change.classification}]` : '';
+      lines.push(`  ${path}:${tag}`);
+      lines.push(`    from: ${from}`);
+      lines.push(`    to:   ${to}`);
+    });
+  } else {
+    lines.push('No changes detected');
+  }
+  
+  if (result.breaking && result.breaking.length > 0) {
+    lines.push('');
+    lines.push(`⚠️  ${result.breaking.length} breaking change(s):`);
+    result.breaking.forEach(breaking => {
+      const where = breaking.endpoint
+        ? `${breaking.endpoint} [${breaking.location}${breaking.field ? ` ${breaking.field}` : ''}]`
+        : breaking.path;
+      lines.push(`  - ${where}: ${breaking.reason}`);
+    });
+  }
+
+  const additive = (result.contract || []).filter(finding => finding.classification === 'additive');
+  if (additive.length > 0) {
+    lines.push('');
+    lines.push(`➕ ${additive.length} additive change(s):`);
+    additive.forEach(finding => {
+      lines.push(`  - ${finding.endpoint} [${finding.location}${finding.field ? ` ${finding.field}` : ''}]: ${finding.reason}`);
+    });
+  }
+  
+  if (result.significant && result.significant.length > 0) {
+    lines.push('');
+    lines.push(`ℹ️  ${result.significant.length} significant change(s):`);
+    result.significant.forEach(sig => {
+      lines.push(`  - ${sig.path}`);
+    });
+  }
+
+  if (result.bump) {
+    lines.push('');
+    lines.push(`Suggested version bump: ${result.bump}`);
+  }
+
+  if (result.failOn) {
+    lines.push('');
+    lines.push(result.failed
+      ? `✗ Diff gate failed (--fail-on=${result.failOn})`
+      : `✓ Diff gate passed (--fail-on=${result.failOn})`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format signature verification result for text output
+ * @param {Object} result - Result of verify()
+ * @returns {string} Formatted text
+ */
+function formatVerificationResult(result) {
+  const lines = [];
+
+  if (result.valid) {
+    lines.push(`✓ Signature is valid (kid: ${result.kid}, alg: ${result.alg})`);
+  } else {
+    lines.push('✗ Signature verification failed');
+  }
+
+  (result.issues || []).forEach(issue => {
+    lines.push(`  - ${issue.path}: ${issue.msg} [${issue.level}]`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Format catalog report for text output
+ * @param {Object} report - Catalog report from buildCatalogReport()
+ * @returns {string} Formatted text
+ */
+function formatCatalogReport(report) {
+  const lines = [];
+  const { summary } = report;
+
+  lines.push(`${summary.valid && summary.governanceValid ? '✓' : '✗'} System catalog: ${report.manifestDir}`);
+  lines.push(`  Entities: ${summary.totalEntities}  Relationships: ${summary.relationshipsFound}  Cycles: ${summary.cyclesDetected}`);
+
+  lines.push('');
+  lines.push('Entities:');
+  report.entities.forEach(entity => {
+    const status = entity.valid ? '✓' : '✗';
+    lines.push(`  ${status} [${entity.type}] ${entity.urn || entity.name || '(unnamed)'} (${entity.file})`);
+    entity.issues.forEach(issue => {
+      lines.push(`    - ${issue.path}: ${issue.msg} [${issue.level}]`);
+    });
+  });
+
+  lines.push('');
+  if (report.cycles.length > 0) {
+    lines.push(`Cycles (${report.cycles.length}):`);
+    report.cycles.forEach(cycle => lines.push(`  - ${cycle.join(' -> ')}`));
+  } else {
+    lines.push('Cycles: none detected');
+  }
+
+  lines.push('');
+  if (report.governance.length > 0) {
+    lines.push('PII Governance:');
+    report.governance.forEach(check => {
+      lines.push(`  ${check.valid ? '✓' : '✗'} ${check.type} ${check.urn} (${check.piiFields} PII field(s))`);
+    });
+  } else {
+    lines.push('PII Governance: no PII fields found');
+  }
+
+  if (report.skipped.length > 0) {
+    lines.push('');
+    lines.push('Skipped:');
+    report.skipped.forEach(skip => lines.push(`  - ${skip.file}: ${skip.reason}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format catalog report as Markdown
+ * @param {Object} report - Catalog report from buildCatalogReport()
+ * @returns {string} Markdown document
+ */
+function formatCatalogMarkdown(report) {
+  const lines = [];
+  const { summary } = report;
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+
+  lines.push(`# System Catalog Report`);
+  lines.push('');
+  lines.push(`- **Directory:** \`${report.manifestDir}\``);
+  lines.push(`- **Status:** ${summary.valid ? 'valid' : 'invalid'}`);
+  lines.push(`- **PII governance:** ${summary.governanceValid ? 'passing' : 'failing'}`);
+  lines.push(`- **Entities:** ${summary.totalEntities}`);
+  lines.push(`- **Relationships:** ${summary.relationshipsFound}`);
+  lines.push(`- **Cycles:** ${summary.cyclesDetected}`);
+
+  lines.push('');
+  lines.push('## Entities');
+  lines.push('');
+  lines.push('| Type | URN | File | Valid | Issues |');
+  lines.push('| --- | --- | --- | --- | --- |');
+  report.entities.forEach(entity => {
+    const issues = entity.issues.map(issue => `${issue.path}: ${issue.msg}`).join('<br>');
+    lines.push(`| ${entity.type} | ${cell(entity.urn || entity.name)} | ${cell(entity.file)} | ${entity.valid ? '✓' : '✗'} | ${cell(issues)} |`);
+  });
+
+  lines.push('');
+  lines.push('## Cycles');
+  lines.push('');
+  if (report.cycles.length > 0) {
+    report.cycles.forEach(cycle => lines.push(`- ${cycle.map(urn => `\`${urn}\``).join(' → ')}`));
+  } else {
+    lines.push('No cycles detected.');
+  }
+
+  lines.push('');
+  lines.push('## PII Governance');
+  lines.push('');
+  if (report.governance.length > 0) {
+    lines.push('| Check | URN | PII Fields | Valid |');
+    lines.push('| --- | --- | --- | --- |');
+    report.governance.forEach(check => {
+      lines.push(`| ${check.type} | ${cell(check.urn)} | ${check.piiFields} | ${check.valid ? '✓' : '✗'} |`);
+    });
+  } else {
+    lines.push('No PII fields found.');
+  }
+
+  if (report.skipped.length > 0) {
+    lines.push('');
+    lines.push('## Skipped Files');
+    lines.push('');
+    report.skipped.forEach(skip => lines.push(`- \`${skip.file}\`: ${skip.reason}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format migration result for text output
+ * @param {Object} result - Migration result
+ * @returns {string} Formatted text
+ */
+function formatMigrationResult(result) {
+  const lines = [];
+  
+  if (result.steps && result.steps.length > 0) {
+    lines.push('Migration Steps:');
+    lines.push('');
+    result.steps.forEach((step, index) => {
+      lines.push(`${index + 1}. ${step}`);
+    });
+  } else {
+    lines.push('No migration steps required');
+  }
+  
+  if (result.notes && result.notes.length > 0) {
+    lines.push('');
+    lines.push('Notes:');
+    result.notes.forEach(note => {
+      lines.push(`  - ${note}`);
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Show help message
+ */
+function showHelp() {
+  const help = `
+Cross-Protocol Manifest System CLI
+
+Usage:
+  proto <command> [options]
+
+Commands:
+  validate              Validate a manifest file
+  diff                  Compare two manifests
+  generate migration    Generate migration script between manifests
+  generate asyncapi     Generate an AsyncAPI document from the event manifests in a directory
+  generate avro         Generate an Avro record schema (.avsc) from an event or data manifest
+  query                 Search manifests using query DSL
+  graph                 Generate graph visualization of protocol relationships
+  convert               Convert a manifest between JSON and YAML (key order preserved)
+  import openapi <file> Import an OpenAPI 3.x document (JSON or YAML) as an API manifest
+  import asyncapi <file> Import an AsyncAPI 2.x/3.x document as event manifests (one per message)
+  import avro <file>    Import an Avro record schema (.avsc) as an event or data manifest
+  mock                  Serve an API manifest as a mock HTTP server (Ctrl+C to stop)
+  conform               Check recorded HAR traffic against an API manifest
+  catalog               Load a manifest directory tree and report system health
+  sign                  Attach an identity-access.signing.v1 envelope to a manifest
+  verify                Verify a manifest's signature envelope
+
+Options:
+  --manifest=<file>     Path to manifest file (JSON, or YAML for .yaml/.yml)
+  --from=<file>         Source manifest file for diff/migration
+  --to=<file>           Target manifest file for diff/migration
+  --format=<format>     Output format: json, text, table (default: text)
+  --type=<protocol>     Manifest family for validate/diff (data, event, api, agent, semantic; default: auto-detect)
+  --fail-on=<level>     Exit 2 from diff on breaking, or on breaking+significant, changes
+  --help                Show this help message
+
+Query Options:
+  --manifest-dir=<path> Directory containing manifests (default: ./manifests)
+  --type=<protocol>     Filter by protocol type (data, event, api, agent, semantic)
+  --limit=N            Limit results (default: 10)
+
+Convert Options:
+  --to=yaml|json        Target format
+  --output=<file>       Write the converted manifest to file instead of stdout
+
+Import Options:
+  --name=<name>         api.name for the imported manifest (default: slug of info.title)
+  --output=<file>       Write the manifest to file (YAML for .yaml/.yml) instead of stdout
+  --format=json         Print {manifest, unmapped} (asyncapi: {manifests, unmapped}) as JSON
+  --output-dir=<dir>    asyncapi: write one <event.name>.json manifest per message
+  --type=event|data     avro: manifest family to import as (default: event)
+
+AsyncAPI Options:
+  --manifest-dir=<path> Directory tree of event manifests (default: ./manifests)
+  --asyncapi=2.6.0|3.0.0  Target AsyncAPI version (default: 3.0.0)
+  --title=<title>       info.title of the document
+  --output=<file>       Write the document to file (YAML for .yaml/.yml) instead of stdout
+
+Avro Options:
+  --manifest=<file>     Event or data manifest to describe
+  --namespace=<ns>      Avro namespace (default: dotted prefix of event.name / dataset.name)
+  --output=<file>       Write the .avsc to file instead of stdout
+
+Mock Options:
+  --port=N              Port to listen on (default: 4010, 0 picks a free port)
+  --no-validate         Answer requests without validating them against the manifest
+
+Conform Options:
+  --har=<file>          HAR 1.2 capture to replay against --manifest
+  --base-path=<path>    Prefix to strip from recorded paths (server URL paths are tried too)
+  --format=text|json    Output format (default: text)
+
+Catalog Options:
+  --manifest-dir=<path> Directory tree of manifests (default: ./manifests)
+  --format=text|json|markdown  Output format (default: text)
+  --output=<file>       Write the report to file instead of stdout
+
+Signing Options:
+  --key=<file>          Private key (sign) or public key (verify), PEM or JWK
+  --kid=<id>            Key id recorded in the signature header (sign)
+  --alg=EdDSA|ES256     Signature algorithm (default: EdDSA)
+  --exp=<timestamp>     Signature expiry, ISO 8601 (sign)
+  --keyring=<file>      JSON object of kid -> public key (verify)
+  --output=<file>       Write the signed manifest to file instead of stdout
+
+Graph Options:
+  --format=mermaid|json|dot  Output format (default: mermaid)
+  --depth=N           Traversal depth (default: 3)
+  --show-dependencies Show inter-mission dependencies
+  --show-urns         Show all URN references
+  --output=<file>     Write to file instead of stdout
+
+Examples:
+  proto validate --manifest=dataset.json
+  proto validate --manifest=payments-api.json --type=api
+  proto diff --from=v1.json --to=v2.json --format=json
+  proto diff --from=events-v1.json --to=events-v2.json --fail-on=breaking
+  proto generate migration --from=v1.json --to=v2.json
+  proto query 'governance.policy.classification:=:pii'
+  proto query 'agent.capabilities.tools:contains:refund' --type=agent
+  proto graph manifests/agent/support.json --format=mermaid
+  proto graph manifests/data/users.json --show-dependencies --depth=2
+  proto convert --manifest=dataset.json --to=yaml --output=dataset.yaml
+  proto import openapi petstore.yaml --output=petstore-api.json
+  proto import asyncapi events.yaml --output-dir=manifests/event
+  proto generate asyncapi --manifest-dir=manifests --asyncapi=2.6.0 --output=asyncapi.yaml
+  proto generate avro --manifest=payment-completed.json --output=payment-completed.avsc
+  proto import avro user_events.avsc --type=data --output=user-events.json
+  proto mock --manifest=payments-api.json --port=4010
+  proto conform --manifest=payments-api.json --har=staging.har
+  proto catalog --manifest-dir=./manifests --format=markdown --output=catalog.md
+  proto sign --manifest=dataset.json --key=ed25519.pem --kid=release-2025 --output=dataset.signed.json
+  proto verify --manifest=dataset.signed.json --keyring=keys.json
+
+Exit Codes:
+  0 - Success
+  1 - General error
+  2 - Validation failed (signature verification failed, diff --fail-on gate tripped, catalog invalid, or traffic nonconformant)
+  3 - File not found
+  4 - Invalid manifest format
+`;
+  
+  console.log(help);
+}
+
+/**
+ * Validate command handler
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
+ */
+async function handleValidate(parsed) {
+  const { options } = parsed;
+  
+  if (!options.manifest) {
+    console.error('Error: --manifest option is required');
+    return 1;
+  }
+  
+  if (options.type && !PROTOCOL_TYPES.includes(String(options.type).toLowerCase())) {
+    console.error(`Error: Unsupported manifest type: ${options.type}. Supported types: ${PROTOCOL_TYPES.join(', ')}`);
+    return 1;
+  }
+
+  try {
+    const rawManifest = loadManifest(options.manifest);
+    const type = detectManifestType(rawManifest, options.type);
+    const manifest = prepareManifestForValidation(rawManifest, type);
+    const protocol = createProtocolForManifest(manifest, type);
+    const protocolResult = withSignatureCheck(await protocol.validate(), rawManifest);
+
+    // Convert protocol result format to CLI format
+    const cliResult = toCliValidationResult(protocolResult, type);
+
+    const output = formatOutput(cliResult, options.format || 'text');
+    console.log(output);
+    
+    return cliResult.valid ? 0 : 2;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Diff command handler
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
+ */
+async function handleDiff(parsed) {
+  const { options } = parsed;
+  
+  if (!options.from || !options.to) {
+    console.error('Error: Both --from and --to options are required');
+    return 1;
+  }
+
+  if (options['fail-on'] !== undefined && !FAIL_ON_LEVELS.includes(options['fail-on'])) {
+    console.error(`Error: Unsupported --fail-on level: ${options['fail-on']}. Supported levels: ${FAIL_ON_LEVELS.join(', ')}`);
+    return 1;
+  }
+
+  if (options.type && !PROTOCOL_TYPES.includes(String(options.type).toLowerCase())) {
+    console.error(`Error: Unsupported manifest type: ${options.type}. Supported types: ${PROTOCOL_TYPES.join(', ')}`);
+    return 1;
+  }
+  
+  try {
+    const rawA = loadManifest(options.from);
+    const rawB = loadManifest(options.to);
+
+    const type = detectManifestType(rawA, options.type);
+    if (!options.type && detectManifestType(rawB) !== type) {
+      console.error(`Warning: --to looks like a ${detectManifestType(rawB)} manifest; diffing both as ${type}`);
+    }
+
+    const manifestA = prepareManifestForValidation(rawA, type);
+    const manifestB = prepareManifestForValidation(rawB, type);
+    const protocolA = createProtocolForManifest(manifestA, type);
+    const report = buildDiffReport(protocolA.diff(manifestB), type, options['fail-on']);
+    
+    const output = formatOutput(report, options.format);
+    console.log(output);
+    
+    return report.failed ? 2 : 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Convert command handler
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
+ */
+async function handleConvert(parsed) {
+  const { options } = parsed;
+
+  if (!options.manifest || !options.to) {
+    console.error('Error: --manifest and --to options are required');
+    return 1;
+  }
+
+  if (!['yaml', 'json'].includes(options.to)) {
+    console.error(`Error: Unsupported --to format: ${options.to}. Supported formats: yaml, json`);
+    return 1;
+  }
+
+  try {
+    const manifest = loadManifest(options.manifest);
+    const output = options.to === 'yaml'
+      ? stringifyYaml(manifest)
+      : JSON.stringify(manifest, null, 2) + '\n';
+
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), output);
+      console.log(`✓ Converted ${options.manifest} to ${options.to}: ${options.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Import command handler
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
+ */
+async function handleImport(parsed) {
+  const { subcommand, options } = parsed;
+
+  if (!IMPORT_FORMATS.includes(subcommand)) {
+    console.error(`Error: Unknown import format: ${subcommand}. Supported formats: ${IMPORT_FORMATS.join(', ')}`);
+    return 1;
+  }
+  if (!options.spec) {
+    console.error(`Error: a document is required (proto import ${subcommand} <file>)`);
+    return 1;
+  }
+
+  if (subcommand === 'asyncapi') {
+    return importAsyncApiDocument(options);
+  }
+  if (subcommand === 'avro') {
+    return importAvroSchema(options);
+  }
+
+  try {
+    const spec = loadManifest(options.spec);
+    const { manifest, unmapped } = importOpenApi(spec, { name: options.name });
+
+    if (options.format === 'json') {
+      const output = JSON.stringify({ manifest, unmapped }, null, 2);
+      if (options.output) {
+        fs.writeFileSync(path.resolve(options.output), output + '\n');
+      } else {
+        console.log(output);
+      }
+      return 0;
+    }
+
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), serializeManifest(manifest, options.output));
+      console.log(`✓ Imported ${options.spec} → ${options.output} (${Object.keys(manifest.endpoints.paths).length} paths)`);
+    } else {
+      process.stdout.write(serializeManifest(manifest));
+    }
+
+    // Keep stdout a clean manifest; the mapping report goes to stderr
+    if (unmapped.length) {
+      console.error(`⚠ ${unmapped.length} construct(s) could not be mapped:`);
+      for (const item of unmapped) {
+        console.error(`  ${item.pointer}: ${item.reason}`);
+      }
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Import an AsyncAPI document as event manifests
+ * @param {Object} options - Parsed options (spec, output-dir, format)
+ * @returns {number} Exit code
+ */
+function importAsyncApiDocument(options) {
+  try {
+    const { manifests, unmapped } = importAsyncApi(loadManifest(options.spec));
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ manifests, unmapped }, null, 2));
+      return 0;
+    }
+
+    if (options['output-dir']) {
+      const dir = path.resolve(options['output-dir']);
+      fs.mkdirSync(dir, { recursive: true });
+      for (const manifest of manifests) {
+        fs.writeFileSync(path.join(dir, `${manifest.event.name.replace(/[^A-Za-z0-9._-]/g, '_')}.json`), serializeManifest(manifest));
+      }
+      console.log(`✓ Imported ${options.spec} → ${options['output-dir']} (${manifests.length} event manifest(s))`);
+    } else {
+      console.log(JSON.stringify(manifests, null, 2));
+    }
+
+    // Keep stdout clean manifests; the mapping report goes to stderr
+    if (unmapped.length) {
+      console.error(`⚠ ${unmapped.length} construct(s) could not be mapped:`);
+      for (const item of unmapped) {
+        console.error(`  ${item.pointer}: ${item.reason}`);
+      }
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Import an Avro record schema as an event or data manifest
+ * @param {Object} options - Parsed options (spec, type, output, format)
+ * @returns {number} Exit code
+ */
+function importAvroSchema(options) {
+  const type = String(options.type || 'event').toLowerCase();
+  if (!AVRO_TYPES.includes(type)) {
+    console.error(`Error: Unsupported Avro import type: ${options.type}. Supported types: ${AVRO_TYPES.join(', ')}`);
+    return 1;
+  }
+
+  try {
+    const { manifest, unmapped } = (type === 'data' ? importDataAvro : importEventAvro)(loadManifest(options.spec));
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ manifest, unmapped }, null, 2));
+      return 0;
+    }
+
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), serializeManifest(manifest, options.output));
+      console.log(`✓ Imported ${options.spec} → ${options.output} (${type} manifest)`);
+    } else {
+      process.stdout.write(serializeManifest(manifest));
+    }
+
+    // Keep stdout a clean manifest; the mapping report goes to stderr
+    if (unmapped.length) {
+      console.error(`⚠ ${unmapped.length} construct(s) could not be mapped:`);
+      for (const item of unmapped) {
+        console.error(`  ${item.pointer}: ${item.reason}`);
+      }
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Generate avro command handler: Avro record schema for an event or data manifest
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
+ */
+async function handleGenerateAvro(parsed) {
+  const { options } = parsed;
+
+  if (!options.manifest) {
+    console.error('Error: --manifest option is required');
+    return 1;
+  }
+
+  try {
+    const manifest = loadManifest(options.manifest);
+    const type = detectManifestType(manifest, options.type);
+    if (!AVRO_TYPES.includes(type)) {
+      console.error(`Error: Avro schemas can be generated for event and data manifests, not ${type}`);
+      return 1;
+    }
+
+    const avsc = (type === 'data' ? generateDataAvro : generateEventAvro)(manifest, { namespace: options.namespace });
+    const output = JSON.stringify(avsc, null, 2) + '\n';
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), output);
+      console.log(`✓ Avro schema ${avsc.namespace ? `${avsc.namespace}.` : ''}${avsc.name} (${avsc.fields.length} fields) written to ${options.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
+}
+
+/**
+ * Generate asyncapi command handler: documents every event manifest in a directory tree
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
+ */
+async function handleGenerateAsyncApi(parsed) {
+  const { options } = parsed;
+  const dirPath = options['manifest-dir'] || './manifests';
+
+  try {
+    const fullPath = path.resolve(dirPath);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Manifest directory not found: ${dirPath}`);
+    }
+
+    const manifests = [];
+    for (const filePath of findManifestFiles(fullPath)) {
+      let manifest;
+      try {
+        manifest = parseManifestContent(fs.readFileSync(filePath, 'utf8'), filePath);
+        if (detectManifestType(manifest) !== 'event') continue;
+      } catch {
+        continue;
+      }
+      manifests.push(manifest);
+    }
+    if (manifests.length === 0) {
+      console.error(`Error: No event manifests found in ${dirPath}`);
+      return 1;
+    }
+
+    const doc = generateAsyncApi(manifests, {
+      asyncapi: options.asyncapi === undefined ? undefined : String(options.asyncapi),
+      title: options.title
+    });
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), serializeManifest(doc, options.output));
+      console.log(`✓ AsyncAPI ${doc.asyncapi} document for ${manifests.length} event(s) written to ${options.output}`);
+    } else {
+      process.stdout.write(serializeManifest(doc));
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
 }
 
 /**
- * Format validation result for text output
- * @param {Object} result - Validation result from protocol
- * @returns {string} Formatted text
+ * Format a traffic conformance report for the terminal
+ * @param {Object} report - Result of checkConformance
+ * @returns {string} Formatted report
  */
-function formatValidationResult(result) {
+function formatConformanceReport(report) {
   const lines = [];
-  
-  // Handle both protocol format (ok/results) and expected format (valid/errors)
-  const isValid = result.valid !== undefined ? result.valid : result.ok;
-  const validatorResults = result.validatorResults || result.results;
-  
-  if (isValid) {
-    lines.push('✓ Manifest is valid');
-  } else {
-    lines.push('✗ Manifest validation failed');
-  }
-  
-  if (result.errors && result.errors.length > 0) {
+  const { summary } = report;
+
+  lines.push(`${report.ok ? '✓' : '✗'} Traffic conformance: ${summary.matched}/${summary.entries} exchange(s) matched a declared operation`);
+
+  const endpoints = Object.entries(report.endpoints);
+  if (endpoints.length > 0) {
     lines.push('');
-    lines.push('Errors:');
-    result.errors.forEach(error => {
-      lines.push(`  - ${error}`);
+    lines.push('Endpoints:');
+    endpoints.forEach(([endpoint, stats]) => {
+      const statuses = Object.entries(stats.statuses).map(([status, count]) => `${status}×${count}`).join(' ');
+      lines.push(`  ${endpoint}: ${stats.calls} call(s) [${statuses}]`);
     });
   }
-  
-  if (validatorResults) {
-    lines.push('');
-    lines.push('Validator Results:');
-    validatorResults.forEach(validatorResult => {
-      const name = validatorResult.name || 'unknown';
-      const status = validatorResult.ok || validatorResult.valid ? '✓' : '✗';
-      lines.push(`  ${status} ${name}`);
-      
-      if (validatorResult.issues && validatorResult.issues.length > 0) {
-        validatorResult.issues.forEach(issue => {
-          const level = issue.level || 'error';
-          lines.push(`    - ${issue.path}: ${issue.msg} [${level}]`);
-        });
-      }
+
+  lines.push('');
+  if (report.findings.length > 0) {
+    lines.push(`Findings (${report.findings.length}):`);
+    report.findings.forEach(finding => {
+      const icon = finding.level === 'error' ? '✗' : '⚠️ ';
+      lines.push(`  ${icon} [${finding.kind}] ${finding.endpoint}: ${finding.msg} (${finding.count} exchange(s), e.g. entry ${finding.entries.join(', ')})`);
     });
+  } else {
+    lines.push('Findings: none');
   }
-  
+
   return lines.join('\n');
 }
 
 /**
- * Format diff result for text output
- * @param {Object} result - Diff result
- * @returns {string} Formatted text
+ * Mock command handler: serves until SIGINT/SIGTERM
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
  */
-function formatDiffResult(result) {
-  const lines = [];
-  
-  if (result.changes && result.changes.length > 0) {
-    lines.push(`Found ${result.changes.length} change(s):`);
-    lines.push('');
-    
-    result.changes.forEach(change => {
-      const path = change.path || 'unknown';
-      const from = change.from !== undefined ? JSON.stringify(change.from) : '(undefined)';
-      const to = change.to !== undefined ? JSON.stringify(change.to) : '(undefined)';
-      lines.push(`  ${path}:`);
-      lines.push(`    from: ${from}`);
-      lines.push(`    to:   ${to}`);
-    });
-  } else {
-    lines.push('No changes detected');
+async function handleMock(parsed) {
+  const { options } = parsed;
+
+  if (!options.manifest) {
+    console.error('Error: --manifest option is required');
+    return 1;
   }
-  
-  if (result.breaking && result.breaking.length > 0) {
-    lines.push('');
-    lines.push(`⚠️  ${result.breaking.length} breaking change(s):`);
-    result.breaking.forEach(breaking => {
-      lines.push(`  - ${breaking.path}: ${breaking.reason}`);
-    });
+
+  const port = options.port === undefined ? 4010 : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Error: Invalid --port: ${options.port}`);
+    return 1;
   }
-  
-  if (result.significant && result.significant.length > 0) {
-    lines.push('');
-    lines.push(`ℹ️  ${result.significant.length} significant change(s):`);
-    result.significant.forEach(sig => {
-      lines.push(`  - ${sig.path}`);
+
+  try {
+    const manifest = loadManifest(options.manifest);
+    const type = detectManifestType(manifest, options.type);
+    if (type !== 'api') {
+      console.error(`Error: proto mock serves API manifests, got a ${type} manifest`);
+      return 1;
+    }
+
+    const mock = createMockServer(manifest, { port, validate: options['no-validate'] !== true });
+    const { url } = await mock.start();
+    console.log(`✓ Mock server for ${manifest.api?.name || options.manifest} listening on ${url}`);
+    for (const route of mock.routes) {
+      console.log(`  ${route.method.padEnd(7)} ${route.path}`);
+    }
+
+    await new Promise(resolve => {
+      const shutdown = () => {
+        process.off('SIGINT', shutdown);
+        process.off('SIGTERM', shutdown);
+        resolve();
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
     });
+    await mock.stop();
+    console.log('Mock server stopped');
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
   }
-  
-  return lines.join('\n');
 }
 
 /**
- * Format migration result for text output
- * @param {Object} result - Migration result
- * @returns {string} Formatted text
+ * Sign command handler
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
  */
-function formatMigrationResult(result) {
-  const lines = [];
-  
-  if (result.steps && result.steps.length > 0) {
-    lines.push('Migration Steps:');
-    lines.push('');
-    result.steps.forEach((step, index) => {
-      lines.push(`${index + 1}. ${step}`);
-    });
-  } else {
-    lines.push('No migration steps required');
+async function handleSign(parsed) {
+  const { options } = parsed;
+
+  if (!options.manifest || !options.key || !options.kid) {
+    console.error('Error: --manifest, --key and --kid options are required');
+    return 1;
   }
-  
-  if (result.notes && result.notes.length > 0) {
-    lines.push('');
-    lines.push('Notes:');
-    result.notes.forEach(note => {
-      lines.push(`  - ${note}`);
+
+  try {
+    const manifest = loadManifest(options.manifest);
+    const privateKey = loadKeyFile(options.key);
+    const signed = sign(manifest, privateKey, {
+      kid: options.kid,
+      alg: options.alg || 'EdDSA',
+      exp: options.exp
     });
+
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), serializeManifest(signed, options.output));
+      console.log(`✓ Signed manifest written to ${options.output} (kid: ${options.kid})`);
+    } else {
+      console.log(JSON.stringify(signed, null, 2));
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
   }
-  
-  return lines.join('\n');
 }
 
 /**
- * Show help message
+ * Verify command handler
+ * @param {Object} parsed - Parsed arguments
+ * @returns {number} Exit code
  */
-function showHelp() {
-  const help = `
-Cross-Protocol Manifest System CLI
-
-Usage:
-  proto <command> [options]
-
-Commands:
-  validate              Validate a manifest file
-  diff                  Compare two manifests
-  generate migration    Generate migration script between manifests
-  query                 Search manifests using query DSL
-  graph                 Generate graph visualization of protocol relationships
-
-Options:
-  --manifest=<file>     Path to manifest file (JSON)
-  --from=<file>         Source manifest file for diff/migration
-  --to=<file>           Target manifest file for diff/migration
-  --format=<format>     Output format: json, text, table (default: text)
-  --help                Show this help message
+async function handleVerify(parsed) {
+  const { options } = parsed;
 
-Query Options:
-  --manifest-dir=<path> Directory containing manifests (default: ./manifests)
-  --type=<protocol>     Filter by protocol type (data, event, api, agent, semantic)
-  --limit=N            Limit results (default: 10)
+  if (!options.manifest || (!options.key && !options.keyring)) {
+    console.error('Error: --manifest and one of --key or --keyring are required');
+    return 1;
+  }
 
-Graph Options:
-  --format=mermaid|json|dot  Output format (default: mermaid)
-  --depth=N           Traversal depth (default: 3)
-  --show-dependencies Show inter-mission dependencies
-  --show-urns         Show all URN references
-  --output=<file>     Write to file instead of stdout
+  try {
+    const manifest = loadManifest(options.manifest);
+    const keyMaterial = loadKeyFile(options.keyring || options.key);
+    const result = verify(manifest, keyMaterial);
 
-Examples:
-  proto validate --manifest=dataset.json
-  proto diff --from=v1.json --to=v2.json --format=json
-  proto generate migration --from=v1.json --to=v2.json
-  proto query 'governance.policy.classification:=:pii'
-  proto query 'agent.capabilities.tools:contains:refund' --type=agent
-  proto graph manifests/agent/support.json --format=mermaid
-  proto graph manifests/data/users.json --show-dependencies --depth=2
+    const output = options.format === 'json'
+      ? formatOutput(result, 'json')
+      : formatVerificationResult(result);
+    console.log(output);
 
-Exit Codes:
-  0 - Success
-  1 - General error
-  2 - Validation failed
-  3 - File not found
-  4 - Invalid manifest format
-`;
-  
-  console.log(help);
+    return result.valid ? 0 : 2;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.message.includes('not found') ? 3 : 4;
+  }
 }
 
 /**
- * Validate command handler
+ * Conform command handler: replays a HAR capture against an API manifest
  * @param {Object} parsed - Parsed arguments
  * @returns {number} Exit code
  */
-async function handleValidate(parsed) {
+async function handleConform(parsed) {
   const { options } = parsed;
-  
-  if (!options.manifest) {
-    console.error('Error: --manifest option is required');
+  const format = options.format || 'text';
+
+  if (!options.manifest || !options.har) {
+    console.error('Error: Both --manifest and --har options are required');
     return 1;
   }
-  
+
+  if (!['text', 'json'].includes(format)) {
+    console.error(`Error: Unsupported conform format: ${format}. Supported formats: text, json`);
+    return 1;
+  }
+
   try {
-    const manifest = prepareManifestForValidation(loadManifest(options.manifest));
-    let type = (manifest.type || '').toLowerCase();
-    if (!type && manifest.schema) type = 'data';
-    if (!type && manifest.element?.type) type = manifest.element.type.toLowerCase();
-    
-    const factories = {
-      data: createDataProtocol,
-      agent: createAgentProtocol,
-      api: createApiProtocol,
-      event: createEventProtocol,
-      semantic: createSemanticProtocol
-    };
-    
-    const factory = factories[type] || createDataProtocol;
-    const protocol = factory(manifest);
-    
-    if (typeof protocol.validate !== 'function') {
-      console.log('No validator available for this manifest type - assuming valid');
-      return 0;
+    const manifest = loadManifest(options.manifest);
+    const type = detectManifestType(manifest, options.type);
+    if (type !== 'api') {
+      console.error(`Error: proto conform checks API manifests, got a ${type} manifest`);
+      return 1;
     }
-    const protocolResult = await protocol.validate();
-    
-    // Convert protocol result format to CLI format
-    const cliResult = {
-      valid: protocolResult.ok,
-      validatorResults: protocolResult.results,
-      errors: []
-    };
-    
-    // Extract errors from validator results
-    if (protocolResult.results) {
-      protocolResult.results.forEach(validatorResult => {
-        if (!validatorResult.ok && validatorResult.issues) {
-          validatorResult.issues.forEach(issue => {
-            cliResult.errors.push(`${issue.path}: ${issue.msg}`);
-          });
-        }
-      });
+
+    const harPath = path.resolve(options.har);
+    if (!fs.existsSync(harPath)) {
+      throw new Error(`HAR file not found: ${options.har}`);
     }
-    
-    const output = formatOutput(cliResult, options.format || 'text');
-    console.log(output);
-    
-    return cliResult.valid ? 0 : 2;
+    let har;
+    try {
+      har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in HAR file: ${error.message}`);
+    }
+
+    const report = checkConformance(manifest, har, { basePath: options['base-path'] });
+    console.log(format === 'json' ? JSON.stringify(report, null, 2) : formatConformanceReport(report));
+    return report.ok ? 0 : 2;
   } catch (error) {
     console.error(`Error: ${error.message}`);
     return error.message.includes('not found') ? 3 : 4;
@@ -443,29 +1537,39 @@ async function handleValidate(parsed) {
 }
 
 /**
- * Diff command handler
+ * Catalog command handler
  * @param {Object} parsed - Parsed arguments
  * @returns {number} Exit code
  */
-async function handleDiff(parsed) {
+async function handleCatalog(parsed) {
   const { options } = parsed;
-  
-  if (!options.from || !options.to) {
-    console.error('Error: Both --from and --to options are required');
+  const format = options.format || 'text';
+
+  if (!['text', 'json', 'markdown', 'md'].includes(format)) {
+    console.error(`Error: Unsupported catalog format: ${format}. Supported formats: text, json, markdown`);
     return 1;
   }
-  
+
   try {
-    const manifestA = loadManifest(options.from);
-    const manifestB = loadManifest(options.to);
-    
-    const protocolA = createDataProtocol(manifestA);
-    const result = protocolA.diff(manifestB);
-    
-    const output = formatOutput(result, options.format);
-    console.log(output);
-    
-    return 0;
+    const report = buildCatalogReport(options['manifest-dir'] || './manifests');
+
+    let output;
+    if (format === 'json') {
+      output = JSON.stringify(report, null, 2);
+    } else if (format === 'markdown' || format === 'md') {
+      output = formatCatalogMarkdown(report);
+    } else {
+      output = formatCatalogReport(report);
+    }
+
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), output + '\n');
+      console.log(`✓ Catalog report written to ${options.output}`);
+    } else {
+      console.log(output);
+    }
+
+    return report.summary.valid && report.summary.governanceValid ? 0 : 2;
   } catch (error) {
     console.error(`Error: ${error.message}`);
     return error.message.includes('not found') ? 3 : 4;
@@ -605,13 +1709,13 @@ async function loadManifestsFromDir(dirPath, protocolType) {
   }
   
   const manifests = [];
-  const files = fs.readdirSync(fullPath).filter(f => f.endsWith('.json'));
+  const files = fs.readdirSync(fullPath).filter(f => MANIFEST_EXTENSIONS.includes(path.extname(f).toLowerCase()));
   
   for (const file of files) {
     try {
       const filePath = path.join(fullPath, file);
       const content = fs.readFileSync(filePath, 'utf8');
-      const manifest = JSON.parse(content);
+      const manifest = parseManifestContent(content, filePath);
       
       // Filter by protocol type if specified
       if (!protocolType || manifest.type === protocolType) {
@@ -936,6 +2040,10 @@ async function main(args) {
     case 'generate':
       if (parsed.subcommand === 'migration') {
         exitCode = await handleGenerateMigration(parsed);
+      } else if (parsed.subcommand === 'asyncapi') {
+        exitCode = await handleGenerateAsyncApi(parsed);
+      } else if (parsed.subcommand === 'avro') {
+        exitCode = await handleGenerateAvro(parsed);
       } else {
         console.error(`Error: Unknown generate subcommand: ${parsed.subcommand}`);
         showHelp();
@@ -948,6 +2056,27 @@ async function main(args) {
     case 'graph':
       exitCode = await handleGraph(parsed);
       break;
+    case 'convert':
+      exitCode = await handleConvert(parsed);
+      break;
+    case 'import':
+      exitCode = await handleImport(parsed);
+      break;
+    case 'mock':
+      exitCode = await handleMock(parsed);
+      break;
+    case 'conform':
+      exitCode = await handleConform(parsed);
+      break;
+    case 'catalog':
+      exitCode = await handleCatalog(parsed);
+      break;
+    case 'sign':
+      exitCode = await handleSign(parsed);
+      break;
+    case 'verify':
+      exitCode = await handleVerify(parsed);
+      break;
     default:
       console.error(`Error: Unknown command: ${parsed.command}`);
       showHelp();
@@ -956,7 +2085,7 @@ async function main(args) {
   
   // Log performance for debugging
   const duration = Date.now() - startTime;
-  if (duration > 500) {
+  if (duration > 500 && parsed.command !== 'mock') {
     console.error(`Warning: CLI execution took ${duration}ms (target: < 500ms)`);
   }
   
@@ -973,4 +2102,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     });
 }
 
-export { main, parseArgs, loadManifest, formatOutput };
+export { main, parseArgs, loadManifest, formatOutput, detectManifestType, buildDiffReport, buildCatalogReport };
@@ -1,7 +1,8 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import fs from 'fs';
-import { main, parseArgs, loadManifest, formatOutput } from './proto.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { main, parseArgs, loadManifest, formatOutput, detectManifestType, buildDiffReport, buildCatalogReport } from './proto.js';
 
 test('parseArgs - basic command parsing', () => {
   const result = parseArgs(['validate', '--manifest=test.json']);
@@ -119,4 +120,453 @@ test('CLI handles unknown command', async () => {
 test('CLI handles missing required options', async () => {
   const exitCode = await main(['validate']);
   assert.strictEqual(exitCode, 1);
-});
\ No newline at end of file
+});
+test('detectManifestType - prefers explicit type, then declared type, then keys', () => {
+  assert.strictEqual(detectManifestType({ dataset: { name: 'x' } }, 'api'), 'api');
+  assert.strictEqual(detectManifestType({ type: 'agent', dataset: { name: 'x' } }), 'agent');
+  assert.strictEqual(detectManifestType({ urn: 'urn:proto:semantic:button@1.0.0' }), 'semantic');
+  assert.strictEqual(detectManifestType({ event: { name: 'payment.completed' } }), 'event');
+  assert.strictEqual(detectManifestType({ api: { name: 'payments' } }), 'api');
+  assert.strictEqual(detectManifestType({ element: { type: 'button' } }), 'semantic');
+  assert.strictEqual(detectManifestType({ schema: { fields: {} } }), 'data');
+  assert.throws(() => detectManifestType({}, 'graphql'), /Unsupported manifest type/);
+});
+
+test('CLI validate command - dispatches event manifests to the event protocol', async () => {
+  fs.writeFileSync('event-manifest.tmp.json', JSON.stringify({
+    event: { name: 'payment.completed', version: '1.0.0' },
+    schema: { payload: { type: 'object', properties: { payment_id: { type: 'string' } } } },
+    delivery: { contract: { guarantees: 'sometimes' } }
+  }));
+
+  try {
+    const exitCode = await main(['validate', '--manifest=event-manifest.tmp.json']);
+    assert.strictEqual(exitCode, 2);
+  } finally {
+    fs.unlinkSync('event-manifest.tmp.json');
+  }
+});
+
+test('CLI validate command - rejects unsupported --type', async () => {
+  const exitCode = await main(['validate', '--manifest=manifests/test-data.json', '--type=graphql']);
+  assert.strictEqual(exitCode, 1);
+});
+
+test('CLI sign and verify commands - round trip and tamper detection', async () => {
+  const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+  fs.writeFileSync('sign-key.tmp.pem', privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync('sign-keyring.tmp.json', JSON.stringify({
+    'release-1': publicKey.export({ type: 'spki', format: 'pem' })
+  }));
+
+  try {
+    const signExit = await main([
+      'sign', '--manifest=manifests/test-data.json', '--key=sign-key.tmp.pem',
+      '--kid=release-1', '--output=signed-manifest.tmp.json'
+    ]);
+    assert.strictEqual(signExit, 0);
+
+    const signed = loadManifest('signed-manifest.tmp.json');
+    assert.strictEqual(signed.sig.spec, 'identity-access.signing.v1');
+    assert.strictEqual(await main(['verify', '--manifest=signed-manifest.tmp.json', '--keyring=sign-keyring.tmp.json']), 0);
+    assert.strictEqual(await main(['validate', '--manifest=signed-manifest.tmp.json']), 0);
+
+    signed.dataset.name = 'tampered';
+    fs.writeFileSync('signed-manifest.tmp.json', JSON.stringify(signed));
+    assert.strictEqual(await main(['verify', '--manifest=signed-manifest.tmp.json', '--keyring=sign-keyring.tmp.json']), 2);
+    assert.strictEqual(await main(['validate', '--manifest=signed-manifest.tmp.json']), 2);
+  } finally {
+    ['sign-key.tmp.pem', 'sign-keyring.tmp.json', 'signed-manifest.tmp.json']
+      .filter(file => fs.existsSync(file))
+      .forEach(file => fs.unlinkSync(file));
+  }
+});
+
+test('CLI sign command - requires key and kid', async () => {
+  const exitCode = await main(['sign', '--manifest=manifests/test-data.json']);
+  assert.strictEqual(exitCode, 1);
+});
+
+test('CLI diff command - gates event schema changes with --fail-on', async () => {
+  const v1 = {
+    event: { name: 'payment.completed', version: '1.0.0' },
+    schema: { payload: { type: 'object', properties: { payment_id: { type: 'string' } } } },
+    delivery: { contract: { guarantees: 'at-least-once' } }
+  };
+  const v2 = JSON.parse(JSON.stringify(v1));
+  v2.schema.payload.properties.amount = { type: 'number' };
+  v2.schema.payload.required = ['amount'];
+  const optional = JSON.parse(JSON.stringify(v1));
+  optional.schema.payload.properties.note = { type: 'string' };
+  fs.writeFileSync('event-v1.tmp.json', JSON.stringify(v1));
+  fs.writeFileSync('event-v2.tmp.json', JSON.stringify(v2));
+  fs.writeFileSync('event-optional.tmp.json', JSON.stringify(optional));
+
+  try {
+    assert.strictEqual(await main(['diff', '--from=event-v1.tmp.json', '--to=event-v2.tmp.json']), 0);
+    assert.strictEqual(await main(['diff', '--from=event-v1.tmp.json', '--to=event-v2.tmp.json', '--fail-on=breaking']), 2);
+    assert.strictEqual(await main(['diff', '--from=event-v1.tmp.json', '--to=event-v1.tmp.json', '--fail-on=significant']), 0);
+    assert.strictEqual(await main(['diff', '--from=event-v1.tmp.json', '--to=event-v2.tmp.json', '--fail-on=minor']), 1);
+    // Backward-compatible schema changes are significant, not breaking
+    assert.strictEqual(await main(['diff', '--from=event-v1.tmp.json', '--to=event-optional.tmp.json', '--fail-on=breaking']), 0);
+    assert.strictEqual(await main(['diff', '--from=event-v1.tmp.json', '--to=event-optional.tmp.json', '--fail-on=significant']), 2);
+  } finally {
+    fs.unlinkSync('event-v1.tmp.json');
+    fs.unlinkSync('event-v2.tmp.json');
+    fs.unlinkSync('event-optional.tmp.json');
+  }
+});
+
+test('CLI diff command - reports API contract findings with a suggested bump', async () => {
+  const v1 = {
+    api: { name: 'orders-api', version: '1.0.0' },
+    endpoints: {
+      paths: {
+        '/orders': {
+          get: {
+            summary: 'List orders',
+            responses: { '200': { description: 'OK', content: { 'application/json': { properties: { id: { type: 'string' }, total: { type: 'number' } } } } } }
+          }
+        }
+      }
+    }
+  };
+  const v2 = JSON.parse(JSON.stringify(v1));
+  delete v2.endpoints.paths['/orders'].get.responses['200'].content['application/json'].properties.total;
+  v2.endpoints.paths['/orders'].get.parameters = { query: { limit: { type: 'integer' } } };
+  fs.writeFileSync('api-v1.tmp.json', JSON.stringify(v1));
+  fs.writeFileSync('api-v2.tmp.json', JSON.stringify(v2));
+
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    assert.strictEqual(await main(['diff', '--from=api-v1.tmp.json', '--to=api-v2.tmp.json', '--fail-on=breaking']), 2);
+    const text = logged.join('\n');
+    assert.ok(text.includes('GET /orders [response total]: field removed'));
+    assert.ok(text.includes('GET /orders [query limit]: optional parameter added'));
+    assert.ok(text.includes('Suggested version bump: major'));
+
+    logged.length = 0;
+    assert.strictEqual(await main(['diff', '--from=api-v1.tmp.json', '--to=api-v2.tmp.json', '--format=json']), 0);
+    const report = JSON.parse(logged.join('\n'));
+    assert.strictEqual(report.bump, 'major');
+    const removal = report.changes.find(c => c.path.endsWith('properties.total'));
+    assert.strictEqual(removal.classification, 'breaking');
+    assert.strictEqual(removal.reason, 'field removed');
+  } finally {
+    console.log = originalLog;
+    fs.unlinkSync('api-v1.tmp.json');
+    fs.unlinkSync('api-v2.tmp.json');
+  }
+});
+
+test('buildDiffReport - classifies each change with a reason', () => {
+  const report = buildDiffReport({
+    changes: [
+      { path: 'schema_hash', from: 'a', to: 'b' },
+      { path: 'metadata.owner', from: 'x', to: 'y' },
+      { path: 'schema.fields.email', from: undefined, to: { type: 'string', required: true } },
+      { path: 'schema.fields.note', from: undefined, to: { type: 'string' } }
+    ],
+    breaking: [
+      { path: 'schema_hash', reason: 'schema changed' },
+      { path: 'schema.fields.email.required', reason: 'required flag changed' }
+    ],
+    significant: [{ path: 'metadata.owner', from: 'x', to: 'y' }]
+  }, 'data', 'significant');
+
+  assert.deepStrictEqual(report.changes.map(c => [c.path, c.classification, c.reason]), [
+    ['schema_hash', 'breaking', 'schema changed'],
+    ['metadata.owner', 'significant', 'metadata changed'],
+    ['schema.fields.email', 'breaking', 'required flag changed'],
+    ['schema.fields.note', 'compatible', 'added']
+  ]);
+  assert.deepStrictEqual(report.summary, { total: 4, breaking: 2, significant: 1, compatible: 1 });
+  assert.strictEqual(report.failed, true);
+
+  const semantic = buildDiffReport({
+    changes: [{ path: '*', from: {}, to: {} }],
+    breaking: [],
+    significant: [{ path: 'element.intent', reason: 'Intent changed' }]
+  }, 'semantic', 'breaking');
+  assert.strictEqual(semantic.changes[0].classification, 'significant');
+  assert.strictEqual(semantic.failed, false);
+});
+
+test('CLI catalog command - loads a manifest tree and reports system health', async () => {
+  const dir = 'catalog-fixture.tmp';
+  fs.mkdirSync(`${dir}/events`, { recursive: true });
+  fs.copyFileSync('manifests/test-data.json', `${dir}/users.json`);
+  fs.copyFileSync('manifests/test-agent.json', `${dir}/support-agent.json`);
+  fs.writeFileSync(`${dir}/events/signup.json`, JSON.stringify({
+    event: { name: 'user.signup', version: '1.0.0' },
+    schema: { payload: { type: 'object', properties: { email: { type: 'string', 'x-pii': true } } } },
+    delivery: { contract: { transport: 'kafka', guarantees: 'at-least-once' } }
+  }));
+  fs.writeFileSync(`${dir}/broken.json`, '{ not json');
+
+  try {
+    const report = buildCatalogReport(dir);
+    assert.deepStrictEqual(report.entities.map(e => [e.file, e.type]), [
+      ['events/signup.json', 'event'],
+      ['support-agent.json', 'agent'],
+      ['users.json', 'data']
+    ]);
+    assert.strictEqual(report.skipped.length, 1);
+    assert.strictEqual(report.summary.totalEntities, 3);
+    assert.strictEqual(report.governance[0].type, 'pii_event');
+    assert.strictEqual(report.summary.governanceValid, false);
+
+    assert.strictEqual(await main(['catalog', `--manifest-dir=${dir}`, '--format=markdown']), 2);
+    assert.strictEqual(await main(['catalog', `--manifest-dir=${dir}`, '--format=yaml']), 1);
+    assert.strictEqual(await main(['catalog', '--manifest-dir=manifests', '--format=json']), 0);
+    assert.strictEqual(await main(['catalog', '--manifest-dir=missing-dir']), 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI convert command - JSON to YAML and back preserves manifest and key order', async () => {
+  try {
+    assert.strictEqual(await main(['convert', '--manifest=manifests/test-data.json', '--to=yaml', '--output=convert.tmp.yaml']), 0);
+    const yamlManifest = loadManifest('convert.tmp.yaml');
+    const original = loadManifest('manifests/test-data.json');
+    assert.deepStrictEqual(yamlManifest, original);
+    assert.deepStrictEqual(Object.keys(yamlManifest), Object.keys(original));
+
+    assert.strictEqual(await main(['convert', '--manifest=convert.tmp.yaml', '--to=json', '--output=convert.tmp.json']), 0);
+    assert.strictEqual(fs.readFileSync('convert.tmp.json', 'utf8'), JSON.stringify(original, null, 2) + '\n');
+
+    assert.strictEqual(await main(['validate', '--manifest=convert.tmp.yaml']), 0);
+    assert.strictEqual(await main(['convert', '--manifest=convert.tmp.yaml', '--to=toml']), 1);
+  } finally {
+    ['convert.tmp.yaml', 'convert.tmp.json']
+      .filter(file => fs.existsSync(file))
+      .forEach(file => fs.unlinkSync(file));
+  }
+});
+
+test('parseArgs - import command takes a format and a document path', () => {
+  const result = parseArgs(['import', 'openapi', 'petstore.yaml', '--output=pets.json']);
+  assert.strictEqual(result.subcommand, 'openapi');
+  assert.strictEqual(result.options.spec, 'petstore.yaml');
+  assert.strictEqual(result.errors.length, 0);
+});
+
+test('CLI import openapi command - imports YAML documents and reports unmapped constructs', async () => {
+  const spec = [
+    'openapi: 3.0.3',
+    'info:',
+    '  title: Orders Service',
+    '  version: 1.4.0',
+    'tags:',
+    '  - name: orders',
+    'paths:',
+    '  /orders:',
+    '    get:',
+    '      operationId: listOrders',
+    '      summary: List orders',
+    '      responses:',
+    "        '200':",
+    '          description: Orders',
+    '    post:',
+    '      operationId: createOrder',
+    '      summary: Create an order',
+    '      requestBody:',
+    '        content:',
+    '          application/json:',
+    '            schema:',
+    '              type: object',
+    '      responses:',
+    "        '201':",
+    '          description: Created',
+    ''
+  ].join('\n');
+  fs.writeFileSync('openapi.tmp.yaml', spec);
+  try {
+    assert.strictEqual(await main(['import', 'openapi', 'openapi.tmp.yaml', '--output=imported.tmp.json']), 0);
+    const manifest = loadManifest('imported.tmp.json');
+    assert.strictEqual(manifest.api.name, 'orders-service');
+    assert.deepStrictEqual(Object.keys(manifest.endpoints.paths['/orders']), ['get', 'post']);
+    assert.strictEqual(await main(['validate', '--manifest=imported.tmp.json']), 0);
+
+    assert.strictEqual(await main(['import', 'openapi', 'openapi.tmp.yaml', '--format=json', '--output=import-report.tmp.json']), 0);
+    const report = JSON.parse(fs.readFileSync('import-report.tmp.json', 'utf8'));
+    assert.deepStrictEqual(report.unmapped.map(u => u.pointer), ['#/tags']);
+
+    assert.strictEqual(await main(['import', 'swagger', 'openapi.tmp.yaml']), 1);
+    assert.strictEqual(await main(['import', 'openapi']), 1);
+    assert.strictEqual(await main(['import', 'openapi', 'missing.tmp.yaml']), 3);
+  } finally {
+    ['openapi.tmp.yaml', 'imported.tmp.json', 'import-report.tmp.json']
+      .filter(file => fs.existsSync(file))
+      .forEach(file => fs.unlinkSync(file));
+  }
+});
+
+test('CLI mock command - serves an API manifest until interrupted', async () => {
+  fs.writeFileSync('mock-api.tmp.json', JSON.stringify({
+    api: { name: 'health-api', version: '1.0.0' },
+    endpoints: {
+      paths: {
+        '/health': { summary: 'Health', responses: { '200': { description: 'OK', content: { 'application/json': { properties: { status: { type: 'string', example: 'ok' } } } } } } }
+      }
+    }
+  }));
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    const running = main(['mock', '--manifest=mock-api.tmp.json', '--port=0']);
+    while (!logged.some(line => line.includes('listening on'))) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const url = logged.find(line => line.includes('listening on')).split('listening on ')[1];
+    const response = await fetch(`${url}/health`);
+    assert.deepStrictEqual(await response.json(), { status: 'ok' });
+    process.emit('SIGINT');
+    assert.strictEqual(await running, 0);
+    assert.ok(logged.some(line => line.includes('GET     /health')));
+  } finally {
+    console.log = originalLog;
+    fs.unlinkSync('mock-api.tmp.json');
+  }
+});
+
+test('CLI mock command - rejects missing and non-API manifests', async () => {
+  assert.strictEqual(await main(['mock']), 1);
+  assert.strictEqual(await main(['mock', '--manifest=manifests/test-data.json']), 1);
+  assert.strictEqual(await main(['mock', '--manifest=manifests/test-data.json', '--port=http']), 1);
+});
+
+test('CLI generate/import asyncapi commands - round trip event manifests', async () => {
+  const dir = 'asyncapi-events.tmp';
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(`${dir}/payment.json`, JSON.stringify({
+    event: { name: 'payment.completed', version: '1.0.0' },
+    schema: { payload: { type: 'object', properties: { id: { type: 'string' } } } },
+    delivery: { contract: { transport: 'kafka', topic: 'billing.payments', guarantees: 'at-least-once' } }
+  }));
+  fs.copyFileSync('manifests/test-data.json', `${dir}/dataset.json`);
+
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    assert.strictEqual(await main(['generate', 'asyncapi', `--manifest-dir=${dir}`, '--asyncapi=2.6.0', `--output=${dir}/asyncapi.yaml`]), 0);
+    assert.ok(logged.some(line => line.includes('AsyncAPI 2.6.0 document for 1 event(s)')));
+    const yaml = fs.readFileSync(`${dir}/asyncapi.yaml`, 'utf8');
+    assert.ok(yaml.includes('billing.payments'));
+
+    assert.strictEqual(await main(['import', 'asyncapi', `${dir}/asyncapi.yaml`, `--output-dir=${dir}/imported`]), 0);
+    const imported = JSON.parse(fs.readFileSync(`${dir}/imported/payment.completed.json`, 'utf8'));
+    assert.deepStrictEqual(imported.delivery.contract, { transport: 'kafka', topic: 'billing.payments', guarantees: 'at-least-once' });
+
+    assert.strictEqual(await main(['generate', 'asyncapi', '--manifest-dir=manifests']), 1);
+    assert.strictEqual(await main(['import', 'asyncapi']), 1);
+  } finally {
+    console.log = originalLog;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI generate/import avro commands - event and data manifests', async () => {
+  const dir = 'avro.tmp';
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(`${dir}/payment.json`, JSON.stringify({
+    event: { name: 'payment.completed', version: '1.0.0' },
+    schema: { payload: { type: 'object', required: ['id'], properties: { id: { type: 'string' }, amount: { type: 'number' } } } }
+  }));
+
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    assert.strictEqual(await main(['generate', 'avro', `--manifest=${dir}/payment.json`, `--output=${dir}/payment.avsc`]), 0);
+    assert.ok(logged.some(line => line.includes('Avro schema payment.completed (2 fields)')));
+    const avsc = JSON.parse(fs.readFileSync(`${dir}/payment.avsc`, 'utf8'));
+    assert.deepStrictEqual(avsc.fields, [
+      { name: 'id', type: 'string' },
+      { name: 'amount', type: ['null', 'double'], default: null }
+    ]);
+
+    assert.strictEqual(await main(['import', 'avro', `${dir}/payment.avsc`, `--output=${dir}/imported.json`]), 0);
+    const imported = JSON.parse(fs.readFileSync(`${dir}/imported.json`, 'utf8'));
+    assert.strictEqual(imported.event.name, 'payment.completed');
+    assert.deepStrictEqual(imported.schema.payload.required, ['id']);
+
+    assert.strictEqual(await main(['generate', 'avro', '--manifest=manifests/test-data.json', `--namespace=com.acme`, `--output=${dir}/dataset.avsc`]), 0);
+    logged.length = 0;
+    assert.strictEqual(await main(['import', 'avro', `${dir}/dataset.avsc`, '--type=data', '--format=json']), 0);
+    const { manifest, unmapped } = JSON.parse(logged.join('\n'));
+    assert.strictEqual(manifest.dataset.name, 'com.acme.user_events');
+    assert.deepStrictEqual(Object.keys(manifest.schema.fields), ['user_id', 'event_type', 'timestamp']);
+    assert.deepStrictEqual(unmapped, []);
+
+    assert.strictEqual(await main(['generate', 'avro']), 1);
+    assert.strictEqual(await main(['generate', 'avro', '--manifest=manifests/test-agent.json']), 1);
+    assert.strictEqual(await main(['import', 'avro', `${dir}/payment.avsc`, '--type=api']), 1);
+  } finally {
+    console.log = originalLog;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI conform command - checks HAR traffic against an API manifest', async () => {
+  fs.writeFileSync('conform-api.tmp.json', JSON.stringify({
+    api: { name: 'health-api', version: '1.0.0' },
+    endpoints: {
+      paths: {
+        '/health': { method: 'GET', responses: { '200': { description: 'OK', content: { 'application/json': { properties: { status: { type: 'string' } } } } } } }
+      }
+    }
+  }));
+  const entry = (url, status, body) => ({
+    startedDateTime: '2025-03-01T10:00:00.000Z',
+    request: { method: 'GET', url, headers: [] },
+    response: { status, headers: [], content: { mimeType: 'application/json', text: JSON.stringify(body) } }
+  });
+  fs.writeFileSync('conform-ok.tmp.har', JSON.stringify({ log: { entries: [entry('http://localhost/health', 200, { status: 'ok' })] } }));
+  fs.writeFileSync('conform-bad.tmp.har', JSON.stringify({
+    log: { entries: [entry('http://localhost/health', 503, {}), entry('http://localhost/health', 200, { status: 'ok', owner: 'ops@example.com' })] }
+  }));
+
+  const logged = [];
+  const originalLog = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    assert.strictEqual(await main(['conform', '--manifest=conform-api.tmp.json', '--har=conform-ok.tmp.har']), 0);
+    assert.ok(logged.join('\n').includes('✓ Traffic conformance: 1/1 exchange(s) matched'));
+
+    logged.length = 0;
+    assert.strictEqual(await main(['conform', '--manifest=conform-api.tmp.json', '--har=conform-bad.tmp.har']), 2);
+    const text = logged.join('\n');
+    assert.ok(text.includes('[undocumented_status] GET /health: status 503 is not declared'));
+    assert.ok(text.includes('[undocumented_field] GET /health: response field owner is not in the schema'));
+    assert.ok(text.includes('[unmarked_pii] GET /health: response field owner carries email values'));
+
+    logged.length = 0;
+    assert.strictEqual(await main(['conform', '--manifest=conform-api.tmp.json', '--har=conform-bad.tmp.har', '--format=json']), 2);
+    const report = JSON.parse(logged.join('\n'));
+    assert.strictEqual(report.summary.findings.unmarked_pii, 1);
+  } finally {
+    console.log = originalLog;
+    ['conform-api.tmp.json', 'conform-ok.tmp.har', 'conform-bad.tmp.har'].forEach(file => fs.unlinkSync(file));
+  }
+});
+
+test('CLI conform command - requires a manifest and a HAR file', async () => {
+  assert.strictEqual(await main(['conform', '--manifest=manifests/test-data.json']), 1);
+  assert.strictEqual(await main(['conform', '--manifest=manifests/test-data.json', '--har=missing.har']), 1);
+  assert.strictEqual(await main(['conform', '--manifest=missing.json', '--har=missing.har']), 3);
+});
+
+test('loadManifest - reports invalid YAML', () => {
+  fs.writeFileSync('invalid.tmp.yml', 'dataset:\n  name: [unclosed\n');
+  try {
+    assert.throws(() => loadManifest('invalid.tmp.yml'), /Invalid YAML in manifest file/);
+  } finally {
+    fs.unlinkSync('invalid.tmp.yml');
+  }
+});
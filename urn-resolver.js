@@ -10,6 +10,7 @@
  */
 
 import { dget } from './utils.js';
+import { parseYaml } from './yaml.js';
 import { readFileSync, existsSync, readdirSync } from 'fs';
 import { createServer } from 'http';
 import { URL } from 'url';
@@ -166,6 +167,8 @@ function compareVersions(a, b) {
   return a.patch - b.patch;
 }
 
+const MANIFEST_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
 function loadManifestFromFile(type, id, version, options = {}) {
   const { manifestDir = './manifests' } = options;
   const rootDir = resolvePath(manifestDir);
@@ -175,12 +178,21 @@ function loadManifestFromFile(type, id, version, options = {}) {
     if (!existsSync(fullPath)) return null;
     try {
       const content = readFileSync(fullPath, 'utf8');
-      return JSON.parse(content);
+      return fullPath.endsWith('.json') ? JSON.parse(content) : parseYaml(content);
     } catch {
       return null;
     }
   };
 
+  // Try each supported extension for a base name (JSON first)
+  const readFirst = (baseName) => {
+    for (const ext of MANIFEST_EXTENSIONS) {
+      const manifest = readManifest(join(dirPath, `${baseName}${ext}`));
+      if (manifest) return manifest;
+    }
+    return null;
+  };
+
   if (version === 'latest') {
     if (!existsSync(dirPath)) {
       return null;
@@ -188,30 +200,29 @@ function loadManifestFromFile(type, id, version, options = {}) {
 
     const files = readdirSync(dirPath);
     const candidates = files
-      .filter(name => name.startsWith(`${id}@`) && name.endsWith('.json'))
-      .map(name => {
-        const rawVersion = name.slice(id.length + 1, -5); // remove id@ and .json
+      .map(name => ({ name, ext: MANIFEST_EXTENSIONS.find(e => name.endsWith(e)) }))
+      .filter(({ name, ext }) => ext && name.startsWith(`${id}@`))
+      .map(({ name, ext }) => {
+        const rawVersion = name.slice(id.length + 1, -ext.length); // remove id@ and extension
         const clean = rawVersion.startsWith('v') ? rawVersion.slice(1) : rawVersion;
         const parsed = parseSemanticVersion(clean);
-        return parsed ? { name, parsed } : null;
+        return parsed ? { name, parsed, rank: MANIFEST_EXTENSIONS.indexOf(ext) } : null;
       })
       .filter(Boolean)
-      .sort((a, b) => compareVersions(b.parsed, a.parsed));
+      .sort((a, b) => compareVersions(b.parsed, a.parsed) || a.rank - b.rank);
 
     if (candidates.length > 0) {
       return readManifest(`${dirPath}/${candidates[0].name}`);
     }
 
-    return readManifest(join(dirPath, `${id}.json`));
+    return readFirst(id);
   }
 
-  const directPath = join(dirPath, `${id}@${version}.json`);
-  const directManifest = readManifest(directPath);
+  const directManifest = readFirst(`${id}@${version}`);
   if (directManifest) return directManifest;
 
   if (!version.startsWith('v')) {
-    const prefixedPath = join(dirPath, `${id}@v${version}.json`);
-    const prefixedManifest = readManifest(prefixedPath);
+    const prefixedManifest = readFirst(`${id}@v${version}`);
     if (prefixedManifest) return prefixedManifest;
   }
 
@@ -192,6 +192,15 @@ function setupTestEnvironment() {
   });
 }
 
+// YAML-authored manifests resolve through the same {type}/{id}@{version} lookup
+function createYamlManifest(type, filename, yaml) {
+  const dir = join(TEST_MANIFEST_DIR, type);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(join(dir, filename), yaml);
+}
+
 // Cleanup test environment
 function cleanupTestEnvironment() {
   if (existsSync(TEST_MANIFEST_DIR)) {
@@ -201,6 +210,19 @@ function cleanupTestEnvironment() {
 
 // Run tests
 setupTestEnvironment();
+createYamlManifest('data', 'orders@v1.0.0.yml', 'type: data\nid: orders\nversion: v1.0.0\n');
+createYamlManifest('data', 'orders@v1.4.0.yaml', [
+  '# authored in YAML',
+  'type: data',
+  'id: orders',
+  'version: v1.4.0',
+  'dataset:',
+  '  name: orders',
+  'schema:',
+  '  fields:',
+  '    order_id: { type: string, required: true }',
+  ''
+].join('\n'));
 
 describe('URN Resolver', () => {
   describe('parseURN', () => {
@@ -379,6 +401,19 @@ describe('URN Resolver', () => {
       assertEqual(result.id, 'user_events', 'should have correct ID');
     });
     
+    test('should load YAML manifests by version and as latest', () => {
+      const exact = loadManifestFromFile('data', 'orders', '1.0.0', {
+        manifestDir: TEST_MANIFEST_DIR
+      });
+      assertEqual(exact.version, 'v1.0.0', 'should find .yml file with v-prefixed version');
+
+      const latest = loadManifestFromFile('data', 'orders', 'latest', {
+        manifestDir: TEST_MANIFEST_DIR
+      });
+      assertEqual(latest.version, 'v1.4.0', 'should pick the newest YAML manifest');
+      assertEqual(latest.schema.fields.order_id.required, true, 'should parse nested YAML');
+    });
+    
     test('should return null for non-existent manifest', () => {
       const result = loadManifestFromFile('data', 'nonexistent', 'v1.0.0', {
         manifestDir: TEST_MANIFEST_DIR